@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/*
+This file is a small stand-in for the slice of the Google Drive v3 API that `src/googleSync.js` calls: file search,
+head-revision reads, media download with `If-None-Match`, multipart create, and media update with `If-Match`.
+Files live in memory only. Every upload bumps the head revision, and the ETag is derived from it, so a stale `If-Match`
+gets the same 412 that real Drive sends. Passing `sendEtags: false` drops the ETag header, which is how Drive sometimes
+answers, so the head-revision fallback can be exercised too.
+The tests import `startMockDriveServer`; run the file directly to point an unpacked extension at it while developing
+(set `apiBaseUrl` in the `opsMapGoogleSyncV1` record in `chrome.storage.local` to the printed address).
+*/
+
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_PORT = 8787;
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { "Content-Type": "application/json", ...headers });
+  response.end(JSON.stringify(body));
+}
+
+function sendError(response, status, message) {
+  sendJson(response, status, { error: { code: status, message } });
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+function readMultipartParts(contentType, body) {
+  const boundary = /boundary=([^;]+)/.exec(contentType ?? "")?.[1];
+  if (!boundary) {
+    return [];
+  }
+
+  // Each part is its headers, a blank line, then the content; only the content is kept.
+  return body
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .map((part) => part.slice(part.indexOf("\r\n\r\n") + 4).replace(/\r\n$/, ""));
+}
+
+export async function startMockDriveServer({ port = 0, sendEtags = true } = {}) {
+  const files = new Map();
+  let nextFileNumber = 1;
+
+  function versionHeaders(file) {
+    return sendEtags ? { ETag: `"${file.id}-r${file.revision}"` } : {};
+  }
+
+  function describeFile(file) {
+    return { id: file.id, headRevisionId: String(file.revision) };
+  }
+
+  async function handle(request, response) {
+    const url = new URL(request.url, "http://localhost");
+    const fileMatch = /^\/(?:upload\/)?drive\/v3\/files\/([^/]+)$/.exec(url.pathname);
+    const file = fileMatch ? files.get(decodeURIComponent(fileMatch[1])) : null;
+
+    if (!/^Bearer \S+/.test(request.headers.authorization ?? "")) {
+      sendError(response, 401, "Missing bearer token.");
+      return;
+    }
+
+    if (request.method === "GET" && url.pathname === "/drive/v3/files") {
+      const name = /name = '([^']+)'/.exec(url.searchParams.get("q") ?? "")?.[1];
+      const matches = [...files.values()]
+        .filter((entry) => entry.name === name)
+        .sort((left, right) => right.modifiedTime.localeCompare(left.modifiedTime));
+      sendJson(response, 200, { files: matches.map(({ id, modifiedTime }) => ({ id, modifiedTime })) });
+      return;
+    }
+
+    if (request.method === "POST" && url.pathname === "/upload/drive/v3/files") {
+      const [metadata, content] = readMultipartParts(request.headers["content-type"], await readBody(request));
+      const created = {
+        id: `mock-file-${nextFileNumber++}`,
+        name: JSON.parse(metadata ?? "{}").name,
+        content: content ?? "",
+        revision: 1,
+        modifiedTime: new Date().toISOString()
+      };
+      files.set(created.id, created);
+      sendJson(response, 200, describeFile(created), versionHeaders(created));
+      return;
+    }
+
+    if (!fileMatch) {
+      sendError(response, 404, "Unknown route.");
+      return;
+    }
+
+    if (!file) {
+      sendError(response, 404, "File not found.");
+      return;
+    }
+
+    if (request.method === "GET" && url.searchParams.get("alt") === "media") {
+      const etag = versionHeaders(file).ETag;
+      if (etag && request.headers["if-none-match"] === etag) {
+        response.writeHead(304, versionHeaders(file));
+        response.end();
+        return;
+      }
+
+      response.writeHead(200, { "Content-Type": "application/json", ...versionHeaders(file) });
+      response.end(file.content);
+      return;
+    }
+
+    if (request.method === "GET") {
+      sendJson(response, 200, describeFile(file));
+      return;
+    }
+
+    if (request.method === "PATCH") {
+      const ifMatch = request.headers["if-match"];
+      if (ifMatch && ifMatch !== `"${file.id}-r${file.revision}"`) {
+        sendError(response, 412, "Precondition Failed");
+        return;
+      }
+
+      file.content = await readBody(request);
+      file.revision += 1;
+      file.modifiedTime = new Date().toISOString();
+      sendJson(response, 200, describeFile(file), versionHeaders(file));
+      return;
+    }
+
+    sendError(response, 405, "Method not allowed.");
+  }
+
+  const server = http.createServer((request, response) => {
+    // The extension page calls from its own origin, so every answer, preflights included, carries CORS headers.
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, If-Match, If-None-Match");
+    response.setHeader("Access-Control-Allow-Methods", "GET, POST, PATCH, OPTIONS");
+    response.setHeader("Access-Control-Expose-Headers", "ETag");
+
+    if (request.method === "OPTIONS") {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    handle(request, response).catch((error) => sendError(response, 500, error.message));
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    files,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  const mock = await startMockDriveServer({ port, sendEtags: !process.argv.includes("--no-etags") });
+  console.log(`Mock Drive listening on ${mock.url}`);
+}
@@ -0,0 +1,59 @@
+#!/bin/sh
+# Registers the Resume helper (git activity and browser hand-off) as a native messaging host for Chrome,
+# Chromium, and Edge on macOS and Linux.
+# Browsers start hosts with a minimal PATH, so this writes a small launcher that pins the node and PATH found now.
+# Re-run it after moving this folder or switching node versions. Pass --uninstall to remove the registration.
+set -eu
+
+HOST_NAME="com.shomo.resume.git"
+HOST_DIR="$(cd "$(dirname "$0")" && pwd)"
+LAUNCHER="$HOST_DIR/resume-git-host"
+
+case "$(uname -s)" in
+  Darwin)
+    TARGET_DIRS="$HOME/Library/Application Support/Google/Chrome/NativeMessagingHosts
+$HOME/Library/Application Support/Chromium/NativeMessagingHosts
+$HOME/Library/Application Support/Microsoft Edge/NativeMessagingHosts"
+    ;;
+  Linux)
+    TARGET_DIRS="$HOME/.config/google-chrome/NativeMessagingHosts
+$HOME/.config/chromium/NativeMessagingHosts
+$HOME/.config/microsoft-edge/NativeMessagingHosts"
+    ;;
+  *)
+    echo "Unsupported system. On Windows, register $HOST_DIR/$HOST_NAME.json under" >&2
+    echo "HKCU\\Software\\Google\\Chrome\\NativeMessagingHosts\\$HOST_NAME (and the Edge equivalent) by hand." >&2
+    exit 1
+    ;;
+esac
+
+if [ "${1:-}" = "--uninstall" ]; then
+  echo "$TARGET_DIRS" | while IFS= read -r dir; do
+    rm -f "$dir/$HOST_NAME.json"
+  done
+  rm -f "$LAUNCHER"
+  echo "Removed the Resume helper."
+  exit 0
+fi
+
+NODE_BIN="$(command -v node || true)"
+if [ -z "$NODE_BIN" ]; then
+  echo "node was not found on PATH. Install Node.js 18 or newer and run this again." >&2
+  exit 1
+fi
+
+cat > "$LAUNCHER" <<LAUNCHER_EOF
+#!/bin/sh
+export PATH="$PATH"
+exec "$NODE_BIN" "$HOST_DIR/resume-git-host.mjs" "\$@"
+LAUNCHER_EOF
+chmod +x "$LAUNCHER"
+
+# Only browsers that are installed get a registration; their profile folder is the signal.
+echo "$TARGET_DIRS" | while IFS= read -r dir; do
+  if [ -d "$(dirname "$dir")" ]; then
+    mkdir -p "$dir"
+    sed "s|HOST_PATH|$LAUNCHER|" "$HOST_DIR/$HOST_NAME.json" > "$dir/$HOST_NAME.json"
+    echo "Registered for $(dirname "$dir")"
+  fi
+done
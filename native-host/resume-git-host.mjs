@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/*
+This file is the native messaging host that lets Resume do what a browser cannot: read local git state and open a
+link in a different browser.
+The extension's background worker (`src/background.js`) sends this host a list of local paths taken from
+`vscode://file/` and `cursor://file/` project links, and the host answers with each repository's branch, latest commit
+time, and whether the working tree has uncommitted changes. For per-device web routing it also starts Chrome or Edge
+with one http(s) link, and for link health checks it reports whether local paths from editor and Obsidian links exist.
+It speaks the Chrome/Edge native messaging protocol: every message in either direction is UTF-8 JSON preceded by its
+byte length as a 32-bit little-endian integer. The host only ever runs a fixed set of read-only git commands and known
+browser executables, always without a shell. Paths arrive from synced and imported boards, though, and git reads each
+repository's own config, so every git call also switches off the settings (fsmonitor, hooks, filter drivers,
+signature checks) through which that config could make git start another program.
+Run it by hand against temporary repositories with `node native-host/resume-git-host.mjs --check <path>...`.
+*/
+
+import { execFile, spawn } from "node:child_process";
+import { stat } from "node:fs/promises";
+import path from "node:path";
+
+const GIT_HOST_PROTOCOL_VERSION = 1;
+
+const MAX_PATHS_PER_REQUEST = 200;
+const GIT_TIMEOUT_MS = 5000;
+// Chrome refuses host messages above 1 MB; answers stay far below that, but a runaway one should fail loudly.
+const MAX_OUTGOING_BYTES = 1024 * 1024;
+
+// A repository's config can name programs for git to run; these overrides keep a status check from starting any.
+// `log.showSignature` would verify a signed HEAD with whatever `gpg.program` the repository names.
+const GIT_SAFETY_CONFIG = [
+  "core.fsmonitor=false",
+  "core.untrackedCache=false",
+  "core.hooksPath=",
+  "log.showSignature=false",
+  "gpg.program=",
+  "gpg.ssh.program=",
+  "gpg.x509.program="
+];
+const FILTER_COMMAND_PATTERN = "^filter\\..*\\.(clean|smudge|process)$";
+
+function listBrowserCommands(browser) {
+  if (process.platform === "darwin") {
+    const appName = { chrome: "Google Chrome", edge: "Microsoft Edge" }[browser];
+    return appName ? [["open", ["-a", appName]]] : [];
+  }
+
+  if (process.platform === "win32") {
+    const env = process.env;
+    const candidates = {
+      chrome: [
+        `${env.ProgramFiles}\\Google\\Chrome\\Application\\chrome.exe`,
+        `${env["ProgramFiles(x86)"]}\\Google\\Chrome\\Application\\chrome.exe`,
+        `${env.LOCALAPPDATA}\\Google\\Chrome\\Application\\chrome.exe`
+      ],
+      edge: [
+        `${env["ProgramFiles(x86)"]}\\Microsoft\\Edge\\Application\\msedge.exe`,
+        `${env.ProgramFiles}\\Microsoft\\Edge\\Application\\msedge.exe`
+      ]
+    }[browser];
+    return (candidates ?? []).map((command) => [command, []]);
+  }
+
+  const candidates = {
+    chrome: ["google-chrome", "google-chrome-stable", "chromium", "chromium-browser"],
+    edge: ["microsoft-edge", "microsoft-edge-stable"]
+  }[browser];
+  return (candidates ?? []).map((command) => [command, []]);
+}
+
+function startDetached(command, args) {
+  return new Promise((resolve, reject) => {
+    // macOS `open` hands the link to the app and exits, and only its exit code says whether the app exists.
+    if (command === "open") {
+      execFile(command, args, { timeout: GIT_TIMEOUT_MS }, (error) => (error ? reject(error) : resolve()));
+      return;
+    }
+
+    // The browser must outlive this host, and its output must never mix into the native messaging stream.
+    const child = spawn(command, args, { detached: true, stdio: "ignore", windowsHide: true });
+    child.once("error", reject);
+    child.once("spawn", () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+async function openInBrowser(browser, rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw new Error("That is not a valid link.");
+  }
+
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new Error("Only http and https links can be handed to another browser.");
+  }
+
+  const commands = listBrowserCommands(browser);
+  if (commands.length === 0) {
+    throw new Error(`Unknown browser "${browser}".`);
+  }
+
+  // Candidates are tried in order because install names differ between distributions and channels.
+  for (const [command, args] of commands) {
+    try {
+      await startDetached(command, [...args, url.href]);
+      return;
+    } catch {
+      // Try the next candidate.
+    }
+  }
+
+  throw new Error(`Could not find ${browser === "edge" ? "Edge" : "Chrome"} on this device.`);
+}
+
+function runGit(cwd, args, extraConfig = []) {
+  const configArgs = [...GIT_SAFETY_CONFIG, ...extraConfig].flatMap((setting) => ["-c", setting]);
+
+  return new Promise((resolve, reject) => {
+    // Optional locks are off so a status check never fights an editor's own git process for index.lock.
+    execFile(
+      "git",
+      ["--no-optional-locks", ...configArgs, "-C", cwd, ...args],
+      { timeout: GIT_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024, windowsHide: true },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.stderr = String(stderr || "").trim();
+          reject(error);
+          return;
+        }
+
+        resolve(String(stdout).trim());
+      }
+    );
+  });
+}
+
+async function resolveWorkingDirectory(localPath) {
+  let info;
+  try {
+    info = await stat(localPath);
+  } catch {
+    throw new Error("Path not found on this machine.");
+  }
+
+  // Editor links often point at a file inside the repository rather than its folder.
+  return info.isDirectory() ? localPath : path.dirname(localPath);
+}
+
+async function readBranch(repoRoot) {
+  try {
+    return { branch: await runGit(repoRoot, ["symbolic-ref", "--short", "-q", "HEAD"]), detached: false };
+  } catch {
+    // A detached HEAD has no branch name, so the short commit id stands in for it.
+    const commit = await runGit(repoRoot, ["rev-parse", "--short", "HEAD"]).catch(() => "");
+    return { branch: commit || null, detached: true };
+  }
+}
+
+async function readLastCommitAt(repoRoot) {
+  try {
+    const committedAt = await runGit(repoRoot, ["log", "-1", "--no-show-signature", "--format=%cI"]);
+    return committedAt || null;
+  } catch {
+    // A freshly initialised repository has no commits yet.
+    return null;
+  }
+}
+
+async function listFilterOverrides(repoRoot) {
+  // `status` re-reads changed files through their filter drivers, whose commands come from the repository's config.
+  const names = await runGit(repoRoot, ["config", "--name-only", "--get-regexp", FILTER_COMMAND_PATTERN]).catch(
+    () => ""
+  );
+
+  // An empty command makes git skip the filter and compare the file as it is on disk.
+  return names ? names.split("\n").map((name) => `${name}=`) : [];
+}
+
+async function inspectRepository(localPath) {
+  const workingDirectory = await resolveWorkingDirectory(localPath);
+
+  let repoRoot;
+  try {
+    repoRoot = await runGit(workingDirectory, ["rev-parse", "--show-toplevel"]);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error("git is not installed or not on the helper's PATH.");
+    }
+
+    throw new Error("Not inside a git repository.");
+  }
+
+  const filterOverrides = await listFilterOverrides(repoRoot);
+  const [branchInfo, lastCommitAt, porcelain] = await Promise.all([
+    readBranch(repoRoot),
+    readLastCommitAt(repoRoot),
+    runGit(repoRoot, ["status", "--porcelain"], filterOverrides)
+  ]);
+  const changedFiles = porcelain ? porcelain.split("\n").length : 0;
+
+  return {
+    repoRoot,
+    branch: branchInfo.branch,
+    detached: branchInfo.detached,
+    lastCommitAt,
+    dirty: changedFiles > 0,
+    changedFiles
+  };
+}
+
+async function checkPath(localPath) {
+  if (!path.isAbsolute(localPath)) {
+    return { error: "Only absolute paths can be checked." };
+  }
+
+  try {
+    const info = await stat(localPath);
+    return { exists: true, kind: info.isDirectory() ? "directory" : "file" };
+  } catch {
+    return { exists: false, kind: null };
+  }
+}
+
+function readRequestedPaths(message) {
+  const requested = Array.isArray(message.paths) ? message.paths : [];
+  return [...new Set(requested.filter((entry) => typeof entry === "string"))];
+}
+
+async function handleHostMessage(message) {
+  if (message?.type === "ping") {
+    const gitVersion = await runGit(process.cwd(), ["--version"]).catch(() => null);
+    return { ok: true, version: GIT_HOST_PROTOCOL_VERSION, git: gitVersion };
+  }
+
+  if (message?.type === "open-url") {
+    await openInBrowser(message.browser, message.url);
+    return { ok: true, version: GIT_HOST_PROTOCOL_VERSION };
+  }
+
+  if (message?.type === "check-paths") {
+    const paths = readRequestedPaths(message);
+    if (paths.length > MAX_PATHS_PER_REQUEST) {
+      return { ok: false, error: `Send at most ${MAX_PATHS_PER_REQUEST} paths per request.` };
+    }
+
+    const results = {};
+    for (const localPath of paths) {
+      results[localPath] = await checkPath(localPath);
+    }
+
+    return { ok: true, version: GIT_HOST_PROTOCOL_VERSION, results };
+  }
+
+  if (message?.type !== "status") {
+    return { ok: false, error: `Unknown request type "${message?.type}".` };
+  }
+
+  const paths = readRequestedPaths(message);
+  if (paths.length > MAX_PATHS_PER_REQUEST) {
+    return { ok: false, error: `Send at most ${MAX_PATHS_PER_REQUEST} paths per request.` };
+  }
+
+  const results = {};
+  // One repository at a time keeps a board full of projects from spawning hundreds of git processes at once.
+  for (const localPath of paths) {
+    if (!path.isAbsolute(localPath)) {
+      results[localPath] = { error: "Only absolute paths can be checked." };
+      continue;
+    }
+
+    try {
+      results[localPath] = await inspectRepository(localPath);
+    } catch (error) {
+      results[localPath] = { error: error instanceof Error ? error.message : String(error) };
+    }
+  }
+
+  return { ok: true, version: GIT_HOST_PROTOCOL_VERSION, checkedAt: new Date().toISOString(), results };
+}
+
+function encodeHostMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), "utf8");
+  if (body.length > MAX_OUTGOING_BYTES) {
+    return encodeHostMessage({ ok: false, error: "The git status answer was too large to send." });
+  }
+
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+function serveNativeMessages() {
+  let pending = Buffer.alloc(0);
+  let queue = Promise.resolve();
+
+  process.stdin.on("data", (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+
+    // Several framed messages can arrive in one chunk, or one message across several chunks.
+    while (pending.length >= 4) {
+      const length = pending.readUInt32LE(0);
+      if (pending.length < 4 + length) {
+        break;
+      }
+
+      const body = pending.subarray(4, 4 + length).toString("utf8");
+      pending = pending.subarray(4 + length);
+
+      queue = queue.then(async () => {
+        let reply;
+        try {
+          reply = await handleHostMessage(JSON.parse(body));
+        } catch (error) {
+          reply = { ok: false, error: error instanceof Error ? error.message : String(error) };
+        }
+
+        process.stdout.write(encodeHostMessage(reply));
+      });
+    }
+  });
+
+  // The browser closes stdin when it is done with the host; answers still in flight finish first.
+  process.stdin.on("end", () => {
+    queue.then(() => process.exit(0));
+  });
+}
+
+async function runCheck(paths) {
+  const reply = await handleHostMessage({ type: "status", paths: paths.map((entry) => path.resolve(entry)) });
+  process.stdout.write(`${JSON.stringify(reply, null, 2)}\n`);
+}
+
+// Browsers launch the host with the caller's origin as the first argument; `--check` is for people.
+if (process.argv[2] === "--check") {
+  runCheck(process.argv.slice(3));
+} else {
+  serveNativeMessages();
+}
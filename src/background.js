@@ -0,0 +1,337 @@
+/*
+This file is the extension's background service worker, and the only place that talks to the native helper.
+Only extension contexts may call `chrome.runtime.sendNativeMessage`, and each call starts a fresh helper process, so
+new tab pages ask the worker instead of the helper directly: the worker runs one git refresh at a time, writes the
+answer to the shared git activity cache from `src/gitActivity.js`, and every open board picks it up from there.
+When the helper is missing or fails, the worker records why in the same cache so the board can explain it.
+It also relays web links that `src/browserRouting.js` routes to the other browser, answering with the helper's result.
+Link health checks run here too: the worker sends HEAD requests to web links the operator let it reach, asks the
+helper whether local paths exist, and writes the verdicts into the cache from `src/linkHealth.js`.
+Tab capture lives here as well: the worker owns the page context menu, whose campaign list open boards keep current,
+and it saves tabs sent by the toolbar popup so a capture finishes even after the popup closes.
+*/
+
+import { BROWSER_TARGETS, OPEN_IN_BROWSER_MESSAGE } from "./browserRouting.js";
+import {
+  GIT_ACTIVITY_REFRESH_MESSAGE,
+  GIT_HOST_NAME,
+  loadGitActivity,
+  saveGitActivity
+} from "./gitActivity.js";
+import {
+  LINK_HEALTH_CHECK_MESSAGE,
+  LINK_HEALTH_STATES,
+  MAX_LINKS_PER_CHECK,
+  checkWebLink,
+  extractCheckablePath,
+  isWebLink,
+  saveLinkHealth
+} from "./linkHealth.js";
+import {
+  CAPTURE_MENU_MESSAGE,
+  CAPTURE_TABS_MESSAGE,
+  captureTabs,
+  describeCaptureResult,
+  loadCaptureCampaigns
+} from "./tabCapture.js";
+
+// A few requests in flight keep a large board quick to check without looking like a burst to any one site.
+const WEB_CHECK_CONCURRENCY = 4;
+
+const CAPTURE_TAB_MENU_ID = "resume-capture-tab";
+const CAPTURE_WINDOW_MENU_ID = "resume-capture-window";
+const CAPTURE_BADGE_MS = 4000;
+
+let refreshQueue = Promise.resolve();
+let linkCheckQueue = Promise.resolve();
+let captureQueue = Promise.resolve();
+let captureMenuQueue = Promise.resolve();
+let captureBadgeTimer = null;
+
+function describeHostError(message) {
+  if (/not found/i.test(message)) {
+    return "The Resume helper is not installed on this device. Run native-host/install.sh to set it up.";
+  }
+
+  if (/forbidden/i.test(message)) {
+    return "The Resume helper is installed for a different extension ID. Re-run native-host/install.sh.";
+  }
+
+  if (/exited/i.test(message)) {
+    return "The Resume helper stopped unexpectedly. Check that Node.js is installed, then re-run the installer.";
+  }
+
+  return message;
+}
+
+function sendToHelper(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendNativeMessage(GIT_HOST_NAME, message, (reply) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(describeHostError(chrome.runtime.lastError.message ?? "Unknown native messaging error")));
+        return;
+      }
+
+      resolve(reply);
+    });
+  });
+}
+
+async function refreshGitActivity(paths) {
+  const requested = Array.isArray(paths) ? paths.filter((entry) => typeof entry === "string") : [];
+  const previous = await loadGitActivity();
+
+  try {
+    // A board without editor links still clears the cache, without waking the helper for nothing.
+    const reply = requested.length
+      ? await sendToHelper({ type: "status", paths: requested })
+      : { ok: true, results: {} };
+    if (!reply?.ok) {
+      throw new Error(reply?.error || "The git helper sent an empty answer.");
+    }
+
+    // Only the paths on the board are kept, so checkouts unlinked since the last run fall out of the cache.
+    await saveGitActivity({ checkedAt: new Date().toISOString(), hostError: null, repos: reply.results });
+    return { ok: true };
+  } catch (error) {
+    const hostError = error instanceof Error ? error.message : String(error);
+
+    // Old answers stay on the board; a helper hiccup should not wipe out what was already known.
+    await saveGitActivity({ ...previous, checkedAt: new Date().toISOString(), hostError });
+    return { ok: false, error: hostError };
+  }
+}
+
+async function openInOtherBrowser(browser, url) {
+  if (browser !== BROWSER_TARGETS.CHROME && browser !== BROWSER_TARGETS.EDGE) {
+    return { ok: false, error: `Unknown browser "${browser}".` };
+  }
+
+  try {
+    const reply = await sendToHelper({ type: "open-url", browser, url });
+    return reply?.ok ? { ok: true } : { ok: false, error: reply?.error || "The helper did not open the link." };
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+async function canReachOrigin(link) {
+  try {
+    return await chrome.permissions.contains({ origins: [`${new URL(link).origin}/*`] });
+  } catch {
+    return false;
+  }
+}
+
+async function checkWebLinks(links) {
+  const results = {};
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < links.length) {
+      const link = links[nextIndex];
+      nextIndex += 1;
+
+      // Without host access every request would fail CORS and read as a dead site, so the link is left unjudged.
+      results[link] = (await canReachOrigin(link))
+        ? await checkWebLink(link)
+        : {
+            state: LINK_HEALTH_STATES.UNCHECKED,
+            detail: "Allow web link checks from Fix links to check this site"
+          };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(WEB_CHECK_CONCURRENCY, links.length) }, worker));
+  return results;
+}
+
+async function checkLocalLinks(links) {
+  const pathsByLink = new Map(links.map((link) => [link, extractCheckablePath(link)]));
+  const results = {};
+  let helperError = null;
+
+  let answers = {};
+  try {
+    const reply = await sendToHelper({ type: "check-paths", paths: [...new Set(pathsByLink.values())] });
+    if (!reply?.ok) {
+      throw new Error(reply?.error || "The Resume helper sent an empty answer.");
+    }
+
+    answers = reply.results ?? {};
+  } catch (error) {
+    helperError = error instanceof Error ? error.message : String(error);
+  }
+
+  pathsByLink.forEach((localPath, link) => {
+    const answer = answers[localPath];
+    if (!answer || answer.error) {
+      results[link] = {
+        state: LINK_HEALTH_STATES.UNCHECKED,
+        detail: answer?.error || "Local paths are checked by the Resume helper, which did not answer"
+      };
+      return;
+    }
+
+    results[link] = answer.exists
+      ? { state: LINK_HEALTH_STATES.OK }
+      : { state: LINK_HEALTH_STATES.MISSING_PATH, detail: `${localPath} does not exist on this device` };
+  });
+
+  return { results, helperError };
+}
+
+async function checkLinkHealth(links) {
+  const requested = Array.isArray(links)
+    ? [...new Set(links.filter((entry) => typeof entry === "string"))].slice(0, MAX_LINKS_PER_CHECK)
+    : [];
+  const webLinks = requested.filter(isWebLink);
+  const localLinks = requested.filter((link) => !isWebLink(link) && extractCheckablePath(link));
+
+  const [webResults, local] = await Promise.all([
+    checkWebLinks(webLinks),
+    // A board without local links never wakes the helper.
+    localLinks.length ? checkLocalLinks(localLinks) : { results: {}, helperError: null }
+  ]);
+
+  // Only links still on the board are kept, so removed ones fall out of the cache with each run.
+  await saveLinkHealth({
+    checkedAt: new Date().toISOString(),
+    helperError: local.helperError,
+    links: { ...webResults, ...local.results }
+  });
+  return { ok: true };
+}
+
+function writeCaptureMenus(campaigns) {
+  return new Promise((resolve) => {
+    chrome.contextMenus.removeAll(() => {
+      [
+        { id: CAPTURE_TAB_MENU_ID, title: "Add this tab to campaign…" },
+        { id: CAPTURE_WINDOW_MENU_ID, title: "Add all tabs in this window as projects" }
+      ].forEach((parent) => {
+        chrome.contextMenus.create({ ...parent, contexts: ["page", "action"] });
+
+        const children = campaigns.length
+          ? campaigns.map((campaign) => ({ id: `${parent.id}:${campaign.id}`, title: campaign.label }))
+          : [{ id: `${parent.id}:none`, title: "Open a Resume tab to load your campaigns", enabled: false }];
+        children.forEach((child) => {
+          chrome.contextMenus.create({ ...child, parentId: parent.id, contexts: ["page", "action"] });
+        });
+      });
+
+      resolve();
+    });
+  });
+}
+
+function rebuildCaptureMenus(campaigns) {
+  const entries = Array.isArray(campaigns)
+    ? campaigns.filter((entry) => typeof entry?.id === "string" && typeof entry?.label === "string")
+    : [];
+
+  // Rebuilds run one after another, or a second rebuild would try to create items the first one already made.
+  captureMenuQueue = captureMenuQueue.then(() => writeCaptureMenus(entries));
+}
+
+async function rebuildCaptureMenusFromBoard() {
+  try {
+    rebuildCaptureMenus(await loadCaptureCampaigns());
+  } catch (error) {
+    // A locked or unreachable board still gets the menu; open boards fill in the campaigns once they load.
+    console.warn("Resume: failed to read campaigns for the capture menu.", error);
+    rebuildCaptureMenus([]);
+  }
+}
+
+function showCaptureBadge(text, title) {
+  clearTimeout(captureBadgeTimer);
+  chrome.action.setBadgeText({ text });
+  chrome.action.setTitle({ title });
+  const defaultTitle = chrome.runtime.getManifest().action?.default_title ?? "";
+
+  // The badge is the only answer a context-menu capture gives, so it stays just long enough to be noticed.
+  captureBadgeTimer = setTimeout(() => {
+    chrome.action.setBadgeText({ text: "" });
+    chrome.action.setTitle({ title: defaultTitle });
+  }, CAPTURE_BADGE_MS);
+}
+
+function queueTabCapture(campaignId, tabs) {
+  const run = captureQueue.then(async () => {
+    try {
+      return { ok: true, ...(await captureTabs(campaignId, tabs)) };
+    } catch (error) {
+      return { ok: false, error: error instanceof Error ? error.message : String(error) };
+    }
+  });
+  captureQueue = run;
+  return run;
+}
+
+async function captureFromMenu(info, tab) {
+  const [menuId, campaignId] = String(info.menuItemId).split(":");
+  if (!campaignId || !tab) {
+    return;
+  }
+
+  const tabs = menuId === CAPTURE_WINDOW_MENU_ID ? await chrome.tabs.query({ windowId: tab.windowId }) : [tab];
+  const result = await queueTabCapture(campaignId, tabs);
+
+  if (!result.ok) {
+    showCaptureBadge("!", result.error);
+    return;
+  }
+
+  showCaptureBadge(result.added ? `+${result.added}` : "0", describeCaptureResult(result, result.campaignLabel));
+}
+
+chrome.runtime.onInstalled.addListener(rebuildCaptureMenusFromBoard);
+chrome.runtime.onStartup.addListener(rebuildCaptureMenusFromBoard);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  captureFromMenu(info, tab).catch((error) => {
+    console.warn("Resume: failed to capture tabs from the context menu.", error);
+  });
+});
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.type === CAPTURE_TABS_MESSAGE) {
+    queueTabCapture(message.campaignId, message.tabs).then(sendResponse);
+    return true;
+  }
+
+  if (message?.type === CAPTURE_MENU_MESSAGE) {
+    rebuildCaptureMenus(message.campaigns);
+    sendResponse({ ok: true });
+    return false;
+  }
+
+  if (message?.type === OPEN_IN_BROWSER_MESSAGE) {
+    openInOtherBrowser(message.browser, message.url).then(sendResponse);
+    return true;
+  }
+
+  if (message?.type === LINK_HEALTH_CHECK_MESSAGE) {
+    const run = linkCheckQueue.then(() => checkLinkHealth(message.links));
+    linkCheckQueue = run.catch(() => {});
+    run.then(sendResponse, (error) => {
+      sendResponse({ ok: false, error: error instanceof Error ? error.message : String(error) });
+    });
+    return true;
+  }
+
+  if (message?.type !== GIT_ACTIVITY_REFRESH_MESSAGE) {
+    return false;
+  }
+
+  // Refreshes run one after another so two tabs opening together do not start two helpers side by side.
+  const run = refreshQueue.then(() => refreshGitActivity(message.paths));
+  refreshQueue = run.catch(() => {});
+  run.then(sendResponse, (error) => {
+    sendResponse({ ok: false, error: error instanceof Error ? error.message : String(error) });
+  });
+
+  // Returning true keeps the reply channel open until the helper answers.
+  return true;
+});
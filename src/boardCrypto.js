@@ -0,0 +1,220 @@
+/*
+This file is the optional passphrase encryption for the board: everything that leaves this device, whether through
+a sync provider, Google Drive, or an export file, can travel as an AES-GCM envelope instead of plaintext JSON.
+It exists separately so every crypto decision sits in one small module on top of WebCrypto, while storage modules only
+need `isSealedBoard` to pass envelopes through untouched and `src/main.js` decides when to seal and when to ask.
+Keys come from the passphrase through PBKDF2-SHA-256 with a random salt that travels in the envelope, so any device that
+knows the passphrase can derive the same key. The passphrase itself is never stored; the derived key is kept in
+`chrome.storage.session`, which lives in memory and is cleared when the browser quits, so a new tab does not ask again.
+*/
+
+export const SEALED_BOARD_FORMAT = "resume-sealed-board";
+export const SEALED_BOARD_VERSION = 1;
+
+// OWASP's 2023 floor for PBKDF2-SHA-256; deriving takes well under a second and happens once per unlock.
+export const BOARD_KDF_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const BOARD_KEY_SESSION_KEY = "opsMapBoardKeyV1";
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function hasChromeSessionStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.session);
+}
+
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), (character) => character.charCodeAt(0));
+}
+
+export function isSealedBoard(value) {
+  return Boolean(value) && typeof value === "object" && value.format === SEALED_BOARD_FORMAT;
+}
+
+// Plaintext written after encryption was switched off carries this stamp, which is how a device still holding a key
+// tells a deliberate switch-off from a device that simply wrote the board without one.
+export function markEncryptionDisabled(board, disabledAt) {
+  return disabledAt ? { ...board, encryptionDisabledAt: disabledAt } : board;
+}
+
+export function readEncryptionDisabledAt(board) {
+  const value = board?.encryptionDisabledAt;
+  return typeof value === "string" && value ? value : null;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", textEncoder.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+
+  // Extractable so the unlocked key can sit in session storage instead of re-deriving on every new tab.
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export async function createBoardKey(passphrase) {
+  if (String(passphrase ?? "").length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, BOARD_KDF_ITERATIONS);
+  return { key, salt: toBase64(salt), iterations: BOARD_KDF_ITERATIONS };
+}
+
+function assertSealedBoard(envelope) {
+  if (!isSealedBoard(envelope)) {
+    throw new Error("This data is not an encrypted Resume board.");
+  }
+
+  if (envelope.version > SEALED_BOARD_VERSION) {
+    throw new Error("This board was encrypted by a newer version of Resume. Update Resume on this device first.");
+  }
+}
+
+export async function openSealedBoard(envelope, boardKey) {
+  assertSealedBoard(envelope);
+
+  // A different salt means the passphrase was changed on another device, so this key cannot open it.
+  if (!boardKey || boardKey.salt !== envelope.kdf?.salt) {
+    throw new Error("This board needs its passphrase to open.");
+  }
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(envelope.cipher.iv) },
+      boardKey.key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(textDecoder.decode(plaintext));
+  } catch {
+    // AES-GCM cannot tell a wrong key from tampered data; a wrong passphrase is by far the likelier cause.
+    throw new Error("That passphrase does not match the one this data was encrypted with.");
+  }
+}
+
+export async function unlockBoardKey(passphrase, envelope) {
+  assertSealedBoard(envelope);
+
+  const salt = envelope.kdf?.salt;
+  const iterations = Number(envelope.kdf?.iterations);
+  if (typeof salt !== "string" || !Number.isInteger(iterations) || iterations < 1) {
+    throw new Error("This encrypted board is missing its key parameters.");
+  }
+
+  const boardKey = { key: await deriveKey(passphrase, fromBase64(salt), iterations), salt, iterations };
+
+  // Decrypting once proves the passphrase, so a typo fails here instead of on the next sync.
+  await openSealedBoard(envelope, boardKey);
+  return boardKey;
+}
+
+export async function sealBoard(value, boardKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    boardKey.key,
+    textEncoder.encode(JSON.stringify(value))
+  );
+
+  return {
+    format: SEALED_BOARD_FORMAT,
+    version: SEALED_BOARD_VERSION,
+    // The timestamp stays readable so sync layers can still skip echoes without the key.
+    updatedAt: typeof value?.updatedAt === "string" ? value.updatedAt : null,
+    kdf: { name: "PBKDF2", hash: "SHA-256", salt: boardKey.salt, iterations: boardKey.iterations },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(ciphertext)
+  };
+}
+
+export async function rememberBoardKey(boardKey) {
+  const entry = {
+    key: toBase64(await crypto.subtle.exportKey("raw", boardKey.key)),
+    salt: boardKey.salt,
+    iterations: boardKey.iterations
+  };
+
+  if (hasChromeSessionStorage()) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.session.set({ [BOARD_KEY_SESSION_KEY]: entry }, () => {
+        if (chrome.runtime?.lastError) {
+          reject(new Error(getRuntimeErrorMessage()));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  try {
+    sessionStorage.setItem(BOARD_KEY_SESSION_KEY, JSON.stringify(entry));
+  } catch (error) {
+    console.warn("Resume: failed to remember the board key for this session.", error);
+  }
+}
+
+export async function loadRememberedBoardKey() {
+  let entry = null;
+
+  try {
+    if (hasChromeSessionStorage()) {
+      entry = await new Promise((resolve, reject) => {
+        chrome.storage.session.get([BOARD_KEY_SESSION_KEY], (result) => {
+          if (chrome.runtime?.lastError) {
+            reject(new Error(getRuntimeErrorMessage()));
+            return;
+          }
+
+          resolve(result?.[BOARD_KEY_SESSION_KEY] ?? null);
+        });
+      });
+    } else {
+      const raw = sessionStorage.getItem(BOARD_KEY_SESSION_KEY);
+      entry = raw ? JSON.parse(raw) : null;
+    }
+
+    if (!entry?.key) {
+      return null;
+    }
+
+    const key = await crypto.subtle.importKey("raw", fromBase64(entry.key), "AES-GCM", true, ["encrypt", "decrypt"]);
+    return { key, salt: entry.salt, iterations: entry.iterations };
+  } catch (error) {
+    console.warn("Resume: failed to read the remembered board key.", error);
+    return null;
+  }
+}
+
+export async function forgetBoardKey() {
+  if (hasChromeSessionStorage()) {
+    return new Promise((resolve) => {
+      chrome.storage.session.remove([BOARD_KEY_SESSION_KEY], () => resolve());
+    });
+  }
+
+  try {
+    sessionStorage.removeItem(BOARD_KEY_SESSION_KEY);
+  } catch (error) {
+    console.warn("Resume: failed to forget the board key.", error);
+  }
+}
@@ -0,0 +1,151 @@
+/*
+This file decides which browser a web link opens in on this device, and hands it over when that is not this one.
+Teams that split work between Chrome and Edge keep one synced board, so routing is a per-device preference: a default
+browser plus ordered rules that match a link's domain or one of its project's campaigns. The rules live in
+`src/devicePrefs.js` and never reach synced or exported state; this module only reads them.
+A browser cannot open a tab in another browser by itself, so the hand-off goes either through the native helper in
+`native-host/` (relayed by `src/background.js`, works everywhere the helper is installed) or through Edge's
+`microsoft-edge:` link scheme, which Windows registers and needs no helper. Chrome has no such scheme.
+*/
+
+export const BROWSER_TARGETS = Object.freeze({
+  CURRENT: "current",
+  CHROME: "chrome",
+  EDGE: "edge"
+});
+
+export const BROWSER_TARGET_LABELS = {
+  [BROWSER_TARGETS.CURRENT]: "This browser",
+  [BROWSER_TARGETS.CHROME]: "Chrome",
+  [BROWSER_TARGETS.EDGE]: "Edge"
+};
+
+export const BROWSER_HANDOFFS = Object.freeze({
+  HELPER: "helper",
+  LINK_SCHEME: "link-scheme"
+});
+
+export const BROWSER_RULE_KINDS = Object.freeze({
+  DOMAIN: "domain",
+  CAMPAIGN: "campaign"
+});
+
+export const OPEN_IN_BROWSER_MESSAGE = "resume:open-in-browser";
+
+export const DEFAULT_WEB_ROUTING = {
+  defaultBrowser: BROWSER_TARGETS.CURRENT,
+  handoff: BROWSER_HANDOFFS.HELPER,
+  rules: []
+};
+
+const MAX_BROWSER_RULES = 50;
+
+function pickEnum(value, allowed, fallback) {
+  return Object.values(allowed).includes(value) ? value : fallback;
+}
+
+export function normalizeDomain(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (!raw) {
+    return "";
+  }
+
+  // People paste whole URLs into the domain box; only the host matters for matching.
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(raw) ? raw : `https://${raw}`).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+function normalizeRule(rawRule) {
+  if (!rawRule || typeof rawRule !== "object") {
+    return null;
+  }
+
+  const kind = pickEnum(rawRule.kind, BROWSER_RULE_KINDS, null);
+  const value =
+    kind === BROWSER_RULE_KINDS.DOMAIN ? normalizeDomain(rawRule.value) : String(rawRule.value ?? "").trim();
+  if (!kind || !value) {
+    return null;
+  }
+
+  return {
+    kind,
+    value,
+    browser: pickEnum(rawRule.browser, BROWSER_TARGETS, BROWSER_TARGETS.CURRENT)
+  };
+}
+
+export function normalizeWebRouting(rawRouting) {
+  if (!rawRouting || typeof rawRouting !== "object") {
+    return structuredClone(DEFAULT_WEB_ROUTING);
+  }
+
+  const rules = (Array.isArray(rawRouting.rules) ? rawRouting.rules : [])
+    .map(normalizeRule)
+    .filter(Boolean)
+    .slice(0, MAX_BROWSER_RULES);
+
+  return {
+    defaultBrowser: pickEnum(rawRouting.defaultBrowser, BROWSER_TARGETS, BROWSER_TARGETS.CURRENT),
+    handoff: pickEnum(rawRouting.handoff, BROWSER_HANDOFFS, BROWSER_HANDOFFS.HELPER),
+    rules
+  };
+}
+
+function readHostname(link) {
+  try {
+    return new URL(link).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+export function resolveLinkBrowser(routing, link, campaignIds = []) {
+  const hostname = readHostname(link);
+
+  // Rules read top to bottom and the first match wins, the same way people read a list of exceptions.
+  const rule = (routing?.rules ?? []).find((candidate) => {
+    if (candidate.kind === BROWSER_RULE_KINDS.DOMAIN) {
+      return hostname === candidate.value || hostname.endsWith(`.${candidate.value}`);
+    }
+
+    return campaignIds.includes(candidate.value);
+  });
+
+  return rule?.browser ?? routing?.defaultBrowser ?? BROWSER_TARGETS.CURRENT;
+}
+
+export function detectCurrentBrowser() {
+  const brands = globalThis.navigator?.userAgentData?.brands?.map((entry) => entry.brand) ?? [];
+  if (brands.includes("Microsoft Edge") || /\bEdg\//.test(globalThis.navigator?.userAgent ?? "")) {
+    return BROWSER_TARGETS.EDGE;
+  }
+
+  return BROWSER_TARGETS.CHROME;
+}
+
+export function needsBrowserHandoff(browser) {
+  return browser !== BROWSER_TARGETS.CURRENT && browser !== detectCurrentBrowser();
+}
+
+export function buildBrowserHandoffUri(browser, link) {
+  if (browser === BROWSER_TARGETS.EDGE) {
+    return `microsoft-edge:${link}`;
+  }
+
+  return null;
+}
+
+export async function requestBrowserHandoff(browser, link) {
+  if (typeof chrome === "undefined" || !chrome.runtime?.sendMessage) {
+    return { ok: false, error: "Opening links in another browser needs the Resume extension runtime." };
+  }
+
+  try {
+    return await chrome.runtime.sendMessage({ type: OPEN_IN_BROWSER_MESSAGE, browser, url: link });
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
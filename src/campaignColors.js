@@ -0,0 +1,95 @@
+/*
+This file turns a campaign's stored color into the tokens each aesthetic can safely paint with.
+It exists separately so contrast math stays pure and testable, while `src/main.js` only writes the resulting values
+as CSS custom properties on each campaign card and the stylesheets decide where to use them.
+The stored color is never rewritten: a pale color stays pale in data and in decorative accents, and only the text
+shade is deepened until it meets WCAG contrast against the card surface of the active aesthetic.
+*/
+
+import { AESTHETICS } from "./aestheticPrefs.js";
+
+// These mirror `--color-surface` in `styles/newtab.css` and `styles/newtab-vanilla.css`; keep them in step.
+export const CAMPAIGN_CARD_SURFACES = {
+  [AESTHETICS.BHADRALOK]: "#e9dece",
+  [AESTHETICS.VANILLA]: "#f7f6f3"
+};
+
+// Titles are large text, but they also tint smaller labels, so the stricter body-text ratio applies.
+export const MIN_TEXT_CONTRAST = 4.5;
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+export function parseHexColor(value) {
+  const match = HEX_COLOR_PATTERN.exec(String(value ?? "").trim());
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].length === 3 ? match[1].replace(/./g, (digit) => digit + digit) : match[1];
+  return [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+}
+
+export function formatHexColor(channels) {
+  return `#${channels.map((channel) => Math.round(channel).toString(16).padStart(2, "0")).join("")}`;
+}
+
+function relativeLuminance(channels) {
+  const [red, green, blue] = channels.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+export function contrastRatio(leftColor, rightColor) {
+  const left = parseHexColor(leftColor);
+  const right = parseHexColor(rightColor);
+  if (!left || !right) {
+    return 1;
+  }
+
+  const [lighter, darker] = [relativeLuminance(left), relativeLuminance(right)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+export function ensureContrast(color, background, minRatio = MIN_TEXT_CONTRAST) {
+  const channels = parseHexColor(color);
+  if (!channels || !parseHexColor(background)) {
+    return color;
+  }
+
+  // Mixing toward whichever extreme already contrasts more with the surface keeps the hue while fixing legibility.
+  const target = contrastRatio("#000000", background) >= contrastRatio("#ffffff", background) ? 0 : 255;
+
+  for (let step = 0; step <= 20; step += 1) {
+    const mixed = formatHexColor(channels.map((channel) => channel + (target - channel) * (step / 20)));
+    if (contrastRatio(mixed, background) >= minRatio) {
+      return mixed;
+    }
+  }
+
+  return formatHexColor([target, target, target]);
+}
+
+export function pickReadableInk(background) {
+  return contrastRatio("#000000", background) >= contrastRatio("#ffffff", background) ? "#000000" : "#ffffff";
+}
+
+export function buildCampaignColorTokens(color, aesthetic) {
+  const surface = CAMPAIGN_CARD_SURFACES[aesthetic] ?? CAMPAIGN_CARD_SURFACES[AESTHETICS.BHADRALOK];
+  const accent = parseHexColor(color) ? formatHexColor(parseHexColor(color)) : null;
+
+  if (!accent) {
+    return null;
+  }
+
+  const ink = ensureContrast(accent, surface);
+
+  return {
+    accent,
+    ink,
+    onAccent: pickReadableInk(accent),
+    isAdjusted: ink !== accent
+  };
+}
@@ -0,0 +1,95 @@
+/*
+This file holds the pure matching logic behind the Cmd/Ctrl+K command palette.
+It exists separately so fuzzy scoring and ranking stay testable without a DOM, while `src/main.js` owns the
+command list itself (launching projects, opening panels, focusing mission editors) and the palette markup.
+A command is a plain object with `id`, `title`, optional `subtitle` and `keywords`, and a `run` callback;
+this module only reads the text fields and never calls `run`.
+*/
+
+export const MAX_PALETTE_RESULTS = 12;
+
+const WORD_BOUNDARY_PATTERN = /[\s\-_/.:·"]/;
+
+export function scoreFuzzyMatch(query, text) {
+  const needle = String(query ?? "").trim().toLowerCase();
+  const haystack = String(text ?? "").toLowerCase();
+
+  if (!needle) {
+    return 0;
+  }
+
+  // Substring hits outrank any scattered match, and a hit at the start outranks one in the middle.
+  const substringIndex = haystack.indexOf(needle);
+  if (substringIndex >= 0) {
+    const atBoundary = substringIndex === 0 || WORD_BOUNDARY_PATTERN.test(haystack[substringIndex - 1]);
+    return 1000 - substringIndex + (atBoundary ? 200 : 0);
+  }
+
+  let score = 0;
+  let searchFrom = 0;
+  let previousIndex = -2;
+
+  // Otherwise every query character must appear in order; runs and word starts earn bonuses.
+  for (const character of needle) {
+    if (character === " ") {
+      continue;
+    }
+
+    const index = haystack.indexOf(character, searchFrom);
+    if (index < 0) {
+      return null;
+    }
+
+    score += 1;
+
+    if (index === previousIndex + 1) {
+      score += 5;
+    }
+
+    if (index === 0 || WORD_BOUNDARY_PATTERN.test(haystack[index - 1])) {
+      score += 8;
+    }
+
+    previousIndex = index;
+    searchFrom = index + 1;
+  }
+
+  // Shorter targets win ties, so "Docs" ranks above "Design docs archive" for the same letters.
+  return score - haystack.length / 100;
+}
+
+function scoreCommand(command, query) {
+  const candidates = [command.title, command.subtitle, ...(Array.isArray(command.keywords) ? command.keywords : [])];
+  let best = null;
+
+  candidates.forEach((candidate, index) => {
+    const score = scoreFuzzyMatch(query, candidate);
+    if (score === null) {
+      return;
+    }
+
+    // Matches on the title itself count for more than matches on the subtitle or keywords.
+    const weighted = index === 0 ? score * 1.5 : score;
+    if (best === null || weighted > best) {
+      best = weighted;
+    }
+  });
+
+  return best;
+}
+
+export function rankCommands(commands, query, limit = MAX_PALETTE_RESULTS) {
+  const list = Array.isArray(commands) ? commands : [];
+
+  // An empty query keeps the caller's order, which lists actions first and then projects by board order.
+  if (!String(query ?? "").trim()) {
+    return list.slice(0, limit);
+  }
+
+  return list
+    .map((command, order) => ({ command, order, score: scoreCommand(command, query) }))
+    .filter((entry) => entry.score !== null)
+    .sort((left, right) => right.score - left.score || left.order - right.order)
+    .slice(0, limit)
+    .map((entry) => entry.command);
+}
@@ -1,12 +1,27 @@
 /*
 This file stores local per-device preferences.
 It is separate from synced map state because browser-launch preferences differ by machine and should not sync.
-`src/main.js` reads and writes this module to control how web links open on the current device.
+`src/main.js` reads and writes this module to control how web links open on the current device, and whether this
+device's board keeps the manual campaign order or sorts campaigns by recent git and launch activity.
+Web routing rules may name campaigns by id, but they stay here and never travel with the board or an export.
+Link overrides rewrite this machine's local paths in app links, so they are the most machine-bound setting of all.
 */
 
+import { normalizeWebRouting } from "./browserRouting.js";
+import { normalizeLinkOverrides } from "./linkOverrides.js";
+
 const DEVICE_PREFS_KEY = "opsMapDevicePrefsV1";
 
-export const DEFAULT_DEVICE_PREFS = {};
+export const CAMPAIGN_SORT_MODES = Object.freeze({
+  MANUAL: "manual",
+  RECENT: "recent"
+});
+
+export const DEFAULT_DEVICE_PREFS = {
+  campaignSort: CAMPAIGN_SORT_MODES.MANUAL,
+  webRouting: normalizeWebRouting(null),
+  linkOverrides: normalizeLinkOverrides(null)
+};
 
 function hasChromeLocalStorage() {
   return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
@@ -21,7 +36,14 @@ function normalizeDevicePrefs(rawPrefs) {
     return { ...DEFAULT_DEVICE_PREFS };
   }
 
-  return { ...DEFAULT_DEVICE_PREFS, ...rawPrefs };
+  const prefs = { ...DEFAULT_DEVICE_PREFS, ...rawPrefs };
+  if (!Object.values(CAMPAIGN_SORT_MODES).includes(prefs.campaignSort)) {
+    prefs.campaignSort = DEFAULT_DEVICE_PREFS.campaignSort;
+  }
+
+  prefs.webRouting = normalizeWebRouting(prefs.webRouting);
+  prefs.linkOverrides = normalizeLinkOverrides(prefs.linkOverrides);
+  return prefs;
 }
 
 export async function loadDevicePrefs() {
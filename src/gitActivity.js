@@ -0,0 +1,259 @@
+/*
+This file turns local git state into board signals: which repository a project points at, how fresh its last commit
+is, and which campaigns saw the most recent work.
+Reading git needs the native helper in `native-host/`, which only the background worker (`src/background.js`) talks
+to. The worker writes every answer into a per-device cache in `chrome.storage.local`, and new tab pages read and
+subscribe to that cache, so several open tabs share one helper call and a board opens instantly with the last known
+state. Paths and commit times describe this machine's checkouts, so like launch history they never sync or export.
+Links pass through this device's link overrides first, so a board synced from another machine finds local checkouts.
+*/
+
+import { resolveProjectLink } from "./linkOverrides.js";
+import { PROJECT_STATUSES, getProjectLinks } from "./model.js";
+
+const GIT_ACTIVITY_KEY = "opsMapGitActivityV1";
+
+export const GIT_HOST_NAME = "com.shomo.resume.git";
+export const GIT_ACTIVITY_REFRESH_MESSAGE = "resume:refresh-git-activity";
+
+// The helper runs git once per repository, so a new tab reuses answers younger than this.
+export const GIT_ACTIVITY_MAX_AGE_MS = 5 * 60 * 1000;
+
+export const DEFAULT_GIT_ACTIVITY = {
+  checkedAt: null,
+  hostError: null,
+  repos: {}
+};
+
+const EDITOR_FILE_LINK_PATTERN = /^(vscode|cursor):\/\/file(\/.*)$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hasChromeLocalStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
+}
+
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
+export function extractLocalRepoPath(link) {
+  const match = EDITOR_FILE_LINK_PATTERN.exec(String(link ?? "").trim());
+  if (!match) {
+    return null;
+  }
+
+  let localPath;
+  try {
+    localPath = decodeURIComponent(match[2].split(/[?#]/)[0]);
+  } catch {
+    return null;
+  }
+
+  // Editors accept `:line` and `:line:column` suffixes for jumping into a file; git only wants the path.
+  localPath = localPath.replace(/(?::\d+){1,2}$/, "");
+
+  // Windows links read `vscode://file/c:/Users/...`, so the slash before the drive letter is not part of the path.
+  if (/^\/[a-z]:[\\/]/i.test(localPath)) {
+    localPath = localPath.slice(1);
+  }
+
+  return localPath.length > 1 ? localPath.replace(/[\\/]+$/, "") : null;
+}
+
+export function getProjectRepoPath(project, linkOverrides) {
+  for (const entry of getProjectLinks(project)) {
+    const localPath = extractLocalRepoPath(resolveProjectLink(linkOverrides, project, entry));
+    if (localPath) {
+      return localPath;
+    }
+  }
+
+  return null;
+}
+
+export function collectRepoPaths(state, linkOverrides) {
+  const projects = Array.isArray(state?.projects) ? state.projects : [];
+  return [...new Set(projects.map((project) => getProjectRepoPath(project, linkOverrides)).filter(Boolean))].sort();
+}
+
+function normalizeRepoEntry(rawEntry) {
+  if (!rawEntry || typeof rawEntry !== "object") {
+    return null;
+  }
+
+  if (typeof rawEntry.error === "string") {
+    return { error: rawEntry.error };
+  }
+
+  const lastCommitAt = Number.isFinite(Date.parse(rawEntry.lastCommitAt)) ? rawEntry.lastCommitAt : null;
+  return {
+    repoRoot: typeof rawEntry.repoRoot === "string" ? rawEntry.repoRoot : "",
+    branch: typeof rawEntry.branch === "string" && rawEntry.branch ? rawEntry.branch : null,
+    detached: Boolean(rawEntry.detached),
+    lastCommitAt,
+    dirty: Boolean(rawEntry.dirty),
+    changedFiles: Number.isInteger(rawEntry.changedFiles) && rawEntry.changedFiles > 0 ? rawEntry.changedFiles : 0
+  };
+}
+
+export function normalizeGitActivity(rawActivity) {
+  if (!rawActivity || typeof rawActivity !== "object") {
+    return structuredClone(DEFAULT_GIT_ACTIVITY);
+  }
+
+  const rawRepos = rawActivity.repos && typeof rawActivity.repos === "object" ? rawActivity.repos : {};
+  const repos = Object.entries(rawRepos).reduce((result, [localPath, rawEntry]) => {
+    const entry = normalizeRepoEntry(rawEntry);
+    if (entry) {
+      result[localPath] = entry;
+    }
+
+    return result;
+  }, {});
+
+  return {
+    checkedAt: Number.isFinite(Date.parse(rawActivity.checkedAt)) ? rawActivity.checkedAt : null,
+    hostError: typeof rawActivity.hostError === "string" ? rawActivity.hostError : null,
+    repos
+  };
+}
+
+export function getProjectGitActivity(activity, project, linkOverrides) {
+  const localPath = getProjectRepoPath(project, linkOverrides);
+  const entry = localPath ? activity?.repos?.[localPath] : null;
+  return entry && !entry.error ? entry : null;
+}
+
+export function describeGitFreshness(lastCommitAt, now = Date.now()) {
+  const age = now - Date.parse(lastCommitAt);
+  if (!Number.isFinite(age)) {
+    return null;
+  }
+
+  if (age < DAY_MS) {
+    return "fresh";
+  }
+
+  return age < 7 * DAY_MS ? "recent" : "stale";
+}
+
+export function isGitActivityStale(activity, paths, now = Date.now()) {
+  const checkedAt = Date.parse(activity?.checkedAt);
+  if (!Number.isFinite(checkedAt) || now - checkedAt >= GIT_ACTIVITY_MAX_AGE_MS) {
+    return true;
+  }
+
+  // While the helper is missing, retrying for every new link would only repeat the same failure.
+  if (activity.hostError) {
+    return false;
+  }
+
+  // A project linked to a new checkout since the last check should not wait out the whole refresh window.
+  return paths.some((localPath) => !activity.repos?.[localPath]);
+}
+
+export function buildCampaignActivityTimes(state, activity, launchHistory, linkOverrides) {
+  const projects = Array.isArray(state?.projects) ? state.projects : [];
+  const times = new Map();
+
+  // A campaign is as recent as its latest commit or launch; done projects no longer speak for it.
+  projects.forEach((project) => {
+    if (project.status === PROJECT_STATUSES.DONE) {
+      return;
+    }
+
+    const commitAt = Date.parse(getProjectGitActivity(activity, project, linkOverrides)?.lastCommitAt);
+    const openedAt = Date.parse(launchHistory?.[project.id]?.lastOpenedAt);
+    const latest = Math.max(Number.isFinite(commitAt) ? commitAt : 0, Number.isFinite(openedAt) ? openedAt : 0);
+    if (latest === 0) {
+      return;
+    }
+
+    project.campaignIds.forEach((campaignId) => {
+      times.set(campaignId, Math.max(times.get(campaignId) ?? 0, latest));
+    });
+  });
+
+  return times;
+}
+
+export async function loadGitActivity() {
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([GIT_ACTIVITY_KEY], (result) => {
+        if (chrome.runtime?.lastError) {
+          console.warn("Resume: failed to read cached git activity.", getRuntimeErrorMessage());
+          resolve(normalizeGitActivity(null));
+          return;
+        }
+
+        resolve(normalizeGitActivity(result?.[GIT_ACTIVITY_KEY]));
+      });
+    });
+  }
+
+  try {
+    const raw = localStorage.getItem(GIT_ACTIVITY_KEY);
+    return normalizeGitActivity(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Resume: failed to read git activity fallback storage.", error);
+    return normalizeGitActivity(null);
+  }
+}
+
+export async function saveGitActivity(nextActivity) {
+  const normalized = normalizeGitActivity(nextActivity);
+
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [GIT_ACTIVITY_KEY]: normalized }, () => {
+        if (chrome.runtime?.lastError) {
+          reject(new Error(getRuntimeErrorMessage()));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  try {
+    localStorage.setItem(GIT_ACTIVITY_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.warn("Resume: failed to save git activity fallback storage.", error);
+  }
+}
+
+export function subscribeToGitActivityChanges(onChange) {
+  if (hasChromeLocalStorage()) {
+    const listener = (changes, areaName) => {
+      if (areaName !== "local" || !changes?.[GIT_ACTIVITY_KEY]) {
+        return;
+      }
+
+      onChange(normalizeGitActivity(changes[GIT_ACTIVITY_KEY].newValue));
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+
+    return () => {
+      chrome.storage.onChanged.removeListener(listener);
+    };
+  }
+
+  // Without the extension runtime there is no helper to write the cache, so there is nothing to follow.
+  return () => {};
+}
+
+export async function requestGitActivityRefresh(paths) {
+  if (typeof chrome === "undefined" || !chrome.runtime?.sendMessage) {
+    return { ok: false, error: "Git activity needs the Resume extension runtime." };
+  }
+
+  try {
+    // The worker answers after the cache is written, so callers can rely on the subscription for the data itself.
+    return await chrome.runtime.sendMessage({ type: GIT_ACTIVITY_REFRESH_MESSAGE, paths });
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
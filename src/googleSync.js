@@ -1,25 +1,57 @@
 /*
-This file is a scaffold for future Google-backed cloud sync beyond browser-native sync.
-It exists separately so future OAuth and remote sync flows can be added behind a stable interface without rewriting UI wiring.
-`src/main.js` consumes this module today for explicit user-facing status messaging, capability checks,
-and lightweight sync diagnostics that help users verify cross-device prerequisites.
+This file is the Google Drive sync backend, the cross-browser path that `chrome.storage.sync` cannot offer:
+Chrome and Edge both reach the same board by signing into one Google account and reading one file in Drive.
+The board lives as a single JSON file in the Drive `appDataFolder`, which is private to this extension's OAuth
+client and never shows up in the user's Drive listing.
+Every upload carries the ETag of the copy this device last saw; when Drive answers 412 another browser wrote first,
+so this module hands the newer remote board back to `src/main.js`, which merges it like any other remote change.
+When Drive sends no ETag, the file's head revision id is compared before uploading instead.
+Per-device bookkeeping (file id, ETag, last sync time and last error) lives in `chrome.storage.local`, and the API base
+URL is part of it so a local mock Drive server can stand in for Google while developing.
 */
 
-const GOOGLE_SYNC_STATUS = {
-  state: "coming_soon",
-  reason:
-    "Cross-browser automatic sync via Google account is not implemented yet. Use Export Data and Import Data for now."
+import { migrateState } from "./migrations.js";
+import { isSealedBoard } from "./boardCrypto.js";
+
+const GOOGLE_SYNC_RECORD_KEY = "opsMapGoogleSyncV1";
+
+export const GOOGLE_DRIVE_API_BASE = "https://www.googleapis.com";
+export const GOOGLE_DRIVE_SCOPE = "https://www.googleapis.com/auth/drive.appdata";
+export const GOOGLE_SYNC_FILE_NAME = "resume-board.json";
+
+// getAuthToken only accepts the manifest's "Chrome extension" client, while launchWebAuthFlow (Edge) needs a
+// "Web application" client whose redirect URI is this extension's chromiumapp.org address.
+const GOOGLE_WEB_AUTH_CLIENT_ID = "REPLACE_WITH_WEB_OAUTH_CLIENT_ID.apps.googleusercontent.com";
+
+// Both client IDs ship as placeholders until someone fills them in for their own Google Cloud project (see README).
+const UNSET_CLIENT_ID_PREFIX = "REPLACE_WITH_";
+const UNSET_CLIENT_ID_MESSAGE =
+  "Google sign-in is not set up in this build. Add the OAuth client IDs described in the README, then reload Resume.";
+
+export const GOOGLE_SYNC_STATES = Object.freeze({
+  UNAVAILABLE: "unavailable",
+  DISCONNECTED: "disconnected",
+  CONNECTED: "connected",
+  ERROR: "error"
+});
+
+export const DEFAULT_GOOGLE_SYNC_RECORD = {
+  connected: false,
+  apiBaseUrl: GOOGLE_DRIVE_API_BASE,
+  fileId: null,
+  etag: null,
+  revisionId: null,
+  remoteUpdatedAt: null,
+  lastSyncedAt: null,
+  lastError: null,
+  lastErrorAt: null
 };
 
-export function isGoogleSyncAvailable() {
-  // This stays false until OAuth + cloud storage sync is fully implemented.
-  return false;
-}
+// Tokens from launchWebAuthFlow are not cached by the browser, so this tab keeps the current one until it expires.
+let webAuthToken = null;
 
-export function getGoogleSyncStatus() {
-  return {
-    ...GOOGLE_SYNC_STATUS
-  };
+function hasChromeLocalStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
 }
 
 function hasChromeSyncStorage() {
@@ -27,6 +59,10 @@ function hasChromeSyncStorage() {
   return typeof chrome !== "undefined" && Boolean(chrome.storage?.sync);
 }
 
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
 function getExtensionId() {
   if (typeof chrome === "undefined") {
     return "Unavailable outside extension runtime";
@@ -35,13 +71,582 @@ function getExtensionId() {
   return chrome.runtime?.id || "Unknown extension ID";
 }
 
-export function getGoogleSyncDiagnostics() {
-  const status = getGoogleSyncStatus();
+function normalizeApiBaseUrl(value) {
+  const trimmed = String(value ?? "").trim().replace(/\/+$/, "");
+  return /^https?:\/\//i.test(trimmed) ? trimmed : GOOGLE_DRIVE_API_BASE;
+}
+
+function normalizeGoogleSyncRecord(rawRecord) {
+  if (!rawRecord || typeof rawRecord !== "object") {
+    return { ...DEFAULT_GOOGLE_SYNC_RECORD };
+  }
+
+  return {
+    ...DEFAULT_GOOGLE_SYNC_RECORD,
+    ...rawRecord,
+    connected: Boolean(rawRecord.connected),
+    apiBaseUrl: normalizeApiBaseUrl(rawRecord.apiBaseUrl)
+  };
+}
+
+export async function loadGoogleSyncRecord() {
+  // The record is per device: each browser tracks its own ETag and its own sign-in.
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([GOOGLE_SYNC_RECORD_KEY], (result) => {
+        if (chrome.runtime?.lastError) {
+          console.warn("Resume: failed to read Google sync record.", getRuntimeErrorMessage());
+          resolve({ ...DEFAULT_GOOGLE_SYNC_RECORD });
+          return;
+        }
+
+        resolve(normalizeGoogleSyncRecord(result?.[GOOGLE_SYNC_RECORD_KEY]));
+      });
+    });
+  }
+
+  try {
+    const raw = localStorage.getItem(GOOGLE_SYNC_RECORD_KEY);
+    return normalizeGoogleSyncRecord(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Resume: failed to read Google sync fallback storage.", error);
+    return { ...DEFAULT_GOOGLE_SYNC_RECORD };
+  }
+}
+
+export async function saveGoogleSyncRecord(nextRecord) {
+  const normalized = normalizeGoogleSyncRecord(nextRecord);
+
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [GOOGLE_SYNC_RECORD_KEY]: normalized }, () => {
+        if (chrome.runtime?.lastError) {
+          reject(new Error(getRuntimeErrorMessage()));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  try {
+    localStorage.setItem(GOOGLE_SYNC_RECORD_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.warn("Resume: failed to save Google sync fallback storage.", error);
+  }
+}
+
+export function subscribeToGoogleSyncRecordChanges(onChange) {
+  if (hasChromeLocalStorage()) {
+    const listener = (changes, areaName) => {
+      if (areaName !== "local" || !changes?.[GOOGLE_SYNC_RECORD_KEY]) {
+        return;
+      }
+
+      // Another tab that synced moves the ETag forward; this tab must upload against the same one.
+      onChange(normalizeGoogleSyncRecord(changes[GOOGLE_SYNC_RECORD_KEY].newValue));
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+
+    return () => {
+      chrome.storage.onChanged.removeListener(listener);
+    };
+  }
+
+  const listener = (event) => {
+    if (event.key !== GOOGLE_SYNC_RECORD_KEY) {
+      return;
+    }
+
+    try {
+      onChange(normalizeGoogleSyncRecord(event.newValue ? JSON.parse(event.newValue) : null));
+    } catch (error) {
+      console.warn("Resume: failed to parse Google sync fallback update.", error);
+    }
+  };
+
+  window.addEventListener("storage", listener);
+
+  return () => {
+    window.removeEventListener("storage", listener);
+  };
+}
+
+function isMockApiBase(record) {
+  return normalizeApiBaseUrl(record?.apiBaseUrl) !== GOOGLE_DRIVE_API_BASE;
+}
+
+function hasChromeIdentity() {
+  return typeof chrome !== "undefined" && Boolean(chrome.identity?.getAuthToken || chrome.identity?.launchWebAuthFlow);
+}
+
+function isClientIdSet(clientId) {
+  return typeof clientId === "string" && clientId.length > 0 && !clientId.startsWith(UNSET_CLIENT_ID_PREFIX);
+}
+
+function listSignInMethods() {
+  // getAuthToken reads its client from the manifest; the web flow carries GOOGLE_WEB_AUTH_CLIENT_ID itself.
+  const manifestClientId = chrome.runtime?.getManifest?.()?.oauth2?.client_id;
+  return {
+    authToken: Boolean(chrome.identity.getAuthToken) && isClientIdSet(manifestClientId),
+    webAuthFlow: Boolean(chrome.identity.launchWebAuthFlow) && isClientIdSet(GOOGLE_WEB_AUTH_CLIENT_ID)
+  };
+}
+
+function hasSignInClient() {
+  const methods = listSignInMethods();
+  return methods.authToken || methods.webAuthFlow;
+}
+
+export function isGoogleSyncAvailable(record = DEFAULT_GOOGLE_SYNC_RECORD) {
+  // A mock server needs no Google sign-in, so development builds can exercise the full flow without OAuth.
+  return isMockApiBase(record) || (hasChromeIdentity() && hasSignInClient());
+}
+
+export function getGoogleSyncStatus(record = DEFAULT_GOOGLE_SYNC_RECORD) {
+  if (!isGoogleSyncAvailable(record)) {
+    return {
+      state: GOOGLE_SYNC_STATES.UNAVAILABLE,
+      reason: hasChromeIdentity()
+        ? UNSET_CLIENT_ID_MESSAGE
+        : "Google sign-in is only available when Resume runs as an installed extension."
+    };
+  }
+
+  if (!record.connected) {
+    return {
+      state: GOOGLE_SYNC_STATES.DISCONNECTED,
+      reason: "Connect a Google account to keep this board in step across Chrome and Edge."
+    };
+  }
+
+  if (record.lastError) {
+    return { state: GOOGLE_SYNC_STATES.ERROR, reason: record.lastError };
+  }
+
+  return {
+    state: GOOGLE_SYNC_STATES.CONNECTED,
+    reason: "This board is stored in your Google Drive app data and syncs with every connected browser."
+  };
+}
+
+export function getGoogleSyncDiagnostics(record = DEFAULT_GOOGLE_SYNC_RECORD) {
+  const status = getGoogleSyncStatus(record);
 
   // We keep diagnostics intentionally plain so the panel can explain sync prerequisites in one glance.
   return {
     extensionId: getExtensionId(),
     storageBackend: hasChromeSyncStorage() ? "chrome.storage.sync" : "localStorage fallback",
-    crossBrowserCloudSync: status.state
+    crossBrowserCloudSync: status.state,
+    driveApiBase: normalizeApiBaseUrl(record.apiBaseUrl),
+    driveFileId: record.fileId || "none yet"
   };
 }
+
+function requestChromeAuthToken(interactive) {
+  return new Promise((resolve, reject) => {
+    chrome.identity.getAuthToken({ interactive, scopes: [GOOGLE_DRIVE_SCOPE] }, (result) => {
+      if (chrome.runtime?.lastError) {
+        reject(new Error(getRuntimeErrorMessage()));
+        return;
+      }
+
+      // Newer Chrome resolves an object, older builds a bare token string.
+      const token = typeof result === "string" ? result : result?.token;
+      if (!token) {
+        reject(new Error("Google did not return an access token."));
+        return;
+      }
+
+      resolve(token);
+    });
+  });
+}
+
+function requestWebAuthFlowToken(interactive) {
+  if (webAuthToken && webAuthToken.expiresAt > Date.now()) {
+    return Promise.resolve(webAuthToken.value);
+  }
+
+  const authUrl = new URL("https://accounts.google.com/o/oauth2/v2/auth");
+  authUrl.searchParams.set("client_id", GOOGLE_WEB_AUTH_CLIENT_ID);
+  authUrl.searchParams.set("response_type", "token");
+  authUrl.searchParams.set("redirect_uri", chrome.identity.getRedirectURL());
+  authUrl.searchParams.set("scope", GOOGLE_DRIVE_SCOPE);
+
+  return new Promise((resolve, reject) => {
+    chrome.identity.launchWebAuthFlow({ url: authUrl.toString(), interactive }, (redirectUrl) => {
+      if (chrome.runtime?.lastError || !redirectUrl) {
+        reject(new Error(chrome.runtime?.lastError ? getRuntimeErrorMessage() : "Google sign-in was cancelled."));
+        return;
+      }
+
+      const params = new URLSearchParams(new URL(redirectUrl).hash.slice(1));
+      const token = params.get("access_token");
+      if (!token) {
+        reject(new Error(params.get("error") || "Google did not return an access token."));
+        return;
+      }
+
+      // A minute of headroom keeps a request from starting with a token that expires mid-flight.
+      const lifetimeSeconds = Number(params.get("expires_in")) || 3600;
+      webAuthToken = { value: token, expiresAt: Date.now() + (lifetimeSeconds - 60) * 1000 };
+      resolve(token);
+    });
+  });
+}
+
+async function getAccessToken(record, { interactive = false } = {}) {
+  // Real Google tokens are never sent to a non-Google host, so a mock base URL gets a placeholder bearer token.
+  if (isMockApiBase(record)) {
+    return "mock-access-token";
+  }
+
+  if (!hasChromeIdentity()) {
+    throw new Error("Google sign-in is only available when Resume runs as an installed extension.");
+  }
+
+  const methods = listSignInMethods();
+  if (!methods.authToken && !methods.webAuthFlow) {
+    throw new Error(UNSET_CLIENT_ID_MESSAGE);
+  }
+
+  // Edge exposes chrome.identity but not Chrome's account-bound getAuthToken, so it falls back to the web flow.
+  if (methods.authToken) {
+    try {
+      return await requestChromeAuthToken(interactive);
+    } catch (error) {
+      if (!methods.webAuthFlow) {
+        throw error;
+      }
+    }
+  }
+
+  return requestWebAuthFlowToken(interactive);
+}
+
+async function dropAccessToken(token) {
+  webAuthToken = null;
+
+  if (typeof chrome !== "undefined" && chrome.identity?.removeCachedAuthToken && token) {
+    await new Promise((resolve) => {
+      chrome.identity.removeCachedAuthToken({ token }, () => resolve());
+    });
+  }
+}
+
+async function readDriveError(response) {
+  try {
+    const body = await response.json();
+    return body?.error?.message || `Drive request failed with status ${response.status}.`;
+  } catch {
+    return `Drive request failed with status ${response.status}.`;
+  }
+}
+
+export function createDriveClient({ apiBaseUrl = GOOGLE_DRIVE_API_BASE, getToken, fetchImpl = fetch }) {
+  const base = normalizeApiBaseUrl(apiBaseUrl);
+
+  async function request(path, init = {}) {
+    const send = async (token) => {
+      try {
+        return await fetchImpl(`${base}${path}`, {
+          ...init,
+          headers: { ...(init.headers ?? {}), Authorization: `Bearer ${token}` }
+        });
+      } catch {
+        // fetch only rejects when nothing answered, which reads better as a reachability problem than "fetch failed".
+        throw new Error(`Could not reach Google Drive at ${base}. Check your connection and try again.`);
+      }
+    };
+
+    let token = await getToken();
+    let response = await send(token);
+
+    // An expired cached token is dropped and retried once before the failure reaches the user.
+    if (response.status === 401) {
+      await dropAccessToken(token);
+      token = await getToken();
+      response = await send(token);
+    }
+
+    return response;
+  }
+
+  async function findFile() {
+    const query = new URLSearchParams({
+      spaces: "appDataFolder",
+      q: `name = '${GOOGLE_SYNC_FILE_NAME}' and trashed = false`,
+      fields: "files(id, modifiedTime)",
+      orderBy: "modifiedTime desc"
+    });
+    const response = await request(`/drive/v3/files?${query}`);
+    if (!response.ok) {
+      throw new Error(await readDriveError(response));
+    }
+
+    const body = await response.json();
+    return body?.files?.[0]?.id ?? null;
+  }
+
+  async function readRevision(fileId) {
+    const response = await request(`/drive/v3/files/${encodeURIComponent(fileId)}?fields=headRevisionId`);
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(await readDriveError(response));
+    }
+
+    const body = await response.json();
+    return body?.headRevisionId ?? null;
+  }
+
+  async function download(fileId, etag) {
+    const response = await request(`/drive/v3/files/${encodeURIComponent(fileId)}?alt=media`, {
+      headers: etag ? { "If-None-Match": etag } : {}
+    });
+
+    if (response.status === 304) {
+      return { status: "unchanged", etag };
+    }
+
+    if (response.status === 404) {
+      return { status: "missing" };
+    }
+
+    if (!response.ok) {
+      throw new Error(await readDriveError(response));
+    }
+
+    return { status: "ok", etag: response.headers.get("ETag"), state: await response.json() };
+  }
+
+  async function create(state) {
+    const boundary = `resume-${Date.now().toString(36)}`;
+    const metadata = { name: GOOGLE_SYNC_FILE_NAME, parents: ["appDataFolder"], mimeType: "application/json" };
+    const body = [
+      `--${boundary}`,
+      "Content-Type: application/json; charset=UTF-8",
+      "",
+      JSON.stringify(metadata),
+      `--${boundary}`,
+      "Content-Type: application/json",
+      "",
+      JSON.stringify(state),
+      `--${boundary}--`
+    ].join("\r\n");
+
+    const response = await request("/upload/drive/v3/files?uploadType=multipart&fields=id,headRevisionId", {
+      method: "POST",
+      headers: { "Content-Type": `multipart/related; boundary=${boundary}` },
+      body
+    });
+    if (!response.ok) {
+      throw new Error(await readDriveError(response));
+    }
+
+    const created = await response.json();
+    return { fileId: created.id, etag: response.headers.get("ETag"), revisionId: created.headRevisionId ?? null };
+  }
+
+  async function update(fileId, state, etag) {
+    const path = `/upload/drive/v3/files/${encodeURIComponent(fileId)}?uploadType=media&fields=id,headRevisionId`;
+    const response = await request(path, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", ...(etag ? { "If-Match": etag } : {}) },
+      body: JSON.stringify(state)
+    });
+
+    if (response.status === 412) {
+      return { status: "conflict" };
+    }
+
+    if (response.status === 404) {
+      return { status: "missing" };
+    }
+
+    if (!response.ok) {
+      throw new Error(await readDriveError(response));
+    }
+
+    const updated = await response.json();
+    return { status: "ok", etag: response.headers.get("ETag"), revisionId: updated?.headRevisionId ?? null };
+  }
+
+  return { findFile, readRevision, download, create, update };
+}
+
+function createClientForRecord(record, options) {
+  return createDriveClient({
+    apiBaseUrl: record.apiBaseUrl,
+    getToken: () => getAccessToken(record, options)
+  });
+}
+
+function upgradeRemoteState(rawState) {
+  if (isSealedBoard(rawState)) {
+    return rawState;
+  }
+
+  const { state, report } = migrateState(rawState);
+  // A board from a newer build is passed on untouched; `src/main.js` holds it read-only instead of normalizing it.
+  return report.isNewerThanSupported ? rawState : state;
+}
+
+function describeSyncError(error) {
+  return error instanceof Error ? error.message : String(error ?? "Unknown Google sync error");
+}
+
+export async function connectGoogleSync(record) {
+  // Connecting is the only step allowed to show Google's consent screen; later syncs stay silent.
+  await getAccessToken(record, { interactive: true });
+  return { ...normalizeGoogleSyncRecord(record), connected: true, lastError: null, lastErrorAt: null };
+}
+
+export async function disconnectGoogleSync(record) {
+  try {
+    if (!isMockApiBase(record) && hasChromeIdentity()) {
+      await dropAccessToken(await getAccessToken(record));
+    }
+  } catch (error) {
+    console.warn("Resume: failed to revoke cached Google token.", error);
+  }
+
+  // The Drive file stays in place so reconnecting later, or another browser, still finds the board.
+  return { ...DEFAULT_GOOGLE_SYNC_RECORD, apiBaseUrl: normalizeApiBaseUrl(record?.apiBaseUrl) };
+}
+
+async function uploadOverSeenCopy(client, fileId, state, seen) {
+  if (seen.etag) {
+    return client.update(fileId, state, seen.etag);
+  }
+
+  // Drive does not always answer with an ETag, so the head revision this device last read stands in for If-Match.
+  // Checking it right before the upload leaves only that short gap open, which Drive offers no header to close.
+  if (seen.revisionId && (await client.readRevision(fileId)) === seen.revisionId) {
+    return client.update(fileId, state, null);
+  }
+
+  return { status: "conflict" };
+}
+
+export async function pullGoogleSyncState(record) {
+  if (!record?.connected) {
+    return { record, state: null };
+  }
+
+  try {
+    const client = createClientForRecord(record);
+    const fileId = record.fileId || (await client.findFile());
+    const now = new Date().toISOString();
+
+    if (!fileId) {
+      return { record: { ...record, lastSyncedAt: now, lastError: null, lastErrorAt: null }, state: null };
+    }
+
+    const seenEtag = record.fileId === fileId ? record.etag : null;
+    // Without an ETag the revision is read before the content, so it can only be older than what was downloaded.
+    const revisionId = seenEtag ? record.revisionId : await client.readRevision(fileId);
+    const result = await client.download(fileId, seenEtag);
+
+    // A file deleted from another browser is recreated by the next push rather than treated as an error.
+    if (result.status === "missing") {
+      return {
+        record: { ...record, fileId: null, etag: null, revisionId: null, lastError: null, lastErrorAt: null },
+        state: null
+      };
+    }
+
+    const synced = {
+      ...record,
+      fileId,
+      etag: result.etag,
+      revisionId,
+      lastSyncedAt: now,
+      lastError: null,
+      lastErrorAt: null
+    };
+    if (result.status === "unchanged") {
+      return { record: synced, state: null };
+    }
+
+    const state = upgradeRemoteState(result.state);
+    return { record: { ...synced, remoteUpdatedAt: state?.updatedAt ?? null }, state };
+  } catch (error) {
+    return {
+      record: { ...record, lastError: describeSyncError(error), lastErrorAt: new Date().toISOString() },
+      state: null
+    };
+  }
+}
+
+export async function pushGoogleSyncState(record, state) {
+  if (!record?.connected) {
+    return { record, conflictState: null };
+  }
+
+  // The board this device last pulled or pushed is already in Drive, so echoing it back would only churn ETags.
+  if (record.fileId && record.remoteUpdatedAt && record.remoteUpdatedAt === state.updatedAt) {
+    return { record, conflictState: null };
+  }
+
+  try {
+    const client = createClientForRecord(record);
+    const fileId = record.fileId || (await client.findFile());
+    const now = new Date().toISOString();
+
+    if (!fileId) {
+      const created = await client.create(state);
+      return {
+        record: {
+          ...record,
+          fileId: created.fileId,
+          etag: created.etag,
+          revisionId: created.revisionId,
+          remoteUpdatedAt: state.updatedAt,
+          lastSyncedAt: now,
+          lastError: null,
+          lastErrorAt: null
+        },
+        conflictState: null
+      };
+    }
+
+    // A file found by search has never been read here, so it must be pulled and merged before it can be overwritten.
+    const seen = record.fileId === fileId ? record : { etag: null, revisionId: null };
+    const result = await uploadOverSeenCopy(client, fileId, state, seen);
+
+    if (result.status === "missing") {
+      const forgotten = { ...record, fileId: null, etag: null, revisionId: null, remoteUpdatedAt: null };
+      return pushGoogleSyncState(forgotten, state);
+    }
+
+    if (result.status === "conflict") {
+      const pulled = await pullGoogleSyncState({ ...record, fileId, etag: null, revisionId: null });
+      return { record: pulled.record, conflictState: pulled.state };
+    }
+
+    return {
+      record: {
+        ...record,
+        fileId,
+        etag: result.etag,
+        revisionId: result.revisionId,
+        remoteUpdatedAt: state.updatedAt,
+        lastSyncedAt: now,
+        lastError: null,
+        lastErrorAt: null
+      },
+      conflictState: null
+    };
+  } catch (error) {
+    return {
+      record: { ...record, lastError: describeSyncError(error), lastErrorAt: new Date().toISOString() },
+      conflictState: null
+    };
+  }
+}
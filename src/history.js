@@ -0,0 +1,196 @@
+/*
+This file defines the bounded undo/redo history for board mutations.
+It exists separately so history bookkeeping stays pure and testable instead of being tangled into DOM handlers.
+`src/main.js` records one entry per local `applyState` transition and asks this module to replay entries backwards or forwards.
+Entries store before/after snapshots, but replay only touches the campaigns and projects a mutation actually changed,
+so remote sync updates that land between an edit and its undo are preserved rather than rolled back.
+*/
+
+export const MAX_HISTORY_ENTRIES = 50;
+
+function indexById(items) {
+  const map = new Map();
+
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    if (item?.id) {
+      map.set(item.id, { item, index });
+    }
+  });
+
+  return map;
+}
+
+function isSameEntity(left, right) {
+  if (left === right) {
+    return true;
+  }
+
+  if (!left || !right) {
+    return false;
+  }
+
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function idsOf(items) {
+  return (Array.isArray(items) ? items : []).map((item) => item.id);
+}
+
+function replayCollection(currentItems, fromItems, toItems) {
+  const fromIndex = indexById(fromItems);
+  const toIndex = indexById(toItems);
+  const changedIds = new Set();
+
+  new Set([...fromIndex.keys(), ...toIndex.keys()]).forEach((id) => {
+    if (!isSameEntity(fromIndex.get(id)?.item, toIndex.get(id)?.item)) {
+      changedIds.add(id);
+    }
+  });
+
+  const currentIndex = indexById(currentItems);
+  let appliedCount = 0;
+  let conflictCount = 0;
+  const nextItems = [];
+
+  // Existing entities keep their live order; only the ones this entry touched are swapped or removed.
+  (Array.isArray(currentItems) ? currentItems : []).forEach((item) => {
+    if (!changedIds.has(item.id)) {
+      nextItems.push(item);
+      return;
+    }
+
+    // A newer edit (usually from another device) owns this entity now, so replay leaves it alone.
+    if (!isSameEntity(item, fromIndex.get(item.id)?.item)) {
+      conflictCount += 1;
+      nextItems.push(item);
+      return;
+    }
+
+    appliedCount += 1;
+    const target = toIndex.get(item.id)?.item;
+    if (target) {
+      nextItems.push(target);
+    }
+  });
+
+  // Entities that the target snapshot has but the live state lacks are reinserted near their old slot.
+  changedIds.forEach((id) => {
+    if (currentIndex.has(id)) {
+      return;
+    }
+
+    const target = toIndex.get(id);
+    if (!target) {
+      return;
+    }
+
+    if (fromIndex.has(id)) {
+      // It existed on the "from" side but was removed since, so reviving it would resurrect remote deletes.
+      conflictCount += 1;
+      return;
+    }
+
+    appliedCount += 1;
+    nextItems.splice(Math.min(target.index, nextItems.length), 0, target.item);
+  });
+
+  const fromOrder = idsOf(fromItems);
+  const toOrder = idsOf(toItems);
+
+  // Reorder-only mutations (like campaign drag) replay their ordering against whatever is live now.
+  if (fromOrder.join("\n") !== toOrder.join("\n")) {
+    const rank = new Map(toOrder.map((id, index) => [id, index]));
+    const ranked = nextItems.filter((item) => rank.has(item.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    let cursor = 0;
+
+    for (let index = 0; index < nextItems.length; index += 1) {
+      if (rank.has(nextItems[index].id)) {
+        nextItems[index] = ranked[cursor];
+        cursor += 1;
+      }
+    }
+
+    appliedCount += 1;
+  }
+
+  return { items: nextItems, appliedCount, conflictCount };
+}
+
+export function createHistory() {
+  return {
+    past: [],
+    future: []
+  };
+}
+
+export function recordHistoryEntry(history, entry, limit = MAX_HISTORY_ENTRIES) {
+  if (!entry?.before || !entry?.after || entry.before === entry.after) {
+    return history;
+  }
+
+  // A fresh edit invalidates the redo branch, matching how text editors behave.
+  return {
+    past: [...history.past, { label: entry.label || "Edit", before: entry.before, after: entry.after }].slice(-limit),
+    future: []
+  };
+}
+
+export function canUndo(history) {
+  return history.past.length > 0;
+}
+
+export function canRedo(history) {
+  return history.future.length > 0;
+}
+
+export function replayStateChange(currentState, fromState, toState) {
+  const campaigns = replayCollection(currentState?.campaigns, fromState?.campaigns, toState?.campaigns);
+  const projects = replayCollection(currentState?.projects, fromState?.projects, toState?.projects);
+
+  return {
+    state: {
+      ...currentState,
+      campaigns: campaigns.items,
+      projects: projects.items,
+      updatedAt: new Date().toISOString()
+    },
+    appliedCount: campaigns.appliedCount + projects.appliedCount,
+    conflictCount: campaigns.conflictCount + projects.conflictCount
+  };
+}
+
+export function undoHistory(history, currentState) {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) {
+    return null;
+  }
+
+  const result = replayStateChange(currentState, entry.after, entry.before);
+
+  return {
+    ...result,
+    label: entry.label,
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, entry]
+    }
+  };
+}
+
+export function redoHistory(history, currentState) {
+  const entry = history.future[history.future.length - 1];
+  if (!entry) {
+    return null;
+  }
+
+  const result = replayStateChange(currentState, entry.before, entry.after);
+
+  return {
+    ...result,
+    label: entry.label,
+    history: {
+      past: [...history.past, entry],
+      future: history.future.slice(0, -1)
+    }
+  };
+}
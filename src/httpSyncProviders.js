@@ -0,0 +1,308 @@
+/*
+This file holds the two self-hosted sync providers: WebDAV and a generic JSON-over-HTTP endpoint.
+Both store the whole board as one JSON document at a URL the operator chooses, so they share one HTTP core and only
+differ in how they authenticate and how a missing parent folder is created.
+Writes carry `If-Match` with the ETag this tab last saw; a 412 answer means another device wrote first, and the newer
+board is handed back to `src/main.js` to merge, the same contract `src/googleSync.js` uses for Drive.
+Servers cannot push to a new tab page, so `subscribe` polls with `If-None-Match`, and the last board read or written is
+cached in `chrome.storage.local` so an offline new tab still opens onto the board instead of an empty page.
+`src/syncProviders.js` builds these from the per-device provider settings; `fetchImpl` is injectable so both providers
+can be exercised against a local stub server.
+*/
+
+import { migrateState } from "./migrations.js";
+import { isSealedBoard } from "./boardCrypto.js";
+
+const REMOTE_BOARD_CACHE_KEY = "opsMapRemoteBoardCacheV1";
+
+export const DEFAULT_REMOTE_POLL_MS = 60 * 1000;
+
+function hasChromeLocalStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
+}
+
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
+async function readRemoteCache(url) {
+  try {
+    let cached = null;
+
+    if (hasChromeLocalStorage()) {
+      cached = await new Promise((resolve, reject) => {
+        chrome.storage.local.get([REMOTE_BOARD_CACHE_KEY], (result) => {
+          if (chrome.runtime?.lastError) {
+            reject(new Error(getRuntimeErrorMessage()));
+            return;
+          }
+
+          resolve(result?.[REMOTE_BOARD_CACHE_KEY] ?? null);
+        });
+      });
+    } else if (typeof localStorage !== "undefined") {
+      const raw = localStorage.getItem(REMOTE_BOARD_CACHE_KEY);
+      cached = raw ? JSON.parse(raw) : null;
+    }
+
+    // A cache left by a different endpoint is someone else's board, so it is never shown here.
+    return cached?.url === url ? cached.state : null;
+  } catch (error) {
+    console.warn("Resume: failed to read the remote board cache.", error);
+    return null;
+  }
+}
+
+async function writeRemoteCache(url, state) {
+  const entry = { url, state };
+
+  try {
+    if (hasChromeLocalStorage()) {
+      await new Promise((resolve, reject) => {
+        chrome.storage.local.set({ [REMOTE_BOARD_CACHE_KEY]: entry }, () => {
+          if (chrome.runtime?.lastError) {
+            reject(new Error(getRuntimeErrorMessage()));
+            return;
+          }
+
+          resolve();
+        });
+      });
+    } else if (typeof localStorage !== "undefined") {
+      localStorage.setItem(REMOTE_BOARD_CACHE_KEY, JSON.stringify(entry));
+    }
+  } catch (error) {
+    console.warn("Resume: failed to cache the remote board.", error);
+  }
+}
+
+function upgradeRemoteState(rawState) {
+  if (isSealedBoard(rawState)) {
+    return rawState;
+  }
+
+  const { state, report } = migrateState(rawState);
+  // A board from a newer build is passed on untouched; `src/main.js` holds it read-only instead of normalizing it.
+  return report.isNewerThanSupported ? rawState : state;
+}
+
+function encodeBasicCredentials(username, password) {
+  // btoa only takes Latin-1, so credentials go through UTF-8 bytes first.
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function describeHttpFailure(label, response) {
+  if (response.status === 401 || response.status === 403) {
+    return `${label} rejected the credentials (HTTP ${response.status}).`;
+  }
+
+  return `${label} answered HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ""}.`;
+}
+
+function createHttpDocumentProvider({ id, label, url, headers, createParent = null, fetchImpl, pollMs }) {
+  const session = {
+    etag: null,
+    // Until the document has been read once, a write could blindly replace another device's board.
+    remoteKnown: false,
+    remoteExists: false,
+    lastSyncedAt: null,
+    lastError: null
+  };
+
+  async function send(method, extraHeaders = {}, body = undefined) {
+    try {
+      return await fetchImpl(url, { method, headers: { ...headers, ...extraHeaders }, body, cache: "no-store" });
+    } catch {
+      throw new Error(`Could not reach ${label} at ${url}.`);
+    }
+  }
+
+  function noteSuccess() {
+    session.lastSyncedAt = new Date().toISOString();
+    session.lastError = null;
+  }
+
+  function noteFailure(error) {
+    session.lastError = error instanceof Error ? error.message : String(error);
+  }
+
+  async function fetchDocument({ conditional }) {
+    const response = await send("GET", conditional && session.etag ? { "If-None-Match": session.etag } : {});
+
+    if (response.status === 304) {
+      noteSuccess();
+      return { status: "unchanged" };
+    }
+
+    if (response.status === 404) {
+      Object.assign(session, { etag: null, remoteKnown: true, remoteExists: false });
+      noteSuccess();
+      return { status: "missing" };
+    }
+
+    if (!response.ok) {
+      throw new Error(describeHttpFailure(label, response));
+    }
+
+    const state = upgradeRemoteState(await response.json());
+    Object.assign(session, { etag: response.headers.get("ETag"), remoteKnown: true, remoteExists: true });
+    noteSuccess();
+    await writeRemoteCache(url, state);
+    return { status: "ok", state };
+  }
+
+  async function load() {
+    try {
+      const result = await fetchDocument({ conditional: false });
+      return result.status === "ok" ? result.state : null;
+    } catch (error) {
+      noteFailure(error);
+      console.warn(`Resume: failed to load the board from ${label}; using the last cached copy.`, error);
+      return readRemoteCache(url);
+    }
+  }
+
+  async function put(state, allowParentRetry = true) {
+    let preconditions = {};
+    if (session.etag) {
+      preconditions = { "If-Match": session.etag };
+    } else if (!session.remoteExists) {
+      preconditions = { "If-None-Match": "*" };
+    }
+
+    const response = await send("PUT", { "Content-Type": "application/json", ...preconditions }, JSON.stringify(state));
+
+    // WebDAV answers 409 when the folder above the file does not exist yet.
+    if (response.status === 409 && createParent && allowParentRetry) {
+      await createParent();
+      return put(state, false);
+    }
+
+    return response;
+  }
+
+  async function save(state) {
+    try {
+      if (!session.remoteKnown) {
+        const probe = await fetchDocument({ conditional: false });
+        if (probe.status === "ok") {
+          // Nothing was written, so callers that cap their retries need not count this as a lost race.
+          return { conflictState: probe.state, firstRead: true };
+        }
+      }
+
+      const response = await put(state);
+
+      if (response.status === 412) {
+        const latest = await fetchDocument({ conditional: false });
+
+        // The document vanished between our read and write, so there is nothing left to merge with.
+        if (latest.status === "missing") {
+          return save(state);
+        }
+
+        return { conflictState: latest.state };
+      }
+
+      if (!response.ok) {
+        throw new Error(describeHttpFailure(label, response));
+      }
+
+      // Servers that omit ETags fall back to last-write-wins rather than failing every save.
+      Object.assign(session, { etag: response.headers.get("ETag"), remoteKnown: true, remoteExists: true });
+      noteSuccess();
+      await writeRemoteCache(url, state);
+      return { conflictState: null };
+    } catch (error) {
+      noteFailure(error);
+      throw error;
+    }
+  }
+
+  function subscribe(onChange) {
+    const timer = setInterval(async () => {
+      if (typeof document !== "undefined" && document.visibilityState === "hidden") {
+        return;
+      }
+
+      try {
+        const result = await fetchDocument({ conditional: true });
+        if (result.status === "ok") {
+          onChange(result.state);
+        }
+      } catch (error) {
+        noteFailure(error);
+        console.warn(`Resume: failed to poll ${label}.`, error);
+      }
+    }, pollMs);
+
+    return () => {
+      clearInterval(timer);
+    };
+  }
+
+  function getDiagnostics() {
+    return [
+      ["Provider", label],
+      ["Endpoint", url],
+      ["Last synced", session.lastSyncedAt ?? "not yet"],
+      ["Conflict detection", session.remoteExists && !session.etag ? "off (server sends no ETag)" : "ETag / If-Match"],
+      ...(session.lastError ? [["Last error", session.lastError]] : [])
+    ];
+  }
+
+  return {
+    id,
+    label,
+    load,
+    save,
+    subscribe,
+    getUsage: async () => null,
+    getDiagnostics,
+    getLastError: () => session.lastError
+  };
+}
+
+export function createWebDavProvider({
+  url,
+  username = "",
+  password = "",
+  fetchImpl = fetch,
+  pollMs = DEFAULT_REMOTE_POLL_MS
+}) {
+  const headers = username ? { Authorization: `Basic ${encodeBasicCredentials(username, password)}` } : {};
+  const parentUrl = url.replace(/[^/]+$/, "");
+
+  return createHttpDocumentProvider({
+    id: "webdav",
+    label: "WebDAV",
+    url,
+    headers,
+    // Only the immediate folder is created; deeper missing paths are a server setup problem worth surfacing.
+    createParent: async () => {
+      const response = await fetchImpl(parentUrl, { method: "MKCOL", headers }).catch(() => null);
+
+      // 405 means the folder already exists, which is what we wanted.
+      if (!response || (!response.ok && response.status !== 405)) {
+        throw new Error(`WebDAV could not create the folder ${parentUrl}.`);
+      }
+    },
+    fetchImpl,
+    pollMs
+  });
+}
+
+export function createHttpJsonProvider({ url, token = "", fetchImpl = fetch, pollMs = DEFAULT_REMOTE_POLL_MS }) {
+  return createHttpDocumentProvider({
+    id: "http-json",
+    label: "HTTP endpoint",
+    url,
+    headers: {
+      Accept: "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    fetchImpl,
+    pollMs
+  });
+}
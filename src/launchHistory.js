@@ -0,0 +1,168 @@
+/*
+This file stores the per-device launch history: when each project was last opened here, and how often.
+It is separate from synced map state for the same reason as `src/devicePrefs.js`: what this machine opened last is
+context about this machine, and syncing it would make every device claim the other device's last session.
+`src/main.js` records a launch whenever `launchProject` opens a link, and reads the history back so each campaign
+card can highlight its most recently opened project and offer a one-click "Resume last".
+*/
+
+const LAUNCH_HISTORY_KEY = "opsMapLaunchHistoryV1";
+
+export const DEFAULT_LAUNCH_HISTORY = {};
+
+function hasChromeLocalStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
+}
+
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
+function normalizeLaunchEntry(rawEntry) {
+  if (!rawEntry || typeof rawEntry !== "object") {
+    return null;
+  }
+
+  const lastOpenedAt = typeof rawEntry.lastOpenedAt === "string" ? rawEntry.lastOpenedAt : "";
+  if (!Number.isFinite(Date.parse(lastOpenedAt))) {
+    return null;
+  }
+
+  return {
+    lastOpenedAt,
+    count: Number.isInteger(rawEntry.count) && rawEntry.count > 0 ? rawEntry.count : 1
+  };
+}
+
+export function normalizeLaunchHistory(rawHistory) {
+  if (!rawHistory || typeof rawHistory !== "object" || Array.isArray(rawHistory)) {
+    return { ...DEFAULT_LAUNCH_HISTORY };
+  }
+
+  return Object.entries(rawHistory).reduce((history, [projectId, rawEntry]) => {
+    const entry = normalizeLaunchEntry(rawEntry);
+    if (projectId && entry) {
+      history[projectId] = entry;
+    }
+
+    return history;
+  }, {});
+}
+
+export function recordProjectLaunch(history, projectId, knownProjectIds = null, openedAt = new Date().toISOString()) {
+  const previous = history?.[projectId];
+  const next = {
+    ...history,
+    [projectId]: {
+      lastOpenedAt: openedAt,
+      count: (previous?.count ?? 0) + 1
+    }
+  };
+
+  // Entries for projects that no longer exist are dropped here, so the history never outgrows the board.
+  if (!knownProjectIds) {
+    return next;
+  }
+
+  const known = new Set(knownProjectIds);
+  return Object.fromEntries(Object.entries(next).filter(([id]) => known.has(id)));
+}
+
+export function findMostRecentLaunch(history, projectIds) {
+  return (Array.isArray(projectIds) ? projectIds : []).reduce((latest, projectId) => {
+    const entry = history?.[projectId];
+    if (!entry) {
+      return latest;
+    }
+
+    if (!latest || Date.parse(entry.lastOpenedAt) > Date.parse(latest.lastOpenedAt)) {
+      return { projectId, ...entry };
+    }
+
+    return latest;
+  }, null);
+}
+
+export async function loadLaunchHistory() {
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([LAUNCH_HISTORY_KEY], (result) => {
+        if (chrome.runtime?.lastError) {
+          console.warn("Resume: failed to read local launch history.", getRuntimeErrorMessage());
+          resolve({ ...DEFAULT_LAUNCH_HISTORY });
+          return;
+        }
+
+        resolve(normalizeLaunchHistory(result?.[LAUNCH_HISTORY_KEY]));
+      });
+    });
+  }
+
+  try {
+    const raw = localStorage.getItem(LAUNCH_HISTORY_KEY);
+    return normalizeLaunchHistory(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Resume: failed to read launch history fallback storage.", error);
+    return { ...DEFAULT_LAUNCH_HISTORY };
+  }
+}
+
+export async function saveLaunchHistory(nextHistory) {
+  const normalized = normalizeLaunchHistory(nextHistory);
+
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [LAUNCH_HISTORY_KEY]: normalized }, () => {
+        if (chrome.runtime?.lastError) {
+          reject(new Error(getRuntimeErrorMessage()));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  try {
+    localStorage.setItem(LAUNCH_HISTORY_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.warn("Resume: failed to save launch history fallback storage.", error);
+  }
+}
+
+export function subscribeToLaunchHistoryChanges(onChange) {
+  if (hasChromeLocalStorage()) {
+    const listener = (changes, areaName) => {
+      if (areaName !== "local" || !changes?.[LAUNCH_HISTORY_KEY]) {
+        return;
+      }
+
+      // Launches from another new tab on this machine update every open board.
+      onChange(normalizeLaunchHistory(changes[LAUNCH_HISTORY_KEY].newValue));
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+
+    return () => {
+      chrome.storage.onChanged.removeListener(listener);
+    };
+  }
+
+  const listener = (event) => {
+    if (event.key !== LAUNCH_HISTORY_KEY) {
+      return;
+    }
+
+    try {
+      onChange(normalizeLaunchHistory(event.newValue ? JSON.parse(event.newValue) : null));
+    } catch (error) {
+      console.warn("Resume: failed to parse launch history storage event payload.", error);
+    }
+  };
+
+  window.addEventListener("storage", listener);
+
+  return () => {
+    window.removeEventListener("storage", listener);
+  };
+}
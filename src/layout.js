@@ -1,11 +1,15 @@
 /*
-This file now defines structural layout helpers for the six-slot campaign board.
-It exists separately so view-shaping logic (slot assignment and campaign/project grouping)
+This file defines structural layout helpers for the paged six-slot campaign board.
+It exists separately so view-shaping logic (page slicing, slot assignment, and campaign/project grouping)
 stays independent from DOM event wiring in `src/main.js`.
 `src/main.js` calls these functions to build a deterministic board model before rendering,
 while `src/model.js` remains responsible for state mutation and normalization rules.
+Archived campaigns never reach the board; they are shaped separately for the archive shelf.
+Sorting campaigns by recent activity also happens here, as a view over state that never rewrites the stored order.
 */
 
+import { PROJECT_STATUSES, orderCampaignProjects } from "./model.js";
+
 export const MAX_CAMPAIGN_SLOTS = 6;
 
 function normalizePositiveInteger(value, fallback) {
@@ -17,48 +21,99 @@ function normalizePositiveInteger(value, fallback) {
   return rounded > 0 ? rounded : fallback;
 }
 
-export function getVisibleCampaigns(state, maxSlots = MAX_CAMPAIGN_SLOTS) {
-  const safeMax = normalizePositiveInteger(maxSlots, MAX_CAMPAIGN_SLOTS);
+function getBoardCampaigns(state) {
   const campaigns = Array.isArray(state?.campaigns) ? state.campaigns : [];
+  return campaigns.filter((campaign) => !campaign?.archivedAt);
+}
+
+export function getBoardPageCount(state, maxSlots = MAX_CAMPAIGN_SLOTS) {
+  const safeMax = normalizePositiveInteger(maxSlots, MAX_CAMPAIGN_SLOTS);
+
+  // There is always at least one page, even for an empty board, so create affordances stay reachable.
+  return Math.max(1, Math.ceil(getBoardCampaigns(state).length / safeMax));
+}
 
-  // The board intentionally exposes only the configured maximum number of campaign sections.
-  return campaigns.slice(0, safeMax);
+export function clampBoardPage(state, pageIndex, maxSlots = MAX_CAMPAIGN_SLOTS) {
+  const lastPage = getBoardPageCount(state, maxSlots) - 1;
+  const candidate = Number.isFinite(pageIndex) ? Math.trunc(pageIndex) : 0;
+  return Math.min(Math.max(candidate, 0), lastPage);
 }
 
-export function buildCampaignSlots(state, maxSlots = MAX_CAMPAIGN_SLOTS) {
+export function getVisibleCampaigns(state, maxSlots = MAX_CAMPAIGN_SLOTS, pageIndex = 0) {
   const safeMax = normalizePositiveInteger(maxSlots, MAX_CAMPAIGN_SLOTS);
-  const campaigns = getVisibleCampaigns(state, safeMax);
+  const safePage = clampBoardPage(state, pageIndex, safeMax);
+
+  // Each page exposes at most the configured number of campaign sections; later campaigns page onward.
+  return getBoardCampaigns(state).slice(safePage * safeMax, safePage * safeMax + safeMax);
+}
+
+export function buildCampaignSlots(state, maxSlots = MAX_CAMPAIGN_SLOTS, pageIndex = 0) {
+  const safeMax = normalizePositiveInteger(maxSlots, MAX_CAMPAIGN_SLOTS);
+  const safePage = clampBoardPage(state, pageIndex, safeMax);
+  const campaigns = getVisibleCampaigns(state, safeMax, safePage);
 
   // We always return a full slot array so the UI grid remains visually stable.
-  return Array.from({ length: safeMax }, (_, slotIndex) => ({
-    slotIndex,
-    campaign: campaigns[slotIndex] ?? null
+  // Slot indexes are board-wide, so page two starts at slot seven.
+  return Array.from({ length: safeMax }, (_, slotOffset) => ({
+    slotIndex: safePage * safeMax + slotOffset,
+    campaign: campaigns[slotOffset] ?? null
   }));
 }
 
-export function buildProjectsByCampaign(state, maxSlots = MAX_CAMPAIGN_SLOTS) {
-  const campaigns = getVisibleCampaigns(state, maxSlots);
-  const campaignIdSet = new Set(campaigns.map((campaign) => campaign.id));
+export function buildProjectsByCampaign(state, maxSlots = MAX_CAMPAIGN_SLOTS, pageIndex = 0) {
+  const campaigns = getVisibleCampaigns(state, maxSlots, pageIndex);
+  const projects = Array.isArray(state?.projects) ? state.projects : [];
   const projectsByCampaign = new Map();
 
+  // Projects can appear in multiple campaign sections by design in board mode, each in that campaign's own order.
   campaigns.forEach((campaign) => {
-    projectsByCampaign.set(campaign.id, []);
+    projectsByCampaign.set(campaign.id, orderCampaignProjects(campaign, projects));
   });
 
-  const projects = Array.isArray(state?.projects) ? state.projects : [];
+  return projectsByCampaign;
+}
 
-  projects.forEach((project) => {
-    const memberships = Array.isArray(project?.campaignIds) ? project.campaignIds : [];
+export function sortCampaignsByActivity(state, activityTimes) {
+  const campaigns = Array.isArray(state?.campaigns) ? state.campaigns : [];
+  const getTime = (campaign) => activityTimes?.get(campaign.id) ?? 0;
 
-    memberships.forEach((campaignId) => {
-      if (!campaignIdSet.has(campaignId)) {
-        return;
-      }
+  // This is a view order only: the stored array keeps the manual order, and quiet campaigns keep it among themselves.
+  // Archived campaigns stay behind active ones so board slot indexes still map onto the front of the array.
+  const sorted = campaigns
+    .map((campaign, index) => ({ campaign, index }))
+    .sort((left, right) => {
+      const archivedDelta = Number(Boolean(left.campaign.archivedAt)) - Number(Boolean(right.campaign.archivedAt));
+      return archivedDelta || getTime(right.campaign) - getTime(left.campaign) || left.index - right.index;
+    })
+    .map(({ campaign }) => campaign);
 
-      // Projects can appear in multiple campaign sections by design in board mode.
-      projectsByCampaign.get(campaignId).push(project);
-    });
-  });
+  return { ...state, campaigns: sorted };
+}
 
-  return projectsByCampaign;
+export function splitCompletedProjects(projects) {
+  const list = Array.isArray(projects) ? projects : [];
+  const completed = list.filter((project) => project?.status === PROJECT_STATUSES.DONE);
+
+  // The drawer lists the most recently finished work first; projects done before stamps existed sink to the end.
+  completed.sort(
+    (left, right) => (Date.parse(right.statusChangedAt) || 0) - (Date.parse(left.statusChangedAt) || 0)
+  );
+
+  return {
+    open: list.filter((project) => project?.status !== PROJECT_STATUSES.DONE),
+    completed
+  };
+}
+
+export function buildArchiveShelf(state) {
+  const campaigns = Array.isArray(state?.campaigns) ? state.campaigns : [];
+  const projects = Array.isArray(state?.projects) ? state.projects : [];
+
+  // Shelf entries carry project counts so dormant campaigns still show how much work they hold.
+  return campaigns
+    .filter((campaign) => Boolean(campaign?.archivedAt))
+    .map((campaign) => ({
+      campaign,
+      projectCount: projects.filter((project) => project.campaignIds?.includes(campaign.id)).length
+    }));
 }
@@ -0,0 +1,322 @@
+/*
+This file answers whether each project link still leads somewhere, as seen from this device.
+Web links are checked by the background worker (`src/background.js`) with HEAD requests, because only the worker can
+reach arbitrary sites once the operator grants host access; editor and Obsidian links that name a local path are
+checked through the optional native helper in `native-host/`. Results land in a per-device cache in
+`chrome.storage.local` that every open board subscribes to, the same arrangement `src/gitActivity.js` uses.
+Links are checked as this device opens them, after `src/linkOverrides.js`, so a rewritten path is judged by the folder
+it actually reaches. Like git activity, the cache describes one machine's network and disk and never syncs or exports.
+*/
+
+import { extractLocalRepoPath } from "./gitActivity.js";
+import { resolveProjectLink } from "./linkOverrides.js";
+import { PROJECT_MODES, getProjectLinks } from "./model.js";
+
+const LINK_HEALTH_KEY = "opsMapLinkHealthV1";
+
+export const LINK_HEALTH_CHECK_MESSAGE = "resume:check-link-health";
+
+// Links rarely break within a day, and a board full of sites should not be re-requested on every new tab.
+export const LINK_HEALTH_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+export const MAX_LINKS_PER_CHECK = 300;
+
+// Host access is optional and granted once for every site, because a board's links can point anywhere.
+export const LINK_CHECK_ORIGINS = ["https://*/*", "http://*/*"];
+
+const LINK_CHECK_TIMEOUT_MS = 10 * 1000;
+
+export const LINK_HEALTH_STATES = Object.freeze({
+  OK: "ok",
+  REDIRECTED: "redirected",
+  NOT_FOUND: "not-found",
+  HTTP_ERROR: "http-error",
+  UNREACHABLE: "unreachable",
+  MISSING_PATH: "missing-path",
+  UNCHECKED: "unchecked"
+});
+
+const BROKEN_STATES = [
+  LINK_HEALTH_STATES.NOT_FOUND,
+  LINK_HEALTH_STATES.HTTP_ERROR,
+  LINK_HEALTH_STATES.UNREACHABLE,
+  LINK_HEALTH_STATES.MISSING_PATH
+];
+
+export const DEFAULT_LINK_HEALTH = {
+  checkedAt: null,
+  helperError: null,
+  links: {}
+};
+
+const WEB_LINK_PATTERN = /^https?:\/\//i;
+const OBSIDIAN_PATH_PATTERN = /^obsidian:\/\/[^?#]*\?(?:[^#]*&)?path=([^&#]*)/i;
+
+function hasChromeLocalStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
+}
+
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
+export function isWebLink(link) {
+  return WEB_LINK_PATTERN.test(String(link ?? "").trim());
+}
+
+export function extractCheckablePath(link) {
+  const cleaned = String(link ?? "").trim();
+  const obsidianMatch = OBSIDIAN_PATH_PATTERN.exec(cleaned);
+  if (obsidianMatch) {
+    try {
+      const localPath = decodeURIComponent(obsidianMatch[1]);
+      return localPath.startsWith("/") || /^[a-z]:[\\/]/i.test(localPath) ? localPath : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Vault-name Obsidian links (`?vault=...&file=...`) do not say where the vault lives, so they cannot be checked.
+  return extractLocalRepoPath(cleaned);
+}
+
+export function collectCheckableLinks(state, linkOverrides) {
+  const projects = Array.isArray(state?.projects) ? state.projects : [];
+  const links = new Set();
+
+  projects.forEach((project) => {
+    if (project.mode === PROJECT_MODES.PHYSICAL) {
+      return;
+    }
+
+    getProjectLinks(project).forEach((entry) => {
+      const link = resolveProjectLink(linkOverrides, project, entry);
+      if (isWebLink(link) || extractCheckablePath(link)) {
+        links.add(link);
+      }
+    });
+  });
+
+  return [...links].sort().slice(0, MAX_LINKS_PER_CHECK);
+}
+
+function normalizeHealthEntry(rawEntry) {
+  if (!rawEntry || typeof rawEntry !== "object" || !Object.values(LINK_HEALTH_STATES).includes(rawEntry.state)) {
+    return null;
+  }
+
+  return {
+    state: rawEntry.state,
+    httpStatus: Number.isInteger(rawEntry.httpStatus) ? rawEntry.httpStatus : null,
+    finalUrl: typeof rawEntry.finalUrl === "string" && rawEntry.finalUrl ? rawEntry.finalUrl : null,
+    detail: typeof rawEntry.detail === "string" ? rawEntry.detail : ""
+  };
+}
+
+export function normalizeLinkHealth(rawHealth) {
+  if (!rawHealth || typeof rawHealth !== "object") {
+    return structuredClone(DEFAULT_LINK_HEALTH);
+  }
+
+  const rawLinks = rawHealth.links && typeof rawHealth.links === "object" ? rawHealth.links : {};
+  const links = Object.entries(rawLinks).reduce((result, [link, rawEntry]) => {
+    const entry = normalizeHealthEntry(rawEntry);
+    if (entry) {
+      result[link] = entry;
+    }
+
+    return result;
+  }, {});
+
+  return {
+    checkedAt: Number.isFinite(Date.parse(rawHealth.checkedAt)) ? rawHealth.checkedAt : null,
+    helperError: typeof rawHealth.helperError === "string" ? rawHealth.helperError : null,
+    links
+  };
+}
+
+export function isBrokenLinkHealth(entry) {
+  return BROKEN_STATES.includes(entry?.state);
+}
+
+export function describeLinkHealth(entry) {
+  switch (entry?.state) {
+    case LINK_HEALTH_STATES.REDIRECTED:
+      return `Redirects to ${entry.finalUrl}`;
+    case LINK_HEALTH_STATES.NOT_FOUND:
+      return `Page not found (${entry.httpStatus ?? 404})`;
+    case LINK_HEALTH_STATES.HTTP_ERROR:
+      return `The site answered with an error (${entry.httpStatus})`;
+    case LINK_HEALTH_STATES.UNREACHABLE:
+    case LINK_HEALTH_STATES.MISSING_PATH:
+    case LINK_HEALTH_STATES.UNCHECKED:
+      return entry.detail;
+    default:
+      return "Link works";
+  }
+}
+
+export function getProjectLinkProblems(health, project, linkOverrides) {
+  if (project?.mode === PROJECT_MODES.PHYSICAL) {
+    return [];
+  }
+
+  // Broken links come before redirects, so the first problem is always the most urgent one.
+  return getProjectLinks(project)
+    .map((linkEntry) => {
+      const link = resolveProjectLink(linkOverrides, project, linkEntry);
+      return { linkEntry, link, result: health?.links?.[link] ?? null };
+    })
+    .filter(({ result }) => isBrokenLinkHealth(result) || result?.state === LINK_HEALTH_STATES.REDIRECTED)
+    .sort((left, right) => Number(isBrokenLinkHealth(right.result)) - Number(isBrokenLinkHealth(left.result)));
+}
+
+export function isLinkHealthStale(health, links, now = Date.now()) {
+  const checkedAt = Date.parse(health?.checkedAt);
+  if (!Number.isFinite(checkedAt) || now - checkedAt >= LINK_HEALTH_MAX_AGE_MS) {
+    return true;
+  }
+
+  // A link added since the last check is worth a look now rather than half a day later.
+  return links.some((link) => !health.links?.[link]);
+}
+
+function isSameAddress(left, right) {
+  // A trailing slash added by the server is not worth flagging as a move.
+  return left.replace(/\/+$/, "") === right.replace(/\/+$/, "");
+}
+
+export function classifyWebResponse(link, response) {
+  const httpStatus = response.status;
+
+  if (httpStatus === 404 || httpStatus === 410) {
+    return { state: LINK_HEALTH_STATES.NOT_FOUND, httpStatus, finalUrl: null, detail: "" };
+  }
+
+  // Sign-in walls and rate limits mean the page is there for the right visitor, so they do not count as broken.
+  if (httpStatus >= 400 && ![401, 403, 429].includes(httpStatus)) {
+    return { state: LINK_HEALTH_STATES.HTTP_ERROR, httpStatus, finalUrl: null, detail: "" };
+  }
+
+  if (response.redirected && response.url && !isSameAddress(response.url, link)) {
+    return { state: LINK_HEALTH_STATES.REDIRECTED, httpStatus, finalUrl: response.url, detail: "" };
+  }
+
+  return { state: LINK_HEALTH_STATES.OK, httpStatus, finalUrl: null, detail: "" };
+}
+
+async function requestHeaders(link, method, signal) {
+  // Checks run unattended against links from every device and import, so they never carry this browser's cookies.
+  const response = await fetch(link, { method, redirect: "follow", credentials: "omit", cache: "no-store", signal });
+
+  // Only the status line matters, so a GET's body is dropped as soon as the headers arrive.
+  if (method === "GET") {
+    response.body?.cancel().catch(() => {});
+  }
+
+  return response;
+}
+
+export async function checkWebLink(link) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LINK_CHECK_TIMEOUT_MS);
+
+  try {
+    let response = await requestHeaders(link, "HEAD", controller.signal);
+
+    // Some servers refuse HEAD outright even though the page exists.
+    if (response.status === 405 || response.status === 501) {
+      response = await requestHeaders(link, "GET", controller.signal);
+    }
+
+    return classifyWebResponse(link, response);
+  } catch (error) {
+    // fetch reports DNS failures, refused connections, and TLS errors with the same opaque TypeError.
+    const detail =
+      error?.name === "AbortError"
+        ? `No answer within ${LINK_CHECK_TIMEOUT_MS / 1000} seconds`
+        : "The site's name did not resolve or it refused the connection";
+    return { state: LINK_HEALTH_STATES.UNREACHABLE, httpStatus: null, finalUrl: null, detail };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export async function loadLinkHealth() {
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([LINK_HEALTH_KEY], (result) => {
+        if (chrome.runtime?.lastError) {
+          console.warn("Resume: failed to read cached link health.", getRuntimeErrorMessage());
+          resolve(normalizeLinkHealth(null));
+          return;
+        }
+
+        resolve(normalizeLinkHealth(result?.[LINK_HEALTH_KEY]));
+      });
+    });
+  }
+
+  try {
+    const raw = localStorage.getItem(LINK_HEALTH_KEY);
+    return normalizeLinkHealth(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Resume: failed to read link health fallback storage.", error);
+    return normalizeLinkHealth(null);
+  }
+}
+
+export async function saveLinkHealth(nextHealth) {
+  const normalized = normalizeLinkHealth(nextHealth);
+
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [LINK_HEALTH_KEY]: normalized }, () => {
+        if (chrome.runtime?.lastError) {
+          reject(new Error(getRuntimeErrorMessage()));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  try {
+    localStorage.setItem(LINK_HEALTH_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.warn("Resume: failed to save link health fallback storage.", error);
+  }
+}
+
+export function subscribeToLinkHealthChanges(onChange) {
+  if (hasChromeLocalStorage()) {
+    const listener = (changes, areaName) => {
+      if (areaName !== "local" || !changes?.[LINK_HEALTH_KEY]) {
+        return;
+      }
+
+      onChange(normalizeLinkHealth(changes[LINK_HEALTH_KEY].newValue));
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+
+    return () => {
+      chrome.storage.onChanged.removeListener(listener);
+    };
+  }
+
+  // Without the extension runtime there is no worker to write the cache, so there is nothing to follow.
+  return () => {};
+}
+
+export async function requestLinkHealthCheck(links) {
+  if (typeof chrome === "undefined" || !chrome.runtime?.sendMessage) {
+    return { ok: false, error: "Link checks need the Resume extension runtime." };
+  }
+
+  try {
+    return await chrome.runtime.sendMessage({ type: LINK_HEALTH_CHECK_MESSAGE, links });
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
@@ -0,0 +1,155 @@
+/*
+This file adapts synced app links to the machine they are launched on.
+A `vscode://file/Users/me/dev/...` link written on a Mac points nowhere on a Linux box, yet the board syncs as one.
+Each device therefore keeps its own path-prefix rewrites (`/Users/me/dev` → `/home/me/dev`) and, for the odd project
+that lives somewhere else entirely, a local replacement for its primary link. Both live in `src/devicePrefs.js`;
+this module only applies them, at launch time and when `src/gitActivity.js` looks for a checkout, and never writes
+the result back into a project, so the synced `link` stays exactly as its author saved it.
+*/
+
+import { getProjectLinks } from "./model.js";
+
+export const DEFAULT_LINK_OVERRIDES = {
+  pathRewrites: [],
+  projectLinks: {}
+};
+
+const MAX_PATH_REWRITES = 50;
+const MAX_PROJECT_LINK_OVERRIDES = 500;
+
+const WEB_LINK_PATTERN = /^https?:\/\//i;
+// Editor links (`vscode://file/...`, `cursor://file/...`) and `file:///` links carry the path after the authority.
+const FILE_URI_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/(?:file)?)(\/[^?#]*)(.*)$/i;
+// Obsidian links built from a path carry it, encoded, in a `path` query parameter.
+const PATH_PARAM_PATTERN = /([?&]path=)([^&#]*)/;
+
+function toSlashes(value) {
+  return String(value ?? "").trim().replace(/\\/g, "/");
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+export function normalizePathPrefix(value) {
+  // Windows prefixes may be typed as `C:\dev` or copied from a link as `/C:/dev`; both compare as `C:/dev`.
+  const prefix = toSlashes(value).replace(/^\/([a-z]:\/)/i, "$1");
+  return prefix.length > 1 ? prefix.replace(/\/+$/, "") : prefix;
+}
+
+function normalizePathRewrite(rawRewrite) {
+  if (!rawRewrite || typeof rawRewrite !== "object") {
+    return null;
+  }
+
+  const from = normalizePathPrefix(rawRewrite.from);
+  const to = normalizePathPrefix(rawRewrite.to);
+  return from && to && from !== to ? { from, to } : null;
+}
+
+export function normalizeLinkOverrides(rawOverrides) {
+  if (!rawOverrides || typeof rawOverrides !== "object") {
+    return structuredClone(DEFAULT_LINK_OVERRIDES);
+  }
+
+  const pathRewrites = (Array.isArray(rawOverrides.pathRewrites) ? rawOverrides.pathRewrites : [])
+    .map(normalizePathRewrite)
+    .filter(Boolean)
+    .slice(0, MAX_PATH_REWRITES);
+
+  const rawProjectLinks =
+    rawOverrides.projectLinks && typeof rawOverrides.projectLinks === "object" ? rawOverrides.projectLinks : {};
+  const projectLinks = Object.fromEntries(
+    Object.entries(rawProjectLinks)
+      .filter(([projectId, link]) => projectId && typeof link === "string" && link.trim())
+      .slice(0, MAX_PROJECT_LINK_OVERRIDES)
+      .map(([projectId, link]) => [projectId, link.trim()])
+  );
+
+  return { pathRewrites, projectLinks };
+}
+
+export function rewriteLocalPath(pathRewrites, localPath) {
+  const candidate = toSlashes(localPath);
+
+  // Rewrites read top to bottom like routing rules, so a narrow prefix listed first beats a broad one below it.
+  for (const { from, to } of pathRewrites ?? []) {
+    const head = candidate.slice(0, from.length);
+    const matches = /^[a-z]:/i.test(from) ? head.toLowerCase() === from.toLowerCase() : head === from;
+
+    // Prefixes match whole folder names, so `/Users/me/dev` never rewrites `/Users/me/devtools`.
+    const boundary = candidate.charAt(from.length);
+    if (matches && (from.endsWith("/") || boundary === "" || boundary === "/" || boundary === ":")) {
+      return `${to}${candidate.slice(from.length)}`;
+    }
+  }
+
+  return null;
+}
+
+export function rewriteLinkPaths(pathRewrites, link) {
+  const cleaned = String(link ?? "").trim();
+  if (!cleaned || WEB_LINK_PATTERN.test(cleaned) || !pathRewrites?.length) {
+    return cleaned;
+  }
+
+  const paramMatch = PATH_PARAM_PATTERN.exec(cleaned);
+  if (paramMatch) {
+    const rewritten = rewriteLocalPath(pathRewrites, safeDecode(paramMatch[2]));
+    return rewritten === null
+      ? cleaned
+      : cleaned.replace(PATH_PARAM_PATTERN, (_match, key) => `${key}${encodeURIComponent(rewritten)}`);
+  }
+
+  const uriMatch = FILE_URI_PATTERN.exec(cleaned);
+  if (!uriMatch) {
+    return cleaned;
+  }
+
+  const [, authority, rawPath, rest] = uriMatch;
+  const decodedPath = safeDecode(rawPath);
+  // The slash in front of a Windows drive letter belongs to the URI, not the path.
+  const rewritten = rewriteLocalPath(pathRewrites, decodedPath.replace(/^\/(?=[a-z]:)/i, ""));
+  if (rewritten === null) {
+    return cleaned;
+  }
+
+  // Links saved percent-encoded stay encoded, and links saved readable stay readable.
+  const nextPath = `/${rewritten.replace(/^\/+/, "")}`;
+  return `${authority}${decodedPath === rawPath ? nextPath : encodeURI(nextPath)}${rest}`;
+}
+
+export function getProjectLinkOverride(linkOverrides, projectId) {
+  return linkOverrides?.projectLinks?.[projectId] ?? "";
+}
+
+export function setProjectLinkOverride(linkOverrides, projectId, link) {
+  const projectLinks = { ...(linkOverrides?.projectLinks ?? {}) };
+  const cleaned = String(link ?? "").trim();
+
+  if (cleaned) {
+    projectLinks[projectId] = cleaned;
+  } else {
+    delete projectLinks[projectId];
+  }
+
+  return normalizeLinkOverrides({ ...linkOverrides, projectLinks });
+}
+
+export function resolveProjectLink(linkOverrides, project, linkEntry = null) {
+  const primary = getProjectLinks(project)[0] ?? null;
+  const syncedLink = (linkEntry?.link ?? primary?.link ?? project?.link ?? "").trim();
+
+  // A project override stands in for the primary link only; secondary links still follow the path rewrites.
+  const isPrimary = !linkEntry || linkEntry === primary || (linkEntry.id && linkEntry.id === primary?.id);
+  const override = isPrimary ? getProjectLinkOverride(linkOverrides, project?.id) : "";
+  if (override) {
+    return override;
+  }
+
+  return rewriteLinkPaths(linkOverrides?.pathRewrites, syncedLink);
+}
@@ -4,34 +4,88 @@ It exists as a separate module because it is the integration layer that connects
 persistence, and DOM rendering into one interactive experience.
 It imports domain rules from `src/model.js`, board-shaping helpers from `src/layout.js`,
 storage adapters from `src/storage.js`, local preference adapters from `src/devicePrefs.js`,
-shared aesthetic preference adapters from `src/aestheticPrefs.js`, and transfer/google-sync
-scaffolding from `src/transfer.js` and `src/googleSync.js`.
+shared aesthetic preference adapters from `src/aestheticPrefs.js`, transfer helpers from `src/transfer.js`,
+the Google Drive sync backend from `src/googleSync.js`, the local git activity cache from `src/gitActivity.js`,
+the per-device link health cache from `src/linkHealth.js`, the paste parser from `src/smartPaste.js`,
+and the tab capture menu sync from `src/tabCapture.js`.
 It also coordinates sidebar preference toggles so the interface stays compact
 without losing keyboard and pointer clarity.
 */
 
-import { buildCampaignSlots, buildProjectsByCampaign, MAX_CAMPAIGN_SLOTS } from "./layout.js";
+import {
+  buildCampaignSlots,
+  buildProjectsByCampaign,
+  buildArchiveShelf,
+  splitCompletedProjects,
+  getBoardPageCount,
+  clampBoardPage,
+  sortCampaignsByActivity,
+  MAX_CAMPAIGN_SLOTS
+} from "./layout.js";
 import {
   createEmptyState,
   normalizeState,
   addCampaign,
   renameCampaign,
   moveCampaign,
+  archiveCampaign,
+  restoreCampaign,
+  getActiveCampaigns,
   updateCampaignMission,
+  updateCampaignColor,
+  updateCampaignIcon,
+  resolveCampaignMission,
+  setMissionHistoryOutcome,
   deleteCampaign,
   addProject,
   updateProject,
+  updateProjectNote,
+  moveProject,
   deleteProject,
+  mergeStates,
+  resolveMergeConflict,
   buildLinkFromHelper,
   inferLinkType,
   normalizeProjectLink,
+  getProjectLinks,
   LINK_TYPE_HELP,
+  DEFAULT_CAMPAIGN_COLORS,
+  MAX_PROJECT_LINKS,
   PROJECT_MODES,
-  MAX_CAMPAIGNS
+  PROJECT_STATUSES,
+  PROJECT_NOTE_FIELDS,
+  MISSION_END_REASONS,
+  MISSION_OUTCOMES
 } from "./model.js";
-import { loadState, saveState, subscribeToStateChanges } from "./storage.js";
+import { formatKilobytes, isIncompleteSyncBoard, isStorageQuotaError } from "./storage.js";
+import { isNewerThanSupported, migrateState, readStateVersion } from "./migrations.js";
+import {
+  MIN_PASSPHRASE_LENGTH,
+  createBoardKey,
+  forgetBoardKey,
+  isSealedBoard,
+  loadRememberedBoardKey,
+  markEncryptionDisabled,
+  openSealedBoard,
+  readEncryptionDisabledAt,
+  rememberBoardKey,
+  sealBoard,
+  unlockBoardKey
+} from "./boardCrypto.js";
 import {
+  DEFAULT_SYNC_PROVIDER_CONFIG,
+  SYNC_PROVIDER_IDS,
+  SYNC_PROVIDER_LABELS,
+  createSyncProvider,
+  getSyncProviderEndpoint,
+  loadSyncProviderConfig,
+  saveSyncProviderConfig,
+  validateSyncProviderConfig
+} from "./syncProviders.js";
+import {
+  CAMPAIGN_SORT_MODES,
   loadDevicePrefs,
+  saveDevicePrefs,
   subscribeToDevicePrefsChanges,
   DEFAULT_DEVICE_PREFS
 } from "./devicePrefs.js";
@@ -47,9 +101,90 @@ import {
   buildExportPayload,
   serializeExportPayload,
   parseImportPayload,
-  suggestExportFileName
+  suggestExportFileName,
+  IMPORT_MERGE_ACTIONS,
+  buildImportMergePlan,
+  listPlannedProjects,
+  summarizeImportMergePlan,
+  applyImportMerge
 } from "./transfer.js";
-import { getGoogleSyncStatus, isGoogleSyncAvailable, getGoogleSyncDiagnostics } from "./googleSync.js";
+import {
+  DEFAULT_GOOGLE_SYNC_RECORD,
+  GOOGLE_SYNC_STATES,
+  connectGoogleSync,
+  disconnectGoogleSync,
+  getGoogleSyncDiagnostics,
+  getGoogleSyncStatus,
+  isGoogleSyncAvailable,
+  loadGoogleSyncRecord,
+  pullGoogleSyncState,
+  pushGoogleSyncState,
+  saveGoogleSyncRecord,
+  subscribeToGoogleSyncRecordChanges
+} from "./googleSync.js";
+import { createHistory, recordHistoryEntry, undoHistory, redoHistory, canUndo, canRedo } from "./history.js";
+import { MAX_PALETTE_RESULTS, rankCommands } from "./commandPalette.js";
+import {
+  DEFAULT_LAUNCH_HISTORY,
+  findMostRecentLaunch,
+  loadLaunchHistory,
+  recordProjectLaunch,
+  saveLaunchHistory,
+  subscribeToLaunchHistoryChanges
+} from "./launchHistory.js";
+import {
+  SNAPSHOT_REASONS,
+  diffSnapshotAgainstState,
+  loadSnapshots,
+  readSnapshotState,
+  takeSnapshot
+} from "./snapshots.js";
+import {
+  DEFAULT_GIT_ACTIVITY,
+  buildCampaignActivityTimes,
+  collectRepoPaths,
+  describeGitFreshness,
+  getProjectGitActivity,
+  getProjectRepoPath,
+  isGitActivityStale,
+  loadGitActivity,
+  requestGitActivityRefresh,
+  subscribeToGitActivityChanges
+} from "./gitActivity.js";
+import {
+  BROWSER_HANDOFFS,
+  BROWSER_RULE_KINDS,
+  BROWSER_TARGETS,
+  BROWSER_TARGET_LABELS,
+  buildBrowserHandoffUri,
+  needsBrowserHandoff,
+  normalizeWebRouting,
+  requestBrowserHandoff,
+  resolveLinkBrowser
+} from "./browserRouting.js";
+import {
+  getProjectLinkOverride,
+  normalizeLinkOverrides,
+  resolveProjectLink,
+  setProjectLinkOverride
+} from "./linkOverrides.js";
+import {
+  DEFAULT_LINK_HEALTH,
+  LINK_CHECK_ORIGINS,
+  LINK_HEALTH_STATES,
+  collectCheckableLinks,
+  describeLinkHealth,
+  getProjectLinkProblems,
+  isBrokenLinkHealth,
+  isLinkHealthStale,
+  loadLinkHealth,
+  requestLinkHealthCheck,
+  subscribeToLinkHealthChanges
+} from "./linkHealth.js";
+import { buildCampaignColorTokens } from "./campaignColors.js";
+import { buildCampaignLaunchPlan, countLaunchTargets, openWebTargetsInGroup } from "./workspaceLaunch.js";
+import { fetchPageTitle, parsePastedText, pickEditorLinkType, readPastedAnchorText } from "./smartPaste.js";
+import { listCaptureCampaigns, requestCaptureMenuUpdate } from "./tabCapture.js";
 
 const canvasElement = document.querySelector("#canvas");
 const sideBarElement = document.querySelector("#side-bar");
@@ -63,16 +198,68 @@ const aestheticToggleButton = document.querySelector("#aesthetic-toggle-button")
 const aestheticToggleLabel = document.querySelector("#aesthetic-toggle-label");
 const exportDataButton = document.querySelector("#export-data-button");
 const importDataButton = document.querySelector("#import-data-button");
+const archiveShelfButton = document.querySelector("#archive-shelf-button");
+const snapshotHistoryButton = document.querySelector("#snapshot-history-button");
+const archiveShelfLabel = document.querySelector("#archive-shelf-label");
 const googleSyncButton = document.querySelector("#google-sync-button");
+const googleSyncLabel = document.querySelector("#google-sync-label");
+const browserRoutingButton = document.querySelector("#browser-routing-button");
+const browserRoutingLabel = document.querySelector("#browser-routing-label");
 const importFileInput = document.querySelector("#import-file-input");
+const toastRootElement = document.querySelector("#toast-root");
+const commandPaletteElement = document.querySelector("#command-palette");
+const storageMeterButton = document.querySelector("#storage-meter");
+const storageMeterLabel = document.querySelector("#storage-meter-label");
 
 const PROJECT_TOOLTIP_MS = 1600;
 const SAVE_DEBOUNCE_MS = 220;
+const TOAST_MS = 6000;
+const DRAG_PAGE_FLIP_MS = 650;
+const APP_LAUNCH_INTERVAL_MS = 700;
+const PROJECT_DRAG_THRESHOLD_PX = 5;
+const PROJECT_DRAG_CLICK_GUARD_MS = 300;
+const GOOGLE_SYNC_POLL_MS = 60 * 1000;
 const EDITORIAL_CAMPAIGN_COLOR = "#3f536d";
 const AESTHETIC_STYLESHEETS = {
   [AESTHETICS.BHADRALOK]: "styles/newtab.css",
   [AESTHETICS.VANILLA]: "styles/newtab-vanilla.css"
 };
+const MISSION_OUTCOME_LABELS = {
+  [MISSION_OUTCOMES.COMPLETED]: "Completed",
+  [MISSION_OUTCOMES.ABANDONED]: "Abandoned"
+};
+const IMPORT_CHANGE_LABELS = {
+  name: "name",
+  color: "color",
+  icon: "icon",
+  mission: "mission",
+  links: "links",
+  notes: "notes",
+  status: "status",
+  launch: "launch-all setting",
+  campaigns: "campaigns"
+};
+const IMPORT_ACTION_LABELS = {
+  [IMPORT_MERGE_ACTIONS.ADD]: "Add",
+  [IMPORT_MERGE_ACTIONS.UPDATE]: "Update",
+  [IMPORT_MERGE_ACTIONS.SKIP]: "Skip"
+};
+const PROJECT_STATUS_LABELS = {
+  [PROJECT_STATUSES.ACTIVE]: "Active",
+  [PROJECT_STATUSES.BLOCKED]: "Blocked",
+  [PROJECT_STATUSES.PAUSED]: "Paused",
+  [PROJECT_STATUSES.DONE]: "Done"
+};
+const PROJECT_NOTE_COPY = [
+  { field: PROJECT_NOTE_FIELDS.LEFT_OFF, label: "Left off", placeholder: "Where did you leave off?" },
+  { field: PROJECT_NOTE_FIELDS.NEXT_STEP, label: "Next", placeholder: "What's the next step?" }
+];
+const SNAPSHOT_REASON_LABELS = {
+  [SNAPSHOT_REASONS.AUTO]: "Automatic",
+  [SNAPSHOT_REASONS.BEFORE_IMPORT]: "Before import",
+  [SNAPSHOT_REASONS.BEFORE_DELETE]: "Before delete",
+  [SNAPSHOT_REASONS.BEFORE_RESTORE]: "Before restore"
+};
 const AESTHETIC_LABELS = {
   [AESTHETICS.BHADRALOK]: "Bhadralok",
   [AESTHETICS.VANILLA]: "Vanilla"
@@ -82,15 +269,54 @@ let state = createEmptyState();
 let devicePrefs = { ...DEFAULT_DEVICE_PREFS };
 let activeAesthetic = DEFAULT_AESTHETIC;
 let saveTimer = null;
+let editHistory = createHistory();
+let toastTimer = null;
+let storageUsage = null;
+let lastSaveError = null;
+let lastWarnedStorageLevel = "ok";
+let syncBaseState = null;
+let syncProviderConfig = structuredClone(DEFAULT_SYNC_PROVIDER_CONFIG);
+let syncProvider = null;
+let boardKey = null;
+let encryptionDisabledAt = null;
+let newestSealedAt = null;
+let lockedBoard = null;
+let awaitingSyncChunks = false;
+let newerBoardVersion = null;
+let pendingConflicts = [];
+let paletteCommands = [];
+let paletteResults = [];
+let paletteActiveIndex = 0;
+let openLinkMenuProjectId = null;
+const openCompletedDrawerIds = new Set();
 let unsubscribeStorage = null;
 let unsubscribeDevicePrefs = null;
 let unsubscribeAestheticPrefs = null;
+let unsubscribeLaunchHistory = null;
+let unsubscribeGoogleSync = null;
+let googleSyncRecord = { ...DEFAULT_GOOGLE_SYNC_RECORD };
+let googleSyncQueue = Promise.resolve();
+let isGoogleSyncRunning = false;
+let launchHistory = { ...DEFAULT_LAUNCH_HISTORY };
+let gitActivity = structuredClone(DEFAULT_GIT_ACTIVITY);
+let isGitRefreshPending = false;
+let unsubscribeGitActivity = null;
+let linkHealth = structuredClone(DEFAULT_LINK_HEALTH);
+let isLinkCheckPending = false;
+let unsubscribeLinkHealth = null;
+let captureMenuSignature = null;
 let isSidebarCollapsed = false;
+let hoveredCampaignId = null;
 let dragCampaignId = null;
 let dragPreviewIndex = null;
 let dragPointerId = null;
 let dragPointerOffset = { x: 0, y: 0 };
 let dragGhostElement = null;
+let projectDrag = null;
+let projectDragGhostElement = null;
+let suppressProjectClickUntil = 0;
+let boardPageIndex = 0;
+let lastDragPageFlipAt = 0;
 
 const projectTooltipTimers = new WeakMap();
 
@@ -104,6 +330,7 @@ function getAestheticLabel(aesthetic) {
 
 function applyAesthetic(nextAesthetic, options = { persist: false }) {
   const normalized = sanitizeAesthetic(nextAesthetic);
+  const didChange = normalized !== activeAesthetic;
   activeAesthetic = normalized;
   document.body.dataset.aesthetic = normalized;
 
@@ -127,6 +354,11 @@ function applyAesthetic(nextAesthetic, options = { persist: false }) {
     aestheticToggleButton.setAttribute("aria-label", actionLabel);
   }
 
+  // Campaign text shades are contrast-checked against the active aesthetic's card surface, so cards re-render.
+  if (didChange) {
+    render();
+  }
+
   if (options.persist) {
     saveAestheticPref(normalized).catch((error) => {
       console.warn("Resume: failed to save aesthetic preference.", error);
@@ -135,10 +367,46 @@ function applyAesthetic(nextAesthetic, options = { persist: false }) {
 }
 
 function applyDevicePrefs(nextPrefs) {
+  const previousSort = devicePrefs.campaignSort;
+  const previousOverrides = JSON.stringify(devicePrefs.linkOverrides);
   devicePrefs = {
     ...DEFAULT_DEVICE_PREFS,
     ...(nextPrefs || {})
   };
+
+  // Another tab on this machine may have switched the campaign order or link overrides, so the board follows live.
+  if (devicePrefs.campaignSort !== previousSort || JSON.stringify(devicePrefs.linkOverrides) !== previousOverrides) {
+    render();
+  }
+
+  renderBrowserRoutingButton();
+}
+
+function renderBrowserRoutingButton() {
+  if (!browserRoutingButton || !browserRoutingLabel) {
+    return;
+  }
+
+  const { defaultBrowser, rules } = devicePrefs.webRouting;
+  browserRoutingLabel.textContent = `Web opens in: ${BROWSER_TARGET_LABELS[defaultBrowser]}${
+    rules.length ? ` +${rules.length}` : ""
+  }`;
+  browserRoutingButton.title = rules.length
+    ? `Web links open in ${BROWSER_TARGET_LABELS[defaultBrowser]} on this device, except ${rules.length} routing rule${
+        rules.length === 1 ? "" : "s"
+      }`
+    : `Web links open in ${BROWSER_TARGET_LABELS[defaultBrowser]} on this device`;
+}
+
+function isRecentCampaignSort() {
+  return devicePrefs.campaignSort === CAMPAIGN_SORT_MODES.RECENT;
+}
+
+function setCampaignSortMode(campaignSort) {
+  applyDevicePrefs({ ...devicePrefs, campaignSort });
+  saveDevicePrefs(devicePrefs).catch((error) => {
+    console.warn("Resume: failed to save the campaign sort preference.", error);
+  });
 }
 
 function applySidebarCollapsedState(collapsed) {
@@ -251,7 +519,12 @@ function buildCampaignsForDragPreview() {
   return campaigns;
 }
 
-function buildRenderableState() {
+function buildDragPreviewState() {
+  // A project drag previews the drop by rendering the exact mutation the drop would apply.
+  if (projectDrag?.isActive) {
+    return moveProject(state, projectDrag.projectId, buildProjectDragPlacement());
+  }
+
   if (!dragCampaignId) {
     return state;
   }
@@ -262,8 +535,22 @@ function buildRenderableState() {
   };
 }
 
+function buildRenderableState() {
+  const previewState = buildDragPreviewState();
+  if (!isRecentCampaignSort()) {
+    return previewState;
+  }
+
+  // Recency is read from the committed board, so dragging a project across campaigns cannot reshuffle the cards.
+  return sortCampaignsByActivity(
+    previewState,
+    buildCampaignActivityTimes(state, gitActivity, launchHistory, devicePrefs.linkOverrides)
+  );
+}
+
 function beginCampaignDrag(pointerEvent, campaignId, cardElement) {
-  if (pointerEvent.button !== 0) {
+  // Slot positions follow activity in recent mode, so there is no manual order to drag into.
+  if (pointerEvent.button !== 0 || isRecentCampaignSort()) {
     return;
   }
 
@@ -300,8 +587,9 @@ function updateCampaignPreviewFromPointer(clientX, clientY) {
     return;
   }
 
-  const maxCampaignIndex = Math.max(0, state.campaigns.length - 1);
-  const nextPreviewIndex = Math.min(nearestSlotIndex, maxCampaignIndex);
+  // DOM slots are page-local, while preview indexes address the full active campaign order.
+  const maxCampaignIndex = Math.max(0, getActiveCampaigns(state).length - 1);
+  const nextPreviewIndex = Math.min(boardPageIndex * MAX_CAMPAIGN_SLOTS + nearestSlotIndex, maxCampaignIndex);
 
   if (dragPreviewIndex === nextPreviewIndex) {
     return;
@@ -336,13 +624,38 @@ function finishCampaignDrag(commitDrop) {
 
   const nextState = moveCampaign(state, draggedCampaignId, targetIndex);
   if (nextState !== state) {
-    applyState(nextState);
+    applyState(nextState, { historyLabel: "Reorder campaigns" });
     return;
   }
 
   render();
 }
 
+function flipBoardPageDuringDrag(clientX, clientY) {
+  const pageStepElement = document.elementFromPoint(clientX, clientY)?.closest("[data-page-step]");
+  if (!pageStepElement || pageStepElement.disabled) {
+    return false;
+  }
+
+  // Dwelling on a pager arrow turns the page so campaigns can be carried across board pages.
+  const now = Date.now();
+  if (now - lastDragPageFlipAt < DRAG_PAGE_FLIP_MS) {
+    return true;
+  }
+
+  lastDragPageFlipAt = now;
+  const nextPage = clampBoardPage(state, boardPageIndex + Number(pageStepElement.dataset.pageStep), MAX_CAMPAIGN_SLOTS);
+  if (nextPage !== boardPageIndex) {
+    boardPageIndex = nextPage;
+    if (dragCampaignId) {
+      dragPreviewIndex = Math.min(boardPageIndex * MAX_CAMPAIGN_SLOTS, Math.max(0, getActiveCampaigns(state).length - 1));
+    }
+    render();
+  }
+
+  return true;
+}
+
 function handleCampaignPointerMove(pointerEvent) {
   if (!dragCampaignId || pointerEvent.pointerId !== dragPointerId) {
     return;
@@ -350,6 +663,11 @@ function handleCampaignPointerMove(pointerEvent) {
 
   pointerEvent.preventDefault();
   updateCampaignDragGhostPosition(pointerEvent.clientX, pointerEvent.clientY);
+
+  if (flipBoardPageDuringDrag(pointerEvent.clientX, pointerEvent.clientY)) {
+    return;
+  }
+
   updateCampaignPreviewFromPointer(pointerEvent.clientX, pointerEvent.clientY);
 }
 
@@ -385,6 +703,33 @@ function captureCampaignCardRects() {
   return rectangles;
 }
 
+function playReflowAnimation(element, previous) {
+  if (!previous) {
+    return;
+  }
+
+  const next = element.getBoundingClientRect();
+  const deltaX = previous.left - next.left;
+  const deltaY = previous.top - next.top;
+
+  if (Math.abs(deltaX) < 0.5 && Math.abs(deltaY) < 0.5) {
+    return;
+  }
+
+  // We cancel prior animations so rapid pointer movement does not stack stale motion instructions.
+  element.getAnimations().forEach((animation) => animation.cancel());
+  element.animate(
+    [
+      { transform: `translate(${deltaX}px, ${deltaY}px)` },
+      { transform: "translate(0, 0)" }
+    ],
+    {
+      duration: 180,
+      easing: "cubic-bezier(0.22, 0.7, 0.18, 1)"
+    }
+  );
+}
+
 function animateCampaignCardReflow(previousRectangles) {
   if (!previousRectangles || previousRectangles.size === 0) {
     return;
@@ -396,372 +741,2977 @@ function animateCampaignCardReflow(previousRectangles) {
       return;
     }
 
-    const previous = previousRectangles.get(campaignId);
-    if (!previous) {
-      return;
-    }
+    playReflowAnimation(cardElement, previousRectangles.get(campaignId));
+  });
+}
+
+function captureProjectRowRects() {
+  const rectangles = new Map();
 
-    const next = cardElement.getBoundingClientRect();
-    const deltaX = previous.left - next.left;
-    const deltaY = previous.top - next.top;
+  canvasElement.querySelectorAll(".campaign-project-row[data-row-key]").forEach((rowElement) => {
+    rectangles.set(rowElement.dataset.rowKey, rowElement.getBoundingClientRect());
+  });
+
+  return rectangles;
+}
+
+function animateProjectRowReflow(previousRectangles) {
+  if (!previousRectangles || previousRectangles.size === 0) {
+    return;
+  }
 
-    if (Math.abs(deltaX) < 0.5 && Math.abs(deltaY) < 0.5) {
+  canvasElement.querySelectorAll(".campaign-project-row[data-row-key]").forEach((rowElement) => {
+    if (rowElement.classList.contains("is-drag-source")) {
       return;
     }
 
-    // We cancel prior animations so rapid pointer movement does not stack stale motion instructions.
-    cardElement.getAnimations().forEach((animation) => animation.cancel());
-    cardElement.animate(
-      [
-        { transform: `translate(${deltaX}px, ${deltaY}px)` },
-        { transform: "translate(0, 0)" }
-      ],
-      {
-        duration: 180,
-        easing: "cubic-bezier(0.22, 0.7, 0.18, 1)"
-      }
-    );
+    playReflowAnimation(rowElement, previousRectangles.get(rowElement.dataset.rowKey));
   });
 }
 
-function scheduleStateSave() {
-  window.clearTimeout(saveTimer);
+function buildProjectDragPlacement() {
+  return {
+    fromCampaignId: projectDrag.sourceCampaignId,
+    toCampaignId: projectDrag.targetCampaignId,
+    beforeProjectId: projectDrag.beforeProjectId,
+    copy: projectDrag.copy
+  };
+}
 
-  // Debounced writes keep quick inline edits responsive while still persisting safely.
-  saveTimer = window.setTimeout(async () => {
-    try {
-      await saveState(state);
-    } catch (error) {
-      console.warn("Resume: failed to save state.", error);
-    }
-  }, SAVE_DEBOUNCE_MS);
+function detachProjectPointerDragListeners() {
+  window.removeEventListener("pointermove", handleProjectPointerMove);
+  window.removeEventListener("pointerup", handleProjectPointerUp);
+  window.removeEventListener("pointercancel", handleProjectPointerCancel);
+  window.removeEventListener("blur", handleProjectPointerCancel);
 }
 
-function applyState(nextState, options = { persist: true }) {
-  const didChange = nextState !== state;
+function armProjectDrag(pointerEvent, project, campaignId, rowElement) {
+  if (pointerEvent.button !== 0 || dragCampaignId || projectDrag) {
+    return;
+  }
 
-  state = nextState;
-  render();
+  // Pills stay plain launch buttons until the pointer travels past a small threshold, so clicks still launch.
+  projectDrag = {
+    projectId: project.id,
+    sourceCampaignId: campaignId,
+    pointerId: pointerEvent.pointerId,
+    startX: pointerEvent.clientX,
+    startY: pointerEvent.clientY,
+    rowElement,
+    isActive: false,
+    targetCampaignId: campaignId,
+    beforeProjectId: rowElement.nextElementSibling?.dataset.rowProjectId ?? null,
+    copy: false
+  };
 
-  if (didChange && options.persist) {
-    scheduleStateSave();
-  }
+  window.addEventListener("pointermove", handleProjectPointerMove);
+  window.addEventListener("pointerup", handleProjectPointerUp);
+  window.addEventListener("pointercancel", handleProjectPointerCancel);
+  window.addEventListener("blur", handleProjectPointerCancel);
 }
 
-function closePanel() {
-  panelRootElement.hidden = true;
-  panelRootElement.innerHTML = "";
+function activateProjectDrag(pointerEvent) {
+  const rowBounds = projectDrag.rowElement.getBoundingClientRect();
+  const ghost = projectDrag.rowElement.cloneNode(true);
+  ghost.querySelector(".project-notes")?.remove();
+  ghost.classList.add("project-drag-ghost");
+  ghost.style.width = `${rowBounds.width}px`;
+  document.body.append(ghost);
+
+  projectDragGhostElement = ghost;
+  projectDrag.isActive = true;
+  projectDrag.offsetX = pointerEvent.clientX - rowBounds.left;
+  projectDrag.offsetY = pointerEvent.clientY - rowBounds.top;
+  openLinkMenuProjectId = null;
+  document.body.classList.add("is-project-dragging");
+  window.getSelection()?.removeAllRanges();
 }
 
-function openImportPicker() {
-  if (!importFileInput) {
-    openInfoPanel("Import Unavailable", "The import control is not available in this build.");
+function updateProjectDragGhost(clientX, clientY) {
+  if (!projectDragGhostElement) {
     return;
   }
 
-  importFileInput.value = "";
-  importFileInput.click();
+  projectDragGhostElement.style.left = `${clientX - projectDrag.offsetX}px`;
+  projectDragGhostElement.style.top = `${clientY - projectDrag.offsetY}px`;
+  projectDragGhostElement.classList.toggle("is-copy", projectDrag.copy);
 }
 
-function createPanelScaffold(titleText) {
-  panelRootElement.hidden = false;
-  panelRootElement.innerHTML = "";
-
-  const headerElement = document.createElement("div");
-  headerElement.className = "panel-header";
+function updateProjectDropTarget(pointerEvent) {
+  const cardElement = document
+    .elementFromPoint(pointerEvent.clientX, pointerEvent.clientY)
+    ?.closest(".campaign-card[data-campaign-id]");
 
-  const titleElement = document.createElement("h3");
-  titleElement.textContent = titleText;
+  // Between cards the last target holds, so crossing a gap does not snap the preview back and forth.
+  if (!cardElement) {
+    return;
+  }
 
-  const closeButton = document.createElement("button");
-  closeButton.className = "panel-close";
-  closeButton.type = "button";
-  closeButton.textContent = "Close";
-  closeButton.addEventListener("click", closePanel);
+  const rows = Array.from(
+    cardElement.querySelectorAll(".projects-list:not(.projects-completed-list) > .campaign-project-row")
+  ).filter((rowElement) => rowElement.dataset.rowProjectId !== projectDrag.projectId);
+  const beforeRow = rows.find((rowElement) => {
+    const bounds = rowElement.getBoundingClientRect();
+    return pointerEvent.clientY < bounds.top + bounds.height / 2;
+  });
 
-  headerElement.append(titleElement, closeButton);
-  panelRootElement.append(headerElement);
+  const targetCampaignId = cardElement.dataset.campaignId;
+  // Holding Alt or Ctrl while dropping on another campaign copies the membership instead of moving it.
+  const wantsCopy = pointerEvent.altKey || pointerEvent.ctrlKey || pointerEvent.metaKey;
+  const copy = targetCampaignId !== projectDrag.sourceCampaignId && wantsCopy;
+  const beforeProjectId = beforeRow?.dataset.rowProjectId ?? null;
 
-  const formElement = document.createElement("form");
-  panelRootElement.append(formElement);
+  if (
+    projectDrag.targetCampaignId === targetCampaignId &&
+    projectDrag.beforeProjectId === beforeProjectId &&
+    projectDrag.copy === copy
+  ) {
+    return;
+  }
 
-  return formElement;
+  projectDrag.targetCampaignId = targetCampaignId;
+  projectDrag.beforeProjectId = beforeProjectId;
+  projectDrag.copy = copy;
+  render();
 }
 
-function createField(labelText, inputElement, hintText = "") {
-  const fieldElement = document.createElement("div");
-  fieldElement.className = "panel-field";
-
-  const labelElement = document.createElement("label");
-  labelElement.textContent = labelText;
-
-  fieldElement.append(labelElement, inputElement);
-
-  if (hintText) {
-    const hintElement = document.createElement("small");
-    hintElement.textContent = hintText;
-    fieldElement.append(hintElement);
+function finishProjectDrag(commitDrop) {
+  if (!projectDrag) {
+    return;
   }
 
-  return fieldElement;
-}
-
-function createActionsRow(primaryLabel, onDelete) {
-  const actionsElement = document.createElement("div");
-  actionsElement.className = "panel-actions";
+  const session = projectDrag;
+  detachProjectPointerDragListeners();
+  projectDragGhostElement?.remove();
+  projectDragGhostElement = null;
+  document.body.classList.remove("is-project-dragging");
+  projectDrag = null;
 
-  const cancelButton = document.createElement("button");
-  cancelButton.type = "button";
-  cancelButton.textContent = "Cancel";
-  cancelButton.addEventListener("click", closePanel);
+  if (!session.isActive) {
+    return;
+  }
 
-  const saveButton = document.createElement("button");
-  saveButton.type = "submit";
-  saveButton.textContent = primaryLabel;
+  // The pointerup that ends a drag would otherwise land as a click on whichever pill sits under it.
+  suppressProjectClickUntil = Date.now() + PROJECT_DRAG_CLICK_GUARD_MS;
 
-  actionsElement.append(cancelButton);
+  const project = state.projects.find((item) => item.id === session.projectId);
+  const nextState = commitDrop
+    ? moveProject(state, session.projectId, {
+        fromCampaignId: session.sourceCampaignId,
+        toCampaignId: session.targetCampaignId,
+        beforeProjectId: session.beforeProjectId,
+        copy: session.copy
+      })
+    : state;
 
-  if (onDelete) {
-    const deleteButton = document.createElement("button");
-    deleteButton.type = "button";
-    deleteButton.textContent = "Delete";
-    deleteButton.addEventListener("click", onDelete);
-    actionsElement.append(deleteButton);
+  if (nextState === state || !project) {
+    render();
+    return;
   }
 
-  actionsElement.append(saveButton);
-
-  return actionsElement;
+  const targetName = state.campaigns.find((campaign) => campaign.id === session.targetCampaignId)?.name ?? "";
+  const historyLabel =
+    session.targetCampaignId === session.sourceCampaignId
+      ? "Reorder projects"
+      : `${session.copy ? "Copy" : "Move"} project "${project.name}" to "${targetName}"`;
+  applyState(nextState, { historyLabel });
 }
 
-function openInfoPanel(titleText, messageText) {
-  const formElement = createPanelScaffold(titleText);
-  formElement.addEventListener("submit", (event) => event.preventDefault());
+function handleProjectPointerMove(pointerEvent) {
+  if (!projectDrag || pointerEvent.pointerId !== projectDrag.pointerId) {
+    return;
+  }
 
-  const messageElement = document.createElement("p");
-  messageElement.className = "panel-note";
-  messageElement.textContent = messageText;
+  if (!projectDrag.isActive) {
+    const distance = Math.hypot(pointerEvent.clientX - projectDrag.startX, pointerEvent.clientY - projectDrag.startY);
+    if (distance < PROJECT_DRAG_THRESHOLD_PX) {
+      return;
+    }
 
-  const actionsElement = document.createElement("div");
-  actionsElement.className = "panel-actions";
+    activateProjectDrag(pointerEvent);
+  }
 
-  const closeButton = document.createElement("button");
-  closeButton.type = "button";
-  closeButton.textContent = "Close";
-  closeButton.addEventListener("click", closePanel);
+  pointerEvent.preventDefault();
 
-  actionsElement.append(closeButton);
-  formElement.append(messageElement, actionsElement);
-}
+  if (!flipBoardPageDuringDrag(pointerEvent.clientX, pointerEvent.clientY)) {
+    updateProjectDropTarget(pointerEvent);
+  }
 
-function getStateEntityCounts(targetState) {
-  return {
-    campaigns: Array.isArray(targetState?.campaigns) ? targetState.campaigns.length : 0,
-    projects: Array.isArray(targetState?.projects) ? targetState.projects.length : 0
-  };
+  updateProjectDragGhost(pointerEvent.clientX, pointerEvent.clientY);
 }
 
-function triggerJsonDownload(fileName, content) {
-  const blob = new Blob([content], { type: "application/json" });
-  const url = window.URL.createObjectURL(blob);
-  const anchor = document.createElement("a");
-  anchor.href = url;
-  anchor.download = fileName;
-  document.body.append(anchor);
-  anchor.click();
-  anchor.remove();
+function handleProjectPointerUp(pointerEvent) {
+  if (!projectDrag || pointerEvent.pointerId !== projectDrag.pointerId) {
+    return;
+  }
 
-  // Releasing the object URL avoids leaking transient in-memory blob URLs.
-  window.setTimeout(() => window.URL.revokeObjectURL(url), 0);
+  finishProjectDrag(true);
 }
 
-function exportStateToFile() {
-  try {
-    const payload = buildExportPayload(state);
-    const serialized = serializeExportPayload(payload);
-    triggerJsonDownload(suggestExportFileName(), serialized);
-  } catch (error) {
-    openInfoPanel("Export Failed", "Resume could not export data right now. Try again.");
+function handleProjectPointerCancel(pointerEvent) {
+  if (projectDrag && typeof pointerEvent?.pointerId === "number" && pointerEvent.pointerId !== projectDrag.pointerId) {
+    return;
   }
+
+  finishProjectDrag(false);
 }
 
-function openImportConfirmationPanel(importSourceLabel, incomingState) {
-  const formElement = createPanelScaffold("Import Data (Replace Current Map)");
-  formElement.addEventListener("submit", (event) => event.preventDefault());
+function scheduleStateSave() {
+  window.clearTimeout(saveTimer);
 
-  const currentCounts = getStateEntityCounts(state);
-  const incomingCounts = getStateEntityCounts(incomingState);
+  // Debounced writes keep quick inline edits responsive while still persisting safely.
+  saveTimer = window.setTimeout(async () => {
+    const savedState = state;
+
+    // Writing while the synced board is still locked would replace it with this device's partial view.
+    if (lockedBoard) {
+      showToast("The synced board is locked. Unlock it to save your changes.", {
+        label: "Unlock",
+        onAction: openBoardUnlockPanel
+      });
+      return;
+    }
 
-  const warningCallout = document.createElement("div");
-  warningCallout.className = "panel-warning";
+    // Until every chunk of the synced board is here, this device only knows an empty stand-in for it.
+    if (awaitingSyncChunks) {
+      const rawBoard = await syncProvider.load();
+      if (isIncompleteSyncBoard(rawBoard)) {
+        showToast("The synced board is still arriving. Your changes are saved once it is complete.");
+        return;
+      }
 
-  const warningTitle = document.createElement("h4");
-  warningTitle.textContent = "This will fully replace your current map.";
+      // The rest arrived without a change event reaching this tab, so it is merged in before anything is written.
+      awaitingSyncChunks = false;
+      renderStorageMeter();
 
-  const warningBody = document.createElement("p");
-  warningBody.textContent =
-    "Campaigns, projects, missions, and layout data from the import file will overwrite your current Resume data.";
+      if (rawBoard) {
+        await adoptFetchedRemoteState(rawBoard);
+        return;
+      }
+    }
 
-  warningCallout.append(warningTitle, warningBody);
+    // This build would drop whatever the newer schema added, for every device, so it never writes over that board.
+    if (newerBoardVersion) {
+      showToast("This board was saved by a newer version of Resume. Update Resume here to save changes.");
+      return;
+    }
 
-  const importSummary = document.createElement("p");
-  importSummary.className = "panel-note";
-  importSummary.textContent = `Import file: ${importSourceLabel || "Selected file"} · Incoming ${incomingCounts.campaigns} campaign${
-    incomingCounts.campaigns === 1 ? "" : "s"
-  }, ${incomingCounts.projects} project${incomingCounts.projects === 1 ? "" : "s"}.`;
+    try {
+      const { conflictState } = await syncProvider.save(await prepareSyncedBoard(savedState));
+      lastSaveError = null;
+
+      // The server held a newer board; merging it schedules another save against the server's latest version.
+      if (conflictState) {
+        await adoptFetchedRemoteState(conflictState);
+        await refreshStorageMeter();
+        return;
+      }
+
+      // What we just wrote is now the common ancestor for merging the next remote change.
+      syncBaseState = savedState;
+      // The snapshot module decides whether an hourly copy is due, so most saves write nothing extra.
+      takeSnapshot(savedState).catch((error) => {
+        console.warn("Resume: failed to record an automatic snapshot.", error);
+      });
+      pushBoardToGoogleDrive(savedState);
+    } catch (error) {
+      console.warn("Resume: failed to save state.", error);
+      lastSaveError = error instanceof Error ? error : new Error(String(error));
+
+      // Save failures are surfaced, because an unsaved board silently diverges from every other device.
+      showToast(
+        isStorageQuotaError(lastSaveError)
+          ? "Sync storage is full. Your latest change is only on this tab."
+          : "Resume could not save your latest change.",
+        { label: "Details", onAction: openStorageUsagePanel }
+      );
+    }
+
+    await refreshStorageMeter();
+  }, SAVE_DEBOUNCE_MS);
+}
+
+function renderStorageMeter() {
+  if (!storageMeterButton) {
+    return;
+  }
+
+  if (lockedBoard || newerBoardVersion) {
+    storageMeterButton.dataset.level = "error";
+    storageMeterButton.style.setProperty("--storage-meter-ratio", "0");
+    storageMeterButton.title = lockedBoard
+      ? "The synced board is encrypted. Enter its passphrase to open it."
+      : "The synced board was saved by a newer version of Resume. Update Resume to open it.";
+    storageMeterButton.setAttribute("aria-label", storageMeterButton.title);
+
+    if (storageMeterLabel) {
+      storageMeterLabel.textContent = lockedBoard ? "Board locked" : "Update Resume";
+    }
+
+    return;
+  }
+
+  if (awaitingSyncChunks) {
+    storageMeterButton.dataset.level = "warning";
+    storageMeterButton.style.setProperty("--storage-meter-ratio", "0");
+    storageMeterButton.title = "Chrome sync is still delivering the board. Changes here are saved once it has arrived.";
+    storageMeterButton.setAttribute("aria-label", storageMeterButton.title);
+
+    if (storageMeterLabel) {
+      storageMeterLabel.textContent = "Board arriving…";
+    }
+
+    return;
+  }
+
+  // Self-hosted providers have no quota to measure, so the meter names the provider and only lights up on errors.
+  if (!storageUsage) {
+    const providerError = lastSaveError?.message ?? syncProvider?.getLastError();
+    storageMeterButton.dataset.level = providerError ? "error" : "ok";
+    storageMeterButton.style.setProperty("--storage-meter-ratio", "0");
+    storageMeterButton.title = providerError
+      ? `Last sync failed: ${providerError}`
+      : `Board stored in ${syncProvider?.label}`;
+    storageMeterButton.setAttribute("aria-label", storageMeterButton.title);
+
+    if (storageMeterLabel) {
+      storageMeterLabel.textContent = providerError ? `${syncProvider?.label}: error` : `Sync: ${syncProvider?.label}`;
+    }
+
+    return;
+  }
+
+  const percent = Math.round(storageUsage.ratio * 100);
+  const level = lastSaveError ? "error" : storageUsage.level;
+  const detail = `${formatKilobytes(storageUsage.bytesInUse)} of ${formatKilobytes(storageUsage.quotaBytes)} used in ${
+    storageUsage.backend
+  }`;
+
+  storageMeterButton.dataset.level = level;
+  storageMeterButton.style.setProperty("--storage-meter-ratio", String(storageUsage.ratio));
+  storageMeterButton.title = lastSaveError ? `Last save failed: ${lastSaveError.message}` : detail;
+  storageMeterButton.setAttribute("aria-label", `Storage ${percent}% used. ${storageMeterButton.title}`);
+
+  if (storageMeterLabel) {
+    storageMeterLabel.textContent = lastSaveError ? "Storage: save failed" : `Storage ${percent}%`;
+  }
+}
+
+async function refreshStorageMeter() {
+  try {
+    storageUsage = await syncProvider.getUsage();
+  } catch (error) {
+    console.warn("Resume: failed to read storage usage.", error);
+    return;
+  }
+
+  renderStorageMeter();
+
+  if (!storageUsage) {
+    return;
+  }
+
+  // We warn once per escalation so a nearly full board nudges without nagging on every save.
+  if (storageUsage.level !== "ok" && storageUsage.level !== lastWarnedStorageLevel && !lastSaveError) {
+    showToast(`Sync storage is ${Math.round(storageUsage.ratio * 100)}% full.`, {
+      label: "Details",
+      onAction: openStorageUsagePanel
+    });
+  }
+
+  lastWarnedStorageLevel = storageUsage.level;
+}
+
+function openStorageUsagePanel() {
+  const formElement = createPanelScaffold("Storage Usage");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const usage = storageUsage;
+  const lines = usage
+    ? [
+        `Backend: ${usage.backend}`,
+        `Used: ${formatKilobytes(usage.bytesInUse)} of ${formatKilobytes(usage.quotaBytes)} (${Math.round(usage.ratio * 100)}%)`,
+        ...(usage.perItemQuotaBytes
+          ? [`Board chunks: ${usage.chunkCount}, each under ${formatKilobytes(usage.perItemQuotaBytes)}`]
+          : [])
+      ]
+    : syncProvider.getDiagnostics().map(([label, value]) => `${label}: ${value}`);
+
+  const usageBody = document.createElement("p");
+  usageBody.className = "panel-note";
+  usageBody.textContent = lines.join("\n");
+  usageBody.style.whiteSpace = "pre-line";
+
+  formElement.append(usageBody);
+
+  if (lastSaveError) {
+    const errorCallout = document.createElement("div");
+    errorCallout.className = "panel-warning";
+
+    const errorTitle = document.createElement("h4");
+    errorTitle.textContent = "The latest change was not saved.";
+
+    const errorBody = document.createElement("p");
+    errorBody.textContent = lastSaveError.message;
+
+    errorCallout.append(errorTitle, errorBody);
+    formElement.append(errorCallout);
+  }
+
+  const guidance = document.createElement("p");
+  guidance.className = "panel-note";
+  guidance.textContent = usage
+    ? "To free space, delete dormant campaigns or shorten long missions and project links. Export Data keeps a full copy on disk first."
+    : "Self-hosted servers have no quota here. Other devices' edits are pulled every minute while this tab is open.";
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const providerButton = document.createElement("button");
+  providerButton.type = "button";
+  providerButton.textContent = "Change Provider";
+  providerButton.addEventListener("click", openSyncProviderPanel);
+
+  const encryptionButton = document.createElement("button");
+  encryptionButton.type = "button";
+  encryptionButton.textContent = boardKey ? "Encryption: On" : "Encryption";
+  encryptionButton.addEventListener("click", openEncryptionPanel);
+
+  const exportButton = document.createElement("button");
+  exportButton.type = "button";
+  exportButton.textContent = "Export Data";
+  exportButton.addEventListener("click", () => {
+    exportStateToFile();
+  });
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  actionsElement.append(providerButton, encryptionButton, exportButton, closeButton);
+  formElement.append(guidance, actionsElement);
+}
+
+function subscribeToSyncProvider() {
+  // Provider subscriptions keep other windows and devices in step without manual refresh.
+  return syncProvider.subscribe(async (incomingState) => {
+    // Chrome sync only reports a board once every chunk of it has arrived.
+    if (awaitingSyncChunks) {
+      awaitingSyncChunks = false;
+      renderStorageMeter();
+    }
+
+    const openedState = await openIncomingBoard(incomingState);
+    if (incomingState && !openedState) {
+      return;
+    }
+
+    const normalized = normalizeState(openedState || createEmptyState());
+
+    if (normalized.updatedAt === state.updatedAt) {
+      return;
+    }
+
+    handleIncomingRemoteState(normalized);
+  });
+}
+
+async function activateSyncProvider(nextConfig) {
+  unsubscribeStorage?.();
+  syncProviderConfig = nextConfig;
+  syncProvider = createSyncProvider(nextConfig);
+  storageUsage = null;
+  lastSaveError = null;
+  awaitingSyncChunks = false;
+
+  // A provider that already holds a board is merged like any sync arrival; an empty one is seeded with this board.
+  const providerState = await syncProvider.load();
+  if (providerState) {
+    await adoptFetchedRemoteState(providerState);
+  } else {
+    scheduleStateSave();
+  }
+
+  unsubscribeStorage = subscribeToSyncProvider();
+  await refreshStorageMeter();
+}
+
+function sealOutgoingBoard(board) {
+  return boardKey ? sealBoard(board, boardKey) : Promise.resolve(board);
+}
+
+function prepareSyncedBoard(board) {
+  if (!boardKey) {
+    return Promise.resolve(markEncryptionDisabled(board, encryptionDisabledAt));
+  }
+
+  newestSealedAt = board.updatedAt;
+  return sealBoard(board, boardKey);
+}
+
+function restampBoard() {
+  // A fresh timestamp makes every sync layer, Drive's echo check included, rewrite the board in its new form.
+  applyState({ ...state, updatedAt: new Date().toISOString() }, { recordHistory: false });
+}
+
+function holdNewerBoard(board) {
+  if (!isNewerThanSupported(board)) {
+    newerBoardVersion = null;
+    return board;
+  }
+
+  // Normalizing a newer board would drop what its schema added, so it stays unopened until this device updates.
+  const wasHeld = Boolean(newerBoardVersion);
+  newerBoardVersion = readStateVersion(board);
+  renderStorageMeter();
+
+  if (!wasHeld) {
+    openNewerBoardPanel();
+  }
+
+  return null;
+}
+
+function openNewerBoardPanel() {
+  openInfoPanel(
+    "Update Resume",
+    `The synced board was saved by a newer version of Resume (board schema ${newerBoardVersion}). Update the ` +
+      "extension on this device to open it; until then nothing on this device is saved over it."
+  );
+}
+
+async function openIncomingBoard(rawBoard) {
+  if (isIncompleteSyncBoard(rawBoard)) {
+    awaitingSyncChunks = true;
+    renderStorageMeter();
+    return null;
+  }
+
+  if (isNewerThanSupported(rawBoard)) {
+    return holdNewerBoard(rawBoard);
+  }
+
+  if (!isSealedBoard(rawBoard)) {
+    const disabledAt = readEncryptionDisabledAt(rawBoard);
+
+    if (rawBoard && boardKey) {
+      if (disabledAt && (!newestSealedAt || disabledAt > newestSealedAt)) {
+        boardKey = null;
+        forgetBoardKey();
+        showToast("Board encryption was turned off on another device.");
+      } else {
+        // Without a newer switch-off stamp this is a device that wrote without the key, so the board is sealed again.
+        // The restamp waits a turn, until the caller has applied this arrival, so it seals the board just received.
+        console.warn("Resume: a plaintext board arrived while encryption is on; sealing it again.");
+        showToast("Another device saved the board without encryption. It has been encrypted again.");
+        window.setTimeout(restampBoard, 0);
+      }
+    }
+
+    if (disabledAt && !boardKey) {
+      encryptionDisabledAt = disabledAt;
+    }
+
+    lockedBoard = null;
+    return holdNewerBoard(rawBoard);
+  }
+
+  try {
+    const openedBoard = await openSealedBoard(rawBoard, boardKey);
+    lockedBoard = null;
+    encryptionDisabledAt = null;
+
+    if (rawBoard.updatedAt && (!newestSealedAt || rawBoard.updatedAt > newestSealedAt)) {
+      newestSealedAt = rawBoard.updatedAt;
+    }
+
+    return holdNewerBoard(migrateState(openedBoard).state);
+  } catch {
+    // This device never had the passphrase, or it was changed elsewhere; the board waits until it is entered.
+    const wasLocked = Boolean(lockedBoard);
+    lockedBoard = rawBoard;
+    renderStorageMeter();
+
+    if (!wasLocked) {
+      openBoardUnlockPanel();
+    }
+
+    return null;
+  }
+}
+
+function openPassphrasePanel({ title, message, envelope, submitLabel, onUnlock }) {
+  const formElement = createPanelScaffold(title);
+
+  const note = document.createElement("p");
+  note.className = "panel-note";
+  note.textContent = message;
+
+  const passphraseInput = document.createElement("input");
+  passphraseInput.type = "password";
+  passphraseInput.autocomplete = "current-password";
+  passphraseInput.required = true;
+  passphraseInput.autofocus = true;
+
+  const errorElement = document.createElement("p");
+  errorElement.className = "panel-error";
+
+  const actionsElement = createActionsRow(submitLabel);
+  formElement.append(note, createField("Passphrase", passphraseInput), errorElement, actionsElement);
+
+  formElement.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    errorElement.textContent = "Checking…";
+
+    let unlockedKey;
+    try {
+      unlockedKey = await unlockBoardKey(passphraseInput.value, envelope);
+    } catch (error) {
+      errorElement.textContent = error instanceof Error ? error.message : "That passphrase did not work.";
+      passphraseInput.select();
+      return;
+    }
+
+    closePanel();
+    await onUnlock(unlockedKey);
+  });
+}
+
+function openBoardUnlockPanel() {
+  if (!lockedBoard) {
+    return;
+  }
+
+  openPassphrasePanel({
+    title: "Unlock Board",
+    message: "This board is encrypted. Enter its passphrase to open it here; until then, changes on this device are not saved.",
+    envelope: lockedBoard,
+    submitLabel: "Unlock",
+    onUnlock: async (unlockedKey) => {
+      boardKey = unlockedKey;
+      await rememberBoardKey(unlockedKey).catch((error) => {
+        console.warn("Resume: failed to remember the board key.", error);
+      });
+
+      const openedState = await openIncomingBoard(lockedBoard);
+      renderStorageMeter();
+
+      if (openedState) {
+        handleIncomingRemoteState(normalizeState(openedState));
+      }
+    }
+  });
+}
+
+function openEncryptionPanel() {
+  if (lockedBoard) {
+    openBoardUnlockPanel();
+    return;
+  }
+
+  const isEncrypted = Boolean(boardKey);
+  const formElement = createPanelScaffold("Board Encryption");
+
+  const statusCallout = document.createElement("div");
+  statusCallout.className = "panel-status";
+
+  const statusTitle = document.createElement("h4");
+  statusTitle.textContent = isEncrypted ? "Encryption Is On" : "Encryption Is Off";
+
+  const statusBody = document.createElement("p");
+  statusBody.textContent = isEncrypted
+    ? "The board is encrypted before it syncs or is exported. Other devices ask for the passphrase once per session."
+    : "The board syncs and exports as readable JSON. Turn on a passphrase to encrypt it before it leaves this device.";
+
+  statusCallout.append(statusTitle, statusBody);
+
+  const passphraseInput = document.createElement("input");
+  passphraseInput.type = "password";
+  passphraseInput.autocomplete = "new-password";
+  passphraseInput.minLength = MIN_PASSPHRASE_LENGTH;
+
+  const confirmInput = document.createElement("input");
+  confirmInput.type = "password";
+  confirmInput.autocomplete = "new-password";
+
+  const warning = document.createElement("p");
+  warning.className = "panel-note";
+  warning.textContent =
+    "Resume cannot recover a forgotten passphrase. Snapshots in History stay on each device and remain readable.";
+
+  const errorElement = document.createElement("p");
+  errorElement.className = "panel-error";
+
+  const actionsElement = createActionsRow(isEncrypted ? "Change Passphrase" : "Turn On Encryption");
+
+  if (isEncrypted) {
+    const turnOffButton = document.createElement("button");
+    turnOffButton.type = "button";
+    turnOffButton.textContent = "Turn Off";
+    turnOffButton.addEventListener("click", () => {
+      boardKey = null;
+      forgetBoardKey();
+      encryptionDisabledAt = new Date().toISOString();
+      closePanel();
+      restampBoard();
+      showToast("Encryption is off. The board syncs as readable JSON again.");
+    });
+    actionsElement.prepend(turnOffButton);
+  }
+
+  formElement.append(
+    statusCallout,
+    createField(
+      isEncrypted ? "New passphrase" : "Passphrase",
+      passphraseInput,
+      `At least ${MIN_PASSPHRASE_LENGTH} characters.`
+    ),
+    createField("Repeat passphrase", confirmInput),
+    warning,
+    errorElement,
+    actionsElement
+  );
+
+  formElement.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    if (passphraseInput.value !== confirmInput.value) {
+      errorElement.textContent = "The two passphrases do not match.";
+      return;
+    }
+
+    errorElement.textContent = "Deriving key…";
+
+    try {
+      boardKey = await createBoardKey(passphraseInput.value);
+    } catch (error) {
+      errorElement.textContent = error instanceof Error ? error.message : "Could not create a key from that passphrase.";
+      return;
+    }
+
+    await rememberBoardKey(boardKey).catch((error) => {
+      console.warn("Resume: failed to remember the board key.", error);
+    });
+
+    encryptionDisabledAt = null;
+    closePanel();
+    restampBoard();
+    showToast(isEncrypted ? "Passphrase changed. Other devices will ask for the new one." : "Encryption is on.");
+  });
+}
+
+function requestEndpointPermission(endpoint) {
+  // Self-hosted servers rarely send CORS headers for extension origins, so Resume asks for that one host instead.
+  if (!endpoint || typeof chrome === "undefined" || !chrome.permissions?.request) {
+    return Promise.resolve(true);
+  }
+
+  return chrome.permissions.request({ origins: [`${new URL(endpoint).origin}/*`] }).catch(() => false);
+}
+
+function openSyncProviderPanel() {
+  const formElement = createPanelScaffold("Sync Provider");
+  const draft = structuredClone(syncProviderConfig);
+
+  const providerSelect = document.createElement("select");
+  Object.values(SYNC_PROVIDER_IDS).forEach((providerId) => {
+    const option = document.createElement("option");
+    option.value = providerId;
+    option.textContent = SYNC_PROVIDER_LABELS[providerId];
+    option.selected = providerId === draft.providerId;
+    providerSelect.append(option);
+  });
+
+  const createInput = (type, value, placeholder) => {
+    const input = document.createElement("input");
+    input.type = type;
+    input.value = value;
+    input.placeholder = placeholder;
+    input.autocomplete = "off";
+    return input;
+  };
+
+  const webdavUrlInput = createInput("url", draft.webdav.url, "https://dav.example.com/resume/board.json");
+  const webdavUserInput = createInput("text", draft.webdav.username, "Username");
+  const webdavPasswordInput = createInput("password", draft.webdav.password, "Password or app password");
+  const httpUrlInput = createInput("url", draft.httpJson.url, "https://sync.example.com/boards/team");
+  const httpTokenInput = createInput("password", draft.httpJson.token, "Optional bearer token");
+
+  const webdavFields = [
+    createField("File URL", webdavUrlInput, "The board is kept as this one JSON file; its folder is created if missing."),
+    createField("Username", webdavUserInput),
+    createField("Password", webdavPasswordInput)
+  ];
+  const httpFields = [
+    createField("Endpoint", httpUrlInput, "GET returns the board as JSON (404 when empty) and PUT replaces it."),
+    createField("Token", httpTokenInput, "Sent as a bearer token. Leave empty for servers without auth.")
+  ];
+
+  const note = document.createElement("p");
+  note.className = "panel-note";
+  note.textContent =
+    "Provider settings and credentials stay on this device. Switching merges this board into the new provider's copy.";
+
+  const errorElement = document.createElement("p");
+  errorElement.className = "panel-error";
+
+  const refreshProviderFields = () => {
+    webdavFields.forEach((field) => {
+      field.hidden = providerSelect.value !== SYNC_PROVIDER_IDS.WEBDAV;
+    });
+    httpFields.forEach((field) => {
+      field.hidden = providerSelect.value !== SYNC_PROVIDER_IDS.HTTP_JSON;
+    });
+    errorElement.textContent = "";
+  };
+
+  providerSelect.addEventListener("change", refreshProviderFields);
+  refreshProviderFields();
+
+  formElement.append(
+    createField("Keep this board in", providerSelect),
+    ...webdavFields,
+    ...httpFields,
+    note,
+    errorElement,
+    createActionsRow("Switch")
+  );
+
+  formElement.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const nextConfig = {
+      providerId: providerSelect.value,
+      webdav: { url: webdavUrlInput.value, username: webdavUserInput.value, password: webdavPasswordInput.value },
+      httpJson: { url: httpUrlInput.value, token: httpTokenInput.value }
+    };
+
+    const problem = validateSyncProviderConfig(nextConfig);
+    if (problem) {
+      errorElement.textContent = problem;
+      return;
+    }
+
+    // The permission prompt must open inside the click's user gesture, before anything else is awaited.
+    if (!(await requestEndpointPermission(getSyncProviderEndpoint(nextConfig)))) {
+      errorElement.textContent = "Resume needs permission to reach that server before it can sync there.";
+      return;
+    }
+
+    try {
+      await saveSyncProviderConfig(nextConfig);
+    } catch (error) {
+      errorElement.textContent = error instanceof Error ? error.message : "Could not save the provider settings.";
+      return;
+    }
+
+    closePanel();
+    await activateSyncProvider(nextConfig);
+    showToast(`Board now syncs through ${syncProvider.label}.`);
+  });
+}
+
+function applyState(nextState, options = {}) {
+  const { persist = true, recordHistory = persist, historyLabel = "Edit" } = options;
+  const didChange = nextState !== state;
+
+  // Only local, persisted edits are undoable; remote sync arrivals pass persist: false and stay out of history.
+  if (didChange && recordHistory) {
+    editHistory = recordHistoryEntry(editHistory, { label: historyLabel, before: state, after: nextState });
+  }
+
+  state = nextState;
+  render();
+
+  if (didChange && persist) {
+    scheduleStateSave();
+  }
+
+  // A newly linked checkout gets its git status, and a new link its health check, without waiting for the next window.
+  if (didChange) {
+    refreshGitActivity();
+    refreshLinkHealth();
+    syncCaptureMenu();
+  }
+}
+
+function syncCaptureMenu() {
+  // A locked, newer, or still-arriving board shows no campaigns, and the menu should keep the last ones it knew.
+  if (lockedBoard || newerBoardVersion || awaitingSyncChunks) {
+    return;
+  }
+
+  const campaigns = listCaptureCampaigns(state);
+  const signature = JSON.stringify(campaigns);
+
+  // Only a renamed, added, or archived campaign changes the menu, so ordinary edits send nothing.
+  if (signature === captureMenuSignature) {
+    return;
+  }
+
+  captureMenuSignature = signature;
+  requestCaptureMenuUpdate(campaigns);
+}
+
+function hideToast() {
+  window.clearTimeout(toastTimer);
+  toastTimer = null;
+
+  if (toastRootElement) {
+    toastRootElement.hidden = true;
+    toastRootElement.innerHTML = "";
+  }
+}
+
+function showToast(message, action = null) {
+  if (!toastRootElement) {
+    return;
+  }
+
+  window.clearTimeout(toastTimer);
+  toastRootElement.innerHTML = "";
+
+  const messageElement = document.createElement("p");
+  messageElement.className = "toast-message";
+  messageElement.textContent = message;
+  toastRootElement.append(messageElement);
+
+  if (action) {
+    const actionButton = document.createElement("button");
+    actionButton.type = "button";
+    actionButton.className = "toast-action";
+    actionButton.textContent = action.label;
+    actionButton.addEventListener("click", () => {
+      hideToast();
+      action.onAction();
+    });
+    toastRootElement.append(actionButton);
+  }
+
+  toastRootElement.hidden = false;
+  toastTimer = window.setTimeout(hideToast, TOAST_MS);
+}
+
+function describeReplay(verb, result) {
+  if (result.conflictCount > 0 && result.appliedCount === 0) {
+    return `Nothing to ${verb.toLowerCase()}: "${result.label}" was changed again on another device.`;
+  }
+
+  if (result.conflictCount > 0) {
+    return `${verb}: ${result.label} (items edited elsewhere were kept).`;
+  }
+
+  return `${verb}: ${result.label}`;
+}
+
+function undoLastChange() {
+  const result = undoHistory(editHistory, state);
+  if (!result) {
+    showToast("Nothing to undo.");
+    return;
+  }
+
+  editHistory = result.history;
+
+  // Replayed state is renormalized so memberships pointing at still-missing campaigns are dropped cleanly.
+  if (result.appliedCount > 0) {
+    applyState(normalizeState(result.state), { recordHistory: false });
+  }
+
+  showToast(describeReplay("Undid", result), canRedo(editHistory) ? { label: "Redo", onAction: redoLastChange } : null);
+}
+
+function redoLastChange() {
+  const result = redoHistory(editHistory, state);
+  if (!result) {
+    showToast("Nothing to redo.");
+    return;
+  }
+
+  editHistory = result.history;
+
+  if (result.appliedCount > 0) {
+    applyState(normalizeState(result.state), { recordHistory: false });
+  }
+
+  showToast(describeReplay("Redid", result), canUndo(editHistory) ? { label: "Undo", onAction: undoLastChange } : null);
+}
+
+function isTextEditingTarget(target) {
+  if (!(target instanceof Element)) {
+    return false;
+  }
+
+  return Boolean(target.closest("input, textarea, select, [contenteditable='true']"));
+}
+
+function closePanel() {
+  panelRootElement.hidden = true;
+  panelRootElement.innerHTML = "";
+}
+
+function openImportPicker() {
+  if (!importFileInput) {
+    openInfoPanel("Import Unavailable", "The import control is not available in this build.");
+    return;
+  }
+
+  importFileInput.value = "";
+  importFileInput.click();
+}
+
+function createPanelScaffold(titleText) {
+  panelRootElement.hidden = false;
+  panelRootElement.innerHTML = "";
+
+  const headerElement = document.createElement("div");
+  headerElement.className = "panel-header";
+
+  const titleElement = document.createElement("h3");
+  titleElement.textContent = titleText;
+
+  const closeButton = document.createElement("button");
+  closeButton.className = "panel-close";
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  headerElement.append(titleElement, closeButton);
+  panelRootElement.append(headerElement);
+
+  const formElement = document.createElement("form");
+  panelRootElement.append(formElement);
+
+  return formElement;
+}
+
+function createField(labelText, inputElement, hintText = "") {
+  const fieldElement = document.createElement("div");
+  fieldElement.className = "panel-field";
+
+  const labelElement = document.createElement("label");
+  labelElement.textContent = labelText;
+
+  fieldElement.append(labelElement, inputElement);
+
+  if (hintText) {
+    const hintElement = document.createElement("small");
+    hintElement.textContent = hintText;
+    fieldElement.append(hintElement);
+  }
+
+  return fieldElement;
+}
+
+function createActionsRow(primaryLabel, onDelete) {
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.textContent = "Cancel";
+  cancelButton.addEventListener("click", closePanel);
+
+  const saveButton = document.createElement("button");
+  saveButton.type = "submit";
+  saveButton.textContent = primaryLabel;
+
+  actionsElement.append(cancelButton);
+
+  if (onDelete) {
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.textContent = "Delete";
+    deleteButton.addEventListener("click", onDelete);
+    actionsElement.append(deleteButton);
+  }
+
+  actionsElement.append(saveButton);
+
+  return actionsElement;
+}
+
+function openInfoPanel(titleText, messageText) {
+  const formElement = createPanelScaffold(titleText);
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const messageElement = document.createElement("p");
+  messageElement.className = "panel-note";
+  messageElement.textContent = messageText;
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  actionsElement.append(closeButton);
+  formElement.append(messageElement, actionsElement);
+}
+
+function getStateEntityCounts(targetState) {
+  return {
+    campaigns: Array.isArray(targetState?.campaigns) ? targetState.campaigns.length : 0,
+    projects: Array.isArray(targetState?.projects) ? targetState.projects.length : 0
+  };
+}
+
+function triggerJsonDownload(fileName, content) {
+  const blob = new Blob([content], { type: "application/json" });
+  const url = window.URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.append(anchor);
+  anchor.click();
+  anchor.remove();
+
+  // Releasing the object URL avoids leaking transient in-memory blob URLs.
+  window.setTimeout(() => window.URL.revokeObjectURL(url), 0);
+}
+
+async function exportStateToFile() {
+  try {
+    const payload = buildExportPayload(state);
+    // With encryption on, exports are sealed with the same key, so the file opens with the board's passphrase.
+    const serialized = serializeExportPayload(await sealOutgoingBoard(payload));
+    triggerJsonDownload(suggestExportFileName(), serialized);
+  } catch (error) {
+    openInfoPanel("Export Failed", "Resume could not export data right now. Try again.");
+  }
+}
+
+function countLabel(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+function describeMergeCounts(counts, noun) {
+  return `${countLabel(counts[IMPORT_MERGE_ACTIONS.ADD], noun)} to add, ${counts[IMPORT_MERGE_ACTIONS.UPDATE]} to update, ${
+    counts[IMPORT_MERGE_ACTIONS.SKIP]
+  } unchanged`;
+}
+
+function describeCampaignMergeEntry(plan, entry) {
+  const parts = [];
+
+  if (entry.action === IMPORT_MERGE_ACTIONS.ADD) {
+    parts.push("New campaign");
+  } else {
+    const matchNote = entry.matchedBy === "name" ? `Matches "${entry.target.name}" by name` : "Matches by id";
+    const changeNote = entry.changes.length
+      ? `updates ${entry.changes.map((change) => IMPORT_CHANGE_LABELS[change] || change).join(", ")}`
+      : "no campaign changes";
+    parts.push(`${matchNote} · ${changeNote}`);
+  }
+
+  const projectCounts = summarizeImportMergePlan(
+    { campaigns: [], projects: listPlannedProjects(plan, entry.incoming.id) },
+    [entry.incoming.id]
+  ).projects;
+  parts.push(describeMergeCounts(projectCounts, "project"));
+
+  return parts.join(" · ");
+}
+
+function renderImportMergeEntry(plan, entry, onToggle) {
+  const item = document.createElement("li");
+  item.className = "import-merge-entry";
+  item.dataset.action = entry.action;
+
+  const label = document.createElement("label");
+  label.className = "import-merge-choice";
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.value = entry.incoming.id;
+  checkbox.checked = true;
+  checkbox.addEventListener("change", onToggle);
+
+  const name = document.createElement("span");
+  name.className = "import-merge-name";
+  name.textContent = entry.incoming.name;
+
+  const badge = document.createElement("span");
+  badge.className = "import-merge-badge";
+  badge.textContent = IMPORT_ACTION_LABELS[entry.action];
+
+  label.append(checkbox, name, badge);
+
+  const detail = document.createElement("small");
+  detail.className = "import-merge-detail";
+  detail.textContent = describeCampaignMergeEntry(plan, entry);
+
+  item.append(label, detail);
+  return item;
+}
+
+function openImportConfirmationPanel(importSourceLabel, incomingState, migrationNotes = []) {
+  const formElement = createPanelScaffold("Import Data");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const currentCounts = getStateEntityCounts(state);
+  const incomingCounts = getStateEntityCounts(incomingState);
+  const mergePlan = buildImportMergePlan(state, incomingState);
+
+  const modeSelect = document.createElement("select");
+  [
+    { value: "merge", label: "Merge into current map" },
+    { value: "replace", label: "Replace current map" }
+  ].forEach((option) => {
+    const optionElement = document.createElement("option");
+    optionElement.value = option.value;
+    optionElement.textContent = option.label;
+    modeSelect.append(optionElement);
+  });
+
+  const modeField = createField(
+    "Import Mode",
+    modeSelect,
+    "Merge matches campaigns and projects by id, then by name, and never deletes anything on this map."
+  );
+
+  const importSummary = document.createElement("p");
+  importSummary.className = "panel-note";
+  importSummary.textContent = `Import file: ${importSourceLabel || "Selected file"} · Incoming ${incomingCounts.campaigns} campaign${
+    incomingCounts.campaigns === 1 ? "" : "s"
+  }, ${incomingCounts.projects} project${incomingCounts.projects === 1 ? "" : "s"}.`;
+
+  const currentSummary = document.createElement("p");
+  currentSummary.className = "panel-note";
+  currentSummary.textContent = `Current map: ${currentCounts.campaigns} campaign${
+    currentCounts.campaigns === 1 ? "" : "s"
+  }, ${currentCounts.projects} project${currentCounts.projects === 1 ? "" : "s"}. Device-specific browser preference will stay unchanged.`;
+
+  // Older export files are upgraded before preview, and each upgrade step is listed so nothing changes silently.
+  const migrationSummary = document.createElement("p");
+  migrationSummary.className = "panel-note";
+  migrationSummary.hidden = migrationNotes.length === 0;
+  migrationSummary.textContent = `Upgraded from an older export format:\n${migrationNotes.join("\n")}`;
+  migrationSummary.style.whiteSpace = "pre-line";
+
+  const mergeSection = document.createElement("div");
+  mergeSection.className = "import-merge";
+
+  const mergeSummary = document.createElement("p");
+  mergeSummary.className = "panel-note";
+
+  const mergeList = document.createElement("ul");
+  mergeList.className = "import-merge-list";
+
+  const readSelectedCampaignIds = () =>
+    Array.from(mergeList.querySelectorAll("input[type='checkbox']:checked")).map((checkbox) => checkbox.value);
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.textContent = "Cancel";
+  cancelButton.addEventListener("click", closePanel);
+
+  const confirmButton = document.createElement("button");
+  confirmButton.type = "button";
+
+  const refreshMergeSummary = () => {
+    const selectedIds = readSelectedCampaignIds();
+    const counts = summarizeImportMergePlan(mergePlan, selectedIds);
+    mergeSummary.textContent = `Selected: ${describeMergeCounts(counts.campaigns, "campaign")}; ${describeMergeCounts(
+      counts.projects,
+      "project"
+    )}.`;
+
+    if (modeSelect.value === "merge") {
+      confirmButton.disabled = selectedIds.length === 0;
+    }
+  };
+
+  mergePlan.campaigns.forEach((entry) => {
+    mergeList.append(renderImportMergeEntry(mergePlan, entry, refreshMergeSummary));
+  });
+
+  mergeSection.append(mergeSummary, mergeList);
+
+  const warningCallout = document.createElement("div");
+  warningCallout.className = "panel-warning";
+
+  const warningTitle = document.createElement("h4");
+  warningTitle.textContent = "This will fully replace your current map.";
+
+  const warningBody = document.createElement("p");
+  warningBody.textContent =
+    "Campaigns, projects, missions, and layout data from the import file will overwrite your current Resume data.";
+
+  warningCallout.append(warningTitle, warningBody);
+
+  const syncMode = () => {
+    const isMerge = modeSelect.value === "merge";
+    mergeSection.hidden = !isMerge;
+    warningCallout.hidden = isMerge;
+    confirmButton.className = isMerge ? "" : "destructive-action";
+    confirmButton.textContent = isMerge ? "Merge Selected" : "Replace Current Map";
+    confirmButton.disabled = false;
+    refreshMergeSummary();
+  };
+
+  modeSelect.addEventListener("change", syncMode);
+
+  confirmButton.addEventListener("click", () => {
+    recordGuardSnapshot(SNAPSHOT_REASONS.BEFORE_IMPORT, importSourceLabel || "Imported file");
+
+    // Both modes land as one atomic transition, so a single undo reverts the whole import.
+    if (modeSelect.value === "merge") {
+      applyState(applyImportMerge(state, mergePlan, readSelectedCampaignIds()), { historyLabel: "Merge import" });
+    } else {
+      applyState(incomingState, { historyLabel: "Import data" });
+    }
+
+    closePanel();
+  });
+
+  syncMode();
+
+  actionsElement.append(cancelButton, confirmButton);
+  formElement.append(
+    modeField,
+    importSummary,
+    currentSummary,
+    migrationSummary,
+    mergeSection,
+    warningCallout,
+    actionsElement
+  );
+}
+
+async function handleImportFileSelection(file) {
+  if (!file) {
+    return;
+  }
+
+  const rawText = await file.text();
+  let sealedImport = null;
+
+  try {
+    const parsed = JSON.parse(rawText);
+    sealedImport = isSealedBoard(parsed) ? parsed : null;
+  } catch {
+    // Invalid JSON is reported by parseImportPayload with its usual message.
+  }
+
+  if (!sealedImport) {
+    continueImport(file.name, rawText);
+    return;
+  }
+
+  // Files sealed with this board's own key open without asking again.
+  try {
+    continueImport(file.name, JSON.stringify(await openSealedBoard(sealedImport, boardKey)));
+    return;
+  } catch {
+    openPassphrasePanel({
+      title: "Encrypted Import",
+      message: `${file.name} is encrypted. Enter the passphrase it was exported with.`,
+      envelope: sealedImport,
+      submitLabel: "Open File",
+      onUnlock: async (unlockedKey) => {
+        continueImport(file.name, JSON.stringify(await openSealedBoard(sealedImport, unlockedKey)));
+      }
+    });
+  }
+}
+
+function continueImport(fileName, rawText) {
+  let parsedImport;
+
+  try {
+    parsedImport = parseImportPayload(rawText);
+  } catch (error) {
+    openInfoPanel("Import Failed", error instanceof Error ? error.message : "Import failed.");
+    return;
+  }
+
+  const normalizedIncomingState = normalizeState(parsedImport.payload.state);
+  openImportConfirmationPanel(fileName, normalizedIncomingState, parsedImport.migrationNotes);
+}
+
+function renderGoogleSyncButton() {
+  if (!googleSyncButton) {
+    return;
+  }
+
+  const status = getGoogleSyncStatus(googleSyncRecord);
+  googleSyncButton.dataset.syncState = isGoogleSyncRunning ? "syncing" : status.state;
+  googleSyncButton.title = googleSyncRecord.lastSyncedAt
+    ? `${status.reason} Last synced ${formatRelativeTime(googleSyncRecord.lastSyncedAt)}.`
+    : status.reason;
+
+  if (googleSyncLabel) {
+    googleSyncLabel.textContent =
+      status.state === GOOGLE_SYNC_STATES.ERROR ? "Google Sync: error" : isGoogleSyncRunning ? "Google Sync…" : "Google Sync";
+  }
+}
+
+async function commitGoogleSyncRecord(nextRecord) {
+  const isNewError = Boolean(nextRecord.lastError) && nextRecord.lastError !== googleSyncRecord.lastError;
+  googleSyncRecord = nextRecord;
+  renderGoogleSyncButton();
+
+  try {
+    await saveGoogleSyncRecord(nextRecord);
+  } catch (error) {
+    console.warn("Resume: failed to save Google sync record.", error);
+  }
+
+  // Only the first failure of a kind is announced; repeats stay visible on the sidebar button instead.
+  if (isNewError) {
+    showToast("Google Drive sync failed.", { label: "Details", onAction: openGoogleSyncPanel });
+  }
+}
+
+function queueGoogleSync(task) {
+  // Runs one at a time, so a pull never reads an ETag that an in-flight push is about to replace.
+  googleSyncQueue = googleSyncQueue
+    .then(async () => {
+      isGoogleSyncRunning = true;
+      renderGoogleSyncButton();
+      await task();
+    })
+    .catch((error) => {
+      console.warn("Resume: Google Drive sync task failed.", error);
+    })
+    .finally(() => {
+      isGoogleSyncRunning = false;
+      renderGoogleSyncButton();
+    });
+
+  return googleSyncQueue;
+}
+
+async function adoptFetchedRemoteState(remoteState) {
+  const openedState = await openIncomingBoard(remoteState);
+  if (!openedState) {
+    return;
+  }
+
+  const normalized = normalizeState(openedState);
+  if (normalized.updatedAt === state.updatedAt) {
+    return;
+  }
+
+  handleIncomingRemoteState(normalized, { storeAdopted: true });
+}
+
+function pushBoardToGoogleDrive(savedState) {
+  if (!googleSyncRecord.connected) {
+    return Promise.resolve();
+  }
+
+  return queueGoogleSync(async () => {
+    const result = await pushGoogleSyncState(googleSyncRecord, await prepareSyncedBoard(savedState));
+    await commitGoogleSyncRecord(result.record);
+
+    // Another browser wrote first; merging its board schedules a save, which pushes again against the new ETag.
+    if (result.conflictState) {
+      await adoptFetchedRemoteState(result.conflictState);
+    }
+  });
+}
+
+function pullBoardFromGoogleDrive() {
+  if (!googleSyncRecord.connected) {
+    return Promise.resolve();
+  }
+
+  return queueGoogleSync(async () => {
+    const result = await pullGoogleSyncState(googleSyncRecord);
+    await commitGoogleSyncRecord(result.record);
+
+    if (result.state) {
+      await adoptFetchedRemoteState(result.state);
+    }
+  });
+}
+
+async function syncGoogleDriveNow() {
+  await pullBoardFromGoogleDrive();
+  await pushBoardToGoogleDrive(state);
+}
+
+async function handleGoogleSyncConnect() {
+  try {
+    await commitGoogleSyncRecord(await connectGoogleSync(googleSyncRecord));
+  } catch (error) {
+    openInfoPanel("Google Sign-in Failed", error instanceof Error ? error.message : "Google sign-in failed.");
+    return;
+  }
+
+  // The first sync pulls before it pushes, so an existing Drive board is merged rather than overwritten.
+  await syncGoogleDriveNow();
+  openGoogleSyncPanel();
+}
+
+async function handleGoogleSyncDisconnect() {
+  await commitGoogleSyncRecord(await disconnectGoogleSync(googleSyncRecord));
+  openGoogleSyncPanel();
+}
+
+function openGoogleSyncPanel() {
+  const formElement = createPanelScaffold("Google Sync");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const status = getGoogleSyncStatus(googleSyncRecord);
+  const available = isGoogleSyncAvailable(googleSyncRecord);
+  const diagnostics = getGoogleSyncDiagnostics(googleSyncRecord);
+
+  const statusCallout = document.createElement("div");
+  statusCallout.className = status.state === GOOGLE_SYNC_STATES.ERROR ? "panel-warning" : "panel-status";
+
+  const titleElement = document.createElement("h4");
+  titleElement.textContent = {
+    [GOOGLE_SYNC_STATES.UNAVAILABLE]: "Google Sync Unavailable",
+    [GOOGLE_SYNC_STATES.DISCONNECTED]: "Google Sync Is Off",
+    [GOOGLE_SYNC_STATES.CONNECTED]: "Google Sync Is On",
+    [GOOGLE_SYNC_STATES.ERROR]: "Google Sync Needs Attention"
+  }[status.state];
+
+  const bodyElement = document.createElement("p");
+  bodyElement.textContent = status.reason;
+
+  statusCallout.append(titleElement, bodyElement);
+
+  const syncTimes = document.createElement("p");
+  syncTimes.className = "panel-note";
+  syncTimes.style.whiteSpace = "pre-line";
+  const { lastSyncedAt } = googleSyncRecord;
+  syncTimes.textContent = [
+    `Last synced: ${lastSyncedAt ? `${formatRelativeTime(lastSyncedAt)} (${new Date(lastSyncedAt).toLocaleString()})` : "never"}`,
+    ...(googleSyncRecord.lastErrorAt
+      ? [`Last error: ${formatRelativeTime(googleSyncRecord.lastErrorAt)}: ${googleSyncRecord.lastError}`]
+      : [])
+  ].join("\n");
+
+  const guidance = document.createElement("p");
+  guidance.className = "panel-note";
+  guidance.textContent = googleSyncRecord.connected
+    ? "Edits upload a moment after you make them. Other browsers' edits are pulled every minute and when this tab returns."
+    : "Connecting keeps the board in your Google Drive's private app data, shared by Chrome and Edge on the same account.";
+
+  const diagnosticsTitle = document.createElement("p");
+  diagnosticsTitle.className = "panel-note";
+  diagnosticsTitle.textContent = "Sync diagnostics (this device):";
+
+  // These values make the two most common sync blockers visible without opening DevTools.
+  const diagnosticsLines = [
+    `Extension ID: ${diagnostics.extensionId}`,
+    `State backend: ${
+      syncProvider.id === SYNC_PROVIDER_IDS.CHROME_SYNC ? diagnostics.storageBackend : syncProvider.label
+    }`,
+    `Cross-browser cloud sync: ${diagnostics.crossBrowserCloudSync}`,
+    `Drive API: ${diagnostics.driveApiBase}`,
+    `Drive file: ${diagnostics.driveFileId}`
+  ];
+
+  const diagnosticsBody = document.createElement("p");
+  diagnosticsBody.className = "panel-note";
+  diagnosticsBody.textContent = diagnosticsLines.join("\n");
+  diagnosticsBody.style.whiteSpace = "pre-line";
+
+  const syncHint = document.createElement("p");
+  syncHint.className = "panel-note";
+  syncHint.textContent =
+    "If two devices show different extension IDs, they will not share chrome.storage.sync data even under the same Google profile.";
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  if (googleSyncRecord.connected) {
+    const syncNowButton = document.createElement("button");
+    syncNowButton.type = "button";
+    syncNowButton.textContent = isGoogleSyncRunning ? "Syncing…" : "Sync Now";
+    syncNowButton.disabled = isGoogleSyncRunning;
+    syncNowButton.addEventListener("click", async () => {
+      syncNowButton.disabled = true;
+      syncNowButton.textContent = "Syncing…";
+      await syncGoogleDriveNow();
+
+      if (!panelRootElement.hidden) {
+        openGoogleSyncPanel();
+      }
+    });
+
+    const disconnectButton = document.createElement("button");
+    disconnectButton.type = "button";
+    disconnectButton.textContent = "Disconnect";
+    disconnectButton.addEventListener("click", handleGoogleSyncDisconnect);
+
+    actionsElement.append(syncNowButton, disconnectButton);
+  } else {
+    const connectButton = document.createElement("button");
+    connectButton.type = "button";
+    connectButton.textContent = "Connect Google Account";
+    connectButton.disabled = !available;
+    connectButton.addEventListener("click", handleGoogleSyncConnect);
+
+    actionsElement.append(connectButton);
+  }
+
+  const exportButton = document.createElement("button");
+  exportButton.type = "button";
+  exportButton.textContent = "Export Data";
+  exportButton.addEventListener("click", () => {
+    exportStateToFile();
+  });
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  actionsElement.append(exportButton, closeButton);
+  formElement.append(statusCallout, syncTimes, guidance, diagnosticsTitle, diagnosticsBody, syncHint, actionsElement);
+}
+
+async function refreshGitActivity(options = {}) {
+  const { force = false } = options;
+  const paths = collectRepoPaths(state, devicePrefs.linkOverrides);
+
+  if (isGitRefreshPending || (!force && !isGitActivityStale(gitActivity, paths))) {
+    return null;
+  }
+
+  // The worker writes the answer to the shared cache, and the cache subscription re-renders every open board.
+  isGitRefreshPending = true;
+  try {
+    return await requestGitActivityRefresh(paths);
+  } finally {
+    isGitRefreshPending = false;
+  }
+}
+
+function openGitActivityPanel() {
+  const formElement = createPanelScaffold("Git Activity");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const { linkOverrides } = devicePrefs;
+  const linkedProjects = state.projects.filter((project) => getProjectRepoPath(project, linkOverrides));
+  const trackedProjects = linkedProjects.filter((project) =>
+    getProjectGitActivity(gitActivity, project, linkOverrides)
+  );
+
+  const statusCallout = document.createElement("div");
+  statusCallout.className = gitActivity.hostError ? "panel-warning" : "panel-status";
+
+  const titleElement = document.createElement("h4");
+  const bodyElement = document.createElement("p");
+  if (gitActivity.hostError) {
+    titleElement.textContent = "Git Helper Needs Attention";
+    bodyElement.textContent = gitActivity.hostError;
+  } else if (gitActivity.checkedAt) {
+    titleElement.textContent = "Git Helper Is Connected";
+    bodyElement.textContent = `Tracking ${trackedProjects.length} of ${linkedProjects.length} project${
+      linkedProjects.length === 1 ? "" : "s"
+    } with VS Code or Cursor folder links. Last checked ${formatRelativeTime(gitActivity.checkedAt)}.`;
+  } else {
+    titleElement.textContent = "Git Helper Not Checked Yet";
+    bodyElement.textContent = "Resume has not asked the git helper on this device for anything yet.";
+  }
+
+  statusCallout.append(titleElement, bodyElement);
+
+  const guidance = document.createElement("p");
+  guidance.className = "panel-note";
+  guidance.textContent =
+    "Projects whose links open a folder in VS Code or Cursor show their branch, last commit, and a * for uncommitted " +
+    "changes. The helper is a small local program; install it once per device with native-host/install.sh.";
+
+  const sortSelect = document.createElement("select");
+  [
+    [CAMPAIGN_SORT_MODES.MANUAL, "Manual order (drag to arrange)"],
+    [CAMPAIGN_SORT_MODES.RECENT, "Most recent activity first"]
+  ].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === devicePrefs.campaignSort;
+    sortSelect.append(option);
+  });
+  sortSelect.addEventListener("change", () => {
+    setCampaignSortMode(sortSelect.value);
+  });
+
+  const sortField = createField(
+    "Campaign order on this device",
+    sortSelect,
+    "Recent activity uses each campaign's latest commit or launch here. Your manual order is kept for switching back."
+  );
+
+  const problems = linkedProjects
+    .map((project) => ({ project, entry: gitActivity.repos[getProjectRepoPath(project, linkOverrides)] }))
+    .filter(({ entry }) => entry?.error);
+
+  const problemList = document.createElement("p");
+  problemList.className = "panel-note";
+  problemList.style.whiteSpace = "pre-line";
+  problemList.hidden = problems.length === 0;
+  problemList.textContent = [
+    "Links this device could not read:",
+    ...problems.map(({ project, entry }) => `${project.name}: ${entry.error}`)
+  ].join("\n");
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const refreshButton = document.createElement("button");
+  refreshButton.type = "button";
+  refreshButton.textContent = isGitRefreshPending ? "Checking…" : "Check Now";
+  refreshButton.disabled = isGitRefreshPending;
+  refreshButton.addEventListener("click", async () => {
+    refreshButton.disabled = true;
+    refreshButton.textContent = "Checking…";
+    const result = await refreshGitActivity({ force: true });
+    if (result && !result.ok) {
+      showToast(result.error);
+    }
+
+    if (!panelRootElement.hidden) {
+      openGitActivityPanel();
+    }
+  });
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  actionsElement.append(refreshButton, closeButton);
+  formElement.append(statusCallout, guidance, sortField, problemList, actionsElement);
+}
+
+async function refreshLinkHealth(options = {}) {
+  const { force = false } = options;
+  const links = collectCheckableLinks(state, devicePrefs.linkOverrides);
+
+  if (isLinkCheckPending || (!force && !isLinkHealthStale(linkHealth, links))) {
+    return null;
+  }
+
+  // Like git activity, the answer arrives through the shared cache subscription rather than this reply.
+  isLinkCheckPending = true;
+  try {
+    return await requestLinkHealthCheck(links);
+  } finally {
+    isLinkCheckPending = false;
+  }
+}
+
+function hasWebLinkCheckAccess() {
+  if (typeof chrome === "undefined" || !chrome.permissions?.contains) {
+    return Promise.resolve(false);
+  }
+
+  return chrome.permissions.contains({ origins: LINK_CHECK_ORIGINS }).catch(() => false);
+}
+
+function collectLinkProblems() {
+  return state.projects.flatMap((project) =>
+    getProjectLinkProblems(linkHealth, project, devicePrefs.linkOverrides).map((problem) => ({ project, ...problem }))
+  );
+}
+
+function renderLinkProblem({ project, linkEntry, link, result }) {
+  const item = document.createElement("li");
+  item.className = "fix-link-item";
+  item.dataset.health = result.state;
+
+  const campaignNames = project.campaignIds
+    .map((campaignId) => state.campaigns.find((campaign) => campaign.id === campaignId)?.name)
+    .filter(Boolean);
+
+  const heading = document.createElement("strong");
+  heading.textContent = campaignNames.length ? `${project.name} · ${campaignNames.join(", ")}` : project.name;
+
+  const target = document.createElement("span");
+  target.className = "fix-link-target";
+  target.textContent = link;
+  target.title = link;
+
+  const problem = document.createElement("span");
+  problem.className = "fix-link-problem";
+  problem.textContent = describeLinkHealth(result);
+
+  const actions = document.createElement("div");
+  actions.className = "fix-link-actions";
+
+  const editButton = document.createElement("button");
+  editButton.type = "button";
+  editButton.textContent = "Edit project";
+  editButton.addEventListener("click", () => {
+    openProjectEditor({ projectId: project.id });
+  });
+  actions.append(editButton);
+
+  // A redirect can be adopted in place, unless this device reached the link through its own override.
+  if (result.state === LINK_HEALTH_STATES.REDIRECTED && link === linkEntry.link) {
+    const adoptButton = document.createElement("button");
+    adoptButton.type = "button";
+    adoptButton.textContent = "Use new address";
+    adoptButton.addEventListener("click", () => {
+      const links = getProjectLinks(project).map((entry) =>
+        entry === linkEntry ? { ...entry, link: result.finalUrl } : entry
+      );
+      applyState(updateProject(state, project.id, { links }), { historyLabel: `Update link for "${project.name}"` });
+      openFixLinksPanel();
+    });
+    actions.append(adoptButton);
+  }
+
+  item.append(heading, target, problem, actions);
+  return item;
+}
+
+function openFixLinksPanel() {
+  const formElement = createPanelScaffold("Fix Links");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const checkableLinks = collectCheckableLinks(state, devicePrefs.linkOverrides);
+  const checkedCount = checkableLinks.filter(
+    (link) => linkHealth.links[link] && linkHealth.links[link].state !== LINK_HEALTH_STATES.UNCHECKED
+  ).length;
+  const problems = collectLinkProblems();
+  const brokenCount = problems.filter(({ result }) => isBrokenLinkHealth(result)).length;
+  const redirectCount = problems.length - brokenCount;
+
+  const statusCallout = document.createElement("div");
+  statusCallout.className = brokenCount ? "panel-warning" : "panel-status";
+
+  const titleElement = document.createElement("h4");
+  const bodyElement = document.createElement("p");
+  if (!linkHealth.checkedAt) {
+    titleElement.textContent = "Links Not Checked Yet";
+    bodyElement.textContent = "Resume has not checked this board's links on this device yet.";
+  } else {
+    titleElement.textContent = brokenCount
+      ? `${brokenCount} Broken Link${brokenCount === 1 ? "" : "s"}`
+      : "No Broken Links";
+    const redirectNote = redirectCount
+      ? ` ${redirectCount} link${redirectCount === 1 ? " now redirects" : "s now redirect"} elsewhere.`
+      : "";
+    bodyElement.textContent = `Checked ${checkedCount} of ${checkableLinks.length} link${
+      checkableLinks.length === 1 ? "" : "s"
+    } ${formatRelativeTime(linkHealth.checkedAt)}.${redirectNote}`;
+  }
+
+  statusCallout.append(titleElement, bodyElement);
+
+  const guidance = document.createElement("p");
+  guidance.className = "panel-note";
+  guidance.textContent =
+    "Web links are checked from this device with a lightweight request. VS Code, Cursor, and Obsidian links that " +
+    "name a folder or file are checked through the Resume helper. Results stay on this device.";
+
+  const helperNote = document.createElement("p");
+  helperNote.className = "panel-note";
+  helperNote.hidden = !linkHealth.helperError;
+  helperNote.textContent = `Local paths were not checked: ${linkHealth.helperError}`;
+
+  const problemList = document.createElement("ul");
+  problemList.className = "fix-link-list";
+  problems.forEach((problem) => problemList.append(renderLinkProblem(problem)));
+  problemList.hidden = problems.length === 0;
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const accessButton = document.createElement("button");
+  accessButton.type = "button";
+  accessButton.textContent = "Allow web link checks";
+  accessButton.hidden = true;
+  accessButton.addEventListener("click", async () => {
+    // Permission prompts need the click's user gesture, so the request happens before anything else is awaited.
+    const granted = await chrome.permissions.request({ origins: LINK_CHECK_ORIGINS }).catch(() => false);
+    if (!granted) {
+      showToast("Web links stay unchecked until Resume may reach them.");
+      return;
+    }
+
+    await refreshLinkHealth({ force: true });
+    if (!panelRootElement.hidden) {
+      openFixLinksPanel();
+    }
+  });
+
+  hasWebLinkCheckAccess().then((granted) => {
+    accessButton.hidden = granted || typeof chrome === "undefined" || !chrome.permissions?.request;
+  });
+
+  const refreshButton = document.createElement("button");
+  refreshButton.type = "button";
+  refreshButton.textContent = isLinkCheckPending ? "Checking…" : "Check Now";
+  refreshButton.disabled = isLinkCheckPending;
+  refreshButton.addEventListener("click", async () => {
+    refreshButton.disabled = true;
+    refreshButton.textContent = "Checking…";
+    const result = await refreshLinkHealth({ force: true });
+    if (result && !result.ok) {
+      showToast(result.error);
+    }
+
+    if (!panelRootElement.hidden) {
+      openFixLinksPanel();
+    }
+  });
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  actionsElement.append(accessButton, refreshButton, closeButton);
+  formElement.append(statusCallout, guidance, helperNote, problemList, actionsElement);
+}
+
+function buildBrowserTargetSelect(selectedBrowser) {
+  const select = document.createElement("select");
+  Object.values(BROWSER_TARGETS).forEach((browser) => {
+    const option = document.createElement("option");
+    option.value = browser;
+    option.textContent = BROWSER_TARGET_LABELS[browser];
+    option.selected = browser === selectedBrowser;
+    select.append(option);
+  });
+  return select;
+}
+
+function renderBrowserRuleRow(rule, onChange, onRemove) {
+  const row = document.createElement("li");
+  row.className = "routing-rule";
+
+  const kindSelect = document.createElement("select");
+  kindSelect.setAttribute("aria-label", "Match by");
+  [
+    [BROWSER_RULE_KINDS.DOMAIN, "Domain"],
+    [BROWSER_RULE_KINDS.CAMPAIGN, "Campaign"]
+  ].forEach(([kind, label]) => {
+    const option = document.createElement("option");
+    option.value = kind;
+    option.textContent = label;
+    option.selected = kind === rule.kind;
+    kindSelect.append(option);
+  });
+
+  let valueControl;
+  if (rule.kind === BROWSER_RULE_KINDS.CAMPAIGN) {
+    valueControl = document.createElement("select");
+    const campaigns = state.campaigns.some((campaign) => campaign.id === rule.value)
+      ? state.campaigns
+      : [{ id: rule.value, name: rule.value ? "Deleted campaign" : "Choose a campaign" }, ...state.campaigns];
+    campaigns.forEach((campaign) => {
+      const option = document.createElement("option");
+      option.value = campaign.id;
+      option.textContent = campaign.archivedAt ? `${campaign.name} (archived)` : campaign.name;
+      option.selected = campaign.id === rule.value;
+      valueControl.append(option);
+    });
+  } else {
+    valueControl = document.createElement("input");
+    valueControl.type = "text";
+    valueControl.value = rule.value;
+    valueControl.placeholder = "github.com";
+    valueControl.autocomplete = "off";
+    valueControl.spellcheck = false;
+  }
+  valueControl.setAttribute("aria-label", rule.kind === BROWSER_RULE_KINDS.CAMPAIGN ? "Campaign" : "Domain");
+
+  const browserSelect = buildBrowserTargetSelect(rule.browser);
+  browserSelect.setAttribute("aria-label", "Open in");
+
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.textContent = "Remove";
+  removeButton.addEventListener("click", onRemove);
+
+  // Each control reports only its own field, so edits to one never overwrite another made since the row rendered.
+  kindSelect.addEventListener("change", () => {
+    onChange({ kind: kindSelect.value, value: "" }, { rerender: true });
+  });
+  valueControl.addEventListener("change", () => {
+    onChange({ value: valueControl.value });
+  });
+  browserSelect.addEventListener("change", () => {
+    onChange({ browser: browserSelect.value });
+  });
+
+  const arrow = document.createElement("span");
+  arrow.className = "routing-rule-arrow";
+  arrow.textContent = "→";
+  arrow.setAttribute("aria-hidden", "true");
+
+  row.append(kindSelect, valueControl, arrow, browserSelect, removeButton);
+  return row;
+}
+
+function openBrowserRoutingPanel() {
+  const formElement = createPanelScaffold("Web Browser Routing");
+  const draft = structuredClone(devicePrefs.webRouting);
+
+  const intro = document.createElement("p");
+  intro.className = "panel-note";
+  intro.textContent =
+    "Choose where web links open on this device. Rules are checked top to bottom and the first match wins; a " +
+    "campaign rule matches every project in that campaign. These settings stay on this device and are never exported.";
+
+  const defaultSelect = buildBrowserTargetSelect(draft.defaultBrowser);
+  defaultSelect.addEventListener("change", () => {
+    draft.defaultBrowser = defaultSelect.value;
+  });
+
+  const handoffSelect = document.createElement("select");
+  [
+    [BROWSER_HANDOFFS.HELPER, "Resume helper (Chrome and Edge, any system)"],
+    [BROWSER_HANDOFFS.LINK_SCHEME, "microsoft-edge: link (Edge on Windows, no helper)"]
+  ].forEach(([handoff, label]) => {
+    const option = document.createElement("option");
+    option.value = handoff;
+    option.textContent = label;
+    option.selected = handoff === draft.handoff;
+    handoffSelect.append(option);
+  });
+  handoffSelect.addEventListener("change", () => {
+    draft.handoff = handoffSelect.value;
+  });
+
+  const rulesList = document.createElement("ul");
+  rulesList.className = "routing-rule-list";
+
+  const renderRules = () => {
+    rulesList.innerHTML = "";
+    if (draft.rules.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "panel-note";
+      empty.textContent = "No rules yet. Every web link follows the default above.";
+      rulesList.append(empty);
+      return;
+    }
+
+    draft.rules.forEach((rule, index) => {
+      rulesList.append(
+        renderBrowserRuleRow(
+          rule,
+          (changes, options = {}) => {
+            draft.rules[index] = { ...draft.rules[index], ...changes };
+            if (options.rerender) {
+              renderRules();
+            }
+          },
+          () => {
+            draft.rules.splice(index, 1);
+            renderRules();
+          }
+        )
+      );
+    });
+  };
+  renderRules();
+
+  const addRuleButton = document.createElement("button");
+  addRuleButton.type = "button";
+  addRuleButton.className = "routing-rule-add";
+  addRuleButton.textContent = "Add rule";
+  addRuleButton.addEventListener("click", () => {
+    draft.rules.push({
+      kind: BROWSER_RULE_KINDS.DOMAIN,
+      value: "",
+      browser: draft.defaultBrowser === BROWSER_TARGETS.EDGE ? BROWSER_TARGETS.CHROME : BROWSER_TARGETS.EDGE
+    });
+    renderRules();
+    rulesList.querySelector(".routing-rule:last-child input")?.focus();
+  });
+
+  const rulesWrapper = document.createElement("div");
+  rulesWrapper.append(rulesList, addRuleButton);
+
+  formElement.append(
+    intro,
+    createField("Web links open in", defaultSelect, "\"This browser\" means whichever browser shows this tab."),
+    createField(
+      "Hand-off",
+      handoffSelect,
+      "The helper is the small program in native-host/. Links routed to Chrome always use it."
+    ),
+    createField("Rules", rulesWrapper),
+    createActionsRow("Save")
+  );
+
+  formElement.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    // Half-filled rules are dropped by normalization, so an empty domain box cannot route every link.
+    const webRouting = normalizeWebRouting(draft);
+    const dropped = draft.rules.length - webRouting.rules.length;
+    applyDevicePrefs({ ...devicePrefs, webRouting });
+
+    try {
+      await saveDevicePrefs(devicePrefs);
+    } catch (error) {
+      console.warn("Resume: failed to save web routing.", error);
+      showToast("Could not save web routing on this device.");
+      return;
+    }
+
+    closePanel();
+    showToast(
+      dropped > 0
+        ? `Web routing saved; ${dropped} incomplete rule${dropped === 1 ? "" : "s"} skipped.`
+        : "Web routing saved."
+    );
+  });
+}
+
+async function saveLinkOverrides(linkOverrides) {
+  applyDevicePrefs({ ...devicePrefs, linkOverrides });
+  await saveDevicePrefs(devicePrefs);
+
+  // Rewritten paths can point git activity and link checks at other folders, so both caches follow the new ones.
+  refreshGitActivity();
+  refreshLinkHealth();
+}
+
+function countRewrittenLinks(linkOverrides) {
+  let count = 0;
+  state.projects.forEach((project) => {
+    getProjectLinks(project).forEach((entry) => {
+      if (resolveProjectLink(linkOverrides, project, entry) !== entry.link) {
+        count += 1;
+      }
+    });
+  });
+  return count;
+}
+
+function renderPathRewriteRow(rewrite, onChange, onRemove) {
+  const row = document.createElement("li");
+  row.className = "routing-rule";
+
+  const buildPathInput = (value, label, placeholder) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = value;
+    input.placeholder = placeholder;
+    input.autocomplete = "off";
+    input.spellcheck = false;
+    input.setAttribute("aria-label", label);
+    return input;
+  };
+
+  const fromInput = buildPathInput(rewrite.from, "Path in synced links", "/Users/me/dev");
+  const toInput = buildPathInput(rewrite.to, "Path on this device", "/home/me/dev");
+  fromInput.addEventListener("change", () => {
+    onChange({ from: fromInput.value });
+  });
+  toInput.addEventListener("change", () => {
+    onChange({ to: toInput.value });
+  });
+
+  const arrow = document.createElement("span");
+  arrow.className = "routing-rule-arrow";
+  arrow.textContent = "→";
+  arrow.setAttribute("aria-hidden", "true");
+
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.textContent = "Remove";
+  removeButton.addEventListener("click", onRemove);
+
+  row.append(fromInput, arrow, toInput, removeButton);
+  return row;
+}
+
+function openLinkOverridesPanel() {
+  const formElement = createPanelScaffold("Local Link Paths");
+  const draft = structuredClone(devicePrefs.linkOverrides);
+
+  const intro = document.createElement("p");
+  intro.className = "panel-note";
+  intro.textContent =
+    "Rewrite folder paths in app links such as vscode://file/... when this device keeps projects somewhere else. " +
+    "Links are rewritten only when they open here; the synced board keeps them as written.";
+
+  const preview = document.createElement("p");
+  preview.className = "panel-note";
+
+  const refreshPreview = () => {
+    const count = countRewrittenLinks(normalizeLinkOverrides(draft));
+    preview.textContent = count
+      ? `${count} link${count === 1 ? "" : "s"} on this board open differently on this device.`
+      : "No links on this board are changed on this device yet.";
+  };
+
+  const rewriteList = document.createElement("ul");
+  rewriteList.className = "routing-rule-list";
+
+  const renderRewrites = () => {
+    rewriteList.innerHTML = "";
+    if (draft.pathRewrites.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "panel-note";
+      empty.textContent = "No rewrites yet. App links open with the paths they were saved with.";
+      rewriteList.append(empty);
+    }
+
+    draft.pathRewrites.forEach((rewrite, index) => {
+      rewriteList.append(
+        renderPathRewriteRow(
+          rewrite,
+          (changes) => {
+            draft.pathRewrites[index] = { ...draft.pathRewrites[index], ...changes };
+            refreshPreview();
+          },
+          () => {
+            draft.pathRewrites.splice(index, 1);
+            renderRewrites();
+          }
+        )
+      );
+    });
+    refreshPreview();
+  };
+
+  const addRewriteButton = document.createElement("button");
+  addRewriteButton.type = "button";
+  addRewriteButton.className = "routing-rule-add";
+  addRewriteButton.textContent = "Add rewrite";
+  addRewriteButton.addEventListener("click", () => {
+    draft.pathRewrites.push({ from: "", to: "" });
+    renderRewrites();
+    rewriteList.querySelector(".routing-rule:last-child input")?.focus();
+  });
+
+  const rewritesWrapper = document.createElement("div");
+  rewritesWrapper.append(rewriteList, addRewriteButton);
+
+  const overrideList = document.createElement("ul");
+  overrideList.className = "routing-rule-list";
+
+  const renderOverrides = () => {
+    overrideList.innerHTML = "";
+    Object.entries(draft.projectLinks).forEach(([projectId, link]) => {
+      const row = document.createElement("li");
+      row.className = "routing-rule";
+
+      // Overrides survive a project delete on purpose, so undoing the delete brings the local link back too.
+      const name = document.createElement("span");
+      name.className = "routing-rule-name";
+      name.textContent = state.projects.find((project) => project.id === projectId)?.name ?? "Deleted project";
+
+      const linkInput = document.createElement("input");
+      linkInput.type = "text";
+      linkInput.value = link;
+      linkInput.spellcheck = false;
+      linkInput.setAttribute("aria-label", `Link on this device for ${name.textContent}`);
+      linkInput.addEventListener("change", () => {
+        draft.projectLinks[projectId] = linkInput.value;
+        refreshPreview();
+      });
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => {
+        delete draft.projectLinks[projectId];
+        renderOverrides();
+        refreshPreview();
+      });
+
+      row.append(name, linkInput, removeButton);
+      overrideList.append(row);
+    });
+  };
+
+  renderRewrites();
+  renderOverrides();
+
+  const overridesField = createField(
+    "Project links on this device",
+    overrideList,
+    "Set one from a project's editor. It replaces that project's primary link here, ahead of any rewrite."
+  );
+  overridesField.hidden = Object.keys(draft.projectLinks).length === 0;
+
+  formElement.append(
+    intro,
+    createField("Path rewrites", rewritesWrapper, "The first matching prefix wins and only whole folder names match."),
+    overridesField,
+    preview,
+    createActionsRow("Save")
+  );
+
+  formElement.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    // Rewrites missing either side are dropped by normalization rather than rewriting paths into nothing.
+    const linkOverrides = normalizeLinkOverrides(draft);
+    const dropped = draft.pathRewrites.length - linkOverrides.pathRewrites.length;
+
+    try {
+      await saveLinkOverrides(linkOverrides);
+    } catch (error) {
+      console.warn("Resume: failed to save local link paths.", error);
+      showToast("Could not save local link paths on this device.");
+      return;
+    }
+
+    closePanel();
+    showToast(
+      dropped > 0
+        ? `Local link paths saved; ${dropped} incomplete rewrite${dropped === 1 ? "" : "s"} skipped.`
+        : "Local link paths saved."
+    );
+  });
+}
+
+function formatTimelineDate(isoValue) {
+  if (!isoValue || !Number.isFinite(Date.parse(isoValue))) {
+    return "unknown date";
+  }
+
+  return new Date(isoValue).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+}
+
+function buildMissionOutcomeSelect(campaignId, entry) {
+  const select = document.createElement("select");
+  select.className = "mission-outcome-select";
+  select.setAttribute("aria-label", `Outcome for mission "${entry.text}"`);
+
+  [["", "No outcome"], ...Object.entries(MISSION_OUTCOME_LABELS)].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === (entry.outcome || "");
+    select.append(option);
+  });
+
+  select.addEventListener("change", () => {
+    applyState(setMissionHistoryOutcome(state, campaignId, entry.id, select.value), {
+      historyLabel: "Label past mission"
+    });
+    openMissionTimelinePanel(campaignId);
+  });
+
+  return select;
+}
+
+function renderMissionTimelineEntry(campaignId, entry) {
+  const item = document.createElement("li");
+  item.className = "mission-timeline-entry";
+  if (entry.outcome) {
+    item.dataset.outcome = entry.outcome;
+  }
+
+  const text = document.createElement("p");
+  text.className = "mission-timeline-text";
+  text.textContent = entry.text;
+
+  const endLabel = entry.endReason === MISSION_END_REASONS.CLEARED ? "Cleared" : "Replaced";
+  const meta = document.createElement("small");
+  meta.className = "mission-timeline-meta";
+  meta.textContent = `Set ${formatTimelineDate(entry.setAt)} · ${endLabel} ${formatTimelineDate(entry.endedAt)}`;
+
+  item.append(text, meta, buildMissionOutcomeSelect(campaignId, entry));
+  return item;
+}
+
+function openMissionTimelinePanel(campaignId) {
+  const campaign = state.campaigns.find((item) => item.id === campaignId);
+  if (!campaign) {
+    closePanel();
+    return;
+  }
+
+  const formElement = createPanelScaffold(`Mission Timeline · ${campaign.name}`);
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const currentCallout = document.createElement("div");
+  currentCallout.className = "panel-warning";
+
+  const currentTitle = document.createElement("h4");
+  currentTitle.textContent = campaign.currentMission ? "Current mission" : "No current mission";
+
+  const currentBody = document.createElement("p");
+  currentBody.textContent = campaign.currentMission
+    ? `${campaign.currentMission} (set ${formatTimelineDate(campaign.missionSetAt)})`
+    : "Set a mission on the campaign card to start the next chapter.";
+
+  currentCallout.append(currentTitle, currentBody);
+
+  if (campaign.currentMission) {
+    // Resolving from here records a verdict, which plain clearing on the card cannot express.
+    const resolveRow = document.createElement("div");
+    resolveRow.className = "panel-actions";
+
+    Object.entries(MISSION_OUTCOME_LABELS).forEach(([outcome, label]) => {
+      const resolveButton = document.createElement("button");
+      resolveButton.type = "button";
+      resolveButton.textContent = `Mark ${label}`;
+      resolveButton.addEventListener("click", () => {
+        applyState(resolveCampaignMission(state, campaign.id, outcome), {
+          historyLabel: `Resolve mission for "${campaign.name}"`
+        });
+        openMissionTimelinePanel(campaign.id);
+      });
+      resolveRow.append(resolveButton);
+    });
+
+    currentCallout.append(resolveRow);
+  }
+
+  const history = Array.isArray(campaign.missionHistory) ? [...campaign.missionHistory].reverse() : [];
+  const timelineElement = document.createElement("ol");
+  timelineElement.className = "mission-timeline";
+
+  if (history.length === 0) {
+    const emptyNote = document.createElement("p");
+    emptyNote.className = "panel-note";
+    emptyNote.textContent = "Past missions appear here once a mission is replaced or cleared.";
+    formElement.append(currentCallout, emptyNote);
+  } else {
+    history.forEach((entry) => {
+      timelineElement.append(renderMissionTimelineEntry(campaign.id, entry));
+    });
+    formElement.append(currentCallout, timelineElement);
+  }
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  actionsElement.append(closeButton);
+  formElement.append(actionsElement);
+}
+
+function buildRestoreSlotSelect(campaignName) {
+  const activeCount = getActiveCampaigns(state).length;
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", `Board slot for ${campaignName}`);
+
+  // Slot choices span every active position plus the end of the board.
+  for (let slotIndex = 0; slotIndex <= activeCount; slotIndex += 1) {
+    const option = document.createElement("option");
+    option.value = String(slotIndex);
+    option.textContent = slotIndex === activeCount ? `Slot ${slotIndex + 1} (end)` : `Slot ${slotIndex + 1}`;
+    option.selected = slotIndex === activeCount;
+    select.append(option);
+  }
+
+  return select;
+}
+
+function renderArchiveShelfEntry(shelfEntry) {
+  const { campaign, projectCount } = shelfEntry;
+  const item = document.createElement("li");
+  item.className = "archive-shelf-entry";
+
+  const title = document.createElement("p");
+  title.className = "archive-shelf-title";
+  title.textContent = campaign.name;
+
+  const meta = document.createElement("small");
+  meta.className = "archive-shelf-meta";
+  meta.textContent = `${projectCount} project${projectCount === 1 ? "" : "s"} · archived ${formatTimelineDate(campaign.archivedAt)}`;
+
+  const slotSelect = buildRestoreSlotSelect(campaign.name);
+
+  const restoreButton = document.createElement("button");
+  restoreButton.type = "button";
+  restoreButton.textContent = "Restore";
+  restoreButton.addEventListener("click", () => {
+    const targetIndex = Number(slotSelect.value);
+    const nextState = restoreCampaign(state, campaign.id, targetIndex);
+    boardPageIndex = Math.floor(targetIndex / MAX_CAMPAIGN_SLOTS);
+    applyState(nextState, { historyLabel: `Restore campaign "${campaign.name}"` });
+    openArchiveShelfPanel();
+  });
+
+  const deleteButton = document.createElement("button");
+  deleteButton.type = "button";
+  deleteButton.className = "destructive-action";
+  deleteButton.textContent = "Delete";
+  deleteButton.addEventListener("click", () => {
+    const confirmed = window.confirm(`Delete archived campaign "${campaign.name}"?`);
+    if (!confirmed) {
+      return;
+    }
+
+    recordGuardSnapshot(SNAPSHOT_REASONS.BEFORE_DELETE, `Campaign "${campaign.name}"`);
+    applyState(deleteCampaign(state, campaign.id), { historyLabel: `Delete campaign "${campaign.name}"` });
+    openArchiveShelfPanel();
+    showToast(`Deleted campaign "${campaign.name}" and its orphaned projects.`, {
+      label: "Undo delete",
+      onAction: undoLastChange
+    });
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "archive-shelf-actions";
+  actions.append(slotSelect, restoreButton, deleteButton);
+
+  item.append(title, meta, actions);
+  return item;
+}
+
+function openArchiveShelfPanel() {
+  const formElement = createPanelScaffold("Archived Campaigns");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const shelf = buildArchiveShelf(state);
+
+  if (shelf.length === 0) {
+    const emptyNote = document.createElement("p");
+    emptyNote.className = "panel-note";
+    emptyNote.textContent = "No archived campaigns. Use Archive on a campaign card to shelve it without losing its projects.";
+    formElement.append(emptyNote);
+  } else {
+    const shelfList = document.createElement("ol");
+    shelfList.className = "archive-shelf";
+    shelf.forEach((shelfEntry) => {
+      shelfList.append(renderArchiveShelfEntry(shelfEntry));
+    });
+    formElement.append(shelfList);
+  }
+
+  const actionsElement = document.createElement("div");
+  actionsElement.className = "panel-actions";
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
+
+  actionsElement.append(closeButton);
+  formElement.append(actionsElement);
+}
+
+function recordGuardSnapshot(reason, label) {
+  // The guard captures the board as it is right now, before the caller applies its destructive change.
+  takeSnapshot(state, { reason, label }).catch((error) => {
+    console.warn("Resume: failed to record a snapshot before a destructive change.", error);
+  });
+}
+
+function formatSnapshotTime(isoValue) {
+  return new Date(isoValue).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit"
+  });
+}
+
+function describeSnapshotDiff(diff) {
+  const describe = (counts, noun) =>
+    [
+      counts.added ? `restores ${countLabel(counts.added, noun)}` : "",
+      counts.removed ? `removes ${countLabel(counts.removed, noun)}` : "",
+      counts.changed ? `reverts ${countLabel(counts.changed, noun)}` : ""
+    ].filter(Boolean);
+
+  const parts = [...describe(diff.campaigns, "campaign"), ...describe(diff.projects, "project")];
+  return parts.length ? `Restoring ${parts.join(", ")}.` : "Matches the current map.";
+}
+
+function renderSnapshotEntry(snapshot) {
+  const item = document.createElement("li");
+  item.className = "snapshot-entry";
+
+  const title = document.createElement("p");
+  title.className = "snapshot-title";
+  title.textContent = `${formatSnapshotTime(snapshot.takenAt)} · ${SNAPSHOT_REASON_LABELS[snapshot.reason]}`;
+
+  const counts = getStateEntityCounts(snapshot.state);
+  const meta = document.createElement("small");
+  meta.className = "snapshot-meta";
+  meta.textContent = [snapshot.label, `${countLabel(counts.campaigns, "campaign")}, ${countLabel(counts.projects, "project")}`]
+    .filter(Boolean)
+    .join(" · ");
+
+  const diff = document.createElement("small");
+  diff.className = "snapshot-meta";
+
+  const restoreButton = document.createElement("button");
+  restoreButton.type = "button";
+  restoreButton.textContent = "Restore";
+
+  let snapshotState = null;
+
+  try {
+    snapshotState = normalizeState(readSnapshotState(snapshot));
+    diff.textContent = describeSnapshotDiff(diffSnapshotAgainstState(state, snapshotState));
+  } catch (error) {
+    diff.textContent = error instanceof Error ? error.message : "This snapshot cannot be read.";
+    restoreButton.disabled = true;
+  }
 
-  const currentSummary = document.createElement("p");
-  currentSummary.className = "panel-note";
-  currentSummary.textContent = `Current map: ${currentCounts.campaigns} campaign${
-    currentCounts.campaigns === 1 ? "" : "s"
-  }, ${currentCounts.projects} project${currentCounts.projects === 1 ? "" : "s"}. Device-specific browser preference will stay unchanged.`;
+  restoreButton.addEventListener("click", () => {
+    if (!snapshotState) {
+      return;
+    }
+
+    recordGuardSnapshot(SNAPSHOT_REASONS.BEFORE_RESTORE, `Restoring ${formatSnapshotTime(snapshot.takenAt)}`);
+    // Restores keep the current timestamp moving forward so other devices treat them as a fresh edit.
+    applyState({ ...snapshotState, updatedAt: new Date().toISOString() }, { historyLabel: "Restore snapshot" });
+    closePanel();
+    showToast(`Restored the board from ${formatSnapshotTime(snapshot.takenAt)}.`, {
+      label: "Undo",
+      onAction: undoLastChange
+    });
+  });
+
+  item.append(title, meta, diff, restoreButton);
+  return item;
+}
+
+async function openSnapshotHistoryPanel() {
+  const snapshots = await loadSnapshots();
+  const formElement = createPanelScaffold("History");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
+
+  const note = document.createElement("p");
+  note.className = "panel-note";
+  note.textContent =
+    "Snapshots are kept on this device only: hourly for the last day, daily for the last month, plus one before every import, campaign delete, and restore.";
+  formElement.append(note);
+
+  if (snapshots.length === 0) {
+    const emptyNote = document.createElement("p");
+    emptyNote.className = "panel-note";
+    emptyNote.textContent = "No snapshots yet. The first one is taken after your next saved change.";
+    formElement.append(emptyNote);
+  } else {
+    const snapshotList = document.createElement("ol");
+    snapshotList.className = "snapshot-list";
+    snapshots.forEach((snapshot) => {
+      snapshotList.append(renderSnapshotEntry(snapshot));
+    });
+    formElement.append(snapshotList);
+  }
 
   const actionsElement = document.createElement("div");
   actionsElement.className = "panel-actions";
 
-  const cancelButton = document.createElement("button");
-  cancelButton.type = "button";
-  cancelButton.textContent = "Cancel";
-  cancelButton.addEventListener("click", closePanel);
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", closePanel);
 
-  const replaceButton = document.createElement("button");
-  replaceButton.type = "button";
-  replaceButton.className = "destructive-action";
-  replaceButton.textContent = "Replace Current Map";
-  replaceButton.addEventListener("click", () => {
-    // Import replacement applies normalized state in one atomic transition.
-    applyState(incomingState);
-    closePanel();
-  });
+  actionsElement.append(closeButton);
+  formElement.append(actionsElement);
+}
+
+function describeConflictValue(conflict, value) {
+  if (conflict.field === "mission") {
+    return value.currentMission || "(no mission)";
+  }
+
+  if (conflict.field === "link") {
+    if (value.mode === PROJECT_MODES.PHYSICAL) {
+      return "Physical artifact";
+    }
+
+    const linkCount = Array.isArray(value.links) ? value.links.length : value.link ? 1 : 0;
+    return linkCount > 1 ? `${value.link} (+${linkCount - 1} more)` : value.link || "(no link)";
+  }
+
+  if (conflict.field === "archive") {
+    return value.archivedAt ? `Archived ${formatTimelineDate(value.archivedAt)}` : "On the board";
+  }
+
+  if (conflict.field === "icon") {
+    return value.icon || "(no icon)";
+  }
+
+  if (conflict.field === "projectOrder") {
+    const names = (value.projectOrder ?? [])
+      .map((projectId) => state.projects.find((project) => project.id === projectId)?.name)
+      .filter(Boolean);
+    return names.length ? names.join(" → ") : "Original order";
+  }
+
+  if (conflict.field === "leftOff" || conflict.field === "nextStep") {
+    return value[conflict.field] || "(no note)";
+  }
 
-  actionsElement.append(cancelButton, replaceButton);
-  formElement.append(warningCallout, importSummary, currentSummary, actionsElement);
+  if (conflict.field === "status") {
+    return PROJECT_STATUS_LABELS[value.status] ?? PROJECT_STATUS_LABELS[PROJECT_STATUSES.ACTIVE];
+  }
+
+  if (conflict.field === "launch") {
+    return value.excludeFromLaunchAll ? "Left out of Launch all" : "Included in Launch all";
+  }
+
+  const values = Object.values(value);
+  return values.length === 1 ? String(values[0] ?? "(empty)") : JSON.stringify(value);
 }
 
-async function handleImportFileSelection(file) {
-  if (!file) {
-    return;
+function settleConflict(conflict, choice) {
+  // Keeping the local value needs no write: the merge already kept it and saved it back.
+  if (choice === "remote") {
+    applyState(resolveMergeConflict(state, conflict, choice), { historyLabel: `Resolve sync conflict on ${conflict.label}` });
   }
 
-  let parsedImport;
+  pendingConflicts = pendingConflicts.filter((item) => item.id !== conflict.id);
 
-  try {
-    parsedImport = parseImportPayload(await file.text());
-  } catch (error) {
-    openInfoPanel("Import Failed", error instanceof Error ? error.message : "Import failed.");
+  if (pendingConflicts.length > 0) {
+    openSyncConflictPanel();
     return;
   }
 
-  const normalizedIncomingState = normalizeState(parsedImport.payload.state);
-  openImportConfirmationPanel(file.name, normalizedIncomingState);
+  closePanel();
 }
 
-function openGoogleSyncPanel() {
-  const formElement = createPanelScaffold("Google Sync");
-  formElement.addEventListener("submit", (event) => event.preventDefault());
+function renderConflictEntry(conflict) {
+  const item = document.createElement("li");
+  item.className = "sync-conflict-entry";
 
-  const status = getGoogleSyncStatus();
-  const available = isGoogleSyncAvailable();
-  const diagnostics = getGoogleSyncDiagnostics();
+  const title = document.createElement("p");
+  title.className = "sync-conflict-title";
+  title.textContent = `${conflict.entityType === "campaign" ? "Campaign" : "Project"} "${conflict.entityName}" · ${
+    conflict.label
+  }`;
 
-  const statusCallout = document.createElement("div");
-  statusCallout.className = "panel-warning";
+  const localLine = document.createElement("small");
+  localLine.className = "sync-conflict-value";
+  localLine.textContent = `This device: ${describeConflictValue(conflict, conflict.localValue)}`;
 
-  const titleElement = document.createElement("h4");
-  titleElement.textContent = available ? "Google Sync Available" : "Google Sync Coming Soon";
+  const remoteLine = document.createElement("small");
+  remoteLine.className = "sync-conflict-value";
+  remoteLine.textContent = `Other device: ${describeConflictValue(conflict, conflict.remoteValue)}`;
 
-  const bodyElement = document.createElement("p");
-  bodyElement.textContent = status.reason;
+  const actions = document.createElement("div");
+  actions.className = "sync-conflict-actions";
 
-  statusCallout.append(titleElement, bodyElement);
+  const keepLocalButton = document.createElement("button");
+  keepLocalButton.type = "button";
+  keepLocalButton.textContent = "Keep mine";
+  keepLocalButton.addEventListener("click", () => settleConflict(conflict, "local"));
 
-  const guidance = document.createElement("p");
-  guidance.className = "panel-note";
-  guidance.textContent =
-    "For cross-browser transfer today, export data from one Resume instance and import it in the other browser/device.";
+  const useRemoteButton = document.createElement("button");
+  useRemoteButton.type = "button";
+  useRemoteButton.textContent = "Use theirs";
+  useRemoteButton.addEventListener("click", () => settleConflict(conflict, "remote"));
 
-  const diagnosticsTitle = document.createElement("p");
-  diagnosticsTitle.className = "panel-note";
-  diagnosticsTitle.textContent = "Sync diagnostics (this device):";
+  actions.append(keepLocalButton, useRemoteButton);
+  item.append(title, localLine, remoteLine, actions);
+  return item;
+}
 
-  // These values make the two most common sync blockers visible without opening DevTools.
-  const diagnosticsLines = [
-    `Extension ID: ${diagnostics.extensionId}`,
-    `State backend: ${diagnostics.storageBackend}`,
-    `Cross-browser cloud sync: ${diagnostics.crossBrowserCloudSync}`
-  ];
+function openSyncConflictPanel() {
+  if (pendingConflicts.length === 0) {
+    closePanel();
+    return;
+  }
 
-  const diagnosticsBody = document.createElement("p");
-  diagnosticsBody.className = "panel-note";
-  diagnosticsBody.textContent = diagnosticsLines.join("\n");
-  diagnosticsBody.style.whiteSpace = "pre-line";
+  const formElement = createPanelScaffold("Sync Conflicts");
+  formElement.addEventListener("submit", (event) => event.preventDefault());
 
-  const syncHint = document.createElement("p");
-  syncHint.className = "panel-note";
-  syncHint.textContent =
-    "If two devices show different extension IDs, they will not share chrome.storage.sync data even under the same Google profile.";
+  const note = document.createElement("p");
+  note.className = "panel-note";
+  note.textContent =
+    "These fields changed on this device and another one at the same time. Your version is showing until you choose.";
+
+  const conflictList = document.createElement("ol");
+  conflictList.className = "sync-conflicts";
+  pendingConflicts.forEach((conflict) => {
+    conflictList.append(renderConflictEntry(conflict));
+  });
 
   const actionsElement = document.createElement("div");
   actionsElement.className = "panel-actions";
 
-  const exportButton = document.createElement("button");
-  exportButton.type = "button";
-  exportButton.textContent = "Export Data";
-  exportButton.addEventListener("click", () => {
-    exportStateToFile();
-  });
-
-  const importButton = document.createElement("button");
-  importButton.type = "button";
-  importButton.textContent = "Import Data";
-  importButton.addEventListener("click", () => {
+  const keepAllButton = document.createElement("button");
+  keepAllButton.type = "button";
+  keepAllButton.textContent = "Keep All Mine";
+  keepAllButton.addEventListener("click", () => {
+    pendingConflicts = [];
     closePanel();
-    openImportPicker();
   });
 
-  const closeButton = document.createElement("button");
-  closeButton.type = "button";
-  closeButton.textContent = "Close";
-  closeButton.addEventListener("click", closePanel);
-
-  actionsElement.append(exportButton, importButton, closeButton);
-  formElement.append(statusCallout, guidance, diagnosticsTitle, diagnosticsBody, syncHint, actionsElement);
+  actionsElement.append(keepAllButton);
+  formElement.append(note, conflictList, actionsElement);
 }
 
-function openCampaignEditor() {
-  if (state.campaigns.length >= MAX_CAMPAIGNS) {
-    openInfoPanel("Campaign Limit Reached", `Resume currently supports up to ${MAX_CAMPAIGNS} campaigns.`);
+function handleIncomingRemoteState(incomingState, options = {}) {
+  const { storeAdopted = false } = options;
+  const merge = mergeStates(syncBaseState, state, incomingState);
+  syncBaseState = incomingState;
+
+  // With no surviving local edits the remote snapshot is adopted as-is, so devices do not echo writes.
+  // Drive arrivals are not in chrome.storage.sync yet, so those are still written locally.
+  if (merge.matchesRemote) {
+    applyState(incomingState, { persist: storeAdopted, recordHistory: false });
+  } else {
+    applyState(normalizeState(merge.state), { recordHistory: false });
+  }
+
+  if (merge.conflicts.length === 0) {
+    return;
+  }
+
+  // Newer conflicts on the same field replace older ones so the panel always shows the latest pair.
+  const incomingIds = new Set(merge.conflicts.map((conflict) => conflict.id));
+  pendingConflicts = [...pendingConflicts.filter((conflict) => !incomingIds.has(conflict.id)), ...merge.conflicts];
+
+  if (panelRootElement.hidden) {
+    openSyncConflictPanel();
     return;
   }
 
-  const formElement = createPanelScaffold("Create Campaign");
+  showToast(`${pendingConflicts.length} edit${pendingConflicts.length === 1 ? "" : "s"} conflicted with another device.`, {
+    label: "Review",
+    onAction: openSyncConflictPanel
+  });
+}
+
+function applyCampaignColorTokens(element, color) {
+  const tokens = buildCampaignColorTokens(color, activeAesthetic);
+  if (!tokens) {
+    return null;
+  }
+
+  // Stylesheets choose where each token shows; the card only publishes them.
+  element.style.setProperty("--campaign-accent", tokens.accent);
+  element.style.setProperty("--campaign-ink", tokens.ink);
+  element.style.setProperty("--campaign-on-accent", tokens.onAccent);
+  return tokens;
+}
+
+function openCampaignEditor(options = {}) {
+  const campaign = options.campaignId ? state.campaigns.find((item) => item.id === options.campaignId) : null;
+  const isEditMode = Boolean(campaign);
+  const formElement = createPanelScaffold(isEditMode ? "Edit Campaign" : "Create Campaign");
 
   const nameInput = document.createElement("input");
   nameInput.type = "text";
   nameInput.placeholder = "Campaign name";
   nameInput.required = true;
   nameInput.autofocus = true;
+  nameInput.value = campaign?.name ?? "";
+
+  const colorInput = document.createElement("input");
+  colorInput.type = "color";
+  colorInput.className = "campaign-color-input";
+  colorInput.value = campaign?.color ?? EDITORIAL_CAMPAIGN_COLOR;
+
+  const swatches = document.createElement("div");
+  swatches.className = "campaign-color-swatches";
+
+  [EDITORIAL_CAMPAIGN_COLOR, ...DEFAULT_CAMPAIGN_COLORS].forEach((swatchColor) => {
+    const swatch = document.createElement("button");
+    swatch.type = "button";
+    swatch.className = "campaign-color-swatch";
+    swatch.style.background = swatchColor;
+    swatch.setAttribute("aria-label", `Use color ${swatchColor}`);
+    swatch.title = swatchColor;
+    swatch.addEventListener("click", () => {
+      colorInput.value = swatchColor;
+      refreshPreview();
+    });
+    swatches.append(swatch);
+  });
+
+  swatches.append(colorInput);
+
+  const iconInput = document.createElement("input");
+  iconInput.type = "text";
+  iconInput.className = "campaign-icon-input";
+  iconInput.placeholder = "e.g. 🚀";
+  iconInput.value = campaign?.icon ?? "";
+
+  const preview = document.createElement("div");
+  preview.className = "campaign-style-preview";
+
+  const previewIcon = document.createElement("span");
+  previewIcon.className = "campaign-icon";
+
+  const previewTitle = document.createElement("span");
+  previewTitle.className = "campaign-style-preview-title";
+
+  preview.append(previewIcon, previewTitle);
+
+  const contrastNote = document.createElement("p");
+  contrastNote.className = "panel-note campaign-contrast-note";
+
+  const refreshPreview = () => {
+    const tokens = applyCampaignColorTokens(preview, colorInput.value);
+    const icon = iconInput.value.trim();
+    previewIcon.textContent = icon;
+    previewIcon.hidden = !icon;
+    previewTitle.textContent = nameInput.value.trim() || "Campaign name";
+
+    // The note reports the active aesthetic; the other one runs the same check when it is switched on.
+    contrastNote.textContent = tokens?.isAdjusted
+      ? `This color is too light for text on the ${getAestheticLabel(activeAesthetic)} card, so card text uses a deeper shade of it.`
+      : "";
+    contrastNote.hidden = !contrastNote.textContent;
+  };
+
+  [nameInput, iconInput].forEach((input) => input.addEventListener("input", refreshPreview));
+  colorInput.addEventListener("input", refreshPreview);
+  refreshPreview();
 
   const errorElement = document.createElement("p");
   errorElement.className = "panel-error";
 
-  formElement.append(createField("Name", nameInput), errorElement, createActionsRow("Create Campaign"));
+  formElement.append(
+    createField("Name", nameInput),
+    createField("Color", swatches, "Tints the card accent and text. Pale colors stay readable automatically."),
+    createField("Icon", iconInput, "Optional. One emoji or character shown before the campaign name."),
+    preview,
+    contrastNote,
+    errorElement,
+    createActionsRow(isEditMode ? "Save Campaign" : "Create Campaign")
+  );
 
   formElement.addEventListener("submit", (event) => {
     event.preventDefault();
 
+    if (isEditMode) {
+      let nextState = renameCampaign(state, campaign.id, nameInput.value);
+      nextState = updateCampaignColor(nextState, campaign.id, colorInput.value);
+      nextState = updateCampaignIcon(nextState, campaign.id, iconInput.value);
+
+      if (!nameInput.value.trim()) {
+        errorElement.textContent = "A campaign needs a name.";
+        return;
+      }
+
+      if (nextState !== state) {
+        applyState(nextState, { historyLabel: `Edit campaign "${campaign.name}"` });
+      }
+
+      closePanel();
+      return;
+    }
+
     const nextState = addCampaign(state, {
       name: nameInput.value,
-      // Color remains in data for backward compatibility, but the UI now uses one editorial accent.
-      color: EDITORIAL_CAMPAIGN_COLOR
+      color: colorInput.value,
+      icon: iconInput.value
     });
 
     if (nextState === state) {
-      errorElement.textContent = "A campaign needs a name, and the board supports up to six campaigns.";
+      errorElement.textContent = "A campaign needs a name.";
       return;
     }
 
-    applyState(nextState);
+    // New campaigns land at the end of the active run, so we page forward to show where it went.
+    boardPageIndex = getBoardPageCount(nextState, MAX_CAMPAIGN_SLOTS) - 1;
+
+    applyState(nextState, { historyLabel: `Create campaign "${nameInput.value.trim()}"` });
     closePanel();
   });
 }
@@ -788,17 +3738,56 @@ function showProjectTooltip(projectNode, message) {
   projectTooltipTimers.set(projectNode, nextTimer);
 }
 
-function openWebLink(link) {
+function openWebLink(link, campaignIds = []) {
+  const browser = resolveLinkBrowser(devicePrefs.webRouting, link, campaignIds);
+  if (needsBrowserHandoff(browser)) {
+    handOffWebLink(browser, link);
+    return;
+  }
+
   window.open(link, "_blank", "noopener,noreferrer");
 }
 
-function launchProject(project, projectNode) {
+async function handOffWebLink(browser, link) {
+  // Edge's link scheme needs no helper; Chrome has no scheme, so it always goes through the helper.
+  const handoffUri =
+    devicePrefs.webRouting.handoff === BROWSER_HANDOFFS.LINK_SCHEME ? buildBrowserHandoffUri(browser, link) : null;
+  if (handoffUri) {
+    window.location.assign(handoffUri);
+    return;
+  }
+
+  const result = await requestBrowserHandoff(browser, link);
+  if (result?.ok) {
+    return;
+  }
+
+  // A failed hand-off still opens the link here, because a click that does nothing is worse than the wrong browser.
+  // The pop-up blocker no longer sees the click after the await, so tabs.create stands in for window.open.
+  if (typeof chrome !== "undefined" && chrome.tabs?.create) {
+    chrome.tabs.create({ url: link });
+  } else {
+    window.open(link, "_blank", "noopener,noreferrer");
+  }
+
+  showToast(`Opened here because ${BROWSER_TARGET_LABELS[browser]} could not take the link. ${result?.error ?? ""}`, {
+    label: "Web routing",
+    onAction: openBrowserRoutingPanel
+  });
+}
+
+function describeProjectLink(linkEntry) {
+  return linkEntry.label || LINK_TYPE_HELP[linkEntry.linkType]?.label || "Link";
+}
+
+function launchProject(project, projectNode, linkEntry = null) {
   if (project.mode === PROJECT_MODES.PHYSICAL) {
     showProjectTooltip(projectNode, "Physical artifact - no link");
     return;
   }
 
-  const link = (project.link || "").trim();
+  // Without an explicit entry the primary (first) link is the launch target, as this device's overrides see it.
+  const link = resolveProjectLink(devicePrefs.linkOverrides, project, linkEntry);
 
   if (!link) {
     // Missing links are corrected via the project editor instead of failing silently.
@@ -806,19 +3795,140 @@ function launchProject(project, projectNode) {
     return;
   }
 
+  // The launch is recorded before opening, because custom-scheme links may navigate this tab away.
+  noteProjectLaunches([project.id]);
+
   if (/^https?:\/\//i.test(link)) {
-    openWebLink(link);
+    openWebLink(link, project.campaignIds);
     return;
   }
 
   window.location.assign(link);
 }
 
+function noteProjectLaunches(projectIds) {
+  const knownProjectIds = state.projects.map((project) => project.id);
+  launchHistory = projectIds.reduce(
+    (history, projectId) => recordProjectLaunch(history, projectId, knownProjectIds),
+    launchHistory
+  );
+  saveLaunchHistory(launchHistory).catch((error) => {
+    console.warn("Resume: failed to save launch history.", error);
+  });
+  render();
+}
+
+function fireAppLinks(links) {
+  // Each custom-scheme navigation hands off to an external app; spacing them out keeps the browser from
+  // collapsing several protocol launches into the last one.
+  links.forEach((link, index) => {
+    window.setTimeout(() => {
+      window.location.assign(link);
+    }, index * APP_LAUNCH_INTERVAL_MS);
+  });
+}
+
+async function launchCampaignWorkspace(campaign) {
+  const plan = buildCampaignLaunchPlan(state, campaign.id, devicePrefs.linkOverrides);
+  const targetCount = countLaunchTargets(plan);
+
+  if (targetCount === 0) {
+    showToast(`"${campaign.name}" has no projects to launch.`);
+    return;
+  }
+
+  noteProjectLaunches([...plan.webTargets, ...plan.appTargets].map((target) => target.project.id));
+
+  // Links routed to the other browser leave the tab group; the rest stay together here.
+  const routedTargets = [];
+  const localTargets = [];
+  plan.webTargets.forEach((target) => {
+    const browser = resolveLinkBrowser(devicePrefs.webRouting, target.link, target.project.campaignIds);
+    (needsBrowserHandoff(browser) ? routedTargets : localTargets).push({ ...target, browser });
+  });
+
+  // Hand-offs are spaced like app links, because link-scheme hand-offs are protocol launches too.
+  routedTargets.forEach((target, index) => {
+    window.setTimeout(() => {
+      handOffWebLink(target.browser, target.link);
+    }, index * APP_LAUNCH_INTERVAL_MS);
+  });
+
+  const { grouped, failedTargets } = await openWebTargetsInGroup(localTargets, {
+    title: campaign.name,
+    color: campaign.color
+  });
+
+  // App links wait for the hand-offs, so the two kinds of protocol launch never collide.
+  window.setTimeout(() => {
+    fireAppLinks(plan.appTargets.map((target) => target.link));
+  }, routedTargets.length * APP_LAUNCH_INTERVAL_MS);
+
+  const launchedCount = targetCount - failedTargets.length;
+  const parts = [`Launched ${launchedCount} project${launchedCount === 1 ? "" : "s"} from "${campaign.name}"`];
+  if (grouped) {
+    parts.push("web links are grouped in a new tab group");
+  }
+
+  if (routedTargets.length > 0) {
+    parts.push(`${routedTargets.length} sent to another browser by your web routing`);
+  }
+
+  if (plan.optedOut.length > 0) {
+    parts.push(`${plan.optedOut.length} opted out`);
+  }
+
+  if (failedTargets.length === 0) {
+    showToast(`${parts.join("; ")}.`);
+    return;
+  }
+
+  // This runs after an await, outside the click, so a popup fallback would be blocked; the links are named instead.
+  const failedNames = failedTargets.map((target) => `"${target.project.name}"`).join(", ");
+  parts.push(`${failedNames} could not be opened`);
+  showToast(`${parts.join("; ")}.`, {
+    label: "Copy links",
+    onAction: () => {
+      navigator.clipboard.writeText(failedTargets.map((target) => target.link).join("\n")).catch((error) => {
+        console.warn("Resume: failed to copy the links that did not open.", error);
+      });
+    }
+  });
+}
+
+function formatRelativeTime(isoValue, now = Date.now()) {
+  const elapsedMs = Math.max(0, now - Date.parse(isoValue));
+  const minutes = Math.floor(elapsedMs / 60000);
+
+  if (minutes < 1) {
+    return "just now";
+  }
+
+  // Units step up at natural boundaries so the label stays short enough to sit beside a project name.
+  // A month is a twelfth of the 365-day year, so twelve of them hand over to "1y" rather than "0y".
+  const units = [
+    [60, "m", 1],
+    [24, "h", 60],
+    [7, "d", 60 * 24],
+    [5, "w", 60 * 24 * 7],
+    [12, "mo", (60 * 24 * 365) / 12],
+    [Infinity, "y", 60 * 24 * 365]
+  ];
+  const [, suffix, divisor] = units.find(([limit, , unitMinutes]) => minutes / unitMinutes < limit);
+
+  return `${Math.floor(minutes / divisor)}${suffix} ago`;
+}
+
 function buildCampaignCheckboxes(selectedIds) {
   const wrapper = document.createElement("div");
   wrapper.className = "checkbox-grid";
 
+  // Archived memberships stay listed (and checked) so saving an edit never silently drops them.
   state.campaigns.forEach((campaign) => {
+    if (campaign.archivedAt && !selectedIds.includes(campaign.id)) {
+      return;
+    }
+
     const chip = document.createElement("label");
     chip.className = "checkbox-chip";
 
@@ -828,7 +3938,7 @@ function buildCampaignCheckboxes(selectedIds) {
     checkbox.checked = selectedIds.includes(campaign.id);
 
     const text = document.createElement("span");
-    text.textContent = campaign.name;
+    text.textContent = campaign.archivedAt ? `${campaign.name} (archived)` : campaign.name;
 
     chip.append(checkbox, text);
     wrapper.append(chip);
@@ -838,13 +3948,15 @@ function buildCampaignCheckboxes(selectedIds) {
 }
 
 function openProjectEditor(options = {}) {
-  if (!state.campaigns.length) {
+  if (!getActiveCampaigns(state).length) {
     openCampaignEditor();
     return;
   }
 
   const project = options.projectId ? state.projects.find((item) => item.id === options.projectId) : null;
   const isEditMode = Boolean(project);
+  // A pasted link arrives as a draft, so the create form opens already filled in and only asks for confirmation.
+  const draft = isEditMode ? null : options.draft ?? null;
   const defaultCampaignIds = project
     ? project.campaignIds
     : options.seedCampaignId
@@ -857,7 +3969,7 @@ function openProjectEditor(options = {}) {
   nameInput.type = "text";
   nameInput.required = true;
   nameInput.placeholder = "Project name";
-  nameInput.value = project?.name ?? "";
+  nameInput.value = project?.name ?? draft?.name ?? "";
   nameInput.autofocus = true;
 
   const projectModeInitial =
@@ -875,8 +3987,15 @@ function openProjectEditor(options = {}) {
     projectModeSelect.append(option);
   });
 
-  const linkTypeSelect = document.createElement("select");
-  const linkTypeInitial = project?.linkType || inferLinkType(project?.link || "");
+  const statusSelect = document.createElement("select");
+  Object.values(PROJECT_STATUSES).forEach((status) => {
+    const option = document.createElement("option");
+    option.value = status;
+    option.textContent = PROJECT_STATUS_LABELS[status];
+    option.selected = status === (project?.status ?? PROJECT_STATUSES.ACTIVE);
+    statusSelect.append(option);
+  });
+
   const orderedLinkTypes = ["web", "obsidian", "vscode", "cursor", "antigravity", "custom"];
   const linkTypeEntries = orderedLinkTypes
     .filter((key) => LINK_TYPE_HELP[key])
@@ -887,21 +4006,43 @@ function openProjectEditor(options = {}) {
     }
   });
 
-  linkTypeEntries.forEach(([key, info]) => {
-    const option = document.createElement("option");
-    option.value = key;
-    option.textContent = info.label;
-    option.selected = key === linkTypeInitial;
-    linkTypeSelect.append(option);
-  });
+  const buildLinkTypeSelect = (selectedType) => {
+    const select = document.createElement("select");
+    select.className = "project-link-type";
+    select.setAttribute("aria-label", "Link type");
+
+    linkTypeEntries.forEach(([key, info]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = info.label;
+      option.selected = key === selectedType;
+      select.append(option);
+    });
+
+    return select;
+  };
+
+  const initialLinks = getProjectLinks(project ?? draft);
+  const initialLinkType = initialLinks[0]?.linkType || project?.linkType || inferLinkType(project?.link || "");
+
+  const linkList = document.createElement("ol");
+  linkList.className = "project-link-list";
+
+  const addLinkButton = document.createElement("button");
+  addLinkButton.type = "button";
+  addLinkButton.className = "project-link-add";
+  addLinkButton.textContent = "Add Link";
+
+  // The helper builds into whichever link row was focused last, using that row's type.
+  let activeLinkRow = null;
 
   const helperLabel = document.createElement("label");
-  helperLabel.textContent = LINK_TYPE_HELP[linkTypeInitial].helperLabel;
+  helperLabel.textContent = LINK_TYPE_HELP[initialLinkType].helperLabel;
 
   const helperInput = document.createElement("input");
   helperInput.type = "text";
   helperInput.placeholder = "Use helper input then click Build";
-  helperInput.value = project?.link ?? "";
+  helperInput.value = initialLinks[0]?.link ?? project?.link ?? "";
 
   const buildButton = document.createElement("button");
   buildButton.type = "button";
@@ -911,22 +4052,157 @@ function openProjectEditor(options = {}) {
   helperRow.className = "helper-row";
   helperRow.append(helperInput, buildButton);
 
-  const helperField = document.createElement("div");
-  helperField.className = "panel-field";
-  helperField.append(helperLabel, helperRow);
+  const helperField = document.createElement("div");
+  helperField.className = "panel-field";
+  helperField.append(helperLabel, helperRow);
+
+  const helperHint = document.createElement("small");
+  helperHint.textContent = LINK_TYPE_HELP[initialLinkType].hint;
+  helperField.append(helperHint);
+
+  const refreshHelperMetadata = () => {
+    const selectedType = activeLinkRow?.querySelector(".project-link-type")?.value || "web";
+    helperLabel.textContent = LINK_TYPE_HELP[selectedType].helperLabel;
+    helperHint.textContent = LINK_TYPE_HELP[selectedType].hint;
+  };
+
+  const refreshLinkRows = () => {
+    Array.from(linkList.children).forEach((row, index) => {
+      row.querySelector(".project-link-rank").textContent = index === 0 ? "Primary" : `#${index + 1}`;
+      row.querySelector(".project-link-up").disabled = index === 0;
+    });
+
+    addLinkButton.disabled = linkList.children.length >= MAX_PROJECT_LINKS;
+  };
+
+  const addLinkRow = (entry = null) => {
+    const row = document.createElement("li");
+    row.className = "project-link-row";
+    row.dataset.linkId = entry?.id ?? "";
+
+    const rank = document.createElement("span");
+    rank.className = "project-link-rank";
+
+    const typeSelect = buildLinkTypeSelect(entry?.linkType || (linkList.children.length ? "web" : initialLinkType));
+
+    const labelInput = document.createElement("input");
+    labelInput.type = "text";
+    labelInput.className = "project-link-label";
+    labelInput.placeholder = "Label (optional)";
+    labelInput.value = entry?.label ?? "";
+
+    const upButton = document.createElement("button");
+    upButton.type = "button";
+    upButton.className = "project-link-up";
+    upButton.textContent = "Up";
+    upButton.title = "Move up; the first link is what clicking the project opens";
+    upButton.addEventListener("click", () => {
+      if (row.previousElementSibling) {
+        linkList.insertBefore(row, row.previousElementSibling);
+        refreshLinkRows();
+      }
+    });
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "project-link-remove";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => {
+      row.remove();
+
+      // An empty list would leave nowhere to type, so the last row is replaced by a blank one.
+      if (linkList.children.length === 0) {
+        addLinkRow();
+      }
+
+      if (activeLinkRow === row) {
+        activeLinkRow = linkList.firstElementChild;
+        refreshHelperMetadata();
+      }
+
+      refreshLinkRows();
+    });
+
+    const meta = document.createElement("div");
+    meta.className = "project-link-meta";
+    meta.append(rank, typeSelect, labelInput, upButton, removeButton);
+
+    const linkInput = document.createElement("input");
+    linkInput.type = "text";
+    linkInput.className = "project-link-input";
+    linkInput.placeholder = "Final link or URI";
+    linkInput.value = entry?.link ?? "";
+
+    row.addEventListener("focusin", () => {
+      activeLinkRow = row;
+      refreshHelperMetadata();
+    });
+    typeSelect.addEventListener("change", refreshHelperMetadata);
+
+    row.append(meta, linkInput);
+    linkList.append(row);
+    refreshLinkRows();
+    return row;
+  };
+
+  (initialLinks.length ? initialLinks : [null]).forEach((entry) => addLinkRow(entry));
+  activeLinkRow = linkList.firstElementChild;
+
+  addLinkButton.addEventListener("click", () => {
+    const row = addLinkRow();
+    row.querySelector(".project-link-input").focus();
+  });
+
+  const readLinkRows = () =>
+    Array.from(linkList.children)
+      .map((row) => {
+        const linkType = row.querySelector(".project-link-type").value;
+        return {
+          id: row.dataset.linkId,
+          label: row.querySelector(".project-link-label").value,
+          linkType,
+          link: normalizeProjectLink(row.querySelector(".project-link-input").value, linkType)
+        };
+      })
+      .filter((entry) => entry.link);
+
+  const linkField = createField(
+    "Links",
+    linkList,
+    "The first link opens when you click the project; the rest are one click away from its +N counter."
+  );
+  linkField.append(addLinkButton);
+
+  // Local overrides are keyed by project id, so only projects that already exist can carry one.
+  const localLinkInput = document.createElement("input");
+  localLinkInput.type = "text";
+  localLinkInput.placeholder = "Same as the primary link";
+  localLinkInput.spellcheck = false;
+  localLinkInput.value = isEditMode ? getProjectLinkOverride(devicePrefs.linkOverrides, project.id) : "";
+
+  const localLinkField = createField(
+    "Primary link on this device",
+    localLinkInput,
+    "Optional. Opens here instead of the primary link; other devices and exports keep the synced one."
+  );
+  localLinkField.hidden = !isEditMode;
 
-  const helperHint = document.createElement("small");
-  helperHint.textContent = LINK_TYPE_HELP[linkTypeInitial].hint;
-  helperField.append(helperHint);
+  const launchAllChip = document.createElement("label");
+  launchAllChip.className = "checkbox-chip";
 
-  const linkInput = document.createElement("input");
-  linkInput.type = "text";
-  linkInput.placeholder = "Final link or URI";
-  linkInput.value = project?.link ?? "";
-  linkInput.required = projectModeInitial === PROJECT_MODES.LAUNCHABLE;
+  const launchAllCheckbox = document.createElement("input");
+  launchAllCheckbox.type = "checkbox";
+  launchAllCheckbox.checked = project?.excludeFromLaunchAll !== true;
 
-  const linkTypeField = createField("Link Type", linkTypeSelect);
-  const linkField = createField("Link", linkInput);
+  const launchAllText = document.createElement("span");
+  launchAllText.textContent = "Open with the campaign's Launch all";
+
+  launchAllChip.append(launchAllCheckbox, launchAllText);
+  const launchAllField = createField(
+    "Launch all",
+    launchAllChip,
+    "Untick for projects you only open on purpose, such as a heavy app or a reference board."
+  );
 
   const campaignsCheckboxes = buildCampaignCheckboxes(defaultCampaignIds);
   const campaignsField = createField("Campaigns", campaignsCheckboxes, "A project can belong to one or many campaigns.");
@@ -934,43 +4210,42 @@ function openProjectEditor(options = {}) {
   const errorElement = document.createElement("p");
   errorElement.className = "panel-error";
 
-  const refreshHelperMetadata = () => {
-    const selectedType = linkTypeSelect.value;
-    helperLabel.textContent = LINK_TYPE_HELP[selectedType].helperLabel;
-    helperHint.textContent = LINK_TYPE_HELP[selectedType].hint;
-  };
-
   const refreshProjectModeFields = () => {
     const isLaunchable = projectModeSelect.value === PROJECT_MODES.LAUNCHABLE;
 
     // Physical projects intentionally hide URI controls to keep the panel semantically clean.
-    linkTypeField.hidden = !isLaunchable;
     helperField.hidden = !isLaunchable;
     linkField.hidden = !isLaunchable;
+    launchAllField.hidden = !isLaunchable;
+    localLinkField.hidden = !isLaunchable || !isEditMode;
 
-    linkTypeSelect.disabled = !isLaunchable;
     helperInput.disabled = !isLaunchable;
     buildButton.disabled = !isLaunchable;
-    linkInput.disabled = !isLaunchable;
-    linkInput.required = isLaunchable;
+    linkField.querySelectorAll("input, select, button").forEach((control) => {
+      control.disabled = !isLaunchable;
+    });
+
+    if (isLaunchable) {
+      refreshLinkRows();
+    }
 
     if (!isLaunchable) {
       errorElement.textContent = "";
     }
   };
 
-  linkTypeSelect.addEventListener("change", refreshHelperMetadata);
   projectModeSelect.addEventListener("change", refreshProjectModeFields);
 
   buildButton.addEventListener("click", () => {
-    const built = buildLinkFromHelper(linkTypeSelect.value, helperInput.value);
+    const targetRow = activeLinkRow ?? linkList.firstElementChild;
+    const built = buildLinkFromHelper(targetRow.querySelector(".project-link-type").value, helperInput.value);
 
     if (!built) {
       errorElement.textContent = "Helper input is empty.";
       return;
     }
 
-    linkInput.value = built;
+    targetRow.querySelector(".project-link-input").value = built;
     errorElement.textContent = "";
   });
 
@@ -983,17 +4258,27 @@ function openProjectEditor(options = {}) {
           return;
         }
 
-        applyState(deleteProject(state, project.id));
+        applyState(deleteProject(state, project.id), { historyLabel: `Delete project "${project.name}"` });
         closePanel();
+        showToast(`Deleted project "${project.name}".`, { label: "Undo delete", onAction: undoLastChange });
       }
     : null;
 
+  if (draft) {
+    const draftNote = document.createElement("p");
+    draftNote.className = "panel-note";
+    draftNote.textContent = "Made from your paste. Press Enter to add it, or change anything first.";
+    formElement.append(draftNote);
+  }
+
   formElement.append(
     createField("Name", nameInput),
     createField("Project Mode", projectModeSelect, "Physical artifacts stay on the board but do not launch links."),
-    linkTypeField,
-    helperField,
+    createField("Status", statusSelect, "Done projects move into the campaign's Completed drawer instead of being deleted."),
     linkField,
+    helperField,
+    localLinkField,
+    launchAllField,
     campaignsField,
     errorElement,
     createActionsRow(isEditMode ? "Save Project" : "Create Project", handleDelete)
@@ -1019,24 +4304,38 @@ function openProjectEditor(options = {}) {
     const normalizedProjectMode =
       projectModeSelect.value === PROJECT_MODES.PHYSICAL ? PROJECT_MODES.PHYSICAL : PROJECT_MODES.LAUNCHABLE;
 
-    if (normalizedProjectMode === PROJECT_MODES.LAUNCHABLE && !linkInput.value.trim()) {
-      errorElement.textContent = "Project link is required.";
+    const links = normalizedProjectMode === PROJECT_MODES.PHYSICAL ? [] : readLinkRows();
+
+    if (normalizedProjectMode === PROJECT_MODES.LAUNCHABLE && links.length === 0) {
+      errorElement.textContent = "Add at least one project link.";
       return;
     }
 
-    const normalizedLinkType = linkTypeSelect.value;
     const payload = {
       name: nameInput.value,
       mode: normalizedProjectMode,
-      linkType: normalizedLinkType,
-      link:
-        normalizedProjectMode === PROJECT_MODES.PHYSICAL
-          ? ""
-          : normalizeProjectLink(linkInput.value, normalizedLinkType),
+      status: statusSelect.value,
+      links,
+      excludeFromLaunchAll: normalizedProjectMode === PROJECT_MODES.LAUNCHABLE && !launchAllCheckbox.checked,
       campaignIds
     };
 
     const nextState = isEditMode ? updateProject(state, project.id, payload) : addProject(state, payload);
+    const localLink = normalizedProjectMode === PROJECT_MODES.LAUNCHABLE ? localLinkInput.value.trim() : "";
+    const localLinkChanged =
+      isEditMode && localLink !== getProjectLinkOverride(devicePrefs.linkOverrides, project.id);
+
+    if (localLinkChanged) {
+      saveLinkOverrides(setProjectLinkOverride(devicePrefs.linkOverrides, project.id, localLink)).catch((error) => {
+        console.warn("Resume: failed to save the project's local link.", error);
+        showToast("Could not save the local link on this device.");
+      });
+    }
+
+    if (nextState === state && localLinkChanged) {
+      closePanel();
+      return;
+    }
 
     if (nextState === state) {
       errorElement.textContent = isEditMode
@@ -1045,9 +4344,61 @@ function openProjectEditor(options = {}) {
       return;
     }
 
-    applyState(nextState);
+    applyState(nextState, {
+      historyLabel: isEditMode ? `Edit project "${project.name}"` : `Create project "${payload.name.trim()}"`
+    });
     closePanel();
   });
+
+  if (draft) {
+    // Selecting the guess means typing a better name replaces it outright.
+    nameInput.focus();
+    nameInput.select();
+
+    // A page title arrives a moment later and only replaces the guess if nobody has started editing it.
+    options.pendingName?.then((title) => {
+      if (title && nameInput.isConnected && nameInput.value === draft.name) {
+        nameInput.value = title;
+        if (document.activeElement === nameInput) {
+          nameInput.select();
+        }
+      }
+    });
+  }
+}
+
+function handleBoardPaste(event) {
+  // Pastes into fields, the palette, or an open panel are ordinary text pastes.
+  if (lockedBoard || newerBoardVersion || isTextEditingTarget(event.target) || isCommandPaletteOpen() || !panelRootElement.hidden) {
+    return;
+  }
+
+  const pasted = parsePastedText(event.clipboardData?.getData("text/plain"), {
+    editorLinkType: pickEditorLinkType(state)
+  });
+  if (!pasted) {
+    return;
+  }
+
+  event.preventDefault();
+
+  // A focused card wins over a hovered one; with neither, the editor falls back to its usual first campaign.
+  const focusedCardId =
+    event.target instanceof Element
+      ? event.target.closest(".campaign-card[data-campaign-id]")?.dataset.campaignId
+      : undefined;
+  const activeCampaignIds = getActiveCampaigns(state).map((campaign) => campaign.id);
+  const seedCampaignId = [focusedCardId, hoveredCampaignId].find((id) => id && activeCampaignIds.includes(id));
+
+  const anchorName = readPastedAnchorText(event.clipboardData.getData("text/html"), pasted.link);
+  openProjectEditor({
+    seedCampaignId,
+    draft: {
+      name: anchorName || pasted.name,
+      links: [{ id: "", label: "", linkType: pasted.linkType, link: pasted.link }]
+    },
+    pendingName: anchorName || pasted.linkType !== "web" ? null : fetchPageTitle(pasted.link)
+  });
 }
 
 function syncMissionEmptyState(missionSection, missionEditor) {
@@ -1107,9 +4458,104 @@ function buildCampaignDragGlyph() {
   return svg;
 }
 
-function renderProjectRow(project) {
+function describeProjectLinkForDevice(project, entry) {
+  const localLink = resolveProjectLink(devicePrefs.linkOverrides, project, entry);
+  return localLink === entry.link
+    ? `${describeProjectLink(entry)}: ${entry.link}`
+    : `${describeProjectLink(entry)}: ${localLink} (on this device)`;
+}
+
+function renderProjectLinkMenu(project, links) {
+  const menu = document.createElement("ul");
+  menu.className = "project-link-menu";
+  menu.setAttribute("aria-label", `Other links for ${project.name}`);
+
+  links.slice(1).forEach((entry) => {
+    const item = document.createElement("li");
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "project-link-menu-item";
+    button.textContent = describeProjectLink(entry);
+    button.title = resolveProjectLink(devicePrefs.linkOverrides, project, entry);
+    button.addEventListener("click", () => {
+      openLinkMenuProjectId = null;
+      launchProject(project, null, entry);
+    });
+
+    item.append(button);
+    menu.append(item);
+  });
+
+  return menu;
+}
+
+function renderProjectNotes(project) {
+  const notes = document.createElement("div");
+  notes.className = "project-notes";
+
+  PROJECT_NOTE_COPY.forEach(({ field, label, placeholder }) => {
+    const line = document.createElement("div");
+    line.className = "project-note";
+
+    const noteLabel = document.createElement("span");
+    noteLabel.className = "project-note-label";
+    noteLabel.textContent = label;
+
+    // Notes edit in place like the mission field: Enter or blur commits, and an emptied note is a cleared note.
+    const noteEditor = document.createElement("div");
+    noteEditor.className = "project-note-editor";
+    noteEditor.contentEditable = "true";
+    noteEditor.spellcheck = true;
+    noteEditor.dataset.placeholder = placeholder;
+    noteEditor.setAttribute("aria-label", `${label} note for ${project.name}`);
+    noteEditor.textContent = project[field] ?? "";
+    noteEditor.dataset.empty = noteEditor.textContent ? "false" : "true";
+
+    noteEditor.addEventListener("input", () => {
+      noteEditor.dataset.empty = noteEditor.textContent.trim() ? "false" : "true";
+    });
+
+    noteEditor.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        noteEditor.blur();
+      }
+    });
+
+    noteEditor.addEventListener("blur", () => {
+      applyState(updateProjectNote(state, project.id, field, noteEditor.textContent), {
+        historyLabel: `Edit ${label.toLowerCase()} note for "${project.name}"`
+      });
+    });
+
+    line.append(noteLabel, noteEditor);
+    notes.append(line);
+  });
+
+  return notes;
+}
+
+function renderProjectRow(project, campaignId, options = {}) {
+  const { lastLaunch = null, isCompleted = false } = options;
   const row = document.createElement("div");
-  row.className = "campaign-project-row";
+  row.className = `campaign-project-row status-${project.status}`;
+  row.dataset.rowProjectId = project.id;
+  row.dataset.rowKey = `${campaignId}:${project.id}`;
+  const links = getProjectLinks(project);
+
+  if (projectDrag?.isActive && projectDrag.projectId === project.id && projectDrag.targetCampaignId === campaignId) {
+    row.classList.add("is-drag-source");
+  }
+
+  // Only the campaign's most recently opened project gets a launch stamp, so the highlight stays meaningful.
+  if (lastLaunch) {
+    row.classList.add("is-last-opened");
+  }
+
+  if (project.leftOff || project.nextStep) {
+    row.classList.add("has-notes");
+  }
 
   const launchButton = document.createElement("button");
   launchButton.type = "button";
@@ -1118,12 +4564,26 @@ function renderProjectRow(project) {
   launchButton.title =
     project.mode === PROJECT_MODES.PHYSICAL
       ? `${project.name}\nPhysical artifact (no link)`
-      : `${project.name}\n${project.link || "No link set"}`;
+      : links.length
+        ? [project.name, ...links.map((entry) => describeProjectLinkForDevice(project, entry))].join("\n")
+        : `${project.name}\nNo link set`;
 
+  launchButton.dataset.projectId = project.id;
   launchButton.addEventListener("click", () => {
+    if (Date.now() < suppressProjectClickUntil) {
+      return;
+    }
+
     launchProject(project, launchButton);
   });
 
+  // Completed projects stay put in their drawer; reordering is for work still in play.
+  if (!isCompleted) {
+    launchButton.addEventListener("pointerdown", (event) => {
+      armProjectDrag(event, project, campaignId, row);
+    });
+  }
+
   // Right-click remains a direct edit shortcut for power users.
   launchButton.addEventListener("contextmenu", (event) => {
     event.preventDefault();
@@ -1140,15 +4600,145 @@ function renderProjectRow(project) {
     openProjectEditor({ projectId: project.id });
   });
 
-  row.append(launchButton, editButton);
+  row.append(launchButton);
+
+  // Active and done read from where the row sits; only the states that need attention carry a label.
+  if (project.status === PROJECT_STATUSES.BLOCKED || project.status === PROJECT_STATUSES.PAUSED) {
+    const statusBadge = document.createElement("span");
+    statusBadge.className = "project-status-badge";
+    statusBadge.textContent = PROJECT_STATUS_LABELS[project.status];
+    statusBadge.title = project.statusChangedAt
+      ? `${PROJECT_STATUS_LABELS[project.status]} since ${new Date(project.statusChangedAt).toLocaleDateString()}`
+      : PROJECT_STATUS_LABELS[project.status];
+    row.append(statusBadge);
+  }
+
+  const linkProblems = getProjectLinkProblems(linkHealth, project, devicePrefs.linkOverrides);
+  if (linkProblems.length > 0) {
+    row.append(renderLinkHealthBadge(project, linkProblems));
+  }
+
+  // Extra links sit behind a small counter so the pill itself always means "open the primary".
+  if (links.length > 1) {
+    const isMenuOpen = openLinkMenuProjectId === project.id;
+    row.classList.add("has-links");
+
+    const linksToggle = document.createElement("button");
+    linksToggle.type = "button";
+    linksToggle.className = "project-links-toggle";
+    linksToggle.textContent = `+${links.length - 1}`;
+    linksToggle.setAttribute("aria-expanded", String(isMenuOpen));
+    linksToggle.setAttribute("aria-label", `Show ${links.length - 1} more link${links.length === 2 ? "" : "s"} for ${project.name}`);
+    linksToggle.addEventListener("click", () => {
+      openLinkMenuProjectId = isMenuOpen ? null : project.id;
+      render();
+    });
+    row.append(linksToggle);
+
+    if (isMenuOpen) {
+      row.append(renderProjectLinkMenu(project, links));
+    }
+  }
+
+  const gitEntry = getProjectGitActivity(gitActivity, project, devicePrefs.linkOverrides);
+  if (gitEntry?.branch || gitEntry?.lastCommitAt) {
+    row.append(renderProjectGitMeta(gitEntry));
+  }
+
+  if (lastLaunch) {
+    const lastOpenedLabel = document.createElement("span");
+    lastOpenedLabel.className = "project-last-opened";
+    lastOpenedLabel.textContent = formatRelativeTime(lastLaunch.lastOpenedAt);
+    lastOpenedLabel.title = `Last opened on this device ${new Date(lastLaunch.lastOpenedAt).toLocaleString()} · ${
+      lastLaunch.count
+    } launch${lastLaunch.count === 1 ? "" : "es"}`;
+    row.append(lastOpenedLabel);
+  }
+
+  row.append(editButton, renderProjectNotes(project));
 
   return row;
 }
 
+function renderLinkHealthBadge(project, linkProblems) {
+  const [worst] = linkProblems;
+  const isBroken = isBrokenLinkHealth(worst.result);
+
+  const badge = document.createElement("button");
+  badge.type = "button";
+  badge.className = "project-link-health";
+  badge.dataset.health = isBroken ? "broken" : "moved";
+  badge.textContent = isBroken ? "!" : "↪";
+  badge.setAttribute("aria-label", `${isBroken ? "Broken" : "Redirected"} link in ${project.name}. Open Fix links.`);
+  badge.title = [
+    describeLinkHealth(worst.result),
+    ...(linkProblems.length > 1 ? [`and ${linkProblems.length - 1} more`] : []),
+    "Click to open Fix links"
+  ].join("\n");
+  badge.addEventListener("click", openFixLinksPanel);
+  return badge;
+}
+
+function renderProjectGitMeta(gitEntry) {
+  const meta = document.createElement("span");
+  meta.className = "project-git-meta";
+  meta.dataset.freshness = describeGitFreshness(gitEntry.lastCommitAt) ?? "unknown";
+  meta.classList.toggle("is-dirty", gitEntry.dirty);
+
+  // Branch first because it is the thing most worth noticing; the asterisk is the shell-prompt shorthand for dirty.
+  const parts = [
+    gitEntry.branch ? `${gitEntry.branch}${gitEntry.dirty ? "*" : ""}` : "",
+    gitEntry.lastCommitAt ? formatRelativeTime(gitEntry.lastCommitAt) : "no commits"
+  ].filter(Boolean);
+  meta.textContent = parts.join(" · ");
+
+  meta.title = [
+    gitEntry.detached ? `Detached HEAD at ${gitEntry.branch}` : `Branch ${gitEntry.branch ?? "unknown"}`,
+    gitEntry.lastCommitAt
+      ? `Last commit ${new Date(gitEntry.lastCommitAt).toLocaleString()}`
+      : "No commits yet",
+    gitEntry.dirty
+      ? `${gitEntry.changedFiles} uncommitted change${gitEntry.changedFiles === 1 ? "" : "s"}`
+      : "Working tree clean",
+    gitEntry.repoRoot
+  ].filter(Boolean).join("\n");
+
+  return meta;
+}
+
+function renderCompletedDrawer(campaign, completedProjects) {
+  const drawer = document.createElement("details");
+  drawer.className = "projects-completed";
+  // Drawer state lives outside the DOM so a re-render after any edit does not snap it shut.
+  drawer.open = openCompletedDrawerIds.has(campaign.id);
+  drawer.addEventListener("toggle", () => {
+    if (drawer.open) {
+      openCompletedDrawerIds.add(campaign.id);
+    } else {
+      openCompletedDrawerIds.delete(campaign.id);
+    }
+  });
+
+  const summary = document.createElement("summary");
+  summary.className = "projects-completed-summary";
+  summary.textContent = `Completed · ${completedProjects.length}`;
+  summary.title = `Finished projects in ${campaign.name}`;
+
+  const list = document.createElement("div");
+  list.className = "projects-list projects-completed-list";
+  completedProjects.forEach((project) => {
+    list.append(renderProjectRow(project, campaign.id, { isCompleted: true }));
+  });
+
+  drawer.append(summary, list);
+  return drawer;
+}
+
 function renderCampaignCard(campaign, projects) {
   const article = document.createElement("article");
   article.className = "campaign-card";
   article.dataset.campaignId = campaign.id;
+  applyCampaignColorTokens(article, campaign.color);
 
   if (dragCampaignId === campaign.id) {
     article.classList.add("is-drag-source");
@@ -1172,7 +4762,7 @@ function renderCampaignCard(campaign, projects) {
   });
 
   title.addEventListener("blur", () => {
-    applyState(renameCampaign(state, campaign.id, title.textContent));
+    applyState(renameCampaign(state, campaign.id, title.textContent), { historyLabel: "Rename campaign" });
     title.title = title.textContent.trim();
   });
 
@@ -1184,11 +4774,25 @@ function renderCampaignCard(campaign, projects) {
   dragHandle.className = "campaign-drag-handle";
   dragHandle.setAttribute("aria-label", `Drag to reorder campaign ${campaign.name}`);
   dragHandle.title = `Drag to reorder ${campaign.name}. Move it where it feels right and release to snap.`;
+  if (isRecentCampaignSort()) {
+    dragHandle.disabled = true;
+    dragHandle.title = "Campaigns are sorted by recent activity on this device. Switch to manual order to drag.";
+  }
   dragHandle.append(buildCampaignDragGlyph());
   dragHandle.addEventListener("pointerdown", (event) => {
     beginCampaignDrag(event, campaign.id, article);
   });
 
+  const archiveButton = document.createElement("button");
+  archiveButton.type = "button";
+  archiveButton.className = "campaign-archive";
+  archiveButton.textContent = "Archive";
+  archiveButton.title = `Move ${campaign.name} and its projects to the archive shelf`;
+  archiveButton.addEventListener("click", () => {
+    applyState(archiveCampaign(state, campaign.id), { historyLabel: `Archive campaign "${campaign.name}"` });
+    showToast(`Archived campaign "${campaign.name}".`, { label: "Undo", onAction: undoLastChange });
+  });
+
   const deleteButton = document.createElement("button");
   deleteButton.type = "button";
   deleteButton.className = "campaign-delete";
@@ -1199,11 +4803,38 @@ function renderCampaignCard(campaign, projects) {
       return;
     }
 
-    applyState(deleteCampaign(state, campaign.id));
+    recordGuardSnapshot(SNAPSHOT_REASONS.BEFORE_DELETE, `Campaign "${campaign.name}"`);
+    applyState(deleteCampaign(state, campaign.id), { historyLabel: `Delete campaign "${campaign.name}"` });
+    showToast(`Deleted campaign "${campaign.name}" and its orphaned projects.`, {
+      label: "Undo delete",
+      onAction: undoLastChange
+    });
+  });
+
+  const styleButton = document.createElement("button");
+  styleButton.type = "button";
+  styleButton.className = "campaign-style-button";
+  styleButton.setAttribute("aria-label", `Change color and icon of ${campaign.name}`);
+  styleButton.title = `Color and icon for ${campaign.name}`;
+  styleButton.addEventListener("click", () => {
+    openCampaignEditor({ campaignId: campaign.id });
   });
 
-  headerActions.append(dragHandle, deleteButton);
-  header.append(title, headerActions);
+  headerActions.append(styleButton, dragHandle, archiveButton, deleteButton);
+
+  const titleRow = document.createElement("div");
+  titleRow.className = "campaign-title-row";
+
+  if (campaign.icon) {
+    const icon = document.createElement("span");
+    icon.className = "campaign-icon";
+    icon.textContent = campaign.icon;
+    icon.setAttribute("aria-hidden", "true");
+    titleRow.append(icon);
+  }
+
+  titleRow.append(title);
+  header.append(titleRow, headerActions);
 
   const missionSection = document.createElement("section");
   missionSection.className = "mission-block";
@@ -1230,10 +4861,23 @@ function renderCampaignCard(campaign, projects) {
   });
 
   missionEditor.addEventListener("blur", () => {
-    applyState(updateCampaignMission(state, campaign.id, missionEditor.textContent));
+    applyState(updateCampaignMission(state, campaign.id, missionEditor.textContent), {
+      historyLabel: `Edit mission for "${campaign.name}"`
+    });
+  });
+
+  const historyCount = Array.isArray(campaign.missionHistory) ? campaign.missionHistory.length : 0;
+  const missionHistoryButton = document.createElement("button");
+  missionHistoryButton.type = "button";
+  missionHistoryButton.className = "mission-history-button";
+  missionHistoryButton.textContent = historyCount ? `Timeline · ${historyCount}` : "Timeline";
+  missionHistoryButton.setAttribute("aria-label", `Open mission timeline for ${campaign.name}`);
+  missionHistoryButton.title = `Past missions for ${campaign.name}`;
+  missionHistoryButton.addEventListener("click", () => {
+    openMissionTimelinePanel(campaign.id);
   });
 
-  missionSection.append(missionEditor);
+  missionSection.append(missionEditor, missionHistoryButton);
 
   const projectsSection = document.createElement("section");
   projectsSection.className = "projects-block";
@@ -1255,24 +4899,65 @@ function renderCampaignCard(campaign, projects) {
     openProjectEditor({ seedCampaignId: campaign.id });
   });
 
-  projectsHeader.append(projectsLabel, addProjectInlineButton);
+  const { open: openProjects, completed: completedProjects } = splitCompletedProjects(projects);
+  const lastLaunch = findMostRecentLaunch(
+    launchHistory,
+    openProjects.filter((project) => project.mode !== PROJECT_MODES.PHYSICAL).map((project) => project.id)
+  );
+  const lastProject = lastLaunch ? projects.find((project) => project.id === lastLaunch.projectId) : null;
+
+  const launchAllButton = document.createElement("button");
+  launchAllButton.type = "button";
+  launchAllButton.className = "projects-launch-all";
+  launchAllButton.textContent = "Launch all";
+  const launchTargetCount = countLaunchTargets(buildCampaignLaunchPlan(state, campaign.id, devicePrefs.linkOverrides));
+  launchAllButton.disabled = launchTargetCount === 0;
+  launchAllButton.title =
+    launchTargetCount > 0
+      ? `Open ${launchTargetCount} project${launchTargetCount === 1 ? "" : "s"} from ${campaign.name}`
+      : `No projects in ${campaign.name} are included in Launch all`;
+  launchAllButton.addEventListener("click", () => {
+    launchCampaignWorkspace(campaign);
+  });
+
+  if (lastProject) {
+    const resumeButton = document.createElement("button");
+    resumeButton.type = "button";
+    resumeButton.className = "projects-resume";
+    resumeButton.textContent = "Resume last";
+    resumeButton.title = `Reopen ${lastProject.name} (${formatRelativeTime(lastLaunch.lastOpenedAt)})`;
+    resumeButton.addEventListener("click", () => {
+      launchProject(lastProject, canvasElement.querySelector(`[data-project-id="${CSS.escape(lastProject.id)}"]`));
+    });
+    projectsHeader.append(projectsLabel, resumeButton, launchAllButton, addProjectInlineButton);
+  } else {
+    projectsHeader.append(projectsLabel, launchAllButton, addProjectInlineButton);
+  }
 
   const projectsList = document.createElement("div");
   projectsList.className = "projects-list";
 
-  if (projects.length === 0) {
+  if (openProjects.length === 0) {
     const emptyProjects = document.createElement("p");
     emptyProjects.className = "projects-empty";
-    emptyProjects.textContent = "No projects in this campaign yet.";
+    emptyProjects.textContent = completedProjects.length
+      ? "Everything here is done."
+      : "No projects in this campaign yet.";
     projectsList.append(emptyProjects);
   } else {
-    projects.forEach((project) => {
-      projectsList.append(renderProjectRow(project));
+    openProjects.forEach((project) => {
+      projectsList.append(
+        renderProjectRow(project, campaign.id, { lastLaunch: project.id === lastProject?.id ? lastLaunch : null })
+      );
     });
   }
 
   projectsSection.append(projectsHeader, projectsList);
 
+  if (completedProjects.length > 0) {
+    projectsSection.append(renderCompletedDrawer(campaign, completedProjects));
+  }
+
   article.append(header, missionSection, projectsSection);
   return article;
 }
@@ -1302,12 +4987,16 @@ function renderEmptySlot(slotIndex) {
 }
 
 function renderSummary() {
-  const campaignCount = state.campaigns.length;
+  const activeCampaigns = getActiveCampaigns(state);
+  const campaignCount = activeCampaigns.length;
+  const archivedCount = state.campaigns.length - campaignCount;
   const projectCount = state.projects.length;
-  const missionCount = state.campaigns.filter((campaign) => campaign.currentMission).length;
+  const missionCount = activeCampaigns.filter((campaign) => campaign.currentMission).length;
   const verboseSummary = `${campaignCount} campaign${campaignCount === 1 ? "" : "s"} · ${projectCount} project${
     projectCount === 1 ? "" : "s"
-  } · ${missionCount} active mission${missionCount === 1 ? "" : "s"}`;
+  } · ${missionCount} active mission${missionCount === 1 ? "" : "s"}${
+    archivedCount ? ` · ${archivedCount} archived campaign${archivedCount === 1 ? "" : "s"}` : ""
+  }`;
 
   // Compact tokens reduce sidebar text load, while title/aria preserve full clarity.
   summaryElement.textContent = `${campaignCount}c · ${projectCount}p · ${missionCount}m`;
@@ -1316,29 +5005,377 @@ function renderSummary() {
 }
 
 function syncSidebarActionStates() {
-  const atCampaignLimit = state.campaigns.length >= MAX_CAMPAIGNS;
+  const hasActiveCampaigns = getActiveCampaigns(state).length > 0;
+  const archivedCount = buildArchiveShelf(state).length;
 
-  if (addCampaignButton) {
-    addCampaignButton.disabled = atCampaignLimit;
-    addCampaignButton.title = atCampaignLimit
-      ? `Campaign limit reached (${MAX_CAMPAIGNS}).`
-      : "Create a new campaign";
+  if (addProjectButton) {
+    addProjectButton.disabled = !hasActiveCampaigns;
+    addProjectButton.title = hasActiveCampaigns ? "Create a new project" : "Create a campaign first";
   }
 
-  if (addProjectButton) {
-    addProjectButton.disabled = state.campaigns.length === 0;
-    addProjectButton.title = state.campaigns.length === 0 ? "Create a campaign first" : "Create a new project";
+  if (archiveShelfLabel) {
+    archiveShelfLabel.textContent = archivedCount ? `Archived (${archivedCount})` : "Archived";
+  }
+}
+
+function renderBoardPager(pageCount) {
+  const pager = document.createElement("nav");
+  pager.className = "board-pager";
+  pager.setAttribute("aria-label", "Board pages");
+
+  const previousButton = document.createElement("button");
+  previousButton.type = "button";
+  previousButton.className = "board-pager-step";
+  previousButton.dataset.pageStep = "-1";
+  previousButton.textContent = "‹";
+  previousButton.setAttribute("aria-label", "Previous board page");
+  previousButton.disabled = boardPageIndex === 0;
+
+  const label = document.createElement("span");
+  label.className = "board-pager-label";
+  label.textContent = `Page ${boardPageIndex + 1} of ${pageCount}`;
+
+  const nextButton = document.createElement("button");
+  nextButton.type = "button";
+  nextButton.className = "board-pager-step";
+  nextButton.dataset.pageStep = "1";
+  nextButton.textContent = "›";
+  nextButton.setAttribute("aria-label", "Next board page");
+  nextButton.disabled = boardPageIndex >= pageCount - 1;
+
+  [previousButton, nextButton].forEach((button) => {
+    button.addEventListener("click", () => {
+      boardPageIndex = clampBoardPage(state, boardPageIndex + Number(button.dataset.pageStep), MAX_CAMPAIGN_SLOTS);
+      render();
+    });
+  });
+
+  pager.append(previousButton, label, nextButton);
+  return pager;
+}
+
+function focusCampaignMission(campaignId) {
+  const boardIndex = getActiveCampaigns(buildRenderableState()).findIndex((campaign) => campaign.id === campaignId);
+  if (boardIndex < 0) {
+    return;
+  }
+
+  // The campaign may live on another board page, so flip there before reaching for its editor.
+  boardPageIndex = Math.floor(boardIndex / MAX_CAMPAIGN_SLOTS);
+  render();
+
+  const missionEditor = canvasElement.querySelector(`[data-campaign-id="${CSS.escape(campaignId)}"] .mission-editor`);
+  if (!missionEditor) {
+    return;
+  }
+
+  missionEditor.focus();
+  const selection = window.getSelection();
+  selection?.selectAllChildren(missionEditor);
+  selection?.collapseToEnd();
+}
+
+function launchProjectFromPalette(project) {
+  const projectNode = canvasElement.querySelector(`[data-project-id="${CSS.escape(project.id)}"]`);
+
+  // Projects on another board page have no row to anchor a tooltip, so physical ones explain themselves in a toast.
+  if (!projectNode && project.mode === PROJECT_MODES.PHYSICAL) {
+    showToast(`"${project.name}" is a physical artifact with no link.`);
+    return;
+  }
+
+  launchProject(project, projectNode);
+}
+
+function buildPaletteCommands() {
+  const campaignNames = new Map(state.campaigns.map((campaign) => [campaign.id, campaign.name]));
+  const rewriteCount = devicePrefs.linkOverrides.pathRewrites.length;
+  const brokenLinkCount = collectLinkProblems().filter(({ result }) => isBrokenLinkHealth(result)).length;
+  const actions = [
+    { id: "action:new-campaign", title: "New campaign", keywords: ["add campaign", "create"], run: openCampaignEditor },
+    { id: "action:new-project", title: "New project", keywords: ["add project", "create"], run: () => openProjectEditor() },
+    { id: "action:export", title: "Export data", keywords: ["download", "backup"], run: exportStateToFile },
+    { id: "action:import", title: "Import data", keywords: ["upload", "merge", "restore"], run: openImportPicker },
+    {
+      id: "action:aesthetic",
+      title: "Toggle aesthetic",
+      subtitle: `Switch to ${getAestheticLabel(getNextAesthetic(activeAesthetic))}`,
+      keywords: ["theme", "mood"],
+      run: () => applyAesthetic(getNextAesthetic(activeAesthetic), { persist: true })
+    },
+    {
+      id: "action:history",
+      title: "Open history",
+      keywords: ["snapshots", "restore", "backup"],
+      run: () => {
+        openSnapshotHistoryPanel().catch((error) => {
+          console.warn("Resume: failed to open snapshot history.", error);
+        });
+      }
+    },
+    { id: "action:archive", title: "Open archived campaigns", keywords: ["archive", "shelf"], run: openArchiveShelfPanel },
+    {
+      id: "action:encryption",
+      title: "Board encryption",
+      subtitle: lockedBoard ? "Locked: enter passphrase" : boardKey ? "On" : "Off",
+      keywords: ["passphrase", "encrypt", "password", "lock"],
+      run: openEncryptionPanel
+    },
+    {
+      id: "action:sync-provider",
+      title: "Choose sync provider",
+      subtitle: `Currently ${syncProvider.label}`,
+      keywords: ["webdav", "server", "self-hosted", "storage"],
+      run: openSyncProviderPanel
+    },
+    {
+      id: "action:google-sync",
+      title: googleSyncRecord.connected ? "Sync with Google Drive now" : "Open Google sync",
+      keywords: ["drive", "cloud", "edge", "cross-browser"],
+      run: googleSyncRecord.connected ? syncGoogleDriveNow : openGoogleSyncPanel
+    },
+    {
+      id: "action:browser-routing",
+      title: "Web browser routing",
+      subtitle: `Web opens in ${BROWSER_TARGET_LABELS[devicePrefs.webRouting.defaultBrowser]} on this device`,
+      keywords: ["chrome", "edge", "open in", "browser", "domain"],
+      run: openBrowserRoutingPanel
+    },
+    {
+      id: "action:local-link-paths",
+      title: "Local link paths",
+      subtitle: rewriteCount
+        ? `${rewriteCount} path rewrite${rewriteCount === 1 ? "" : "s"} on this device`
+        : "Rewrite app link folders for this device",
+      keywords: ["vscode", "cursor", "obsidian", "path", "rewrite", "override", "machine"],
+      run: openLinkOverridesPanel
+    },
+    {
+      id: "action:git-activity",
+      title: "Git activity",
+      subtitle: gitActivity.hostError ? "Helper needs attention" : "Branch, last commit, and campaign order",
+      keywords: ["commits", "branch", "dirty", "freshness", "native"],
+      run: openGitActivityPanel
+    },
+    {
+      id: "action:fix-links",
+      title: "Fix links",
+      subtitle: brokenLinkCount
+        ? `${brokenLinkCount} broken link${brokenLinkCount === 1 ? "" : "s"} on this device`
+        : "Check project links for 404s, redirects, and missing folders",
+      keywords: ["broken", "health", "404", "redirect", "dead", "check"],
+      run: openFixLinksPanel
+    },
+    {
+      id: "action:campaign-sort",
+      title: isRecentCampaignSort() ? "Sort campaigns manually" : "Sort campaigns by recent activity",
+      subtitle: "This device only",
+      keywords: ["order", "recency", "recent", "git"],
+      run: () =>
+        setCampaignSortMode(isRecentCampaignSort() ? CAMPAIGN_SORT_MODES.MANUAL : CAMPAIGN_SORT_MODES.RECENT)
+    },
+    { id: "action:undo", title: "Undo", subtitle: "Ctrl/Cmd+Z", run: undoLastChange },
+    { id: "action:redo", title: "Redo", subtitle: "Shift+Ctrl/Cmd+Z", run: redoLastChange }
+  ];
+
+  const campaignCommands = getActiveCampaigns(state).flatMap((campaign) => [
+    {
+      id: `mission:${campaign.id}`,
+      title: `Edit mission of ${campaign.name}`,
+      subtitle: campaign.currentMission || "No mission set",
+      run: () => focusCampaignMission(campaign.id)
+    },
+    {
+      id: `timeline:${campaign.id}`,
+      title: `Mission timeline of ${campaign.name}`,
+      run: () => openMissionTimelinePanel(campaign.id)
+    },
+    {
+      id: `campaign-style:${campaign.id}`,
+      title: `Edit color and icon of ${campaign.name}`,
+      keywords: ["emoji", "rename"],
+      run: () => openCampaignEditor({ campaignId: campaign.id })
+    }
+  ]);
+
+  // Projects follow board order, so an empty query reads like a compact version of the board.
+  const activeCampaignIds = new Set(getActiveCampaigns(state).map((campaign) => campaign.id));
+  const projectCommands = state.projects
+    .filter((project) => project.campaignIds.some((campaignId) => activeCampaignIds.has(campaignId)))
+    .flatMap((project) => {
+      const campaignLabel = project.campaignIds
+        .map((campaignId) => campaignNames.get(campaignId))
+        .filter(Boolean)
+        .join(" · ");
+      const links = getProjectLinks(project);
+
+      // Secondary links get their own commands, so "repo notes" can jump straight past the primary target.
+      return [
+        {
+          id: `project:${project.id}`,
+          title: project.name,
+          subtitle: project.nextStep ? `${campaignLabel} · Next: ${project.nextStep}` : campaignLabel,
+          // Resume notes are searchable too, so "where was I fixing the parser" finds the project it was written on.
+          keywords: [
+            ...(project.mode === PROJECT_MODES.PHYSICAL ? ["physical"] : links.slice(0, 1).map((entry) => entry.link)),
+            project.leftOff,
+            project.nextStep
+          ].filter(Boolean),
+          run: () => launchProjectFromPalette(project)
+        },
+        ...links.slice(1).map((entry) => ({
+          id: `project-link:${project.id}:${entry.id}`,
+          title: `${project.name} · ${describeProjectLink(entry)}`,
+          subtitle: campaignLabel,
+          keywords: [entry.link],
+          run: () => launchProject(project, null, entry)
+        }))
+      ];
+    });
+
+  return [...projectCommands, ...actions, ...campaignCommands];
+}
+
+function isCommandPaletteOpen() {
+  return Boolean(commandPaletteElement && !commandPaletteElement.hidden);
+}
+
+function closeCommandPalette() {
+  if (!commandPaletteElement) {
+    return;
   }
+
+  commandPaletteElement.hidden = true;
+  commandPaletteElement.innerHTML = "";
+  paletteCommands = [];
+  paletteResults = [];
+}
+
+function runPaletteCommand(command) {
+  closeCommandPalette();
+  command?.run();
+}
+
+function renderPaletteResults(listElement, query) {
+  paletteResults = rankCommands(paletteCommands, query, MAX_PALETTE_RESULTS);
+  paletteActiveIndex = Math.min(paletteActiveIndex, Math.max(paletteResults.length - 1, 0));
+  listElement.innerHTML = "";
+
+  if (paletteResults.length === 0) {
+    const emptyItem = document.createElement("li");
+    emptyItem.className = "command-palette-empty";
+    emptyItem.textContent = "No matching projects or actions.";
+    listElement.append(emptyItem);
+    return;
+  }
+
+  paletteResults.forEach((command, index) => {
+    const item = document.createElement("li");
+    item.className = "command-palette-item";
+    item.id = `command-palette-item-${index}`;
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(index === paletteActiveIndex));
+
+    const title = document.createElement("span");
+    title.className = "command-palette-title";
+    title.textContent = command.title;
+    item.append(title);
+
+    if (command.subtitle) {
+      const subtitle = document.createElement("small");
+      subtitle.className = "command-palette-subtitle";
+      subtitle.textContent = command.subtitle;
+      item.append(subtitle);
+    }
+
+    // Mousedown keeps focus in the input, so the click does not blur and close the palette first.
+    item.addEventListener("mousedown", (event) => event.preventDefault());
+    item.addEventListener("click", () => runPaletteCommand(command));
+    listElement.append(item);
+  });
+}
+
+function openCommandPalette() {
+  if (!commandPaletteElement) {
+    return;
+  }
+
+  closePanel();
+  paletteCommands = buildPaletteCommands();
+  paletteActiveIndex = 0;
+  commandPaletteElement.innerHTML = "";
+  commandPaletteElement.hidden = false;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "command-palette-input";
+  input.placeholder = "Open a project or run an action...";
+  input.setAttribute("aria-label", "Search projects and actions");
+  input.setAttribute("aria-controls", "command-palette-results");
+  input.autocomplete = "off";
+  input.spellcheck = false;
+
+  const listElement = document.createElement("ul");
+  listElement.className = "command-palette-results";
+  listElement.id = "command-palette-results";
+  listElement.setAttribute("role", "listbox");
+
+  const syncActiveItem = () => {
+    listElement.querySelectorAll(".command-palette-item").forEach((item, index) => {
+      item.setAttribute("aria-selected", String(index === paletteActiveIndex));
+      if (index === paletteActiveIndex) {
+        item.scrollIntoView({ block: "nearest" });
+        input.setAttribute("aria-activedescendant", item.id);
+      }
+    });
+  };
+
+  input.addEventListener("input", () => {
+    paletteActiveIndex = 0;
+    renderPaletteResults(listElement, input.value);
+    syncActiveItem();
+  });
+
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      const count = paletteResults.length;
+      paletteActiveIndex = count ? (paletteActiveIndex + step + count) % count : 0;
+      syncActiveItem();
+      return;
+    }
+
+    if (event.key === "Enter") {
+      event.preventDefault();
+      runPaletteCommand(paletteResults[paletteActiveIndex]);
+    }
+  });
+
+  input.addEventListener("blur", closeCommandPalette);
+
+  commandPaletteElement.append(input, listElement);
+  renderPaletteResults(listElement, "");
+  syncActiveItem();
+  input.focus();
 }
 
 function render() {
   const previousCampaignRectangles = captureCampaignCardRects();
+  const previousProjectRectangles = projectDrag?.isActive ? captureProjectRowRects() : null;
   canvasElement.innerHTML = "";
   canvasElement.classList.toggle("is-campaign-reordering", Boolean(dragCampaignId));
 
   const renderState = buildRenderableState();
-  const slots = buildCampaignSlots(renderState, MAX_CAMPAIGN_SLOTS);
-  const projectsByCampaign = buildProjectsByCampaign(renderState, MAX_CAMPAIGN_SLOTS);
+  const pageCount = getBoardPageCount(renderState, MAX_CAMPAIGN_SLOTS);
+  boardPageIndex = clampBoardPage(renderState, boardPageIndex, MAX_CAMPAIGN_SLOTS);
+  const slots = buildCampaignSlots(renderState, MAX_CAMPAIGN_SLOTS, boardPageIndex);
+  const projectsByCampaign = buildProjectsByCampaign(renderState, MAX_CAMPAIGN_SLOTS, boardPageIndex);
+
+  // The pager only appears once campaigns overflow one page, so small boards look exactly as before.
+  if (pageCount > 1) {
+    canvasElement.append(renderBoardPager(pageCount));
+  }
 
   // Rendering all six slots keeps the board calm and predictable at every campaign count.
   slots.forEach((slot) => {
@@ -1354,6 +5391,7 @@ function render() {
   renderSummary();
   syncSidebarActionStates();
   animateCampaignCardReflow(previousCampaignRectangles);
+  animateProjectRowReflow(previousProjectRectangles);
 }
 
 function bindGlobalEvents() {
@@ -1377,6 +5415,35 @@ function bindGlobalEvents() {
     });
   }
 
+  if (archiveShelfButton) {
+    archiveShelfButton.addEventListener("click", openArchiveShelfPanel);
+  }
+
+  if (snapshotHistoryButton) {
+    snapshotHistoryButton.addEventListener("click", () => {
+      openSnapshotHistoryPanel().catch((error) => {
+        console.warn("Resume: failed to open snapshot history.", error);
+        openInfoPanel("History Unavailable", "Resume could not read local snapshots right now.");
+      });
+    });
+  }
+
+  if (storageMeterButton) {
+    storageMeterButton.addEventListener("click", () => {
+      if (lockedBoard) {
+        openBoardUnlockPanel();
+        return;
+      }
+
+      if (newerBoardVersion) {
+        openNewerBoardPanel();
+        return;
+      }
+
+      openStorageUsagePanel();
+    });
+  }
+
   if (importFileInput) {
     importFileInput.addEventListener("change", async () => {
       const file = importFileInput.files?.[0];
@@ -1389,6 +5456,18 @@ function bindGlobalEvents() {
     googleSyncButton.addEventListener("click", openGoogleSyncPanel);
   }
 
+  browserRoutingButton?.addEventListener("click", openBrowserRoutingPanel);
+
+  // Smart paste drops into whichever campaign the pointer is over, so the hovered card is tracked as it changes.
+  canvasElement.addEventListener("pointerover", (event) => {
+    hoveredCampaignId = event.target.closest?.(".campaign-card[data-campaign-id]")?.dataset.campaignId ?? null;
+  });
+  canvasElement.addEventListener("pointerleave", () => {
+    hoveredCampaignId = null;
+  });
+
+  document.addEventListener("paste", handleBoardPaste);
+
   if (aestheticToggleButton) {
     aestheticToggleButton.addEventListener("click", () => {
       // Aesthetic switching is immediate and UI-only, then persisted to synced preferences.
@@ -1397,42 +5476,105 @@ function bindGlobalEvents() {
   }
 
   window.addEventListener("keydown", (event) => {
+    const isPaletteShortcut = (event.metaKey || event.ctrlKey) && !event.altKey && event.key.toLowerCase() === "k";
+
+    // The palette shortcut works even inside inline editors, since it is the keyboard route around the board.
+    if (isPaletteShortcut && !dragCampaignId) {
+      event.preventDefault();
+
+      if (isCommandPaletteOpen()) {
+        closeCommandPalette();
+      } else {
+        openCommandPalette();
+      }
+      return;
+    }
+
+    const isHistoryShortcut = (event.metaKey || event.ctrlKey) && !event.altKey && event.key.toLowerCase() === "z";
+
+    // Inline editors keep the browser's native text undo; board-level undo applies everywhere else.
+    if (isHistoryShortcut && !isTextEditingTarget(event.target) && !dragCampaignId) {
+      event.preventDefault();
+
+      if (event.shiftKey) {
+        redoLastChange();
+      } else {
+        undoLastChange();
+      }
+      return;
+    }
+
     if (event.key === "Escape") {
+      if (isCommandPaletteOpen()) {
+        closeCommandPalette();
+        return;
+      }
+
+      if (openLinkMenuProjectId) {
+        openLinkMenuProjectId = null;
+        render();
+        return;
+      }
+
       if (dragCampaignId) {
         finishCampaignDrag(false);
         return;
       }
 
+      if (projectDrag) {
+        finishProjectDrag(false);
+        return;
+      }
+
       closePanel();
     }
   });
 }
 
 async function initialize() {
-  const [loadedState, loadedDevicePrefs, loadedAesthetic] = await Promise.all([
-    loadState(),
+  // The provider decides where the board itself loads from, so its settings are read first.
+  syncProviderConfig = await loadSyncProviderConfig();
+  syncProvider = createSyncProvider(syncProviderConfig);
+
+  const [
+    loadedState,
+    loadedDevicePrefs,
+    loadedAesthetic,
+    loadedLaunchHistory,
+    loadedGoogleSyncRecord,
+    rememberedKey,
+    loadedGitActivity,
+    loadedLinkHealth
+  ] = await Promise.all([
+    syncProvider.load(),
     loadDevicePrefs(),
-    loadAestheticPref()
+    loadAestheticPref(),
+    loadLaunchHistory(),
+    loadGoogleSyncRecord(),
+    loadRememberedBoardKey(),
+    loadGitActivity(),
+    loadLinkHealth()
   ]);
 
   // Sidebar defaults to collapsed so the board owns first visual focus on every new tab.
   applySidebarCollapsedState(true);
   applyDevicePrefs(loadedDevicePrefs || DEFAULT_DEVICE_PREFS);
   applyAesthetic(loadedAesthetic || DEFAULT_AESTHETIC);
+  launchHistory = loadedLaunchHistory || { ...DEFAULT_LAUNCH_HISTORY };
+  gitActivity = loadedGitActivity;
+  linkHealth = loadedLinkHealth;
+  googleSyncRecord = loadedGoogleSyncRecord || { ...DEFAULT_GOOGLE_SYNC_RECORD };
   bindGlobalEvents();
+  renderGoogleSyncButton();
 
-  applyState(normalizeState(loadedState || createEmptyState()), { persist: false });
+  boardKey = rememberedKey;
+  const openedState = await openIncomingBoard(loadedState);
 
-  // Storage subscription keeps multiple Chrome windows in sync without manual refresh.
-  unsubscribeStorage = subscribeToStateChanges((incomingState) => {
-    const normalized = normalizeState(incomingState || createEmptyState());
-
-    if (normalized.updatedAt === state.updatedAt) {
-      return;
-    }
+  applyState(normalizeState(openedState || createEmptyState()), { persist: false });
+  syncBaseState = state;
+  refreshStorageMeter();
 
-    applyState(normalized, { persist: false });
-  });
+  unsubscribeStorage = subscribeToSyncProvider();
 
   unsubscribeDevicePrefs = subscribeToDevicePrefsChanges((incomingPrefs) => {
     applyDevicePrefs(incomingPrefs || DEFAULT_DEVICE_PREFS);
@@ -1442,10 +5584,49 @@ async function initialize() {
     applyAesthetic(incomingAesthetic || DEFAULT_AESTHETIC);
   });
 
+  unsubscribeLaunchHistory = subscribeToLaunchHistoryChanges((incomingHistory) => {
+    launchHistory = incomingHistory;
+    render();
+  });
+
+  unsubscribeGoogleSync = subscribeToGoogleSyncRecordChanges((incomingRecord) => {
+    googleSyncRecord = incomingRecord;
+    renderGoogleSyncButton();
+  });
+
+  unsubscribeGitActivity = subscribeToGitActivityChanges((incomingActivity) => {
+    gitActivity = incomingActivity;
+    render();
+  });
+
+  unsubscribeLinkHealth = subscribeToLinkHealthChanges((incomingHealth) => {
+    linkHealth = incomingHealth;
+    render();
+  });
+
+  // Drive has no push channel to a new tab page, so other browsers' edits arrive by polling while this tab is visible.
+  pullBoardFromGoogleDrive();
+  window.setInterval(() => {
+    if (document.visibilityState === "visible") {
+      pullBoardFromGoogleDrive();
+    }
+  }, GOOGLE_SYNC_POLL_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") {
+      pullBoardFromGoogleDrive();
+      refreshGitActivity();
+      refreshLinkHealth();
+    }
+  });
+
   window.addEventListener("beforeunload", () => {
     unsubscribeStorage?.();
     unsubscribeDevicePrefs?.();
     unsubscribeAestheticPrefs?.();
+    unsubscribeLaunchHistory?.();
+    unsubscribeGoogleSync?.();
+    unsubscribeGitActivity?.();
+    unsubscribeLinkHealth?.();
   });
 }
 
@@ -0,0 +1,336 @@
+/*
+This file is the step-wise schema migration registry for stored and imported board state.
+It exists separately so each schema change is written once, as a small pure step, and then reused by every entry point
+that can meet older data: `src/storage.js` on load and on sync change events, and `src/transfer.js` on import.
+Each step upgrades exactly one version and returns a plain-language list of what it changed, so callers can surface
+upgrade notes instead of coercing old payloads silently. `src/model.js` still performs final normalization afterward.
+*/
+
+import { STATE_VERSION } from "./model.js";
+
+function ensureArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+function migrateV1ToV2(state) {
+  let missionFieldsAdded = 0;
+  let archiveFieldsAdded = 0;
+
+  // v2 adds campaign lifecycle fields: the mission timeline and the archive shelf stamp.
+  const campaigns = ensureArray(state.campaigns).map((campaign) => {
+    if (!campaign || typeof campaign !== "object") {
+      return campaign;
+    }
+
+    const next = { ...campaign };
+
+    if (!Array.isArray(next.missionHistory)) {
+      next.missionHistory = [];
+      next.missionSetAt = next.missionSetAt ?? null;
+      missionFieldsAdded += 1;
+    }
+
+    if (!("archivedAt" in next)) {
+      next.archivedAt = null;
+      archiveFieldsAdded += 1;
+    }
+
+    return next;
+  });
+
+  const changes = [];
+
+  if (missionFieldsAdded > 0) {
+    changes.push(`Started an empty mission timeline for ${pluralize(missionFieldsAdded, "campaign")}.`);
+  }
+
+  if (archiveFieldsAdded > 0) {
+    changes.push(`Marked ${pluralize(archiveFieldsAdded, "campaign")} as active on the board.`);
+  }
+
+  return {
+    state: { ...state, campaigns },
+    changes
+  };
+}
+
+function migrateV2ToV3(state) {
+  let stampedEntities = 0;
+
+  // v3 adds per-entity revision stamps so concurrent edits can be merged entity by entity.
+  const stamp = (entity) => {
+    if (!entity || typeof entity !== "object" || Number.isInteger(entity.revision)) {
+      return entity;
+    }
+
+    stampedEntities += 1;
+    return { ...entity, revision: 0, modifiedAt: null };
+  };
+
+  const campaigns = ensureArray(state.campaigns).map(stamp);
+  const projects = ensureArray(state.projects).map(stamp);
+
+  return {
+    state: { ...state, campaigns, projects },
+    changes: stampedEntities > 0 ? [`Added revision stamps to ${pluralize(stampedEntities, "record")}.`] : []
+  };
+}
+
+function migrateV3ToV4(state) {
+  let convertedProjects = 0;
+
+  // v4 replaces the single project link with an ordered list; the old link becomes the primary entry.
+  const projects = ensureArray(state.projects).map((project) => {
+    if (!project || typeof project !== "object" || Array.isArray(project.links)) {
+      return project;
+    }
+
+    const link = typeof project.link === "string" ? project.link.trim() : "";
+    if (link) {
+      convertedProjects += 1;
+    }
+
+    return {
+      ...project,
+      // Deterministic ids keep two devices that upgrade the same board from seeing each other's links as new.
+      links: link ? [{ id: `${project.id}-link-0`, label: "", linkType: project.linkType, link }] : []
+    };
+  });
+
+  return {
+    state: { ...state, projects },
+    changes:
+      convertedProjects > 0 ? [`Moved the link of ${pluralize(convertedProjects, "project")} into a link list.`] : []
+  };
+}
+
+function migrateV4ToV5(state) {
+  let flaggedProjects = 0;
+
+  // v5 adds the per-project "Launch all" opt-out; every existing project stays included.
+  const projects = ensureArray(state.projects).map((project) => {
+    if (!project || typeof project !== "object" || typeof project.excludeFromLaunchAll === "boolean") {
+      return project;
+    }
+
+    if (project.mode !== "physical") {
+      flaggedProjects += 1;
+    }
+
+    return { ...project, excludeFromLaunchAll: false };
+  });
+
+  return {
+    state: { ...state, projects },
+    changes:
+      flaggedProjects > 0 ? [`Included ${pluralize(flaggedProjects, "project")} in campaign "Launch all".`] : []
+  };
+}
+
+function migrateV5ToV6(state) {
+  let statusFieldsAdded = 0;
+
+  // v6 adds the project status lifecycle; every existing project starts out active.
+  const projects = ensureArray(state.projects).map((project) => {
+    if (!project || typeof project !== "object" || typeof project.status === "string") {
+      return project;
+    }
+
+    statusFieldsAdded += 1;
+    return { ...project, status: "active", statusChangedAt: null };
+  });
+
+  return {
+    state: { ...state, projects },
+    changes: statusFieldsAdded > 0 ? [`Marked ${pluralize(statusFieldsAdded, "project")} as active.`] : []
+  };
+}
+
+function migrateV6ToV7(state) {
+  let noteFieldsAdded = 0;
+
+  // v7 adds the per-project "left off at" and "next step" notes, both starting empty.
+  const projects = ensureArray(state.projects).map((project) => {
+    if (!project || typeof project !== "object") {
+      return project;
+    }
+
+    if (typeof project.leftOff === "string" && typeof project.nextStep === "string") {
+      return project;
+    }
+
+    noteFieldsAdded += 1;
+    return {
+      ...project,
+      leftOff: typeof project.leftOff === "string" ? project.leftOff : "",
+      nextStep: typeof project.nextStep === "string" ? project.nextStep : ""
+    };
+  });
+
+  return {
+    state: { ...state, projects },
+    changes: noteFieldsAdded > 0 ? [`Added empty resume notes to ${pluralize(noteFieldsAdded, "project")}.`] : []
+  };
+}
+
+function migrateV7ToV8(state) {
+  let orderFieldsAdded = 0;
+
+  // v8 adds a per-campaign project order; an empty list keeps the existing insertion order.
+  const campaigns = ensureArray(state.campaigns).map((campaign) => {
+    if (!campaign || typeof campaign !== "object" || Array.isArray(campaign.projectOrder)) {
+      return campaign;
+    }
+
+    orderFieldsAdded += 1;
+    return { ...campaign, projectOrder: [] };
+  });
+
+  return {
+    state: { ...state, campaigns },
+    changes:
+      orderFieldsAdded > 0 ? [`Kept the current project order for ${pluralize(orderFieldsAdded, "campaign")}.`] : []
+  };
+}
+
+function migrateV8ToV9(state) {
+  let iconFieldsAdded = 0;
+
+  // v9 adds an optional campaign icon; campaigns start without one.
+  const campaigns = ensureArray(state.campaigns).map((campaign) => {
+    if (!campaign || typeof campaign !== "object" || typeof campaign.icon === "string") {
+      return campaign;
+    }
+
+    iconFieldsAdded += 1;
+    return { ...campaign, icon: "" };
+  });
+
+  return {
+    state: { ...state, campaigns },
+    changes: iconFieldsAdded > 0 ? [`Added an empty icon slot to ${pluralize(iconFieldsAdded, "campaign")}.`] : []
+  };
+}
+
+// Registry order matters: each entry must start where the previous one ended.
+export const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: "Add mission timeline and archive fields to campaigns",
+    migrate: migrateV1ToV2
+  },
+  {
+    from: 2,
+    to: 3,
+    description: "Add revision stamps to campaigns and projects",
+    migrate: migrateV2ToV3
+  },
+  {
+    from: 3,
+    to: 4,
+    description: "Give projects an ordered list of labelled links",
+    migrate: migrateV3ToV4
+  },
+  {
+    from: 4,
+    to: 5,
+    description: "Add a Launch all opt-out flag to projects",
+    migrate: migrateV4ToV5
+  },
+  {
+    from: 5,
+    to: 6,
+    description: "Add a status lifecycle to projects",
+    migrate: migrateV5ToV6
+  },
+  {
+    from: 6,
+    to: 7,
+    description: "Add left-off and next-step notes to projects",
+    migrate: migrateV6ToV7
+  },
+  {
+    from: 7,
+    to: 8,
+    description: "Add a per-campaign project order",
+    migrate: migrateV7ToV8
+  },
+  {
+    from: 8,
+    to: 9,
+    description: "Add an optional icon to campaigns",
+    migrate: migrateV8ToV9
+  }
+];
+
+export function readStateVersion(rawState) {
+  const version = rawState?.version;
+
+  // Payloads written before versioning existed are treated as the first schema.
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+export function isNewerThanSupported(rawState, targetVersion = STATE_VERSION) {
+  return Boolean(rawState) && typeof rawState === "object" && readStateVersion(rawState) > targetVersion;
+}
+
+export function findMigration(fromVersion) {
+  return MIGRATIONS.find((migration) => migration.from === fromVersion) ?? null;
+}
+
+export function migrateState(rawState, targetVersion = STATE_VERSION) {
+  const fromVersion = readStateVersion(rawState);
+  const report = {
+    fromVersion,
+    toVersion: fromVersion,
+    isNewerThanSupported: fromVersion > targetVersion,
+    steps: []
+  };
+
+  if (!rawState || typeof rawState !== "object" || fromVersion >= targetVersion) {
+    return { state: rawState, report };
+  }
+
+  let current = rawState;
+  let version = fromVersion;
+
+  while (version < targetVersion) {
+    const migration = findMigration(version);
+
+    if (!migration) {
+      throw new Error(`No migration is registered from schema version ${version}.`);
+    }
+
+    const result = migration.migrate(current);
+    current = { ...result.state, version: migration.to };
+    version = migration.to;
+
+    report.steps.push({
+      from: migration.from,
+      to: migration.to,
+      description: migration.description,
+      changes: ensureArray(result.changes)
+    });
+  }
+
+  report.toVersion = version;
+  return { state: current, report };
+}
+
+export function summarizeMigrationReport(report) {
+  if (!report || report.steps.length === 0) {
+    return [];
+  }
+
+  // Steps that had nothing to rewrite still appear, so the version jump itself is never invisible.
+  return report.steps.flatMap((step) =>
+    step.changes.length > 0
+      ? step.changes.map((change) => `v${step.from} → v${step.to}: ${change}`)
+      : [`v${step.from} → v${step.to}: ${step.description} (no changes needed).`]
+  );
+}
@@ -5,7 +5,7 @@ It exists separately so business behavior stays predictable and testable without
 This module also defines project mode semantics so launchable and physical artifacts can share one map model safely.
 */
 
-export const STATE_VERSION = 1;
+export const STATE_VERSION = 9;
 
 export const DEFAULT_CAMPAIGN_COLORS = [
   "#ffd99b",
@@ -54,10 +54,44 @@ export const PROJECT_MODES = {
   LAUNCHABLE: "launchable",
   PHYSICAL: "physical"
 };
-export const MAX_CAMPAIGNS = 6;
+
+export const PROJECT_STATUSES = {
+  ACTIVE: "active",
+  BLOCKED: "blocked",
+  PAUSED: "paused",
+  DONE: "done"
+};
+
+export const MISSION_END_REASONS = {
+  REPLACED: "replaced",
+  CLEARED: "cleared"
+};
+
+export const MISSION_OUTCOMES = {
+  COMPLETED: "completed",
+  ABANDONED: "abandoned"
+};
+
+// History is capped so long-lived campaigns cannot grow the synced payload without bound.
+export const MAX_MISSION_HISTORY = 40;
+
+// Link lists are capped for the same reason; a project that needs more than this is really several projects.
+export const MAX_PROJECT_LINKS = 8;
+
+// Project notes are a sticky-note, not a journal; the cap keeps them glanceable and the synced payload small.
+export const MAX_PROJECT_NOTE_LENGTH = 280;
+
+export const PROJECT_NOTE_FIELDS = {
+  LEFT_OFF: "leftOff",
+  NEXT_STEP: "nextStep"
+};
 
 const PROJECT_MODE_KEYS = Object.values(PROJECT_MODES);
+const PROJECT_STATUS_KEYS = Object.values(PROJECT_STATUSES);
+const PROJECT_NOTE_KEYS = Object.values(PROJECT_NOTE_FIELDS);
 const LINK_TYPE_KEYS = Object.keys(LINK_TYPE_HELP);
+const MISSION_END_REASON_KEYS = Object.values(MISSION_END_REASONS);
+const MISSION_OUTCOME_KEYS = Object.values(MISSION_OUTCOMES);
 const URL_SCHEME_PATTERN = /^[a-zA-Z][\w+.-]*:\/\//;
 const GOOGLE_PLAY_BOOKS_HOST = "play.google.com";
 const GOOGLE_PLAY_BOOKS_READER_PATH = "/books/reader";
@@ -80,6 +114,15 @@ function cleanMission(input) {
   return typeof input === "string" ? input.trim() : "";
 }
 
+function cleanProjectNote(input) {
+  // Notes are one line each, so pasted line breaks and runs of spaces collapse before the length cap applies.
+  return typeof input === "string" ? input.replace(/\s+/g, " ").trim().slice(0, MAX_PROJECT_NOTE_LENGTH) : "";
+}
+
+function isSameOrder(left, right) {
+  return Array.isArray(left) && left.length === right.length && left.every((id, index) => id === right[index]);
+}
+
 function uniqueIds(ids) {
   return Array.from(new Set((Array.isArray(ids) ? ids : []).filter(Boolean)));
 }
@@ -88,13 +131,39 @@ function isFiniteNumber(value) {
   return Number.isFinite(value);
 }
 
-function withUpdatedStamp(state) {
+function stampChangedEntities(previousItems, nextItems, modifiedAt) {
+  const previousById = new Map((Array.isArray(previousItems) ? previousItems : []).map((item) => [item.id, item]));
+
+  // Mutations reuse untouched entity objects, so a new reference is exactly the set of entities this edit changed.
+  return (Array.isArray(nextItems) ? nextItems : []).map((item) => {
+    const previous = previousById.get(item.id);
+    if (previous === item) {
+      return item;
+    }
+
+    return {
+      ...item,
+      revision: Math.max(sanitizeRevision(previous?.revision), sanitizeRevision(item.revision)) + 1,
+      modifiedAt
+    };
+  });
+}
+
+function withUpdatedStamp(state, previousState) {
+  const updatedAt = new Date().toISOString();
+
   return {
     ...state,
-    updatedAt: new Date().toISOString()
+    campaigns: stampChangedEntities(previousState?.campaigns, state.campaigns, updatedAt),
+    projects: stampChangedEntities(previousState?.projects, state.projects, updatedAt),
+    updatedAt
   };
 }
 
+function sanitizeRevision(value) {
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
 function sanitizeLinkType(linkType) {
   return LINK_TYPE_KEYS.includes(linkType) ? linkType : "web";
 }
@@ -104,15 +173,106 @@ function sanitizeProjectMode(mode) {
   return PROJECT_MODE_KEYS.includes(mode) ? mode : PROJECT_MODES.LAUNCHABLE;
 }
 
+function sanitizeProjectStatus(status) {
+  // Unknown statuses read as active so a project from a newer build never hides itself in the completed drawer.
+  return PROJECT_STATUS_KEYS.includes(status) ? status : PROJECT_STATUSES.ACTIVE;
+}
+
+function sanitizeTimestamp(value) {
+  const candidate = cleanText(value);
+  return candidate && Number.isFinite(Date.parse(candidate)) ? candidate : null;
+}
+
+function sanitizeMissionOutcome(outcome) {
+  // An empty outcome means the mission ended without the operator judging it.
+  return MISSION_OUTCOME_KEYS.includes(outcome) ? outcome : "";
+}
+
+function sanitizeMissionHistory(rawHistory) {
+  if (!Array.isArray(rawHistory)) {
+    return [];
+  }
+
+  return rawHistory
+    .map((entry) => {
+      if (!entry || typeof entry !== "object") {
+        return null;
+      }
+
+      const text = cleanMission(entry.text);
+      const endedAt = sanitizeTimestamp(entry.endedAt);
+
+      if (!text || !endedAt) {
+        return null;
+      }
+
+      return {
+        id: cleanText(entry.id) || createId("mission"),
+        text,
+        setAt: sanitizeTimestamp(entry.setAt),
+        endedAt,
+        endReason: MISSION_END_REASON_KEYS.includes(entry.endReason) ? entry.endReason : MISSION_END_REASONS.REPLACED,
+        outcome: sanitizeMissionOutcome(entry.outcome)
+      };
+    })
+    .filter(Boolean)
+    .slice(-MAX_MISSION_HISTORY);
+}
+
+function isArchivedCampaign(campaign) {
+  return Boolean(campaign?.archivedAt);
+}
+
+function partitionCampaigns(campaigns) {
+  // Active campaigns always precede archived ones, so board slot indexes map directly onto array indexes.
+  return [...campaigns.filter((campaign) => !isArchivedCampaign(campaign)), ...campaigns.filter(isArchivedCampaign)];
+}
+
+function buildMissionHistoryEntry(campaign, endedAt, endReason, outcome) {
+  return {
+    id: createId("mission"),
+    text: campaign.currentMission,
+    setAt: campaign.missionSetAt ?? null,
+    endedAt,
+    endReason,
+    outcome: sanitizeMissionOutcome(outcome)
+  };
+}
+
+function appendMissionHistory(history, entry) {
+  return [...(Array.isArray(history) ? history : []), entry].slice(-MAX_MISSION_HISTORY);
+}
+
 function sanitizeColor(color, fallbackIndex) {
-  const candidate = cleanText(color);
-  if (candidate) {
+  const candidate = cleanText(color).toLowerCase();
+
+  // Only hex colors survive, because the card derives contrast-checked text shades from the channels.
+  if (/^#[0-9a-f]{6}$/.test(candidate)) {
     return candidate;
   }
 
+  if (/^#[0-9a-f]{3}$/.test(candidate)) {
+    return `#${candidate.slice(1).replace(/./g, (digit) => digit + digit)}`;
+  }
+
   return DEFAULT_CAMPAIGN_COLORS[fallbackIndex % DEFAULT_CAMPAIGN_COLORS.length];
 }
 
+function cleanCampaignIcon(input) {
+  const candidate = cleanText(input);
+  if (!candidate) {
+    return "";
+  }
+
+  // An icon is a single glyph; emoji with modifiers or ZWJ sequences count as one when the runtime can segment them.
+  if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") {
+    const [first] = new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(candidate);
+    return first?.segment ?? "";
+  }
+
+  return Array.from(candidate).slice(0, 2).join("");
+}
+
 function parseUrlWithOptionalHttps(link) {
   try {
     return new URL(link);
@@ -246,6 +406,74 @@ export function inferLinkType(link) {
   return "web";
 }
 
+function normalizeProjectLinkEntry(rawEntry) {
+  if (!rawEntry || typeof rawEntry !== "object") {
+    return null;
+  }
+
+  const linkType = sanitizeLinkType(rawEntry.linkType || inferLinkType(rawEntry.link));
+  const link = normalizeProjectLink(rawEntry.link, linkType);
+
+  if (!link) {
+    return null;
+  }
+
+  return {
+    id: cleanText(rawEntry.id) || createId("link"),
+    label: cleanText(rawEntry.label),
+    linkType,
+    link
+  };
+}
+
+export function normalizeProjectLinks(rawLinks) {
+  const seenIds = new Set();
+
+  return (Array.isArray(rawLinks) ? rawLinks : [])
+    .map(normalizeProjectLinkEntry)
+    .filter((entry) => {
+      if (!entry || seenIds.has(entry.id)) {
+        return false;
+      }
+
+      seenIds.add(entry.id);
+      return true;
+    })
+    .slice(0, MAX_PROJECT_LINKS);
+}
+
+function readProjectLinks(source, mode) {
+  // Physical artifacts never launch, so they never carry links.
+  if (mode === PROJECT_MODES.PHYSICAL) {
+    return [];
+  }
+
+  if (Array.isArray(source?.links)) {
+    return normalizeProjectLinks(source.links);
+  }
+
+  // Payloads from before link lists carry a single `link`/`linkType` pair, which becomes the primary entry.
+  // Its id derives from the project id so every device upgrading the same project agrees on it.
+  return normalizeProjectLinks([
+    { id: source?.id ? `${source.id}-link-0` : "", linkType: source?.linkType, link: source?.link }
+  ]);
+}
+
+function mirrorPrimaryLink(project, links, fallbackLinkType) {
+  // `link` and `linkType` stay on every project as a mirror of the primary entry, so launch paths and older readers
+  // that only know one link keep working without consulting the list.
+  return {
+    ...project,
+    links,
+    linkType: links[0]?.linkType ?? sanitizeLinkType(fallbackLinkType),
+    link: links[0]?.link ?? ""
+  };
+}
+
+export function getProjectLinks(project) {
+  return Array.isArray(project?.links) ? project.links : [];
+}
+
 export function createEmptyState() {
   return {
     version: STATE_VERSION,
@@ -260,7 +488,8 @@ export function normalizeState(rawState) {
     return createEmptyState();
   }
 
-  const campaigns = (Array.isArray(rawState.campaigns)
+  // Campaign count is unbounded here on purpose: imports and sync must never silently drop data.
+  const campaigns = partitionCampaigns(Array.isArray(rawState.campaigns)
     ? rawState.campaigns
         .map((campaign, index) => {
           if (!campaign || typeof campaign !== "object") {
@@ -276,13 +505,20 @@ export function normalizeState(rawState) {
             color: sanitizeColor(campaign.color, index),
             x: isFiniteNumber(campaign.x) ? campaign.x : null,
             y: isFiniteNumber(campaign.y) ? campaign.y : null,
-            // Legacy payloads may still include removed mission-history keys; we intentionally drop them.
-            currentMission: cleanMission(campaign.currentMission)
+            currentMission: cleanMission(campaign.currentMission),
+            // Older payloads never stamped mission start times, so an unknown start stays null rather than guessed.
+            missionSetAt: cleanMission(campaign.currentMission) ? sanitizeTimestamp(campaign.missionSetAt) : null,
+            missionHistory: sanitizeMissionHistory(campaign.missionHistory),
+            archivedAt: sanitizeTimestamp(campaign.archivedAt),
+            icon: cleanCampaignIcon(campaign.icon),
+            projectOrder: uniqueIds(campaign.projectOrder),
+            revision: sanitizeRevision(campaign.revision),
+            modifiedAt: sanitizeTimestamp(campaign.modifiedAt)
           };
         })
         .filter(Boolean)
     : []
-  ).slice(0, MAX_CAMPAIGNS);
+  );
 
   const campaignIds = new Set(campaigns.map((campaign) => campaign.id));
 
@@ -295,39 +531,72 @@ export function normalizeState(rawState) {
 
           const id = cleanText(project.id) || createId("project");
           const mode = sanitizeProjectMode(project.mode);
-          const linkType = sanitizeLinkType(project.linkType || inferLinkType(project.link));
           const memberships = uniqueIds(project.campaignIds).filter((campaignId) => campaignIds.has(campaignId));
 
           if (memberships.length === 0) {
             return null;
           }
 
-          return {
-            id,
-            name: cleanText(project.name) || `Project ${index + 1}`,
-            mode,
-            linkType,
-            link: normalizeProjectLink(project.link, linkType),
-            campaignIds: memberships
-          };
+          return mirrorPrimaryLink(
+            {
+              id,
+              name: cleanText(project.name) || `Project ${index + 1}`,
+              mode,
+              campaignIds: memberships,
+              status: sanitizeProjectStatus(project.status),
+              statusChangedAt: sanitizeTimestamp(project.statusChangedAt),
+              leftOff: cleanProjectNote(project.leftOff),
+              nextStep: cleanProjectNote(project.nextStep),
+              excludeFromLaunchAll: project.excludeFromLaunchAll === true,
+              revision: sanitizeRevision(project.revision),
+              modifiedAt: sanitizeTimestamp(project.modifiedAt)
+            },
+            readProjectLinks(project, mode),
+            project.linkType || inferLinkType(project.link)
+          );
         })
         .filter(Boolean)
     : [];
 
+  // Order lists only keep current members; projects missing from a list simply follow the ordered ones.
+  const prunedCampaigns = campaigns.map((campaign) => {
+    const memberIds = new Set(
+      projects.filter((project) => project.campaignIds.includes(campaign.id)).map((project) => project.id)
+    );
+    return { ...campaign, projectOrder: campaign.projectOrder.filter((projectId) => memberIds.has(projectId)) };
+  });
+
   return {
     version: STATE_VERSION,
-    campaigns,
+    campaigns: prunedCampaigns,
     projects,
     updatedAt: cleanText(rawState.updatedAt) || new Date().toISOString()
   };
 }
 
-export function addCampaign(state, campaignDraft) {
-  // The board layout is intentionally fixed to six campaign sections.
-  if (state.campaigns.length >= MAX_CAMPAIGNS) {
-    return state;
-  }
+export function orderCampaignProjects(campaign, projects) {
+  const order = Array.isArray(campaign?.projectOrder) ? campaign.projectOrder : [];
+  const rank = new Map(order.map((id, index) => [id, index]));
+  const members = (Array.isArray(projects) ? projects : []).filter((project) =>
+    project?.campaignIds?.includes(campaign?.id)
+  );
+
+  // Unranked projects (new ones, or ones synced in from a device that never reordered) keep insertion order at the end.
+  return members
+    .map((project, index) => ({ project, index, rank: rank.get(project.id) ?? members.length + index }))
+    .sort((left, right) => left.rank - right.rank)
+    .map((entry) => entry.project);
+}
+
+export function getActiveCampaigns(state) {
+  return (Array.isArray(state?.campaigns) ? state.campaigns : []).filter((campaign) => !isArchivedCampaign(campaign));
+}
+
+export function getArchivedCampaigns(state) {
+  return (Array.isArray(state?.campaigns) ? state.campaigns : []).filter(isArchivedCampaign);
+}
 
+export function addCampaign(state, campaignDraft) {
   const name = cleanText(campaignDraft?.name);
   if (!name) {
     return state;
@@ -339,13 +608,19 @@ export function addCampaign(state, campaignDraft) {
     color: sanitizeColor(campaignDraft?.color, state.campaigns.length),
     x: isFiniteNumber(campaignDraft?.x) ? campaignDraft.x : null,
     y: isFiniteNumber(campaignDraft?.y) ? campaignDraft.y : null,
-    currentMission: ""
+    currentMission: "",
+    missionSetAt: null,
+    missionHistory: [],
+    archivedAt: null,
+    icon: cleanCampaignIcon(campaignDraft?.icon),
+    projectOrder: []
   };
 
+  // New campaigns join the end of the active run, ahead of the archived shelf.
   return withUpdatedStamp({
     ...state,
-    campaigns: [...state.campaigns, campaign]
-  });
+    campaigns: partitionCampaigns([...state.campaigns, campaign])
+  }, state);
 }
 
 export function renameCampaign(state, campaignId, nextName) {
@@ -369,29 +644,66 @@ export function renameCampaign(state, campaignId, nextName) {
     };
   });
 
-  return didChange ? withUpdatedStamp({ ...state, campaigns }) : state;
+  return didChange ? withUpdatedStamp({ ...state, campaigns }, state) : state;
 }
 
 export function moveCampaign(state, campaignId, targetIndexInput) {
-  const sourceIndex = state.campaigns.findIndex((campaign) => campaign.id === campaignId);
+  const activeCampaigns = getActiveCampaigns(state);
+  const sourceIndex = activeCampaigns.findIndex((campaign) => campaign.id === campaignId);
   if (sourceIndex < 0) {
     return state;
   }
 
   const targetIndexCandidate = Number.isFinite(targetIndexInput) ? Math.trunc(targetIndexInput) : sourceIndex;
-  const targetIndex = Math.min(Math.max(targetIndexCandidate, 0), state.campaigns.length - 1);
+  const targetIndex = Math.min(Math.max(targetIndexCandidate, 0), activeCampaigns.length - 1);
 
   if (targetIndex === sourceIndex) {
     return state;
   }
 
-  const campaigns = [...state.campaigns];
+  const campaigns = [...activeCampaigns];
   const [movedCampaign] = campaigns.splice(sourceIndex, 1);
 
   // We reinsert by index so board slot order becomes an explicit user-priority signal.
   campaigns.splice(targetIndex, 0, movedCampaign);
 
-  return withUpdatedStamp({ ...state, campaigns });
+  return withUpdatedStamp({ ...state, campaigns: [...campaigns, ...getArchivedCampaigns(state)] }, state);
+}
+
+export function archiveCampaign(state, campaignId) {
+  const campaign = state.campaigns.find((item) => item.id === campaignId);
+  if (!campaign || isArchivedCampaign(campaign)) {
+    return state;
+  }
+
+  // Archiving keeps the campaign and every project membership intact; it only leaves the board.
+  const archivedCampaign = { ...campaign, archivedAt: new Date().toISOString() };
+  const campaigns = state.campaigns.filter((item) => item.id !== campaignId);
+
+  return withUpdatedStamp({
+    ...state,
+    campaigns: [...getActiveCampaigns({ campaigns }), ...getArchivedCampaigns({ campaigns }), archivedCampaign]
+  }, state);
+}
+
+export function restoreCampaign(state, campaignId, targetIndexInput) {
+  const campaign = state.campaigns.find((item) => item.id === campaignId);
+  if (!campaign || !isArchivedCampaign(campaign)) {
+    return state;
+  }
+
+  const remaining = state.campaigns.filter((item) => item.id !== campaignId);
+  const activeCampaigns = getActiveCampaigns({ campaigns: remaining });
+  const targetIndexCandidate = Number.isFinite(targetIndexInput) ? Math.trunc(targetIndexInput) : activeCampaigns.length;
+  const targetIndex = Math.min(Math.max(targetIndexCandidate, 0), activeCampaigns.length);
+
+  // Restore-to-slot lets a dormant campaign come back exactly where the operator wants its priority.
+  activeCampaigns.splice(targetIndex, 0, { ...campaign, archivedAt: null });
+
+  return withUpdatedStamp({
+    ...state,
+    campaigns: [...activeCampaigns, ...getArchivedCampaigns({ campaigns: remaining })]
+  }, state);
 }
 
 export function updateCampaignColor(state, campaignId, nextColor) {
@@ -414,7 +726,26 @@ export function updateCampaignColor(state, campaignId, nextColor) {
     };
   });
 
-  return didChange ? withUpdatedStamp({ ...state, campaigns }) : state;
+  return didChange ? withUpdatedStamp({ ...state, campaigns }, state) : state;
+}
+
+export function updateCampaignIcon(state, campaignId, nextIcon) {
+  const icon = cleanCampaignIcon(nextIcon);
+  let didChange = false;
+
+  const campaigns = state.campaigns.map((campaign) => {
+    if (campaign.id !== campaignId || (campaign.icon ?? "") === icon) {
+      return campaign;
+    }
+
+    didChange = true;
+    return {
+      ...campaign,
+      icon
+    };
+  });
+
+  return didChange ? withUpdatedStamp({ ...state, campaigns }, state) : state;
 }
 
 export function repositionCampaign(state, campaignId, position) {
@@ -442,11 +773,12 @@ export function repositionCampaign(state, campaignId, position) {
     };
   });
 
-  return didChange ? withUpdatedStamp({ ...state, campaigns }) : state;
+  return didChange ? withUpdatedStamp({ ...state, campaigns }, state) : state;
 }
 
 export function updateCampaignMission(state, campaignId, missionInput) {
   const nextMission = cleanMission(missionInput);
+  const now = new Date().toISOString();
   let didChange = false;
 
   const campaigns = state.campaigns.map((campaign) => {
@@ -459,13 +791,87 @@ export function updateCampaignMission(state, campaignId, missionInput) {
     }
 
     didChange = true;
+
+    // The outgoing mission is archived first so "where was I heading" survives every overwrite.
+    const missionHistory = campaign.currentMission
+      ? appendMissionHistory(
+          campaign.missionHistory,
+          buildMissionHistoryEntry(
+            campaign,
+            now,
+            nextMission ? MISSION_END_REASONS.REPLACED : MISSION_END_REASONS.CLEARED,
+            ""
+          )
+        )
+      : campaign.missionHistory ?? [];
+
+    return {
+      ...campaign,
+      currentMission: nextMission,
+      missionSetAt: nextMission ? now : null,
+      missionHistory
+    };
+  });
+
+  return didChange ? withUpdatedStamp({ ...state, campaigns }, state) : state;
+}
+
+export function resolveCampaignMission(state, campaignId, outcomeInput) {
+  const outcome = sanitizeMissionOutcome(outcomeInput);
+  if (!outcome) {
+    return state;
+  }
+
+  const now = new Date().toISOString();
+  let didChange = false;
+
+  const campaigns = state.campaigns.map((campaign) => {
+    if (campaign.id !== campaignId || !campaign.currentMission) {
+      return campaign;
+    }
+
+    didChange = true;
+
+    // Resolving closes the mission with a verdict, leaving the campaign ready for its next mission.
     return {
       ...campaign,
-      currentMission: nextMission
+      currentMission: "",
+      missionSetAt: null,
+      missionHistory: appendMissionHistory(
+        campaign.missionHistory,
+        buildMissionHistoryEntry(campaign, now, MISSION_END_REASONS.CLEARED, outcome)
+      )
     };
   });
 
-  return didChange ? withUpdatedStamp({ ...state, campaigns }) : state;
+  return didChange ? withUpdatedStamp({ ...state, campaigns }, state) : state;
+}
+
+export function setMissionHistoryOutcome(state, campaignId, entryId, outcomeInput) {
+  const outcome = sanitizeMissionOutcome(outcomeInput);
+  let didChange = false;
+
+  const campaigns = state.campaigns.map((campaign) => {
+    if (campaign.id !== campaignId || !Array.isArray(campaign.missionHistory)) {
+      return campaign;
+    }
+
+    const missionHistory = campaign.missionHistory.map((entry) => {
+      if (entry.id !== entryId || entry.outcome === outcome) {
+        return entry;
+      }
+
+      didChange = true;
+      return {
+        ...entry,
+        outcome
+      };
+    });
+
+    return didChange ? { ...campaign, missionHistory } : campaign;
+  });
+
+  return didChange ? withUpdatedStamp({ ...state, campaigns }, state) : state;
 }
 
 export function deleteCampaign(state, campaignId) {
@@ -477,24 +883,24 @@ export function deleteCampaign(state, campaignId) {
 
   // When we remove a campaign, each project loses that membership; orphaned projects are removed.
   const projects = state.projects
-    .map((project) => ({
-      ...project,
-      campaignIds: project.campaignIds.filter((id) => id !== campaignId)
-    }))
+    .map((project) =>
+      project.campaignIds.includes(campaignId)
+        ? { ...project, campaignIds: project.campaignIds.filter((id) => id !== campaignId) }
+        : project
+    )
     .filter((project) => project.campaignIds.length > 0);
 
   return withUpdatedStamp({
     ...state,
     campaigns,
     projects
-  });
+  }, state);
 }
 
 export function addProject(state, projectDraft) {
   const name = cleanText(projectDraft?.name);
   const mode = sanitizeProjectMode(projectDraft?.mode);
-  const linkType = sanitizeLinkType(projectDraft?.linkType);
-  const link = mode === PROJECT_MODES.PHYSICAL ? "" : normalizeProjectLink(projectDraft?.link, linkType);
+  const links = readProjectLinks(projectDraft, mode);
   const validCampaignIds = new Set(state.campaigns.map((campaign) => campaign.id));
   const campaignIds = uniqueIds(projectDraft?.campaignIds).filter((campaignId) => validCampaignIds.has(campaignId));
 
@@ -503,23 +909,83 @@ export function addProject(state, projectDraft) {
   }
 
   // Physical artifacts intentionally do not require launch links.
-  if (mode === PROJECT_MODES.LAUNCHABLE && !link) {
+  if (mode === PROJECT_MODES.LAUNCHABLE && links.length === 0) {
     return state;
   }
 
-  const project = {
-    id: createId("project"),
-    name,
-    mode,
-    link,
-    linkType,
-    campaignIds
-  };
+  const project = mirrorPrimaryLink(
+    {
+      id: createId("project"),
+      name,
+      mode,
+      campaignIds,
+      status: sanitizeProjectStatus(projectDraft?.status),
+      statusChangedAt: null,
+      leftOff: cleanProjectNote(projectDraft?.leftOff),
+      nextStep: cleanProjectNote(projectDraft?.nextStep),
+      excludeFromLaunchAll: projectDraft?.excludeFromLaunchAll === true
+    },
+    links,
+    projectDraft?.linkType
+  );
 
   return withUpdatedStamp({
     ...state,
     projects: [...state.projects, project]
-  });
+  }, state);
+}
+
+export function addImportedEntities(state, entities) {
+  const existingCampaignIds = new Set(state.campaigns.map((campaign) => campaign.id));
+  const existingProjectIds = new Set(state.projects.map((project) => project.id));
+
+  // Imported records keep their ids so a later import of the same file matches them instead of duplicating.
+  const campaigns = (Array.isArray(entities?.campaigns) ? entities.campaigns : []).filter(
+    (campaign) => campaign?.id && !existingCampaignIds.has(campaign.id)
+  );
+  const validCampaignIds = new Set([...existingCampaignIds, ...campaigns.map((campaign) => campaign.id)]);
+  const projects = (Array.isArray(entities?.projects) ? entities.projects : [])
+    .filter((project) => project?.id && !existingProjectIds.has(project.id))
+    .map((project) => ({
+      ...project,
+      campaignIds: uniqueIds(project.campaignIds).filter((campaignId) => validCampaignIds.has(campaignId))
+    }))
+    .filter((project) => project.campaignIds.length > 0);
+
+  if (campaigns.length === 0 && projects.length === 0) {
+    return state;
+  }
+
+  return withUpdatedStamp({
+    ...state,
+    campaigns: partitionCampaigns([...state.campaigns, ...campaigns]),
+    projects: [...state.projects, ...projects]
+  }, state);
+}
+
+function patchProjectLinks(project, projectPatch) {
+  if (Array.isArray(projectPatch?.links)) {
+    return { links: projectPatch.links };
+  }
+
+  const existingLinks = getProjectLinks(project);
+
+  // A legacy single-link patch only rewrites the primary entry, so secondary links survive older callers.
+  if (projectPatch?.link !== undefined || projectPatch?.linkType !== undefined) {
+    const primary = existingLinks[0] ?? { id: createId("link"), label: "" };
+    return {
+      links: [
+        {
+          ...primary,
+          linkType: projectPatch.linkType ?? primary.linkType ?? project.linkType,
+          link: projectPatch.link ?? primary.link ?? project.link
+        },
+        ...existingLinks.slice(1)
+      ]
+    };
+  }
+
+  return { links: existingLinks.length ? existingLinks : [{ linkType: project.linkType, link: project.link }] };
 }
 
 export function updateProject(state, projectId, projectPatch) {
@@ -532,7 +998,6 @@ export function updateProject(state, projectId, projectPatch) {
         return project;
       }
 
-      const linkType = sanitizeLinkType(projectPatch?.linkType ?? project.linkType);
       const mode = sanitizeProjectMode(projectPatch?.mode ?? project.mode);
       const nextCampaignIds = uniqueIds(projectPatch?.campaignIds ?? project.campaignIds).filter((campaignId) =>
         validCampaignIds.has(campaignId)
@@ -545,21 +1010,28 @@ export function updateProject(state, projectId, projectPatch) {
       }
 
       const nextName = cleanText(projectPatch?.name ?? project.name);
-      const nextLink =
-        mode === PROJECT_MODES.PHYSICAL
-          ? ""
-          : normalizeProjectLink(projectPatch?.link ?? project.link, linkType);
+      const nextLinks = readProjectLinks(patchProjectLinks(project, projectPatch), mode);
+      const nextStatus = sanitizeProjectStatus(projectPatch?.status ?? project.status);
+      const nextLeftOff = cleanProjectNote(projectPatch?.leftOff ?? project.leftOff);
+      const nextNextStep = cleanProjectNote(projectPatch?.nextStep ?? project.nextStep);
+      const nextExcludeFromLaunchAll =
+        typeof projectPatch?.excludeFromLaunchAll === "boolean"
+          ? projectPatch.excludeFromLaunchAll
+          : project.excludeFromLaunchAll === true;
 
       // Launchable projects without a valid link are treated as invalid edits and ignored.
-      if (mode === PROJECT_MODES.LAUNCHABLE && !nextLink) {
+      if (mode === PROJECT_MODES.LAUNCHABLE && nextLinks.length === 0) {
         return project;
       }
 
       if (
         nextName === project.name &&
-        nextLink === project.link &&
+        JSON.stringify(nextLinks) === JSON.stringify(getProjectLinks(project)) &&
         mode === project.mode &&
-        linkType === project.linkType &&
+        nextStatus === project.status &&
+        nextLeftOff === (project.leftOff ?? "") &&
+        nextNextStep === (project.nextStep ?? "") &&
+        nextExcludeFromLaunchAll === (project.excludeFromLaunchAll === true) &&
         nextCampaignIds.length === project.campaignIds.length &&
         nextCampaignIds.every((campaignId) => project.campaignIds.includes(campaignId))
       ) {
@@ -568,14 +1040,22 @@ export function updateProject(state, projectId, projectPatch) {
 
       didChange = true;
 
-      return {
-        ...project,
-        name: nextName || project.name,
-        mode,
-        link: nextLink,
-        linkType,
-        campaignIds: nextCampaignIds
-      };
+      return mirrorPrimaryLink(
+        {
+          ...project,
+          name: nextName || project.name,
+          mode,
+          campaignIds: nextCampaignIds,
+          status: nextStatus,
+          // The stamp only moves when the status does, so the completed drawer can order by when work finished.
+          statusChangedAt: nextStatus === project.status ? project.statusChangedAt ?? null : new Date().toISOString(),
+          leftOff: nextLeftOff,
+          nextStep: nextNextStep,
+          excludeFromLaunchAll: nextExcludeFromLaunchAll
+        },
+        nextLinks,
+        projectPatch?.linkType ?? project.linkType
+      );
     })
     .filter(Boolean);
 
@@ -583,12 +1063,340 @@ export function updateProject(state, projectId, projectPatch) {
     ? withUpdatedStamp({
         ...state,
         projects: nextProjects
-      })
+      }, state)
     : state;
 }
 
+export function setProjectStatus(state, projectId, status) {
+  return updateProject(state, projectId, { status });
+}
+
+export function updateProjectNote(state, projectId, field, noteInput) {
+  if (!PROJECT_NOTE_KEYS.includes(field)) {
+    return state;
+  }
+
+  return updateProject(state, projectId, { [field]: cleanProjectNote(noteInput) });
+}
+
+export function moveProject(state, projectId, placement) {
+  const project = state.projects.find((item) => item.id === projectId);
+  const targetCampaign = state.campaigns.find((campaign) => campaign.id === placement?.toCampaignId);
+  if (!project || !targetCampaign) {
+    return state;
+  }
+
+  const fromCampaignId = placement.fromCampaignId;
+  const isCrossCampaign = Boolean(fromCampaignId) && fromCampaignId !== targetCampaign.id;
+  // A copy adds the target membership and keeps the source one; a move swaps one for the other.
+  let campaignIds = project.campaignIds.includes(targetCampaign.id)
+    ? project.campaignIds
+    : [...project.campaignIds, targetCampaign.id];
+
+  if (isCrossCampaign && !placement.copy) {
+    campaignIds = campaignIds.filter((campaignId) => campaignId !== fromCampaignId);
+  }
+
+  const membershipChanged =
+    campaignIds.length !== project.campaignIds.length ||
+    campaignIds.some((campaignId) => !project.campaignIds.includes(campaignId));
+  const projects = membershipChanged
+    ? state.projects.map((item) => (item.id === projectId ? { ...item, campaignIds } : item))
+    : state.projects;
+
+  const orderedIds = orderCampaignProjects(targetCampaign, projects)
+    .map((item) => item.id)
+    .filter((id) => id !== projectId);
+  const insertAt = placement.beforeProjectId ? orderedIds.indexOf(placement.beforeProjectId) : -1;
+  orderedIds.splice(insertAt < 0 ? orderedIds.length : insertAt, 0, projectId);
+
+  const currentIds = orderCampaignProjects(targetCampaign, state.projects).map((item) => item.id);
+  if (!membershipChanged && isSameOrder(currentIds, orderedIds)) {
+    return state;
+  }
+
+  const campaigns = state.campaigns.map((campaign) => {
+    if (campaign.id === targetCampaign.id) {
+      // The whole list is written once a campaign is reordered, so its order no longer depends on insertion history.
+      return isSameOrder(campaign.projectOrder, orderedIds) ? campaign : { ...campaign, projectOrder: orderedIds };
+    }
+
+    if (membershipChanged && campaign.id === fromCampaignId && !campaignIds.includes(campaign.id)) {
+      const projectOrder = (campaign.projectOrder ?? []).filter((id) => id !== projectId);
+      return projectOrder.length === (campaign.projectOrder ?? []).length ? campaign : { ...campaign, projectOrder };
+    }
+
+    return campaign;
+  });
+
+  return withUpdatedStamp({ ...state, campaigns, projects }, state);
+}
+
 export function deleteProject(state, projectId) {
   const projects = state.projects.filter((project) => project.id !== projectId);
 
-  return projects.length === state.projects.length ? state : withUpdatedStamp({ ...state, projects });
+  return projects.length === state.projects.length ? state : withUpdatedStamp({ ...state, projects }, state);
+}
+
+const ENTITY_META_KEYS = new Set(["id", "revision", "modifiedAt"]);
+
+// Coupled keys merge as one unit so a half-taken mission or link can never be produced by a merge.
+const MERGE_FIELD_GROUPS = {
+  campaign: {
+    name: ["name"],
+    color: ["color"],
+    icon: ["icon"],
+    position: ["x", "y"],
+    mission: ["currentMission", "missionSetAt"],
+    archive: ["archivedAt"],
+    projectOrder: ["projectOrder"]
+  },
+  project: {
+    name: ["name"],
+    link: ["mode", "linkType", "link", "links"],
+    status: ["status", "statusChangedAt"],
+    leftOff: ["leftOff"],
+    nextStep: ["nextStep"],
+    launch: ["excludeFromLaunchAll"]
+  }
+};
+
+const MERGE_SPECIAL_KEYS = {
+  campaign: new Set(["missionHistory"]),
+  project: new Set(["campaignIds"])
+};
+
+export const MERGE_FIELD_LABELS = {
+  name: "Name",
+  color: "Color",
+  icon: "Icon",
+  position: "Position",
+  mission: "Current mission",
+  archive: "Archive status",
+  projectOrder: "Project order",
+  link: "Link",
+  status: "Status",
+  leftOff: "Left off at",
+  nextStep: "Next step",
+  launch: "Launch all"
+};
+
+function isSameValue(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+function pickKeys(entity, keys) {
+  return Object.fromEntries(keys.map((key) => [key, entity?.[key] ?? null]));
+}
+
+function stripEntityMeta(entity) {
+  return Object.fromEntries(Object.entries(entity ?? {}).filter(([key]) => !ENTITY_META_KEYS.has(key)));
+}
+
+function listFieldGroups(entityType, ...entities) {
+  const groups = { ...MERGE_FIELD_GROUPS[entityType] };
+  const groupedKeys = new Set(Object.values(groups).flat());
+
+  // Keys this build does not know about still merge, each as its own group, so newer fields are not dropped.
+  entities.forEach((entity) => {
+    Object.keys(entity ?? {}).forEach((key) => {
+      if (!ENTITY_META_KEYS.has(key) && !MERGE_SPECIAL_KEYS[entityType].has(key) && !groupedKeys.has(key)) {
+        groups[key] = [key];
+        groupedKeys.add(key);
+      }
+    });
+  });
+
+  return groups;
+}
+
+function mergeMissionHistory(baseHistory, localHistory, remoteHistory) {
+  const baseById = new Map((baseHistory ?? []).map((entry) => [entry.id, entry]));
+  const merged = new Map();
+
+  // The timeline is append-only, so merging is a union; an entry edited on one side keeps that edit.
+  [...(localHistory ?? []), ...(remoteHistory ?? [])].forEach((entry) => {
+    const existing = merged.get(entry.id);
+    if (!existing || isSameValue(existing, baseById.get(entry.id))) {
+      merged.set(entry.id, entry);
+    }
+  });
+
+  // Two devices replacing the same mission archive it under different ids; text plus start time identifies it.
+  const seen = new Set();
+
+  return Array.from(merged.values())
+    .sort((left, right) => Date.parse(left.endedAt) - Date.parse(right.endedAt))
+    .filter((entry) => {
+      const key = `${entry.text}\n${entry.setAt ?? ""}`;
+      if (seen.has(key)) {
+        return false;
+      }
+
+      seen.add(key);
+      return true;
+    })
+    .slice(-MAX_MISSION_HISTORY);
+}
+
+function mergeMembershipIds(baseIds, localIds, remoteIds) {
+  const base = new Set(baseIds ?? []);
+  const local = new Set(localIds ?? []);
+  const remote = new Set(remoteIds ?? []);
+
+  // A membership survives if both sides keep it, or if either side added it since the common base.
+  return uniqueIds([...(localIds ?? []), ...(remoteIds ?? [])]).filter(
+    (id) => (local.has(id) && remote.has(id)) || (local.has(id) && !base.has(id)) || (remote.has(id) && !base.has(id))
+  );
+}
+
+function mergeEntity(entityType, base, local, remote, mergedAt) {
+  const merged = { ...remote, ...local };
+  const conflicts = [];
+
+  Object.entries(listFieldGroups(entityType, base, local, remote)).forEach(([group, keys]) => {
+    const localValue = pickKeys(local, keys);
+    const remoteValue = pickKeys(remote, keys);
+    const baseValue = base ? pickKeys(base, keys) : undefined;
+    let chosen = localValue;
+
+    if (isSameValue(localValue, remoteValue) || (base && isSameValue(remoteValue, baseValue))) {
+      chosen = localValue;
+    } else if (base && isSameValue(localValue, baseValue)) {
+      chosen = remoteValue;
+    } else {
+      // Both sides changed this field differently; local stays visible until the operator decides.
+      conflicts.push({
+        id: `${entityType}:${local.id}:${group}`,
+        entityType,
+        entityId: local.id,
+        entityName: local.name,
+        field: group,
+        label: MERGE_FIELD_LABELS[group] || group,
+        localValue,
+        remoteValue
+      });
+    }
+
+    Object.assign(merged, chosen);
+  });
+
+  if (entityType === "campaign") {
+    merged.missionHistory = mergeMissionHistory(base?.missionHistory, local.missionHistory, remote.missionHistory);
+  } else {
+    merged.campaignIds = mergeMembershipIds(base?.campaignIds, local.campaignIds, remote.campaignIds);
+  }
+
+  const mergedContent = stripEntityMeta(merged);
+
+  if (isSameValue(mergedContent, stripEntityMeta(remote))) {
+    return { entity: remote, conflicts };
+  }
+
+  if (isSameValue(mergedContent, stripEntityMeta(local))) {
+    return { entity: local, conflicts };
+  }
+
+  return {
+    entity: {
+      ...merged,
+      revision: Math.max(sanitizeRevision(local.revision), sanitizeRevision(remote.revision)) + 1,
+      modifiedAt: mergedAt
+    },
+    conflicts
+  };
+}
+
+function mergeOrder(baseItems, localItems, remoteItems, mergedById) {
+  const baseIds = baseItems.map((item) => item.id);
+  const localIds = localItems.map((item) => item.id);
+  const remoteIds = remoteItems.map((item) => item.id);
+  const shared = (ids, others) => ids.filter((id) => others.includes(id));
+
+  // Whichever side reordered relative to the base owns the ordering; otherwise the remote order stands.
+  const localReordered = !isSameValue(shared(localIds, baseIds), shared(baseIds, localIds));
+  const skeleton = localReordered ? localIds : remoteIds;
+
+  return uniqueIds([...skeleton, ...localIds, ...remoteIds])
+    .filter((id) => mergedById.has(id))
+    .map((id) => mergedById.get(id));
+}
+
+function mergeCollection(entityType, baseItems, localItems, remoteItems, mergedAt) {
+  const base = new Map(baseItems.map((item) => [item.id, item]));
+  const local = new Map(localItems.map((item) => [item.id, item]));
+  const remote = new Map(remoteItems.map((item) => [item.id, item]));
+  const mergedById = new Map();
+  const conflicts = [];
+
+  uniqueIds([...local.keys(), ...remote.keys()]).forEach((id) => {
+    const baseItem = base.get(id) ?? null;
+    const localItem = local.get(id);
+    const remoteItem = remote.get(id);
+
+    if (localItem && remoteItem) {
+      const result = mergeEntity(entityType, baseItem, localItem, remoteItem, mergedAt);
+      mergedById.set(id, result.entity);
+      conflicts.push(...result.conflicts);
+      return;
+    }
+
+    const survivor = localItem ?? remoteItem;
+
+    // One side deleted it: the delete wins unless the other side edited the entity after the base.
+    if (baseItem && isSameValue(stripEntityMeta(survivor), stripEntityMeta(baseItem))) {
+      return;
+    }
+
+    mergedById.set(id, survivor);
+  });
+
+  return {
+    items: mergeOrder(baseItems, localItems, remoteItems, mergedById),
+    conflicts
+  };
+}
+
+export function mergeStates(baseState, localState, remoteState) {
+  const mergedAt = new Date().toISOString();
+  const base = baseState ?? { campaigns: [], projects: [] };
+  const campaigns = mergeCollection("campaign", base.campaigns, localState.campaigns, remoteState.campaigns, mergedAt);
+  const projects = mergeCollection("project", base.projects, localState.projects, remoteState.projects, mergedAt);
+
+  const state = {
+    ...remoteState,
+    version: STATE_VERSION,
+    campaigns: campaigns.items,
+    projects: projects.items,
+    updatedAt: mergedAt
+  };
+
+  return {
+    state,
+    conflicts: [...campaigns.conflicts, ...projects.conflicts],
+    // When nothing local survived the merge, callers can adopt the remote snapshot without writing back.
+    matchesRemote:
+      isSameValue(state.campaigns, remoteState.campaigns) && isSameValue(state.projects, remoteState.projects)
+  };
+}
+
+export function resolveMergeConflict(state, conflict, choice) {
+  // Keeping the local value needs no write: the merged state already carries it.
+  if (choice !== "remote") {
+    return state;
+  }
+
+  const collectionKey = conflict.entityType === "campaign" ? "campaigns" : "projects";
+  let didChange = false;
+
+  const items = state[collectionKey].map((item) => {
+    if (item.id !== conflict.entityId || isSameValue(pickKeys(item, Object.keys(conflict.remoteValue)), conflict.remoteValue)) {
+      return item;
+    }
+
+    didChange = true;
+    return { ...item, ...conflict.remoteValue };
+  });
+
+  return didChange ? withUpdatedStamp({ ...state, [collectionKey]: items }, state) : state;
 }
@@ -0,0 +1,120 @@
+/*
+This file drives the toolbar popup in `popup.html`.
+It reads the campaign list from the board and the tabs from `chrome.tabs`, then hands the chosen tabs to the
+background worker through `src/tabCapture.js`; the worker does the write, so closing the popup never loses a capture.
+The last campaign picked is remembered on this device only, since it describes what this machine is working on.
+*/
+
+import { loadAestheticPref } from "./aestheticPrefs.js";
+import { describeCaptureResult, isCapturableTab, loadCaptureCampaigns, requestTabCapture } from "./tabCapture.js";
+
+const LAST_CAMPAIGN_KEY = "opsMapCaptureCampaignV1";
+
+const campaignSelect = document.querySelector("#capture-campaign");
+const tabTitleElement = document.querySelector("#capture-tab-title");
+const captureTabButton = document.querySelector("#capture-tab");
+const captureWindowButton = document.querySelector("#capture-window");
+const statusElement = document.querySelector("#capture-status");
+
+let activeTab = null;
+let windowTabs = [];
+
+function readLastCampaignId() {
+  try {
+    return localStorage.getItem(LAST_CAMPAIGN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function rememberCampaignId(campaignId) {
+  try {
+    localStorage.setItem(LAST_CAMPAIGN_KEY, campaignId);
+  } catch (error) {
+    console.warn("Resume: failed to remember the capture campaign.", error);
+  }
+}
+
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.dataset.state = isError ? "error" : "ok";
+}
+
+function refreshButtons(isBusy = false) {
+  const hasCampaign = Boolean(campaignSelect.value);
+  const capturableCount = windowTabs.filter(isCapturableTab).length;
+
+  captureTabButton.disabled = isBusy || !hasCampaign || !isCapturableTab(activeTab);
+  captureWindowButton.disabled = isBusy || !hasCampaign || capturableCount === 0;
+  const tabWord = capturableCount === 1 ? "tab" : "tabs";
+  captureWindowButton.textContent = `Add all ${capturableCount} web ${tabWord} in this window`;
+}
+
+async function capture(tabs) {
+  const campaignId = campaignSelect.value;
+  const campaignLabel = campaignSelect.selectedOptions[0]?.textContent ?? "";
+  rememberCampaignId(campaignId);
+  refreshButtons(true);
+  showStatus("Adding…");
+
+  const reply = await requestTabCapture(campaignId, tabs.filter(isCapturableTab));
+  if (reply?.ok) {
+    showStatus(describeCaptureResult(reply, campaignLabel));
+  } else {
+    showStatus(reply?.error || "Resume could not add these tabs.", true);
+  }
+
+  refreshButtons();
+}
+
+function renderCampaigns(campaigns) {
+  const lastCampaignId = readLastCampaignId();
+  campaignSelect.innerHTML = "";
+
+  campaigns.forEach((campaign) => {
+    const option = document.createElement("option");
+    option.value = campaign.id;
+    option.textContent = campaign.label;
+    option.selected = campaign.id === lastCampaignId;
+    campaignSelect.append(option);
+  });
+
+  campaignSelect.disabled = campaigns.length === 0;
+  if (!campaigns.length) {
+    showStatus("Create a campaign on the board first.", true);
+  }
+}
+
+async function initialize() {
+  document.body.dataset.aesthetic = await loadAestheticPref();
+
+  const [campaignsResult, tabs] = await Promise.all([
+    loadCaptureCampaigns().then(
+      (campaigns) => ({ campaigns }),
+      (error) => ({ campaigns: [], error })
+    ),
+    chrome.tabs.query({ currentWindow: true })
+  ]);
+
+  windowTabs = tabs;
+  activeTab = tabs.find((tab) => tab.active) ?? null;
+  tabTitleElement.textContent = isCapturableTab(activeTab)
+    ? activeTab.title || activeTab.url
+    : "This tab is not a web page, so it cannot be added.";
+
+  renderCampaigns(campaignsResult.campaigns);
+  if (campaignsResult.error) {
+    showStatus(campaignsResult.error.message, true);
+  }
+
+  refreshButtons();
+}
+
+campaignSelect.addEventListener("change", () => refreshButtons());
+captureTabButton.addEventListener("click", () => capture([activeTab]));
+captureWindowButton.addEventListener("click", () => capture(windowTabs));
+
+initialize().catch((error) => {
+  console.warn("Resume: failed to open the capture popup.", error);
+  showStatus("Resume could not read the board right now.", true);
+});
@@ -0,0 +1,253 @@
+/*
+This file turns a pasted URL or file path into a project draft: a link type, a built link, and a first guess at a name.
+It leans on `inferLinkType` and `buildLinkFromHelper` from `src/model.js`, so a pasted link ends up exactly as if it
+had been typed into the project editor's helper. Names come from the cheapest source that knows one: the anchor text
+of a copied link, then the page title when this device has granted host access, then the repository, folder, or note
+name in the link itself.
+`src/main.js` owns the paste event and the editor; nothing here touches board state.
+*/
+
+import { buildLinkFromHelper, inferLinkType } from "./model.js";
+import { extractLocalRepoPath } from "./gitActivity.js";
+
+const EDITOR_LINK_TYPES = ["vscode", "cursor", "antigravity"];
+const CODE_HOSTS = ["github.com", "gitlab.com", "bitbucket.org", "codeberg.org"];
+const VIEW_SEGMENTS = ["edit", "view", "preview", "index", "overview"];
+const MAX_GUESSED_NAME_LENGTH = 80;
+const PAGE_TITLE_TIMEOUT_MS = 5000;
+// Titles sit in the document head, so reading past the first chunk of a large page is wasted work.
+const PAGE_TITLE_READ_BYTES = 64 * 1024;
+
+const URI_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+const ABSOLUTE_PATH_PATTERN = /^(?:\/(?!\/)|[a-z]:[\\/])/i;
+const BARE_DOMAIN_PATTERN = /^(?:[a-z0-9-]+\.)+([a-z]{2,})(:\d+)?([/?#]\S*)?$/i;
+// A file name looks just like a bare domain, so a lone `name.tld` only counts when the suffix is a familiar one.
+const COMMON_TLDS = new Set([
+  "com", "net", "org", "io", "dev", "app", "ai", "co", "me", "so", "gg", "xyz", "tech", "cloud", "site", "page",
+  "info", "biz", "edu", "gov", "us", "uk", "ca", "au", "de", "fr", "nl", "eu", "ch", "se", "no", "fi", "es", "it",
+  "jp", "in"
+]);
+// These suffixes are file names even with a path after them, whatever the TLD registry says.
+const FILE_EXTENSIONS = new Set([
+  "md", "json", "js", "mjs", "cjs", "ts", "tsx", "jsx", "txt", "png", "jpg", "jpeg", "gif", "svg", "css", "html",
+  "yml", "yaml", "toml", "lock", "log", "csv", "pdf", "zip"
+]);
+
+function trimName(value) {
+  const name = String(value ?? "").replace(/\s+/g, " ").trim();
+  return name.length > MAX_GUESSED_NAME_LENGTH ? `${name.slice(0, MAX_GUESSED_NAME_LENGTH - 1).trimEnd()}…` : name;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function guessPathName(localPath) {
+  const leaf = String(localPath ?? "").split(/[\\/]/).filter(Boolean).pop() ?? "";
+
+  // Notes read better without their extension; folders and code files are recognised by their exact names.
+  return trimName(leaf.replace(/\.md$/i, ""));
+}
+
+function stripTrailingId(segment) {
+  // Notion-style slugs end their readable title with a long hex id.
+  return segment.replace(/[-_]?[0-9a-f]{16,}$/i, "");
+}
+
+function isReadableSegment(segment) {
+  if (segment.length < 2 || VIEW_SEGMENTS.includes(segment.toLowerCase())) {
+    return false;
+  }
+
+  // Numeric ids, hashes, and opaque document keys name nothing a person would recognise.
+  return !/^\d+$|^[0-9a-f-]{8,}$/i.test(segment) && !/^(?=.*\d)[a-z0-9_-]{16,}$/i.test(segment);
+}
+
+function humanizeSlug(segment) {
+  const words = segment
+    .replace(/\.[a-z0-9]{1,5}$/i, "")
+    .replace(/[-_+]+/g, " ")
+    .trim();
+  return words ? `${words.charAt(0).toUpperCase()}${words.slice(1)}` : "";
+}
+
+function guessWebName(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return "";
+  }
+
+  const host = url.hostname.replace(/^www\./, "");
+  const segments = url.pathname.split("/").filter(Boolean).map(safeDecode);
+
+  // Code hosts put the repository second, and everything after it is a file or view inside that repository.
+  if (CODE_HOSTS.includes(host) && segments.length >= 2) {
+    return trimName(segments[1]);
+  }
+
+  // Trailing ids and view names say nothing about the page, so the nearest readable segment stands in for them.
+  const readable = segments.map(stripTrailingId).filter(isReadableSegment).pop();
+  return trimName((readable && humanizeSlug(readable)) || host);
+}
+
+function guessAppLinkName(linkType, link) {
+  if (linkType === "obsidian") {
+    const params = new URLSearchParams(link.split("?")[1] ?? "");
+    return guessPathName(params.get("file") || params.get("path") || params.get("vault") || "");
+  }
+
+  const localPath = extractLocalRepoPath(link);
+  if (localPath) {
+    return guessPathName(localPath);
+  }
+
+  // Other app links at least say which app they open.
+  const scheme = link.split(":")[0];
+  return `${scheme.charAt(0).toUpperCase()}${scheme.slice(1)}`;
+}
+
+export function pickEditorLinkType(state) {
+  const counts = new Map();
+  (Array.isArray(state?.projects) ? state.projects : []).forEach((project) => {
+    (project.links ?? []).forEach((entry) => {
+      if (EDITOR_LINK_TYPES.includes(entry.linkType)) {
+        counts.set(entry.linkType, (counts.get(entry.linkType) ?? 0) + 1);
+      }
+    });
+  });
+
+  // A pasted folder opens in whichever editor this board already uses most.
+  return [...counts.entries()].sort((left, right) => right[1] - left[1])[0]?.[0] ?? "vscode";
+}
+
+function isBareDomain(pasted) {
+  const match = BARE_DOMAIN_PATTERN.exec(pasted);
+  if (!match) {
+    return false;
+  }
+
+  const [, suffix, port, rest] = match;
+  const tld = suffix.toLowerCase();
+  if (FILE_EXTENSIONS.has(tld)) {
+    return false;
+  }
+
+  // A port or a path is something a file name never has, so any suffix is trusted then.
+  return Boolean(port) || (rest ?? "").startsWith("/") || COMMON_TLDS.has(tld);
+}
+
+export function parsePastedText(text, options = {}) {
+  const lines = String(text ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  // Several lines are prose or a list, not one link.
+  if (lines.length !== 1) {
+    return null;
+  }
+
+  const pasted = lines[0].replace(/^(["'<])(.*)(["'>])$/, "$2");
+
+  if (/^file:\/\//i.test(pasted)) {
+    return parsePastedText(safeDecode(pasted.replace(/^file:\/\/(?:localhost)?/i, "")), options);
+  }
+
+  if (URI_PATTERN.test(pasted)) {
+    const linkType = inferLinkType(pasted);
+    const link = buildLinkFromHelper(linkType, pasted);
+    const name = linkType === "web" ? guessWebName(link) : guessAppLinkName(linkType, link);
+    return link ? { linkType, link, name } : null;
+  }
+
+  if (ABSOLUTE_PATH_PATTERN.test(pasted) && pasted.length > 1) {
+    const isNote = /\.md$/i.test(pasted);
+    const linkType = isNote ? "obsidian" : options.editorLinkType ?? "vscode";
+    // Editor links want forward slashes even for Windows paths.
+    const localPath = isNote ? pasted : pasted.replace(/\\/g, "/");
+    return { linkType, link: buildLinkFromHelper(linkType, localPath), name: guessPathName(localPath) };
+  }
+
+  if (isBareDomain(pasted)) {
+    const link = buildLinkFromHelper("web", pasted);
+    return { linkType: "web", link, name: guessWebName(link) };
+  }
+
+  return null;
+}
+
+export function readPastedAnchorText(html, link) {
+  if (!html || typeof DOMParser === "undefined") {
+    return "";
+  }
+
+  // Copying a link out of a page puts its visible text on the clipboard as HTML next to the plain URL.
+  const anchors = Array.from(new DOMParser().parseFromString(html, "text/html").querySelectorAll("a[href]"));
+  const anchor = anchors.length === 1 ? anchors[0] : anchors.find((candidate) => candidate.href === link);
+  const text = trimName(anchor?.textContent);
+  return text && text !== link ? text : "";
+}
+
+async function readLeadingText(response) {
+  if (!response.body) {
+    return (await response.text()).slice(0, PAGE_TITLE_READ_BYTES);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  while (text.length < PAGE_TITLE_READ_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    text += decoder.decode(value, { stream: true });
+  }
+
+  reader.cancel().catch(() => {});
+  return text;
+}
+
+export async function fetchPageTitle(link) {
+  if (typeof chrome === "undefined" || !chrome.permissions?.contains || typeof DOMParser === "undefined") {
+    return "";
+  }
+
+  let origin;
+  try {
+    origin = new URL(link).origin;
+  } catch {
+    return "";
+  }
+
+  // Without host access the request would fail CORS anyway, so the guess from the link stands.
+  const allowed = await chrome.permissions.contains({ origins: [`${origin}/*`] }).catch(() => false);
+  if (!allowed) {
+    return "";
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PAGE_TITLE_TIMEOUT_MS);
+  try {
+    // The link is whatever was on the clipboard, so fetching it must not act as the signed-in operator.
+    const response = await fetch(link, { credentials: "omit", signal: controller.signal });
+    if (!response.ok || !/html/i.test(response.headers.get("content-type") ?? "")) {
+      return "";
+    }
+
+    const page = new DOMParser().parseFromString(await readLeadingText(response), "text/html");
+    // Pages that build their title in script often still ship an Open Graph title in the served HTML.
+    return trimName(page.querySelector("meta[property='og:title']")?.getAttribute("content") || page.title);
+  } catch {
+    return "";
+  } finally {
+    clearTimeout(timer);
+  }
+}
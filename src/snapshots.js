@@ -0,0 +1,242 @@
+/*
+This file keeps rolling local snapshots of the board as an automatic safety net behind manual export.
+It exists separately so the retention schedule and snapshot diffing stay pure, while the storage calls stay small
+and mirror `src/devicePrefs.js`: snapshots live in `chrome.storage.local` because they are a per-device recovery aid
+and would blow through the sync quota if they were shared.
+`src/main.js` records an automatic snapshot at most hourly after saves, records a guard snapshot right before
+destructive operations (import, campaign delete, restore), and reads the list back for the History panel.
+Retention keeps one snapshot per hour for a day and one per day for a month; guard snapshots from the last day are
+all kept so the state just before a risky action is never pruned away by a later hourly one.
+*/
+
+import { migrateState } from "./migrations.js";
+
+const SNAPSHOTS_KEY = "opsMapSnapshotsV1";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const HOURLY_RETENTION_MS = DAY_MS;
+export const DAILY_RETENTION_MS = 30 * DAY_MS;
+export const AUTO_SNAPSHOT_INTERVAL_MS = HOUR_MS;
+export const MAX_GUARD_SNAPSHOTS = 12;
+
+export const SNAPSHOT_REASONS = Object.freeze({
+  AUTO: "auto",
+  BEFORE_IMPORT: "before-import",
+  BEFORE_DELETE: "before-delete",
+  BEFORE_RESTORE: "before-restore"
+});
+
+const SNAPSHOT_REASON_KEYS = Object.values(SNAPSHOT_REASONS);
+
+// Writes are read-modify-write on one key, so they are chained to keep a guard and an auto snapshot from racing.
+let snapshotWriteQueue = Promise.resolve();
+
+function hasChromeLocalStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
+}
+
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
+function createSnapshotId() {
+  return `snapshot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function normalizeSnapshot(rawSnapshot) {
+  if (!rawSnapshot || typeof rawSnapshot !== "object") {
+    return null;
+  }
+
+  const takenAt = typeof rawSnapshot.takenAt === "string" ? rawSnapshot.takenAt : "";
+  const state = rawSnapshot.state;
+
+  if (!Number.isFinite(Date.parse(takenAt)) || !state || typeof state !== "object") {
+    return null;
+  }
+
+  return {
+    id: typeof rawSnapshot.id === "string" && rawSnapshot.id ? rawSnapshot.id : createSnapshotId(),
+    takenAt,
+    reason: SNAPSHOT_REASON_KEYS.includes(rawSnapshot.reason) ? rawSnapshot.reason : SNAPSHOT_REASONS.AUTO,
+    label: typeof rawSnapshot.label === "string" ? rawSnapshot.label : "",
+    state
+  };
+}
+
+function normalizeSnapshots(rawSnapshots) {
+  return (Array.isArray(rawSnapshots) ? rawSnapshots : [])
+    .map(normalizeSnapshot)
+    .filter(Boolean)
+    .sort((left, right) => Date.parse(right.takenAt) - Date.parse(left.takenAt));
+}
+
+export function pruneSnapshots(snapshots, now = Date.now()) {
+  const keptBuckets = new Set();
+  let guardCount = 0;
+
+  // Snapshots arrive newest first, so the first one seen in a bucket is the one that bucket keeps.
+  return normalizeSnapshots(snapshots).filter((snapshot) => {
+    const takenAtMs = Date.parse(snapshot.takenAt);
+    const age = now - takenAtMs;
+
+    if (age > DAILY_RETENTION_MS) {
+      return false;
+    }
+
+    if (age <= HOURLY_RETENTION_MS && snapshot.reason !== SNAPSHOT_REASONS.AUTO && guardCount < MAX_GUARD_SNAPSHOTS) {
+      guardCount += 1;
+      return true;
+    }
+
+    const bucket = age <= HOURLY_RETENTION_MS ? `h:${Math.floor(takenAtMs / HOUR_MS)}` : `d:${Math.floor(takenAtMs / DAY_MS)}`;
+    if (keptBuckets.has(bucket)) {
+      return false;
+    }
+
+    keptBuckets.add(bucket);
+    return true;
+  });
+}
+
+export function isAutoSnapshotDue(snapshots, state, now = Date.now()) {
+  const ordered = normalizeSnapshots(snapshots);
+
+  if (ordered.length === 0) {
+    return true;
+  }
+
+  // A board that has not changed since the newest snapshot gains nothing from another copy.
+  if (ordered[0].state?.updatedAt && ordered[0].state.updatedAt === state?.updatedAt) {
+    return false;
+  }
+
+  const newestAuto = ordered.find((snapshot) => snapshot.reason === SNAPSHOT_REASONS.AUTO);
+  return !newestAuto || now - Date.parse(newestAuto.takenAt) >= AUTO_SNAPSHOT_INTERVAL_MS;
+}
+
+function stripEntityMeta(entity) {
+  // Sync bookkeeping changes on every save, so only what the operator edited counts toward a difference.
+  const content = { ...entity };
+  delete content.revision;
+  delete content.modifiedAt;
+  return content;
+}
+
+function diffCollection(currentItems, snapshotItems) {
+  const currentById = new Map((Array.isArray(currentItems) ? currentItems : []).map((item) => [item.id, item]));
+  const snapshotById = new Map((Array.isArray(snapshotItems) ? snapshotItems : []).map((item) => [item.id, item]));
+  const diff = { added: 0, removed: 0, changed: 0 };
+
+  // Counts describe what restoring would do to the current board.
+  snapshotById.forEach((item, id) => {
+    if (!currentById.has(id)) {
+      diff.added += 1;
+    } else if (JSON.stringify(stripEntityMeta(item)) !== JSON.stringify(stripEntityMeta(currentById.get(id)))) {
+      diff.changed += 1;
+    }
+  });
+
+  currentById.forEach((item, id) => {
+    if (!snapshotById.has(id)) {
+      diff.removed += 1;
+    }
+  });
+
+  return diff;
+}
+
+export function diffSnapshotAgainstState(currentState, snapshotState) {
+  return {
+    campaigns: diffCollection(currentState?.campaigns, snapshotState?.campaigns),
+    projects: diffCollection(currentState?.projects, snapshotState?.projects)
+  };
+}
+
+export function readSnapshotState(snapshot) {
+  // Snapshots keep whatever schema they were written in, so restores go through the same migration chain as loads.
+  const { state, report } = migrateState(snapshot?.state);
+
+  if (report.isNewerThanSupported) {
+    throw new Error("This snapshot was written by a newer version of Resume.");
+  }
+
+  return state;
+}
+
+async function readStoredSnapshots() {
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([SNAPSHOTS_KEY], (result) => {
+        if (chrome.runtime?.lastError) {
+          console.warn("Resume: failed to read local snapshots.", getRuntimeErrorMessage());
+          resolve([]);
+          return;
+        }
+
+        resolve(normalizeSnapshots(result?.[SNAPSHOTS_KEY]));
+      });
+    });
+  }
+
+  try {
+    const raw = localStorage.getItem(SNAPSHOTS_KEY);
+    return normalizeSnapshots(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Resume: failed to read snapshot fallback storage.", error);
+    return [];
+  }
+}
+
+async function writeStoredSnapshots(snapshots) {
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots }, () => {
+        if (chrome.runtime?.lastError) {
+          reject(new Error(getRuntimeErrorMessage()));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  try {
+    localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots));
+  } catch (error) {
+    console.warn("Resume: failed to save snapshot fallback storage.", error);
+  }
+}
+
+export async function loadSnapshots() {
+  return pruneSnapshots(await readStoredSnapshots());
+}
+
+export function takeSnapshot(state, options = {}) {
+  const pending = snapshotWriteQueue.then(() => writeSnapshot(state, options));
+  snapshotWriteQueue = pending.catch(() => null);
+  return pending;
+}
+
+async function writeSnapshot(state, options) {
+  const reason = SNAPSHOT_REASON_KEYS.includes(options.reason) ? options.reason : SNAPSHOT_REASONS.AUTO;
+  const existing = await readStoredSnapshots();
+
+  if (reason === SNAPSHOT_REASONS.AUTO && !isAutoSnapshotDue(existing, state)) {
+    return null;
+  }
+
+  const snapshot = {
+    id: createSnapshotId(),
+    takenAt: new Date().toISOString(),
+    reason,
+    label: typeof options.label === "string" ? options.label : "",
+    state
+  };
+
+  await writeStoredSnapshots(pruneSnapshots([snapshot, ...existing]));
+  return snapshot;
+}
@@ -1,12 +1,37 @@
 /*
-This file is the persistence boundary for Resume.
+This file is the Chrome sync backend for Resume's board, the default sync provider.
 It exists separately so the rest of the app can think in plain state objects while this module hides
 whether data comes from `chrome.storage.sync` or a localStorage fallback during non-extension development.
-It talks outward to browser storage APIs and inward to `src/main.js`, which calls these functions whenever state loads or changes.
+It talks outward to browser storage APIs and inward to `src/syncProviders.js`, which wraps these functions as the
+Chrome sync provider that `src/main.js` loads, saves, and subscribes through.
 This module only handles shared map state; per-device launch preferences live in `src/devicePrefs.js`.
+Every payload read here passes through `src/migrations.js` first, so callers only ever see the current schema.
+In sync storage the board is sharded by `src/storageChunks.js` to stay under Chrome's per-item quota, and this module
+also reports quota usage so the UI can warn before writes start failing.
 */
 
+import { migrateState } from "./migrations.js";
+import { isSealedBoard } from "./boardCrypto.js";
+import {
+  CHUNK_MANIFEST_KEY,
+  SYNC_QUOTA_BYTES,
+  SYNC_QUOTA_BYTES_PER_ITEM,
+  assembleChunkedState,
+  buildChunkedItems,
+  isChunkStorageKey,
+  listStaleChunkKeys,
+  measureItems
+} from "./storageChunks.js";
+
+// Boards saved before chunking live under this single key; it is read as a fallback and removed on the next save.
 const STORAGE_KEY = "opsMapStateV1";
+const LOCAL_FALLBACK_QUOTA_BYTES = 5 * 1024 * 1024;
+
+// Returned by `loadState` while sync has delivered only part of a write, so "not here yet" differs from "empty".
+export const INCOMPLETE_SYNC_BOARD = Object.freeze({ status: "incomplete" });
+
+export const STORAGE_WARNING_RATIO = 0.8;
+export const STORAGE_CRITICAL_RATIO = 0.95;
 
 function hasChromeSyncStorage() {
   return typeof chrome !== "undefined" && Boolean(chrome.storage?.sync);
@@ -16,26 +41,113 @@ function getRuntimeErrorMessage() {
   return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
 }
 
+function readSyncItems(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.get(keys, (result) => {
+      if (chrome.runtime?.lastError) {
+        reject(new Error(getRuntimeErrorMessage()));
+        return;
+      }
+
+      resolve(result ?? {});
+    });
+  });
+}
+
+function writeSyncItems(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set(items, () => {
+      if (chrome.runtime?.lastError) {
+        reject(new Error(getRuntimeErrorMessage()));
+        return;
+      }
+
+      resolve();
+    });
+  });
+}
+
+function removeSyncItems(keys) {
+  if (keys.length === 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.remove(keys, () => {
+      if (chrome.runtime?.lastError) {
+        reject(new Error(getRuntimeErrorMessage()));
+        return;
+      }
+
+      resolve();
+    });
+  });
+}
+
+function readStateFromSyncItems(items) {
+  const assembled = assembleChunkedState(items);
+
+  if (assembled.status === "ok") {
+    return assembled.state;
+  }
+
+  // The legacy key predates the write still arriving, so it would stand in for the board with stale content.
+  if (assembled.status === "incomplete") {
+    console.warn("Resume: sync storage holds a partially delivered board; waiting for the remaining chunks.");
+    return INCOMPLETE_SYNC_BOARD;
+  }
+
+  return items?.[STORAGE_KEY] ?? null;
+}
+
+export function isIncompleteSyncBoard(value) {
+  return value === INCOMPLETE_SYNC_BOARD;
+}
+
+export function formatKilobytes(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+export function isStorageQuotaError(error) {
+  return /quota/i.test(error instanceof Error ? error.message : String(error ?? ""));
+}
+
+function upgradeStoredState(rawState) {
+  if (!rawState || isIncompleteSyncBoard(rawState)) {
+    return rawState ?? null;
+  }
+
+  // Encrypted boards are migrated by `src/main.js` once they are opened.
+  if (isSealedBoard(rawState)) {
+    return rawState;
+  }
+
+  try {
+    const { state, report } = migrateState(rawState);
+    // A board from a newer build is passed on untouched; `src/main.js` holds it read-only instead of normalizing it.
+    return report.isNewerThanSupported ? rawState : state;
+  } catch (error) {
+    // A failed step leaves the payload as-is so normalization can still salvage what it recognizes.
+    console.warn("Resume: failed to migrate stored map state.", error);
+    return rawState;
+  }
+}
+
 export async function loadState() {
   // We prefer sync storage because the product requirement is Chrome account sync across instances.
   if (hasChromeSyncStorage()) {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get([STORAGE_KEY], (result) => {
-        if (chrome.runtime?.lastError) {
-          console.warn("Resume: failed to read sync storage.", getRuntimeErrorMessage());
-          resolve(null);
-          return;
-        }
-
-        resolve(result?.[STORAGE_KEY] ?? null);
-      });
-    });
+    try {
+      return upgradeStoredState(readStateFromSyncItems(await readSyncItems(null)));
+    } catch (error) {
+      console.warn("Resume: failed to read sync storage.", error);
+      return null;
+    }
   }
 
   // The fallback keeps local iteration possible when the file is opened outside extension runtime.
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : null;
+    return upgradeStoredState(raw ? JSON.parse(raw) : null);
   } catch (error) {
     console.warn("Resume: failed to read local fallback storage.", error);
     return null;
@@ -44,16 +156,30 @@ export async function loadState() {
 
 export async function saveState(state) {
   if (hasChromeSyncStorage()) {
-    return new Promise((resolve, reject) => {
-      chrome.storage.sync.set({ [STORAGE_KEY]: state }, () => {
-        if (chrome.runtime?.lastError) {
-          reject(new Error(getRuntimeErrorMessage()));
-          return;
-        }
-
-        resolve();
-      });
-    });
+    const items = buildChunkedItems(state);
+    const requiredBytes = measureItems(items);
+
+    // Checking up front turns an opaque Chrome quota failure into an error that says how far over we are.
+    if (requiredBytes > SYNC_QUOTA_BYTES) {
+      throw new Error(
+        `Sync storage quota exceeded: the board needs ${formatKilobytes(requiredBytes)} but chrome.storage.sync allows ${formatKilobytes(
+          SYNC_QUOTA_BYTES
+        )}.`
+      );
+    }
+
+    const previous = await readSyncItems([CHUNK_MANIFEST_KEY, STORAGE_KEY]);
+
+    // Chunks and manifest go out in one set call; stale chunks are only removed once the new write landed.
+    await writeSyncItems(items);
+
+    const staleKeys = listStaleChunkKeys(previous[CHUNK_MANIFEST_KEY], items[CHUNK_MANIFEST_KEY]);
+    if (previous[STORAGE_KEY] !== undefined) {
+      staleKeys.push(STORAGE_KEY);
+    }
+
+    await removeSyncItems(staleKeys);
+    return;
   }
 
   try {
@@ -63,14 +189,73 @@ export async function saveState(state) {
   }
 }
 
+function buildUsageReport(backend, bytesInUse, quotaBytes, chunkCount) {
+  const ratio = quotaBytes > 0 ? Math.min(bytesInUse / quotaBytes, 1) : 0;
+  let level = "ok";
+
+  if (ratio >= STORAGE_CRITICAL_RATIO) {
+    level = "critical";
+  } else if (ratio >= STORAGE_WARNING_RATIO) {
+    level = "warning";
+  }
+
+  return {
+    backend,
+    bytesInUse,
+    quotaBytes,
+    perItemQuotaBytes: backend === "chrome.storage.sync" ? SYNC_QUOTA_BYTES_PER_ITEM : null,
+    chunkCount,
+    ratio,
+    level
+  };
+}
+
+export async function getStorageUsage() {
+  if (hasChromeSyncStorage()) {
+    const [bytesInUse, items] = await Promise.all([
+      new Promise((resolve) => {
+        chrome.storage.sync.getBytesInUse(null, (bytes) => {
+          resolve(chrome.runtime?.lastError ? 0 : bytes ?? 0);
+        });
+      }),
+      readSyncItems([CHUNK_MANIFEST_KEY]).catch(() => ({}))
+    ]);
+
+    return buildUsageReport("chrome.storage.sync", bytesInUse, SYNC_QUOTA_BYTES, items[CHUNK_MANIFEST_KEY]?.chunkCount ?? 0);
+  }
+
+  let bytesInUse = 0;
+
+  try {
+    bytesInUse = (localStorage.getItem(STORAGE_KEY) ?? "").length * 2;
+  } catch {
+    bytesInUse = 0;
+  }
+
+  return buildUsageReport("localStorage fallback", bytesInUse, LOCAL_FALLBACK_QUOTA_BYTES, 0);
+}
+
 export function subscribeToStateChanges(onChange) {
   if (hasChromeSyncStorage()) {
     const listener = (changes, areaName) => {
-      if (areaName !== "sync" || !changes?.[STORAGE_KEY]) {
+      if (areaName !== "sync" || !Object.keys(changes ?? {}).some((key) => key === STORAGE_KEY || isChunkStorageKey(key))) {
         return;
       }
 
-      onChange(changes[STORAGE_KEY].newValue ?? null);
+      // Any chunk or manifest change triggers a full reassembly; incomplete deliveries are skipped until they settle.
+      readSyncItems(null)
+        .then((items) => {
+          const assembled = assembleChunkedState(items);
+
+          if (assembled.status === "incomplete") {
+            return;
+          }
+
+          onChange(upgradeStoredState(assembled.status === "ok" ? assembled.state : items[STORAGE_KEY] ?? null));
+        })
+        .catch((error) => {
+          console.warn("Resume: failed to reassemble synced map state.", error);
+        });
     };
 
     chrome.storage.onChanged.addListener(listener);
@@ -86,7 +271,7 @@ export function subscribeToStateChanges(onChange) {
     }
 
     try {
-      onChange(event.newValue ? JSON.parse(event.newValue) : null);
+      onChange(upgradeStoredState(event.newValue ? JSON.parse(event.newValue) : null));
     } catch (error) {
       console.warn("Resume: failed to parse storage event payload.", error);
     }
@@ -0,0 +1,135 @@
+/*
+This file defines how serialized map state is sharded across multiple `chrome.storage.sync` items.
+It exists separately so the byte accounting, manifest format, and reassembly checks stay pure and testable,
+while `src/storage.js` keeps ownership of the actual browser storage calls.
+Chrome caps every sync item at about 8 KB, so state is written as numbered chunks plus one manifest that records
+each chunk's hash; readers only accept a board once every chunk matches the manifest, which keeps reassembly atomic
+even when sync delivers the chunks of one write in several batches.
+*/
+
+export const CHUNK_MANIFEST_KEY = "opsMapStateManifest";
+export const CHUNK_KEY_PREFIX = "opsMapStateChunk:";
+export const CHUNK_FORMAT_VERSION = 1;
+
+// Chrome's documented sync quotas; we keep a margin below the per-item cap for key and encoding overhead.
+export const SYNC_QUOTA_BYTES = 102400;
+export const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+export const SYNC_MAX_ITEMS = 512;
+const CHUNK_SAFETY_MARGIN_BYTES = 192;
+
+const textEncoder = new TextEncoder();
+
+export function getChunkKey(index) {
+  return `${CHUNK_KEY_PREFIX}${index}`;
+}
+
+export function isChunkStorageKey(key) {
+  return key === CHUNK_MANIFEST_KEY || (typeof key === "string" && key.startsWith(CHUNK_KEY_PREFIX));
+}
+
+export function measureItemBytes(key, value) {
+  // Chrome measures an item as its key plus the JSON encoding of its value.
+  return key.length + textEncoder.encode(JSON.stringify(value)).length;
+}
+
+function hashChunk(text) {
+  // FNV-1a is enough to detect a stale or half-synced chunk; it is not a security boundary.
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(16).padStart(8, "0");
+}
+
+export function splitIntoChunks(serialized, maxItemBytes = SYNC_QUOTA_BYTES_PER_ITEM) {
+  const budget = maxItemBytes - CHUNK_SAFETY_MARGIN_BYTES - getChunkKey(SYNC_MAX_ITEMS).length;
+  const chunks = [];
+  let current = "";
+  // Two bytes cover the quotes that wrap each chunk once it is JSON-encoded.
+  let currentBytes = 2;
+
+  // Iterating by code point avoids splitting surrogate pairs across two chunks.
+  for (const character of serialized) {
+    const characterBytes = textEncoder.encode(JSON.stringify(character)).length - 2;
+
+    if (currentBytes + characterBytes > budget && current) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 2;
+    }
+
+    current += character;
+    currentBytes += characterBytes;
+  }
+
+  if (current || chunks.length === 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+export function buildChunkedItems(state) {
+  const serialized = JSON.stringify(state);
+  const chunks = splitIntoChunks(serialized);
+  const items = {};
+
+  chunks.forEach((chunk, index) => {
+    items[getChunkKey(index)] = chunk;
+  });
+
+  items[CHUNK_MANIFEST_KEY] = {
+    format: CHUNK_FORMAT_VERSION,
+    chunkCount: chunks.length,
+    hashes: chunks.map(hashChunk),
+    updatedAt: typeof state?.updatedAt === "string" ? state.updatedAt : null
+  };
+
+  return items;
+}
+
+export function measureItems(items) {
+  return Object.entries(items).reduce((total, [key, value]) => total + measureItemBytes(key, value), 0);
+}
+
+export function listStaleChunkKeys(previousManifest, nextManifest) {
+  const previousCount = Number.isInteger(previousManifest?.chunkCount) ? previousManifest.chunkCount : 0;
+  const nextCount = Number.isInteger(nextManifest?.chunkCount) ? nextManifest.chunkCount : 0;
+  const staleKeys = [];
+
+  for (let index = nextCount; index < previousCount; index += 1) {
+    staleKeys.push(getChunkKey(index));
+  }
+
+  return staleKeys;
+}
+
+export function assembleChunkedState(items) {
+  const manifest = items?.[CHUNK_MANIFEST_KEY];
+
+  if (!manifest || manifest.format !== CHUNK_FORMAT_VERSION || !Number.isInteger(manifest.chunkCount)) {
+    return { status: "missing", state: null };
+  }
+
+  let serialized = "";
+
+  for (let index = 0; index < manifest.chunkCount; index += 1) {
+    const chunk = items[getChunkKey(index)];
+
+    // A missing or mismatched chunk means sync has not delivered this write completely yet.
+    if (typeof chunk !== "string" || hashChunk(chunk) !== manifest.hashes?.[index]) {
+      return { status: "incomplete", state: null };
+    }
+
+    serialized += chunk;
+  }
+
+  try {
+    return { status: "ok", state: JSON.parse(serialized) };
+  } catch {
+    return { status: "incomplete", state: null };
+  }
+}
@@ -0,0 +1,199 @@
+/*
+This file is the sync provider registry: it decides where this device keeps the board.
+Every provider exposes the same five calls (`load`, `save`, `subscribe`, `getUsage`, `getDiagnostics`), so
+`src/main.js` persists through whichever one is active without knowing if it is Chrome sync or a self-hosted server.
+Chrome sync wraps `src/storage.js` unchanged, and the WebDAV and JSON-over-HTTP providers come from
+`src/httpSyncProviders.js`. `save` resolves to `{ conflictState }`, which is non-null when the server held a newer
+board than the one this tab based its write on; Chrome sync never reports one because it merges through `subscribe`.
+The choice and its credentials are per device and live in `chrome.storage.local`, so they never reach synced or
+exported data.
+*/
+
+import { loadState, saveState, subscribeToStateChanges, getStorageUsage } from "./storage.js";
+import { createHttpJsonProvider, createWebDavProvider } from "./httpSyncProviders.js";
+
+const SYNC_PROVIDER_KEY = "opsMapSyncProviderV1";
+
+export const SYNC_PROVIDER_IDS = Object.freeze({
+  CHROME_SYNC: "chrome-sync",
+  WEBDAV: "webdav",
+  HTTP_JSON: "http-json"
+});
+
+export const SYNC_PROVIDER_LABELS = {
+  [SYNC_PROVIDER_IDS.CHROME_SYNC]: "Chrome sync",
+  [SYNC_PROVIDER_IDS.WEBDAV]: "WebDAV",
+  [SYNC_PROVIDER_IDS.HTTP_JSON]: "HTTP endpoint"
+};
+
+export const DEFAULT_SYNC_PROVIDER_CONFIG = {
+  providerId: SYNC_PROVIDER_IDS.CHROME_SYNC,
+  webdav: { url: "", username: "", password: "" },
+  httpJson: { url: "", token: "" }
+};
+
+function hasChromeLocalStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.local);
+}
+
+function hasChromeSyncStorage() {
+  return typeof chrome !== "undefined" && Boolean(chrome.storage?.sync);
+}
+
+function getRuntimeErrorMessage() {
+  return chrome?.runtime?.lastError?.message ?? "Unknown storage error";
+}
+
+function cleanSetting(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function normalizeSyncProviderConfig(rawConfig) {
+  if (!rawConfig || typeof rawConfig !== "object") {
+    return structuredClone(DEFAULT_SYNC_PROVIDER_CONFIG);
+  }
+
+  const providerId = Object.values(SYNC_PROVIDER_IDS).includes(rawConfig.providerId)
+    ? rawConfig.providerId
+    : SYNC_PROVIDER_IDS.CHROME_SYNC;
+
+  return {
+    providerId,
+    webdav: {
+      url: cleanSetting(rawConfig.webdav?.url),
+      username: cleanSetting(rawConfig.webdav?.username),
+      // Passwords keep surrounding spaces; they may be significant.
+      password: typeof rawConfig.webdav?.password === "string" ? rawConfig.webdav.password : ""
+    },
+    httpJson: {
+      url: cleanSetting(rawConfig.httpJson?.url),
+      token: cleanSetting(rawConfig.httpJson?.token)
+    }
+  };
+}
+
+export async function loadSyncProviderConfig() {
+  // Server addresses and credentials belong to this machine, so they use the local area like device prefs.
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([SYNC_PROVIDER_KEY], (result) => {
+        if (chrome.runtime?.lastError) {
+          console.warn("Resume: failed to read sync provider settings.", getRuntimeErrorMessage());
+          resolve(normalizeSyncProviderConfig(null));
+          return;
+        }
+
+        resolve(normalizeSyncProviderConfig(result?.[SYNC_PROVIDER_KEY]));
+      });
+    });
+  }
+
+  try {
+    const raw = localStorage.getItem(SYNC_PROVIDER_KEY);
+    return normalizeSyncProviderConfig(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Resume: failed to read sync provider fallback storage.", error);
+    return normalizeSyncProviderConfig(null);
+  }
+}
+
+export async function saveSyncProviderConfig(nextConfig) {
+  const normalized = normalizeSyncProviderConfig(nextConfig);
+
+  if (hasChromeLocalStorage()) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [SYNC_PROVIDER_KEY]: normalized }, () => {
+        if (chrome.runtime?.lastError) {
+          reject(new Error(getRuntimeErrorMessage()));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  try {
+    localStorage.setItem(SYNC_PROVIDER_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.warn("Resume: failed to save sync provider fallback storage.", error);
+  }
+}
+
+export function getSyncProviderEndpoint(config) {
+  if (config.providerId === SYNC_PROVIDER_IDS.WEBDAV) {
+    return config.webdav.url;
+  }
+
+  if (config.providerId === SYNC_PROVIDER_IDS.HTTP_JSON) {
+    return config.httpJson.url;
+  }
+
+  return null;
+}
+
+export function validateSyncProviderConfig(config) {
+  const endpoint = getSyncProviderEndpoint(config);
+  if (endpoint === null) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(endpoint);
+  } catch {
+    return "Enter the full address of the board file, starting with https://.";
+  }
+
+  // Credentials and the whole board travel with every request, so plain HTTP is only allowed to this machine.
+  const isLoopback = ["localhost", "127.0.0.1", "[::1]"].includes(parsed.hostname);
+  if (parsed.protocol !== "https:" && !(parsed.protocol === "http:" && isLoopback)) {
+    return "Use an https:// address. Plain http:// is only accepted for localhost.";
+  }
+
+  if (config.providerId === SYNC_PROVIDER_IDS.WEBDAV && parsed.pathname.endsWith("/")) {
+    return "Point WebDAV at a file, for example https://dav.example.com/resume/board.json.";
+  }
+
+  return null;
+}
+
+function createChromeSyncProvider() {
+  return {
+    id: SYNC_PROVIDER_IDS.CHROME_SYNC,
+    label: SYNC_PROVIDER_LABELS[SYNC_PROVIDER_IDS.CHROME_SYNC],
+    load: loadState,
+    save: async (state) => {
+      await saveState(state);
+      return { conflictState: null };
+    },
+    subscribe: subscribeToStateChanges,
+    getUsage: getStorageUsage,
+    getDiagnostics: () => [
+      ["Provider", SYNC_PROVIDER_LABELS[SYNC_PROVIDER_IDS.CHROME_SYNC]],
+      ["Backend", hasChromeSyncStorage() ? "chrome.storage.sync" : "localStorage fallback"]
+    ],
+    getLastError: () => null
+  };
+}
+
+export function createSyncProvider(config) {
+  const normalized = normalizeSyncProviderConfig(config);
+  const problem = validateSyncProviderConfig(normalized);
+
+  // A half-filled server setting must not strand the board, so it falls back to Chrome sync until fixed.
+  if (problem) {
+    console.warn("Resume: sync provider settings are invalid; using Chrome sync.", problem);
+    return createChromeSyncProvider();
+  }
+
+  if (normalized.providerId === SYNC_PROVIDER_IDS.WEBDAV) {
+    return createWebDavProvider(normalized.webdav);
+  }
+
+  if (normalized.providerId === SYNC_PROVIDER_IDS.HTTP_JSON) {
+    return createHttpJsonProvider(normalized.httpJson);
+  }
+
+  return createChromeSyncProvider();
+}
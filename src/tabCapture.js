@@ -0,0 +1,239 @@
+/*
+This file turns open browser tabs into web projects on the board, for the toolbar popup (`popup.html`,
+`src/popup.js`) and the page context menu that `src/background.js` owns.
+Neither place has a board open, so captures read the board from the active sync provider, add projects with the same
+`addProject` rules the editor uses, and save it back through that provider; every open board then receives the new
+projects through its normal subscription, exactly like an edit from another device. When Google Drive sync is
+connected the capture is pushed there too, since no board tab writes a change it only received.
+Encrypted boards are opened with the key a board tab remembered for this browser session, so a locked board is never
+overwritten with a guess.
+Writes run in the worker even when the popup starts them, because a popup closes, and stops, as soon as it loses focus.
+*/
+
+import {
+  isSealedBoard,
+  loadRememberedBoardKey,
+  markEncryptionDisabled,
+  openSealedBoard,
+  readEncryptionDisabledAt,
+  sealBoard
+} from "./boardCrypto.js";
+import { loadGoogleSyncRecord, pushGoogleSyncState, saveGoogleSyncRecord } from "./googleSync.js";
+import { isNewerThanSupported, migrateState } from "./migrations.js";
+import {
+  PROJECT_MODES,
+  addProject,
+  createEmptyState,
+  getActiveCampaigns,
+  getProjectLinks,
+  normalizeState
+} from "./model.js";
+import { isIncompleteSyncBoard } from "./storage.js";
+import { createSyncProvider, loadSyncProviderConfig } from "./syncProviders.js";
+
+export const CAPTURE_TABS_MESSAGE = "resume:capture-tabs";
+export const CAPTURE_MENU_MESSAGE = "resume:capture-menu";
+
+// A server that keeps answering with a newer board is retried a few times before the capture gives up.
+const MAX_SAVE_ATTEMPTS = 3;
+
+const WEB_TAB_PATTERN = /^https?:\/\//i;
+
+export function isCapturableTab(tab) {
+  return WEB_TAB_PATTERN.test(String(tab?.url ?? "").trim());
+}
+
+function readTabName(tab, link) {
+  const title = String(tab?.title ?? "").trim();
+  if (title && title !== link) {
+    return title;
+  }
+
+  // Tabs that never finished loading have no title yet, so the site name stands in.
+  try {
+    return new URL(link).hostname.replace(/^www\./, "");
+  } catch {
+    return link;
+  }
+}
+
+export function listCaptureCampaigns(state) {
+  return getActiveCampaigns(state).map((campaign) => ({
+    id: campaign.id,
+    label: campaign.icon ? `${campaign.icon} ${campaign.name}` : campaign.name
+  }));
+}
+
+export function addTabsToCampaign(state, campaignId, tabs) {
+  // A tab already on this campaign is skipped, so capturing a window twice does not double every project.
+  const knownLinks = new Set(
+    state.projects
+      .filter((project) => project.campaignIds.includes(campaignId))
+      .flatMap((project) => getProjectLinks(project).map((entry) => entry.link))
+  );
+
+  let nextState = state;
+  let added = 0;
+  let skipped = 0;
+
+  (Array.isArray(tabs) ? tabs : []).filter(isCapturableTab).forEach((tab) => {
+    const link = tab.url.trim();
+    if (knownLinks.has(link)) {
+      skipped += 1;
+      return;
+    }
+
+    const candidate = addProject(nextState, {
+      name: readTabName(tab, link),
+      mode: PROJECT_MODES.LAUNCHABLE,
+      links: [{ linkType: "web", link }],
+      campaignIds: [campaignId]
+    });
+
+    if (candidate !== nextState) {
+      nextState = candidate;
+      knownLinks.add(link);
+      added += 1;
+    }
+  });
+
+  return { state: nextState, added, skipped };
+}
+
+export function describeCaptureResult(result, campaignLabel) {
+  const addedText =
+    result.added > 0
+      ? `Added ${result.added} project${result.added === 1 ? "" : "s"} to ${campaignLabel}.`
+      : `Nothing new to add to ${campaignLabel}.`;
+  if (result.skipped === 0) {
+    return addedText;
+  }
+
+  return `${addedText} ${result.skipped} ${result.skipped === 1 ? "tab was" : "tabs were"} already there.`;
+}
+
+function refuseNewerBoard(board) {
+  // Saving a board this build cannot fully read would drop what the newer schema added for every device.
+  if (isNewerThanSupported(board)) {
+    throw new Error("The board was saved by a newer version of Resume. Update Resume on this device first.");
+  }
+
+  return normalizeState(board || createEmptyState());
+}
+
+async function openStoredBoard(rawBoard, boardKey) {
+  // Adding to the empty stand-in for a half-delivered board would save that near-empty board over the real one.
+  if (isIncompleteSyncBoard(rawBoard)) {
+    throw new Error("The board is still arriving through Chrome sync. Try again in a moment.");
+  }
+
+  if (!isSealedBoard(rawBoard)) {
+    return refuseNewerBoard(rawBoard);
+  }
+
+  let openedBoard;
+  try {
+    openedBoard = await openSealedBoard(rawBoard, boardKey);
+  } catch {
+    throw new Error("The board is encrypted. Unlock it in a Resume tab first, then try again.");
+  }
+
+  return refuseNewerBoard(migrateState(openedBoard).state);
+}
+
+async function loadCaptureBoard() {
+  const provider = createSyncProvider(await loadSyncProviderConfig());
+  const rawBoard = await provider.load();
+  const boardKey = isSealedBoard(rawBoard) ? await loadRememberedBoardKey() : null;
+
+  return {
+    provider,
+    boardKey,
+    disabledAt: readEncryptionDisabledAt(rawBoard),
+    state: await openStoredBoard(rawBoard, boardKey)
+  };
+}
+
+async function pushCaptureToGoogleDrive(savedBoard) {
+  const record = await loadGoogleSyncRecord();
+  if (!record.connected) {
+    return;
+  }
+
+  // A newer Drive board is left for the next board tab to merge; its pull brings these projects along with it.
+  const result = await pushGoogleSyncState(record, savedBoard);
+  await saveGoogleSyncRecord(result.record);
+}
+
+export async function loadCaptureCampaigns() {
+  const { state } = await loadCaptureBoard();
+  return listCaptureCampaigns(state);
+}
+
+export async function captureTabs(campaignId, tabs) {
+  const board = await loadCaptureBoard();
+  let { state } = board;
+
+  let attempts = 0;
+  while (attempts < MAX_SAVE_ATTEMPTS) {
+    const campaign = listCaptureCampaigns(state).find((entry) => entry.id === campaignId);
+    if (!campaign) {
+      throw new Error("That campaign is no longer on the board.");
+    }
+
+    const result = addTabsToCampaign(state, campaignId, tabs);
+    const summary = { added: result.added, skipped: result.skipped, campaignLabel: campaign.label };
+    if (result.added === 0) {
+      return summary;
+    }
+
+    // A board that had encryption switched off keeps saying so, or devices still holding a key would seal it again.
+    const savedBoard = board.boardKey
+      ? await sealBoard(result.state, board.boardKey)
+      : markEncryptionDisabled(result.state, board.disabledAt);
+    const { conflictState, firstRead } = await board.provider.save(savedBoard);
+    if (!conflictState) {
+      // Open boards adopt this save without writing it again, so Drive would otherwise wait for the next edit.
+      await pushCaptureToGoogleDrive(savedBoard);
+      return summary;
+    }
+
+    // The server held a newer board, so the tabs are added again on top of that one.
+    state = await openStoredBoard(conflictState, board.boardKey);
+    board.disabledAt = readEncryptionDisabledAt(conflictState);
+
+    // A load that fell back to the cached copy leaves the server unread, and that first read is not a lost race.
+    if (!firstRead) {
+      attempts += 1;
+    }
+  }
+
+  throw new Error("The board kept changing on the server. Try again in a moment.");
+}
+
+export async function requestTabCapture(campaignId, tabs) {
+  if (typeof chrome === "undefined" || !chrome.runtime?.sendMessage) {
+    return { ok: false, error: "Capturing tabs needs the Resume extension runtime." };
+  }
+
+  // Only the address and title travel, which is all a web project keeps.
+  const payload = tabs.map((tab) => ({ url: tab.url, title: tab.title }));
+
+  try {
+    return await chrome.runtime.sendMessage({ type: CAPTURE_TABS_MESSAGE, campaignId, tabs: payload });
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+export async function requestCaptureMenuUpdate(campaigns) {
+  if (typeof chrome === "undefined" || !chrome.runtime?.sendMessage) {
+    return { ok: false, error: "The capture menu needs the Resume extension runtime." };
+  }
+
+  try {
+    return await chrome.runtime.sendMessage({ type: CAPTURE_MENU_MESSAGE, campaigns });
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : String(error) };
+  }
+}
@@ -2,11 +2,31 @@
 This file defines export/import transfer contracts for Resume state.
 It exists separately so serialization, validation, and filename rules stay pure and reusable instead of being buried in UI handlers.
 `src/main.js` uses these functions to build downloadable snapshots and safely parse uploaded files before replacing in-memory state.
+Imported state is upgraded through `src/migrations.js`, so export files from any earlier schema stay importable.
+Merge imports are planned here too: the plan is a pure diff of an imported board against the current one, and applying it
+runs through the ordinary `src/model.js` mutations so invariants and revision stamps stay in one place.
 */
 
+import { migrateState, summarizeMigrationReport } from "./migrations.js";
+import {
+  addImportedEntities,
+  getProjectLinks,
+  renameCampaign,
+  updateCampaignColor,
+  updateCampaignIcon,
+  updateCampaignMission,
+  updateProject
+} from "./model.js";
+
 export const EXPORT_FORMAT = "ops-map-export";
 export const EXPORT_VERSION = 1;
 
+export const IMPORT_MERGE_ACTIONS = Object.freeze({
+  ADD: "add",
+  UPDATE: "update",
+  SKIP: "skip"
+});
+
 function isIsoDateString(value) {
   return typeof value === "string" && Number.isFinite(Date.parse(value));
 }
@@ -73,7 +93,8 @@ export function parseImportPayload(rawText) {
     throw new Error(`Unsupported import format. Expected \"${EXPORT_FORMAT}\".`);
   }
 
-  if (parsed.version !== EXPORT_VERSION) {
+  // Older envelopes are accepted because their state is migrated below; only newer ones are refused.
+  if (!Number.isInteger(parsed.version) || parsed.version < 1 || parsed.version > EXPORT_VERSION) {
     throw new Error(`Unsupported export version \"${parsed.version}\".`);
   }
 
@@ -85,8 +106,293 @@ export function parseImportPayload(rawText) {
     throw new Error("Import file state payload is malformed.");
   }
 
+  let migration;
+
+  try {
+    migration = migrateState(parsed.state);
+  } catch (error) {
+    throw new Error(`Import file could not be upgraded: ${error instanceof Error ? error.message : "unknown error"}`);
+  }
+
+  if (migration.report.isNewerThanSupported) {
+    throw new Error("This file was exported by a newer version of Resume. Update Resume, then import again.");
+  }
+
   return {
-    payload: parsed,
-    summary: countStateEntities(parsed.state)
+    payload: {
+      ...parsed,
+      state: migration.state
+    },
+    summary: countStateEntities(migration.state),
+    migrationNotes: summarizeMigrationReport(migration.report)
   };
 }
+
+function toNameKey(value) {
+  return typeof value === "string" ? value.trim().toLocaleLowerCase() : "";
+}
+
+function matchCollection(incomingItems, currentItems, isNameCandidate) {
+  const currentIds = new Set(currentItems.map((item) => item.id));
+  const claimedIds = new Set();
+  const matches = new Map();
+
+  // Id matches are settled first so a name match can never steal a record that the same file already owns by id.
+  incomingItems.forEach((incoming) => {
+    if (currentIds.has(incoming.id) && !claimedIds.has(incoming.id)) {
+      claimedIds.add(incoming.id);
+      matches.set(incoming.id, { target: currentItems.find((item) => item.id === incoming.id), matchedBy: "id" });
+    }
+  });
+
+  incomingItems.forEach((incoming) => {
+    if (matches.has(incoming.id)) {
+      return;
+    }
+
+    const nameKey = toNameKey(incoming.name);
+    const target = nameKey
+      ? currentItems.find(
+          (item) =>
+            !claimedIds.has(item.id) &&
+            !matches.has(item.id) &&
+            toNameKey(item.name) === nameKey &&
+            isNameCandidate(incoming, item)
+        )
+      : null;
+
+    if (target) {
+      claimedIds.add(target.id);
+    }
+
+    matches.set(incoming.id, target ? { target, matchedBy: "name" } : { target: null, matchedBy: null });
+  });
+
+  return matches;
+}
+
+function listCampaignChanges(incoming, target, matchedBy) {
+  const changes = [];
+
+  if (matchedBy === "id" && incoming.name !== target.name) {
+    changes.push("name");
+  }
+
+  if (incoming.color !== target.color) {
+    changes.push("color");
+  }
+
+  if (incoming.icon && incoming.icon !== target.icon) {
+    changes.push("icon");
+  }
+
+  // An empty incoming mission never clears ours; shared templates usually ship without one.
+  if (incoming.currentMission && incoming.currentMission !== target.currentMission) {
+    changes.push("mission");
+  }
+
+  return changes;
+}
+
+function describeLinks(project) {
+  // Link ids differ between boards, so only what a link says and where it points is compared.
+  return JSON.stringify(getProjectLinks(project).map(({ label, linkType, link }) => [label, linkType, link]));
+}
+
+function listProjectChanges(incoming, target, matchedBy, targetCampaignIds) {
+  const changes = [];
+
+  if (matchedBy === "id" && incoming.name !== target.name) {
+    changes.push("name");
+  }
+
+  if (incoming.mode !== target.mode || describeLinks(incoming) !== describeLinks(target)) {
+    changes.push("links");
+  }
+
+  // Like missions, an empty incoming note never wipes one that only exists on this board.
+  if (
+    (incoming.leftOff && incoming.leftOff !== target.leftOff) ||
+    (incoming.nextStep && incoming.nextStep !== target.nextStep)
+  ) {
+    changes.push("notes");
+  }
+
+  if (incoming.status !== target.status) {
+    changes.push("status");
+  }
+
+  if (Boolean(incoming.excludeFromLaunchAll) !== Boolean(target.excludeFromLaunchAll)) {
+    changes.push("launch");
+  }
+
+  if (targetCampaignIds.some((campaignId) => !target.campaignIds.includes(campaignId))) {
+    changes.push("campaigns");
+  }
+
+  return changes;
+}
+
+function pickAction(target, changes) {
+  if (!target) {
+    return IMPORT_MERGE_ACTIONS.ADD;
+  }
+
+  return changes.length > 0 ? IMPORT_MERGE_ACTIONS.UPDATE : IMPORT_MERGE_ACTIONS.SKIP;
+}
+
+function mapCampaignIds(incomingCampaignIds, targetIdByIncomingId) {
+  return incomingCampaignIds.map((campaignId) => targetIdByIncomingId.get(campaignId)).filter(Boolean);
+}
+
+export function buildImportMergePlan(currentState, incomingState) {
+  const currentCampaigns = Array.isArray(currentState?.campaigns) ? currentState.campaigns : [];
+  const currentProjects = Array.isArray(currentState?.projects) ? currentState.projects : [];
+  const incomingCampaigns = Array.isArray(incomingState?.campaigns) ? incomingState.campaigns : [];
+  const incomingProjects = Array.isArray(incomingState?.projects) ? incomingState.projects : [];
+
+  const campaignMatches = matchCollection(incomingCampaigns, currentCampaigns, () => true);
+  const campaigns = incomingCampaigns.map((incoming) => {
+    const { target, matchedBy } = campaignMatches.get(incoming.id);
+    const changes = target ? listCampaignChanges(incoming, target, matchedBy) : [];
+
+    return {
+      incoming,
+      target,
+      matchedBy,
+      action: pickAction(target, changes),
+      changes
+    };
+  });
+
+  const targetIdByIncomingId = new Map(campaigns.map((entry) => [entry.incoming.id, entry.target?.id ?? entry.incoming.id]));
+
+  // A project name only matches inside the campaigns it is being merged into; "Docs" in two campaigns is two projects.
+  const projectMatches = matchCollection(incomingProjects, currentProjects, (incoming, candidate) =>
+    mapCampaignIds(incoming.campaignIds, targetIdByIncomingId).some((campaignId) =>
+      candidate.campaignIds.includes(campaignId)
+    )
+  );
+  const projects = incomingProjects.map((incoming) => {
+    const { target, matchedBy } = projectMatches.get(incoming.id);
+    const changes = target
+      ? listProjectChanges(incoming, target, matchedBy, mapCampaignIds(incoming.campaignIds, targetIdByIncomingId))
+      : [];
+
+    return {
+      incoming,
+      target,
+      matchedBy,
+      action: pickAction(target, changes),
+      changes
+    };
+  });
+
+  return { campaigns, projects };
+}
+
+export function listPlannedProjects(plan, incomingCampaignId) {
+  return plan.projects.filter((entry) => entry.incoming.campaignIds.includes(incomingCampaignId));
+}
+
+export function summarizeImportMergePlan(plan, selectedCampaignIds) {
+  const selected = new Set(selectedCampaignIds ?? plan.campaigns.map((entry) => entry.incoming.id));
+  const emptyCounts = () => ({ [IMPORT_MERGE_ACTIONS.ADD]: 0, [IMPORT_MERGE_ACTIONS.UPDATE]: 0, [IMPORT_MERGE_ACTIONS.SKIP]: 0 });
+  const summary = { campaigns: emptyCounts(), projects: emptyCounts() };
+
+  plan.campaigns.forEach((entry) => {
+    if (selected.has(entry.incoming.id)) {
+      summary.campaigns[entry.action] += 1;
+    }
+  });
+
+  plan.projects.forEach((entry) => {
+    if (entry.incoming.campaignIds.some((campaignId) => selected.has(campaignId))) {
+      summary.projects[entry.action] += 1;
+    }
+  });
+
+  return summary;
+}
+
+export function applyImportMerge(currentState, plan, selectedCampaignIds) {
+  const selected = new Set(selectedCampaignIds ?? plan.campaigns.map((entry) => entry.incoming.id));
+  const campaignEntries = plan.campaigns.filter((entry) => selected.has(entry.incoming.id));
+  const targetIdByIncomingId = new Map(
+    campaignEntries.map((entry) => [entry.incoming.id, entry.target?.id ?? entry.incoming.id])
+  );
+  let nextState = currentState;
+
+  campaignEntries.forEach((entry) => {
+    if (entry.action !== IMPORT_MERGE_ACTIONS.UPDATE) {
+      return;
+    }
+
+    if (entry.changes.includes("name")) {
+      nextState = renameCampaign(nextState, entry.target.id, entry.incoming.name);
+    }
+
+    if (entry.changes.includes("color")) {
+      nextState = updateCampaignColor(nextState, entry.target.id, entry.incoming.color);
+    }
+
+    if (entry.changes.includes("icon")) {
+      nextState = updateCampaignIcon(nextState, entry.target.id, entry.incoming.icon);
+    }
+
+    // Going through the mission mutation archives the mission it replaces, exactly like a manual edit.
+    if (entry.changes.includes("mission")) {
+      nextState = updateCampaignMission(nextState, entry.target.id, entry.incoming.currentMission);
+    }
+  });
+
+  // New campaigns land before any project work so projects can reference them.
+  nextState = addImportedEntities(nextState, {
+    campaigns: campaignEntries.filter((entry) => !entry.target).map((entry) => entry.incoming)
+  });
+
+  const addedProjects = [];
+
+  plan.projects.forEach((entry) => {
+    // Memberships in campaigns the operator left unticked are dropped; a project with none left is skipped.
+    const campaignIds = mapCampaignIds(entry.incoming.campaignIds, targetIdByIncomingId);
+    if (campaignIds.length === 0 || entry.action === IMPORT_MERGE_ACTIONS.SKIP) {
+      return;
+    }
+
+    if (!entry.target) {
+      addedProjects.push({ ...entry.incoming, campaignIds });
+      return;
+    }
+
+    const patch = {
+      campaignIds: [...entry.target.campaignIds, ...campaignIds]
+    };
+
+    if (entry.changes.includes("name")) {
+      patch.name = entry.incoming.name;
+    }
+
+    if (entry.changes.includes("links")) {
+      patch.mode = entry.incoming.mode;
+      patch.links = getProjectLinks(entry.incoming);
+    }
+
+    if (entry.changes.includes("notes")) {
+      patch.leftOff = entry.incoming.leftOff || entry.target.leftOff;
+      patch.nextStep = entry.incoming.nextStep || entry.target.nextStep;
+    }
+
+    if (entry.changes.includes("status")) {
+      patch.status = entry.incoming.status;
+    }
+
+    if (entry.changes.includes("launch")) {
+      patch.excludeFromLaunchAll = entry.incoming.excludeFromLaunchAll === true;
+    }
+
+    nextState = updateProject(nextState, entry.target.id, patch);
+  });
+
+  return addImportedEntities(nextState, { projects: addedProjects });
+}
@@ -0,0 +1,143 @@
+/*
+This file opens a whole campaign workspace at once: every launchable project that has not opted out.
+It exists separately so deciding what to open stays a pure plan, while the Chrome tab and tab-group calls stay at
+one browser boundary, the same split `src/storage.js` keeps for persistence.
+Web links open as background tabs gathered into a tab group named after the campaign; app URIs such as `vscode://`
+or `obsidian://` cannot live in tabs, so `src/main.js` fires them one after another from the new tab page.
+*/
+
+import { resolveProjectLink } from "./linkOverrides.js";
+import { PROJECT_MODES, PROJECT_STATUSES, orderCampaignProjects } from "./model.js";
+
+// Chrome's fixed tab-group palette with a representative hue for each, so campaign colors map to the nearest one.
+const TAB_GROUP_COLOR_HUES = [
+  ["red", 0],
+  ["orange", 30],
+  ["yellow", 55],
+  ["green", 130],
+  ["cyan", 185],
+  ["blue", 220],
+  ["purple", 270],
+  ["pink", 325]
+];
+
+const WEB_LINK_PATTERN = /^https?:\/\//i;
+
+export function buildCampaignLaunchPlan(state, campaignId, linkOverrides) {
+  const plan = { webTargets: [], appTargets: [], optedOut: [], physical: [] };
+
+  const campaign = (Array.isArray(state?.campaigns) ? state.campaigns : []).find((item) => item.id === campaignId);
+
+  // Tabs open in the campaign's board order, so the tab group reads like the card.
+  orderCampaignProjects(campaign, state?.projects).forEach((project) => {
+    if (project.mode === PROJECT_MODES.PHYSICAL) {
+      plan.physical.push(project);
+      return;
+    }
+
+    // Finished work stays on the board for retrospectives but is no longer part of the workspace.
+    if (project.status === PROJECT_STATUSES.DONE) {
+      return;
+    }
+
+    if (project.excludeFromLaunchAll) {
+      plan.optedOut.push(project);
+      return;
+    }
+
+    // Only the primary link opens, as this device sees it; secondary links stay one click away on the card.
+    const link = resolveProjectLink(linkOverrides, project);
+    if (!link) {
+      return;
+    }
+
+    (WEB_LINK_PATTERN.test(link) ? plan.webTargets : plan.appTargets).push({ project, link });
+  });
+
+  return plan;
+}
+
+export function countLaunchTargets(plan) {
+  return plan.webTargets.length + plan.appTargets.length;
+}
+
+function readHue(hexColor) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hexColor ?? "");
+  if (!match) {
+    return null;
+  }
+
+  const [red, green, blue] = [0, 2, 4].map((offset) => parseInt(match[1].slice(offset, offset + 2), 16) / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+
+  // Near-grey campaign colors have no meaningful hue, so they map to Chrome's grey group.
+  if (max - min < 0.08) {
+    return null;
+  }
+
+  let hue;
+  if (max === red) {
+    hue = ((green - blue) / (max - min)) % 6;
+  } else if (max === green) {
+    hue = (blue - red) / (max - min) + 2;
+  } else {
+    hue = (red - green) / (max - min) + 4;
+  }
+
+  return (hue * 60 + 360) % 360;
+}
+
+export function pickTabGroupColor(hexColor) {
+  const hue = readHue(hexColor);
+  if (hue === null) {
+    return "grey";
+  }
+
+  const distance = (candidate) => Math.min(Math.abs(candidate - hue), 360 - Math.abs(candidate - hue));
+  return TAB_GROUP_COLOR_HUES.reduce((best, entry) => (distance(entry[1]) < distance(best[1]) ? entry : best))[0];
+}
+
+function hasChromeTabGroups() {
+  return typeof chrome !== "undefined" && Boolean(chrome.tabs?.create && chrome.tabs?.group && chrome.tabGroups?.update);
+}
+
+export async function openWebTargetsInGroup(webTargets, groupInfo) {
+  if (webTargets.length === 0) {
+    return { grouped: false, openedCount: 0, failedTargets: [] };
+  }
+
+  // Outside the extension runtime there are no tab groups, so plain new windows/tabs are the best we can do.
+  if (!hasChromeTabGroups()) {
+    webTargets.forEach((target) => {
+      window.open(target.link, "_blank", "noopener,noreferrer");
+    });
+    return { grouped: false, openedCount: webTargets.length, failedTargets: [] };
+  }
+
+  const created = await Promise.allSettled(
+    webTargets.map((target) => chrome.tabs.create({ url: target.link, active: false }))
+  );
+  const tabs = created.filter((result) => result.status === "fulfilled").map((result) => result.value);
+  // Only targets whose tab was never created are handed back, so the caller cannot open a link twice.
+  const failedTargets = webTargets.filter((_target, index) => created[index].status === "rejected");
+
+  if (tabs.length === 0) {
+    return { grouped: false, openedCount: 0, failedTargets };
+  }
+
+  // Grouping is a nicety: the tabs are already open, so a failure here leaves them loose rather than reopening them.
+  try {
+    const groupId = await chrome.tabs.group({ tabIds: tabs.map((tab) => tab.id) });
+    await chrome.tabGroups.update(groupId, {
+      title: groupInfo.title,
+      color: pickTabGroupColor(groupInfo.color),
+      collapsed: false
+    });
+  } catch (error) {
+    console.warn("Resume: opened campaign tabs but could not group them.", error);
+    return { grouped: false, openedCount: tabs.length, failedTargets };
+  }
+
+  return { grouped: true, openedCount: tabs.length, failedTargets };
+}
@@ -0,0 +1,109 @@
+/*
+These tests run the Google Drive sync calls against the local mock Drive server in `dev/mock-drive-server.mjs`, once
+with ETags and once without, playing two browsers that share one Drive file. Run them with `node --test test/`.
+*/
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { startMockDriveServer } from "../dev/mock-drive-server.mjs";
+import {
+  DEFAULT_GOOGLE_SYNC_RECORD,
+  GOOGLE_SYNC_STATES,
+  getGoogleSyncStatus,
+  isGoogleSyncAvailable,
+  pullGoogleSyncState,
+  pushGoogleSyncState
+} from "../src/googleSync.js";
+import { addCampaign, createEmptyState } from "../src/model.js";
+
+function createBoard(campaignName, updatedAt) {
+  return { ...addCampaign(createEmptyState(), { name: campaignName }), updatedAt };
+}
+
+for (const sendEtags of [true, false]) {
+  describe(sendEtags ? "Drive sync with ETags" : "Drive sync without ETags", () => {
+    let mock;
+
+    before(async () => {
+      mock = await startMockDriveServer({ sendEtags });
+    });
+
+    after(async () => {
+      await mock.close();
+    });
+
+    function connectBrowser() {
+      return { connected: true, apiBaseUrl: mock.url, fileId: null, etag: null, revisionId: null };
+    }
+
+    test("a board pushed by one browser is pulled by another", async () => {
+      const chrome = await pushGoogleSyncState(connectBrowser(), createBoard("Launch", "2026-01-01T00:00:01.000Z"));
+      assert.equal(chrome.record.lastError, null);
+      assert.equal(chrome.conflictState, null);
+
+      const edge = await pullGoogleSyncState(connectBrowser());
+      assert.equal(edge.record.fileId, chrome.record.fileId);
+      assert.equal(edge.state.campaigns[0].name, "Launch");
+    });
+
+    test("a browser pushes again over its own upload without a conflict", async () => {
+      let chrome = await pullGoogleSyncState(connectBrowser());
+      chrome = await pushGoogleSyncState(chrome.record, createBoard("Second", "2026-01-01T00:00:02.000Z"));
+      assert.equal(chrome.conflictState, null);
+
+      chrome = await pushGoogleSyncState(chrome.record, createBoard("Third", "2026-01-01T00:00:03.000Z"));
+      assert.equal(chrome.conflictState, null);
+      assert.equal(chrome.record.lastError, null);
+    });
+
+    test("an upload over a copy another browser replaced returns the newer board", async () => {
+      const chrome = await pullGoogleSyncState(connectBrowser());
+      const edge = await pullGoogleSyncState(connectBrowser());
+
+      const edgeWrite = await pushGoogleSyncState(edge.record, createBoard("From Edge", "2026-01-01T00:00:04.000Z"));
+      assert.equal(edgeWrite.conflictState, null);
+
+      const chromeWrite = await pushGoogleSyncState(
+        chrome.record,
+        createBoard("From Chrome", "2026-01-01T00:00:05.000Z")
+      );
+      assert.equal(chromeWrite.conflictState.campaigns[0].name, "From Edge");
+
+      // After merging, the retry carries what the conflict pull saw, so it goes through.
+      const retry = await pushGoogleSyncState(chromeWrite.record, createBoard("Merged", "2026-01-01T00:00:06.000Z"));
+      assert.equal(retry.conflictState, null);
+      assert.equal((await pullGoogleSyncState(connectBrowser())).state.campaigns[0].name, "Merged");
+    });
+
+    test("a pull of an unchanged file returns no board", async () => {
+      const first = await pullGoogleSyncState(connectBrowser());
+      const second = await pullGoogleSyncState(first.record);
+
+      assert.equal(second.record.lastError, null);
+      if (sendEtags) {
+        assert.equal(second.state, null);
+      } else {
+        // Without an ETag nothing can short-circuit the download, so the same board simply comes back.
+        assert.equal(second.state.updatedAt, first.state.updatedAt);
+      }
+    });
+  });
+}
+
+test("a build whose OAuth client IDs are still placeholders says so instead of offering sign-in", () => {
+  const manifest = { oauth2: { client_id: "REPLACE_WITH_OAUTH_CLIENT_ID.apps.googleusercontent.com" } };
+  globalThis.chrome = {
+    identity: { getAuthToken() {}, launchWebAuthFlow() {} },
+    runtime: { getManifest: () => manifest }
+  };
+
+  try {
+    const status = getGoogleSyncStatus(DEFAULT_GOOGLE_SYNC_RECORD);
+    assert.equal(status.state, GOOGLE_SYNC_STATES.UNAVAILABLE);
+    assert.match(status.reason, /not set up/);
+    assert.equal(isGoogleSyncAvailable(DEFAULT_GOOGLE_SYNC_RECORD), false);
+  } finally {
+    delete globalThis.chrome;
+  }
+});
@@ -0,0 +1,185 @@
+/*
+These tests run the WebDAV and JSON-over-HTTP providers against a small stub server that keeps documents in memory,
+answers `If-Match` and `If-None-Match` the way WebDAV servers do, and refuses a PUT into a folder that does not exist
+yet. Two providers on one URL play two devices. Run them with `node --test test/`.
+*/
+
+import http from "node:http";
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createHttpJsonProvider, createWebDavProvider } from "../src/httpSyncProviders.js";
+import { addCampaign, createEmptyState } from "../src/model.js";
+
+const documents = new Map();
+const folders = new Set();
+const requests = [];
+
+let server;
+let baseUrl;
+
+function createBoard(campaignName, updatedAt) {
+  return { ...addCampaign(createEmptyState(), { name: campaignName }), updatedAt };
+}
+
+function readBody(request) {
+  return new Promise((resolve) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => resolve(body));
+  });
+}
+
+async function handle(request, response) {
+  const path = new URL(request.url, baseUrl).pathname;
+  const folder = path.replace(/[^/]+$/, "");
+  const existing = documents.get(path);
+  const etag = existing ? `"v${existing.version}"` : null;
+  requests.push({ method: request.method, path, headers: request.headers });
+
+  if (request.method === "MKCOL") {
+    response.writeHead(folders.has(path) ? 405 : 201);
+    folders.add(path);
+    response.end();
+    return;
+  }
+
+  if (request.method === "GET") {
+    if (!existing) {
+      response.writeHead(404);
+    } else if (request.headers["if-none-match"] === etag) {
+      response.writeHead(304, { ETag: etag });
+    } else {
+      response.writeHead(200, { "Content-Type": "application/json", ETag: etag });
+      response.write(existing.body);
+    }
+
+    response.end();
+    return;
+  }
+
+  if (request.method === "PUT") {
+    const ifMatch = request.headers["if-match"];
+    if ((ifMatch && ifMatch !== etag) || (request.headers["if-none-match"] === "*" && existing)) {
+      response.writeHead(412);
+      response.end();
+      return;
+    }
+
+    if (!folders.has(folder)) {
+      response.writeHead(409);
+      response.end();
+      return;
+    }
+
+    const version = (existing?.version ?? 0) + 1;
+    documents.set(path, { body: await readBody(request), version });
+    response.writeHead(existing ? 204 : 201, { ETag: `"v${version}"` });
+    response.end();
+    return;
+  }
+
+  response.writeHead(405);
+  response.end();
+}
+
+function storeDocument(path, board) {
+  folders.add(path.replace(/[^/]+$/, ""));
+  documents.set(path, { body: JSON.stringify(board), version: 1 });
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    handle(request, response);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  documents.clear();
+  folders.clear();
+  folders.add("/");
+  requests.length = 0;
+});
+
+test("the HTTP endpoint loads the stored board with its bearer token", async () => {
+  storeDocument("/board.json", createBoard("Launch", "2026-01-01T00:00:01.000Z"));
+  const provider = createHttpJsonProvider({ url: `${baseUrl}/board.json`, token: "secret" });
+
+  const board = await provider.load();
+
+  assert.equal(board.campaigns[0].name, "Launch");
+  assert.equal(requests[0].headers.authorization, "Bearer secret");
+});
+
+test("WebDAV creates the missing folder and retries the first write without replacing anything", async () => {
+  const provider = createWebDavProvider({ url: `${baseUrl}/resume/board.json`, username: "ada", password: "pw" });
+
+  assert.equal(await provider.load(), null);
+  const result = await provider.save(createBoard("Launch", "2026-01-01T00:00:01.000Z"));
+
+  assert.equal(result.conflictState, null);
+  assert.deepEqual(
+    requests.map((entry) => `${entry.method} ${entry.path}`),
+    ["GET /resume/board.json", "PUT /resume/board.json", "MKCOL /resume/", "PUT /resume/board.json"]
+  );
+  const puts = requests.filter((entry) => entry.method === "PUT");
+  assert.deepEqual(puts.map((entry) => entry.headers["if-none-match"]), ["*", "*"]);
+  assert.equal(requests[2].headers.authorization, `Basic ${Buffer.from("ada:pw").toString("base64")}`);
+  assert.equal(JSON.parse(documents.get("/resume/board.json").body).campaigns[0].name, "Launch");
+});
+
+test("a write over a board another device replaced returns the newer board to merge", async () => {
+  storeDocument("/board.json", createBoard("Launch", "2026-01-01T00:00:01.000Z"));
+  const laptop = createHttpJsonProvider({ url: `${baseUrl}/board.json` });
+  const desktop = createHttpJsonProvider({ url: `${baseUrl}/board.json` });
+  await laptop.load();
+  await desktop.load();
+
+  assert.equal((await desktop.save(createBoard("From desktop", "2026-01-01T00:00:02.000Z"))).conflictState, null);
+  const { conflictState } = await laptop.save(createBoard("From laptop", "2026-01-01T00:00:03.000Z"));
+
+  assert.equal(conflictState.campaigns[0].name, "From desktop");
+  assert.equal(requests.at(-2).headers["if-match"], '"v1"');
+
+  // The conflict read refreshed the ETag, so the merged board goes through on the next save.
+  assert.equal((await laptop.save(createBoard("Merged", "2026-01-01T00:00:04.000Z"))).conflictState, null);
+  assert.equal(requests.at(-1).headers["if-match"], '"v2"');
+});
+
+test("a first write loses to a board another device created after this one looked", async () => {
+  const laptop = createHttpJsonProvider({ url: `${baseUrl}/board.json` });
+  assert.equal(await laptop.load(), null);
+
+  storeDocument("/board.json", createBoard("From desktop", "2026-01-01T00:00:02.000Z"));
+  const { conflictState } = await laptop.save(createBoard("From laptop", "2026-01-01T00:00:03.000Z"));
+
+  assert.equal(requests.at(-2).headers["if-none-match"], "*");
+  assert.equal(conflictState.campaigns[0].name, "From desktop");
+  assert.equal(JSON.parse(documents.get("/board.json").body).campaigns[0].name, "From desktop");
+});
+
+test("polling only reports a board the server says has changed", async () => {
+  storeDocument("/board.json", createBoard("Launch", "2026-01-01T00:00:01.000Z"));
+  const provider = createHttpJsonProvider({ url: `${baseUrl}/board.json`, pollMs: 20 });
+  await provider.load();
+
+  const arrivals = [];
+  const unsubscribe = provider.subscribe((board) => arrivals.push(board.campaigns[0].name));
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.deepEqual(arrivals, []);
+
+  documents.set("/board.json", { body: JSON.stringify(createBoard("Edited", "2026-01-01T00:00:02.000Z")), version: 2 });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  unsubscribe();
+
+  assert.deepEqual(arrivals, ["Edited"]);
+  assert.equal(requests[1].headers["if-none-match"], '"v1"');
+});
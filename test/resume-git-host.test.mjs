@@ -0,0 +1,112 @@
+/*
+These tests run the native helper the way a person would, with `--check`, against throwaway repositories whose own
+config tries to make git start a program. Run them with `node --test test/`.
+*/
+
+import { execFile } from "node:child_process";
+import { existsSync } from "node:fs";
+import { mkdtemp, rm, utimes, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+const HOST_PATH = fileURLToPath(new URL("../native-host/resume-git-host.mjs", import.meta.url));
+
+let workDir;
+
+function run(command, args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { cwd, timeout: 20000 }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+  });
+}
+
+async function createRepo(name) {
+  const repo = path.join(workDir, name);
+  await run("git", ["init", "-q", repo], workDir);
+  await writeFile(path.join(repo, "notes.txt"), "first\n");
+  await run("git", ["add", "."], repo);
+  await run("git", ["-c", "user.name=Resume", "-c", "user.email=resume@example.com", "commit", "-qm", "init"], repo);
+  return repo;
+}
+
+async function checkRepo(repo) {
+  const reply = JSON.parse(await run(process.execPath, [HOST_PATH, "--check", repo], workDir));
+  assert.equal(reply.ok, true);
+  return reply.results[repo];
+}
+
+before(async () => {
+  workDir = await mkdtemp(path.join(tmpdir(), "resume-git-host-"));
+});
+
+after(async () => {
+  await rm(workDir, { recursive: true, force: true });
+});
+
+test("a repository's core.fsmonitor command never runs", async () => {
+  const repo = await createRepo("fsmonitor");
+  const marker = path.join(workDir, "fsmonitor-ran");
+  await run("git", ["config", "core.fsmonitor", `touch '${marker}'; false`], repo);
+  await writeFile(path.join(repo, "untracked.txt"), "new\n");
+
+  const result = await checkRepo(repo);
+
+  assert.equal(existsSync(marker), false);
+  assert.equal(result.dirty, true);
+  assert.equal(result.changedFiles, 1);
+});
+
+test("a repository's filter driver never runs when status re-reads a file", async () => {
+  const repo = await createRepo("filter");
+  const marker = path.join(workDir, "filter-ran");
+  await writeFile(path.join(repo, ".gitattributes"), "* filter=resume-test\n");
+  await run("git", ["config", "filter.resume-test.clean", `touch '${marker}'; cat`], repo);
+
+  // A new modification time makes git look at the file's content again instead of trusting the index.
+  const later = new Date(Date.now() + 60 * 1000);
+  await utimes(path.join(repo, "notes.txt"), later, later);
+
+  const result = await checkRepo(repo);
+
+  assert.equal(existsSync(marker), false);
+  assert.equal(result.branch.length > 0, true);
+  assert.equal(result.changedFiles, 1);
+});
+
+test("a repository's gpg.program never runs when the last commit carries a signature", async () => {
+  const repo = await createRepo("signature");
+  const marker = path.join(workDir, "gpg-ran");
+  const fakeGpg = path.join(workDir, "fake-gpg.sh");
+  await writeFile(fakeGpg, `#!/bin/sh\ntouch '${marker}'\n`, { mode: 0o755 });
+
+  // A hand-built commit with a gpgsig header is enough; the signature never has to be real for git to check it.
+  const tree = (await run("git", ["rev-parse", "HEAD^{tree}"], repo)).trim();
+  const parent = (await run("git", ["rev-parse", "HEAD"], repo)).trim();
+  const identity = "Resume <resume@example.com> 1700000000 +0000";
+  const commit = [
+    `tree ${tree}`,
+    `parent ${parent}`,
+    `author ${identity}`,
+    `committer ${identity}`,
+    "gpgsig -----BEGIN PGP SIGNATURE-----",
+    " ",
+    " iQEzBAABCAAdFiEE",
+    " -----END PGP SIGNATURE-----",
+    "",
+    "signed",
+    ""
+  ].join("\n");
+  const commitFile = path.join(workDir, "signed-commit.txt");
+  await writeFile(commitFile, commit);
+  const signed = (await run("git", ["hash-object", "-t", "commit", "-w", commitFile], repo)).trim();
+  await run("git", ["update-ref", "HEAD", signed], repo);
+  await run("git", ["config", "log.showSignature", "true"], repo);
+  await run("git", ["config", "gpg.program", fakeGpg], repo);
+
+  const result = await checkRepo(repo);
+
+  assert.equal(existsSync(marker), false);
+  assert.equal(result.lastCommitAt, "2023-11-14T22:13:20+00:00");
+});
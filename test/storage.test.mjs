@@ -0,0 +1,101 @@
+/*
+These tests read and capture into the Chrome sync board through an in-memory stand-in for `chrome.storage`, the way a
+tab or the worker sees it at startup while sync is still delivering a write. Run them with `node --test test/`.
+*/
+
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addCampaign, createEmptyState } from "../src/model.js";
+import { isIncompleteSyncBoard, loadState } from "../src/storage.js";
+import { CHUNK_MANIFEST_KEY, buildChunkedItems, getChunkKey } from "../src/storageChunks.js";
+import { captureTabs } from "../src/tabCapture.js";
+
+function createStorageArea(initial = {}) {
+  const data = structuredClone(initial);
+
+  return {
+    data,
+    get(keys, callback) {
+      const names = keys === null ? Object.keys(data) : [keys].flat();
+      const result = {};
+      names.filter((name) => name in data).forEach((name) => {
+        result[name] = structuredClone(data[name]);
+      });
+      setTimeout(() => callback(result));
+    },
+    set(items, callback) {
+      Object.assign(data, structuredClone(items));
+      setTimeout(() => callback?.());
+    },
+    remove(keys, callback) {
+      [keys].flat().forEach((name) => delete data[name]);
+      setTimeout(() => callback?.());
+    },
+    getBytesInUse(keys, callback) {
+      callback(0);
+    }
+  };
+}
+
+function createBoard() {
+  let board = createEmptyState();
+  // Enough campaigns that the board spans several chunks, so one can be missing while others have arrived.
+  for (let index = 0; index < 60; index += 1) {
+    board = addCampaign(board, { name: `Campaign ${index}`, currentMission: "x".repeat(200) });
+  }
+
+  return board;
+}
+
+let board;
+let syncedItems;
+
+beforeEach(() => {
+  board = createBoard();
+  syncedItems = buildChunkedItems(board);
+  assert.ok(syncedItems[CHUNK_MANIFEST_KEY].chunkCount > 1);
+
+  // The manifest and the first chunk are here; the last chunk is still in transit, next to an older legacy board.
+  const partial = { ...syncedItems, opsMapStateV1: createEmptyState() };
+  delete partial[getChunkKey(syncedItems[CHUNK_MANIFEST_KEY].chunkCount - 1)];
+
+  globalThis.chrome = {
+    runtime: {},
+    storage: {
+      sync: createStorageArea(partial),
+      local: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: { addListener() {}, removeListener() {} }
+    }
+  };
+});
+
+afterEach(() => {
+  delete globalThis.chrome;
+});
+
+test("startup with a manifest whose chunks have not all arrived reports the board as incomplete", async () => {
+  const loaded = await loadState();
+
+  assert.equal(isIncompleteSyncBoard(loaded), true);
+});
+
+test("the board loads once the missing chunk arrives", async () => {
+  Object.assign(chrome.storage.sync.data, syncedItems);
+
+  const loaded = await loadState();
+
+  assert.equal(isIncompleteSyncBoard(loaded), false);
+  assert.equal(loaded.campaigns.length, board.campaigns.length);
+});
+
+test("a capture refuses a half-delivered board instead of saving over it", async () => {
+  const before = structuredClone(chrome.storage.sync.data);
+
+  await assert.rejects(
+    captureTabs(board.campaigns[0].id, [{ url: "https://example.com/", title: "Example" }]),
+    /still arriving/
+  );
+  assert.deepEqual(chrome.storage.sync.data, before);
+});
@@ -0,0 +1,139 @@
+/*
+These tests capture tabs through the JSON-over-HTTP provider the way the worker does, against a stub server that can
+fail a read or answer a write with a newer board, with an in-memory stand-in for `chrome.storage`.
+Run them with `node --test test/`.
+*/
+
+import http from "node:http";
+import { after, afterEach, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addCampaign, createEmptyState } from "../src/model.js";
+import { captureTabs } from "../src/tabCapture.js";
+
+const requests = [];
+const failures = { reads: 0, writes: 0 };
+
+let server;
+let baseUrl;
+let stored;
+
+function createStorageArea(initial = {}) {
+  const data = structuredClone(initial);
+
+  return {
+    get(keys, callback) {
+      const result = {};
+      [keys].flat().filter((name) => name in data).forEach((name) => {
+        result[name] = structuredClone(data[name]);
+      });
+      setTimeout(() => callback(result));
+    },
+    set(items, callback) {
+      Object.assign(data, structuredClone(items));
+      setTimeout(() => callback?.());
+    }
+  };
+}
+
+function readBody(request) {
+  return new Promise((resolve) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => resolve(body));
+  });
+}
+
+async function handle(request, response) {
+  const etag = `"v${stored.version}"`;
+  requests.push({ method: request.method, headers: request.headers });
+
+  if (request.method === "GET") {
+    if (failures.reads > 0) {
+      failures.reads -= 1;
+      response.writeHead(503);
+    } else {
+      response.writeHead(200, { "Content-Type": "application/json", ETag: etag });
+      response.write(stored.body);
+    }
+
+    response.end();
+    return;
+  }
+
+  const body = await readBody(request);
+  // Another device keeps writing just before this one, so the write loses the race.
+  if (failures.writes > 0) {
+    failures.writes -= 1;
+    stored = { body: stored.body, version: stored.version + 1 };
+  }
+
+  if (request.headers["if-match"] !== `"v${stored.version}"`) {
+    response.writeHead(412);
+    response.end();
+    return;
+  }
+
+  stored = { body, version: stored.version + 1 };
+  response.writeHead(204, { ETag: `"v${stored.version}"` });
+  response.end();
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    handle(request, response);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests.length = 0;
+  Object.assign(failures, { reads: 0, writes: 0 });
+  const board = { ...addCampaign(createEmptyState(), { name: "Launch" }), updatedAt: "2026-01-01T00:00:01.000Z" };
+  stored = { body: JSON.stringify(board), version: 1 };
+
+  globalThis.chrome = {
+    runtime: {},
+    storage: {
+      local: createStorageArea({
+        opsMapSyncProviderV1: { providerId: "http-json", httpJson: { url: `${baseUrl}/board.json`, token: "" } },
+        opsMapRemoteBoardCacheV1: { url: `${baseUrl}/board.json`, state: board }
+      }),
+      session: createStorageArea()
+    }
+  };
+});
+
+afterEach(() => {
+  delete globalThis.chrome;
+});
+
+function readCampaignId() {
+  return JSON.parse(stored.body).campaigns[0].id;
+}
+
+test("a capture writes straight over the board it just read", async () => {
+  const result = await captureTabs(readCampaignId(), [{ url: "https://example.com/", title: "Example" }]);
+
+  assert.equal(result.added, 1);
+  assert.deepEqual(requests.map((entry) => entry.method), ["GET", "PUT"]);
+  assert.equal(requests[1].headers["if-match"], '"v1"');
+});
+
+test("the read before a first write does not use up one of the capture's retries", async () => {
+  // The capture opens the cached copy, so its first save reads the server, then loses two races to another device.
+  failures.reads = 1;
+  failures.writes = 2;
+
+  const result = await captureTabs(readCampaignId(), [{ url: "https://example.com/", title: "Example" }]);
+
+  assert.equal(result.added, 1);
+  assert.equal(JSON.parse(stored.body).projects[0].links[0].link, "https://example.com/");
+});